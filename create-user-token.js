@@ -0,0 +1,18 @@
+require('dotenv').config();
+const { signUserToken } = require('./src/utils/userToken');
+
+// Issue a user token from the server, e.g. for the first admin before any admin can call
+// POST /api/users/:id/token. Usage: node create-user-token.js <userId> [expiresInSeconds]
+const [userId, expiresInSeconds] = process.argv.slice(2);
+
+if (!userId) {
+  console.error('Usage: node create-user-token.js <userId> [expiresInSeconds]');
+  process.exit(1);
+}
+
+try {
+  console.log(signUserToken(userId, parseInt(expiresInSeconds) || undefined));
+} catch (error) {
+  console.error(`Could not issue a token: ${error.message}`);
+  process.exit(1);
+} 
\ No newline at end of file
@@ -11,6 +11,7 @@ const { sequelize } = require('./src/models/db');
 // Import routes
 const phoneRoutes = require('./src/routes/phoneRoutes');
 const callRoutes = require('./src/routes/callRoutes');
+const conferenceRoutes = require('./src/routes/conferenceRoutes');
 const smsRoutes = require('./src/routes/smsRoutes');
 const userRoutes = require('./src/routes/userRoutes');
 const voicemailRoutes = require('./src/routes/voicemailRoutes');
@@ -18,12 +19,33 @@ const calendarRoutes = require('./src/routes/calendarRoutes');
 const smsAutomationRoutes = require('./src/routes/smsAutomationRoutes');
 const adminRoutes = require('./src/routes/adminRoutes');
 const webrtcRoutes = require('./src/routes/webrtcRoutes');
+const ivrRoutes = require('./src/routes/ivrRoutes');
+const ringGroupRoutes = require('./src/routes/ringGroupRoutes');
+const queueRoutes = require('./src/routes/queueRoutes');
+const supervisorRoutes = require('./src/routes/supervisorRoutes');
+const parkRoutes = require('./src/routes/parkRoutes');
+const callerRuleRoutes = require('./src/routes/callerRuleRoutes');
+const holidayCalendarRoutes = require('./src/routes/holidayCalendarRoutes');
+const conversationRoutes = require('./src/routes/conversationRoutes');
+const smsConsentRoutes = require('./src/routes/smsConsentRoutes');
+const mediaRoutes = require('./src/routes/mediaRoutes');
 
 // Import webhook controller
 const webhookController = require('./src/controllers/webhookController');
 
+// Import services and helpers that run outside requests
+const queueService = require('./src/services/queueService');
+const supervisorService = require('./src/services/supervisorService');
+const parkService = require('./src/services/parkService');
+const voicemailTranscriptionService = require('./src/services/voicemailTranscriptionService');
+const automationJobService = require('./src/services/automationJobService');
+const { setIo } = require('./src/utils/socket');
+
 // Import middleware
 const apiKeyAuth = require('./src/middleware/auth');
+const authenticateUser = require('./src/middleware/userAuth');
+const verifyTelnyxSignature = require('./src/middleware/telnyxSignature');
+const mediaAuth = require('./src/middleware/mediaAuth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -40,18 +62,79 @@ const io = socketIo(server, {
   }
 });
 
+// Sockets connect with a user token (clients acting as a user) or the API key (trusted servers)
+io.use(async (socket, next) => {
+  try {
+    const { token, apiKey } = socket.handshake.auth || {};
+    
+    if (token) {
+      const result = await authenticateUser.resolveUser(token);
+      
+      if (!result.user) {
+        return next(new Error(`Unauthorized: ${result.reason}`));
+      }
+      
+      socket.user = result.user;
+      return next();
+    }
+    
+    if (apiKey && apiKey === process.env.API_KEY) {
+      return next();
+    }
+    
+    next(new Error('Unauthorized: A user token or API key is required'));
+  } catch (error) {
+    console.error('Error authenticating socket:', error);
+    next(new Error('Failed to authenticate socket'));
+  }
+});
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
   
+  // Sockets with a user token join their own room; servers on the API key register users themselves
+  if (socket.user) {
+    socket.userId = String(socket.user._id);
+    socket.join(`user-${socket.userId}`);
+  }
+  
   socket.on('register', async (userId) => {
-    if (userId) {
+    if (userId && !socket.user) {
       console.log(`User ${userId} registered with socket ${socket.id}`);
       socket.userId = userId;
       socket.join(`user-${userId}`);
     }
   });
   
+  // Live queue state (see queueService.broadcast)
+  socket.on('subscribe-queue', (queueId) => {
+    if (queueId) {
+      socket.join(`queue-${queueId}`);
+    }
+  });
+  
+  socket.on('unsubscribe-queue', (queueId) => {
+    socket.leave(`queue-${queueId}`);
+  });
+  
+  // Live call roster for supervisors (see supervisorService.broadcastRoster)
+  socket.on('subscribe-supervisor', async () => {
+    try {
+      const subscribed = await supervisorService.subscribe(socket);
+      
+      if (!subscribed) {
+        socket.emit('supervisor-denied', { userId: socket.user ? String(socket.user._id) : null });
+      }
+    } catch (error) {
+      console.error('Error subscribing supervisor:', error);
+    }
+  });
+  
+  socket.on('unsubscribe-supervisor', () => {
+    socket.leave('supervisors');
+  });
+  
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
   });
@@ -59,6 +142,7 @@ io.on('connection', (socket) => {
 
 // Make io available to other modules
 app.set('io', io);
+setIo(io);
 
 // Middleware
 app.use(cors({
@@ -67,20 +151,39 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key'],
   credentials: true
 }));
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  // Keep the raw body around for Telnyx webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
-// Skip API key auth for webhook endpoint
+// Telnyx webhook endpoints; only these exact paths skip the API key
+const WEBHOOK_PATHS = [
+  '/webhook',
+  '/api/calls/webhook/incoming',
+  '/api/calls/webhook/recording',
+  '/api/sms/webhook/incoming',
+  '/api/sms/webhook/status'
+];
+
+// Webhook endpoints are authenticated by Telnyx signature, media by signed URL or API key,
+// everything else by API key, plus an optional user token that identifies the acting user
 app.use((req, res, next) => {
-  if (req.path === '/webhook') {
-    return next();
+  if (WEBHOOK_PATHS.includes(req.path)) {
+    return verifyTelnyxSignature(req, res, next);
   }
-  apiKeyAuth(req, res, next);
+  if (req.path.startsWith('/media/')) {
+    return mediaAuth(req, res, next);
+  }
+  apiKeyAuth(req, res, () => authenticateUser(req, res, next));
 });
 
 // Routes
 app.use('/api/phones', phoneRoutes);
 app.use('/api/calls', callRoutes);
+app.use('/api/conferences', conferenceRoutes);
 app.use('/api/sms', smsRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/voicemails', voicemailRoutes);
@@ -88,24 +191,50 @@ app.use('/api/calendar', calendarRoutes);
 app.use('/api/sms-automation', smsAutomationRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/webrtc', webrtcRoutes);
+app.use('/api/ivr', ivrRoutes);
+app.use('/api/ring-groups', ringGroupRoutes);
+app.use('/api/queues', queueRoutes);
+app.use('/api/supervisor', supervisorRoutes);
+app.use('/api/park', parkRoutes);
+app.use('/api/caller-rules', callerRuleRoutes);
+app.use('/api/holiday-calendars', holidayCalendarRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/sms-consent', smsConsentRoutes);
+app.use('/media', mediaRoutes);
 
 // Webhook endpoint for Telnyx events
-app.post('/webhook', webhookController.processWebhook);
+app.post('/webhook', (req, res) => webhookController.processWebhook(req, res));
 
 // Simple health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
 });
 
-// Connect to database and start server
-sequelize.sync({ alter: process.env.NODE_ENV === 'development' })
-  .then(() => {
-    console.log('Connected to PostgreSQL database');
-    // Use server.listen instead of app.listen
-    server.listen(PORT, '0.0.0.0', () => {
-      console.log(`Server running on port ${PORT}`);
+// Connect to database and start server (not when the app is loaded by the tests)
+if (require.main === module) {
+  sequelize.sync({ alter: process.env.NODE_ENV === 'development' })
+    .then(() => {
+      console.log('Connected to PostgreSQL database');
+      // Use server.listen instead of app.listen
+      server.listen(PORT, '0.0.0.0', () => {
+        console.log(`Server running on port ${PORT}`);
+      });
+      
+      // Announce positions, overflow long waits and hand queued calls to free agents
+      queueService.start();
+      
+      // Ring parkers back when their parked calls time out
+      parkService.start();
+      
+      // Notify users about voicemails whose transcription never arrived
+      voicemailTranscriptionService.start();
+      
+      // Run delayed automation actions as they come due
+      automationJobService.start();
+    })
+    .catch(err => {
+      console.error('Database connection error:', err);
     });
-  })
-  .catch(err => {
-    console.error('Database connection error:', err);
-  }); 
\ No newline at end of file
+}
+
+module.exports = { app, server };
\ No newline at end of file
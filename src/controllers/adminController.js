@@ -1,4 +1,9 @@
 const telnyxService = require('../services/telnyxService');
+const telnyxSignature = require('../utils/telnyxSignature');
+const webhookController = require('./webhookController');
+const webhookInboxService = require('../services/webhookInboxService');
+const conversationService = require('../services/conversationService');
+const automationJobService = require('../services/automationJobService');
 const fs = require('fs').promises;
 const path = require('path');
 const dotenv = require('dotenv');
@@ -272,6 +277,353 @@ class AdminController {
       });
     }
   }
+
+  /**
+   * Sign a webhook payload with the local test keypair
+   * Only available when TELNYX_WEBHOOK_TEST_MODE is enabled
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async signTestWebhook(req, res) {
+    try {
+      if (!telnyxSignature.isTestMode()) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook test mode is not enabled'
+        });
+      }
+
+      const { payload } = req.body;
+
+      if (!payload) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payload is required'
+        });
+      }
+
+      // Sign the exact string that should be posted to /webhook
+      const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+      const headers = telnyxSignature.signPayload(body);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          publicKey: telnyxSignature.getTestKeyPair().publicKeyBase64,
+          headers,
+          body
+        }
+      });
+    } catch (error) {
+      console.error('Error signing test webhook:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to sign test webhook',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List and search stored webhook events
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getWebhookEvents(req, res) {
+    try {
+      const {
+        status,
+        eventType,
+        handler,
+        callControlId,
+        phoneNumber,
+        limit = 20,
+        skip = 0
+      } = req.query;
+      
+      const { events, total } = await webhookInboxService.listEvents(
+        { status, eventType, handler, callControlId, phoneNumber },
+        { limit, skip }
+      );
+      
+      res.status(200).json({
+        success: true,
+        data: events,
+        total,
+        hasMore: total > parseInt(skip) + events.length
+      });
+    } catch (error) {
+      console.error('Error listing webhook events:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list webhook events',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a stored webhook event with its payload
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getWebhookEventById(req, res) {
+    try {
+      const event = await webhookInboxService.getEvent(req.params.id);
+      
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook event not found'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: event
+      });
+    } catch (error) {
+      console.error('Error fetching webhook event:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch webhook event',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Replay a stored webhook event through the dispatcher
+   * Pass stubCommands=true to stub outbound Telnyx commands and get them back instead.
+   * Only the commands are stubbed: database writes, notifications and automations still happen.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async replayWebhookEvent(req, res) {
+    try {
+      // The old name promised a side-effect-free run; refuse it rather than replay for real
+      if (req.body.dryRun !== undefined || req.query.dryRun !== undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'dryRun is no longer supported; use stubCommands (only Telnyx commands are stubbed)'
+        });
+      }
+      
+      const stubFlag = req.body.stubCommands !== undefined ? req.body.stubCommands : req.query.stubCommands;
+      const stubCommands = stubFlag === true || stubFlag === 'true';
+      
+      const result = await webhookController.replayEvent(req.params.id, { stubCommands });
+      
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook event not found'
+        });
+      }
+      
+      res.status(200).json({
+        success: !result.error,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error replaying webhook event:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to replay webhook event',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Retry a failed webhook event
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async retryWebhookEvent(req, res) {
+    try {
+      const result = await webhookController.retryEvent(req.params.id);
+      
+      if (!result) {
+        return res.status(409).json({
+          success: false,
+          message: 'Webhook event not found or not in a failed state'
+        });
+      }
+      
+      res.status(200).json({
+        success: result.statusCode < 400,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error retrying webhook event:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retry webhook event',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Retry every failed webhook event, oldest first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async retryFailedWebhookEvents(req, res) {
+    try {
+      const ids = await webhookInboxService.getFailedEventIds();
+      const results = [];
+      
+      // Retry one at a time so events are re-applied in the order they arrived
+      for (const id of ids) {
+        const result = await webhookController.retryEvent(id);
+        
+        if (result) {
+          results.push(result);
+        }
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          retried: results.length,
+          succeeded: results.filter(result => result.statusCode < 400).length,
+          results
+        }
+      });
+    } catch (error) {
+      console.error('Error retrying failed webhook events:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retry webhook events',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * File SMS messages that predate conversations into conversations
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async backfillConversations(req, res) {
+    try {
+      const filed = await conversationService.backfill();
+      
+      res.status(200).json({
+        success: true,
+        data: { filed }
+      });
+    } catch (error) {
+      console.error('Error backfilling conversations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to backfill conversations',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List delayed automation jobs with a count for each status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAutomationJobs(req, res) {
+    try {
+      const { status, automationId, limit = 20, skip = 0 } = req.query;
+      
+      const [{ jobs, total }, counts] = await Promise.all([
+        automationJobService.listJobs({ status, automationId }, { limit, skip }),
+        automationJobService.getCounts()
+      ]);
+      
+      res.status(200).json({
+        success: true,
+        data: jobs,
+        counts,
+        total,
+        hasMore: total > parseInt(skip) + jobs.length
+      });
+    } catch (error) {
+      console.error('Error listing automation jobs:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to list automation jobs',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a delayed automation job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAutomationJobById(req, res) {
+    try {
+      const job = await automationJobService.getJob(req.params.id);
+      
+      res.status(200).json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error fetching automation job:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to fetch automation job',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Run a failed or cancelled automation job again
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async retryAutomationJob(req, res) {
+    try {
+      const job = await automationJobService.retryJob(req.params.id);
+      
+      res.status(200).json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error retrying automation job:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to retry automation job',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel a pending automation job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async cancelAutomationJob(req, res) {
+    try {
+      const job = await automationJobService.cancelJob(req.params.id);
+      
+      res.status(200).json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error cancelling automation job:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to cancel automation job',
+        error: error.message
+      });
+    }
+  }
 }
 
 module.exports = new AdminController(); 
\ No newline at end of file
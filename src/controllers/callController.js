@@ -2,6 +2,16 @@ const Call = require('../models/Call');
 const User = require('../models/User');
 const Voicemail = require('../models/Voicemail');
 const telnyxService = require('../services/telnyxService');
+const ringGroupService = require('../services/ringGroupService');
+const queueService = require('../services/queueService');
+const callLifecycleService = require('../services/callLifecycleService');
+const warmTransferService = require('../services/warmTransferService');
+const amdService = require('../services/amdService');
+const callRecordingService = require('../services/callRecordingService');
+const parkService = require('../services/parkService');
+const callerRuleService = require('../services/callerRuleService');
+const voicemailTranscriptionService = require('../services/voicemailTranscriptionService');
+const voicemailAccessService = require('../services/voicemailAccessService');
 
 /**
  * Call controller for handling call-related operations
@@ -17,7 +27,8 @@ class CallController {
       const { userId } = req.params;
       const { limit = 20, skip = 0, direction } = req.query;
       
-      const query = { userId };
+      // Legs dialed for another call are listed under their parent (see getCallLegs)
+      const query = { userId, parentCallId: null };
       if (direction) {
         query.direction = direction;
       }
@@ -60,14 +71,38 @@ class CallController {
     }
   }
 
+  /**
+   * Get the legs dialed or transferred on behalf of a call
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCallLegs(req, res) {
+    try {
+      const call = await Call.findById(req.params.id);
+      
+      if (!call) {
+        return res.status(404).json({ error: 'Call not found' });
+      }
+      
+      const legs = await callLifecycleService.getChildCalls(call._id);
+      
+      res.status(200).json(legs);
+    } catch (error) {
+      console.error('Error fetching call legs:', error);
+      res.status(500).json({ error: 'Failed to fetch call legs' });
+    }
+  }
+
   /**
    * Make outbound call
+   * Pass amd: { mode, audioUrl | message | templateId } to detect answering machines
+   * and leave a message on them
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async makeOutboundCall(req, res) {
     try {
-      const { userId, to } = req.body;
+      const { userId, to, amd: amdOptions } = req.body;
       
       if (!userId || !to) {
         return res.status(400).json({ error: 'User ID and destination number are required' });
@@ -83,29 +118,222 @@ class CallController {
         return res.status(400).json({ error: 'User does not have a Telnyx phone number assigned' });
       }
       
+      const amd = amdOptions ? await amdService.prepare(amdOptions, user) : undefined;
+      
       // Make the call using Telnyx
-      const callData = await telnyxService.makeOutboundCall(user.telnyxPhoneNumber, to);
+      const callData = await telnyxService.makeOutboundCall(
+        user.telnyxPhoneNumber,
+        to,
+        amd ? amdService.getDialOptions(amd, userId) : {}
+      );
       
-      // Save call record to database
-      const call = new Call({
-        userId,
-        telnyxCallControlId: callData.call_control_id,
-        direction: 'outbound',
+      // Save call record to database; answered/hangup webhooks keep it up to date
+      const call = await callLifecycleService.trackOutboundCall(callData, {
         from: user.telnyxPhoneNumber,
         to,
-        status: 'initiated',
-        startTime: new Date()
+        userId,
+        amd
       });
       
-      await call.save();
-      
       res.status(201).json({
         message: 'Call initiated successfully',
         call
       });
     } catch (error) {
       console.error('Error making outbound call:', error);
-      res.status(500).json({ error: `Failed to initiate call: ${error.message}` });
+      res.status(error.status || 500).json({ error: `Failed to initiate call: ${error.message}` });
+    }
+  }
+
+  /**
+   * Put the caller on hold
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async holdCall(req, res) {
+    try {
+      const call = await warmTransferService.hold(req.params.id);
+      
+      res.status(200).json(call);
+    } catch (error) {
+      console.error('Error trying to put call on hold:', error);
+      res.status(error.status || 500).json({ error: `Failed to put call on hold: ${error.message}` });
+    }
+  }
+
+  /**
+   * Take the caller off hold
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async unholdCall(req, res) {
+    try {
+      const call = await warmTransferService.unhold(req.params.id);
+      
+      res.status(200).json(call);
+    } catch (error) {
+      console.error('Error trying to take call off hold:', error);
+      res.status(error.status || 500).json({ error: `Failed to take call off hold: ${error.message}` });
+    }
+  }
+
+  /**
+   * Dial a colleague or number for a warm transfer while the caller holds
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async startConsult(req, res) {
+    try {
+      const call = await warmTransferService.consult(req.params.id, { userId: req.body.userId, to: req.body.to });
+      
+      res.status(200).json(call);
+    } catch (error) {
+      console.error('Error trying to start consult call:', error);
+      res.status(error.status || 500).json({ error: `Failed to start consult call: ${error.message}` });
+    }
+  }
+
+  /**
+   * Talk to the caller or the consulted party while the other holds
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async bridgeLeg(req, res) {
+    try {
+      const call = await warmTransferService.bridge(req.params.id, req.body.leg);
+      
+      res.status(200).json(call);
+    } catch (error) {
+      console.error('Error trying to bridge call leg:', error);
+      res.status(error.status || 500).json({ error: `Failed to bridge call leg: ${error.message}` });
+    }
+  }
+
+  /**
+   * Switch between the caller and the consulted party
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async swapLegs(req, res) {
+    try {
+      const call = await warmTransferService.swap(req.params.id);
+      
+      res.status(200).json(call);
+    } catch (error) {
+      console.error('Error trying to swap call legs:', error);
+      res.status(error.status || 500).json({ error: `Failed to swap call legs: ${error.message}` });
+    }
+  }
+
+  /**
+   * Complete a warm transfer: connect the caller to the consulted party
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async completeTransfer(req, res) {
+    try {
+      const call = await warmTransferService.complete(req.params.id);
+      
+      res.status(200).json(call);
+    } catch (error) {
+      console.error('Error trying to complete transfer:', error);
+      res.status(error.status || 500).json({ error: `Failed to complete transfer: ${error.message}` });
+    }
+  }
+
+  /**
+   * Cancel a warm transfer and return to the caller
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async cancelTransfer(req, res) {
+    try {
+      const call = await warmTransferService.cancel(req.params.id);
+      
+      res.status(200).json(call);
+    } catch (error) {
+      console.error('Error trying to cancel transfer:', error);
+      res.status(error.status || 500).json({ error: `Failed to cancel transfer: ${error.message}` });
+    }
+  }
+
+  /**
+   * Get the on-demand recordings made on a call
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCallRecordings(req, res) {
+    try {
+      const recordings = await callRecordingService.getRecordings(req.params.id);
+      
+      res.status(200).json(recordings);
+    } catch (error) {
+      console.error('Error fetching call recordings:', error);
+      res.status(500).json({ error: 'Failed to fetch call recordings' });
+    }
+  }
+
+  /**
+   * Start recording a live call after a consent announcement
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async startRecording(req, res) {
+    try {
+      const recording = await callRecordingService.start(req.params.id, req.body.userId);
+      
+      res.status(201).json(recording);
+    } catch (error) {
+      console.error('Error trying to start recording:', error);
+      res.status(error.status || 500).json({ error: `Failed to start recording: ${error.message}` });
+    }
+  }
+
+  /**
+   * Pause a call's recording
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async pauseRecording(req, res) {
+    try {
+      const recording = await callRecordingService.pause(req.params.id);
+      
+      res.status(200).json(recording);
+    } catch (error) {
+      console.error('Error trying to pause recording:', error);
+      res.status(error.status || 500).json({ error: `Failed to pause recording: ${error.message}` });
+    }
+  }
+
+  /**
+   * Resume a paused recording
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resumeRecording(req, res) {
+    try {
+      const recording = await callRecordingService.resume(req.params.id);
+      
+      res.status(200).json(recording);
+    } catch (error) {
+      console.error('Error trying to resume recording:', error);
+      res.status(error.status || 500).json({ error: `Failed to resume recording: ${error.message}` });
+    }
+  }
+
+  /**
+   * Stop a call's recording
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async stopRecording(req, res) {
+    try {
+      const recording = await callRecordingService.stop(req.params.id);
+      
+      res.status(200).json(recording);
+    } catch (error) {
+      console.error('Error trying to stop recording:', error);
+      res.status(error.status || 500).json({ error: `Failed to stop recording: ${error.message}` });
     }
   }
 
@@ -118,23 +346,36 @@ class CallController {
     try {
       const event = req.body.data;
       
-      if (event.event_type !== 'call.initiated' || event.direction !== 'incoming') {
+      if (event.event_type !== 'call.initiated' || event.payload.direction !== 'incoming') {
         return res.status(200).send({ received: true });
       }
       
       const { from, to, call_control_id } = event.payload;
       
-      // Find user by Telnyx phone number
-      const user = await User.findOne({ telnyxPhoneNumber: to });
+      // Park pickup code dialed from a desk phone or WebRTC client
+      const parkSlot = parkService.parseDialCode(to);
       
-      if (!user) {
-        console.error(`No user found for Telnyx number: ${to}`);
+      if (parkSlot) {
+        const pickup = await parkService.handleDialCode(event, parkSlot);
+        return res.status(200).send({ received: true, action: pickup.action });
+      }
+      
+      // The number may be the voicemail access number, or belong to a ring group, a queue or a user
+      const accessNumber = voicemailAccessService.isAccessNumber(to);
+      const group = accessNumber ? null : await ringGroupService.getGroupForNumber(to);
+      const queue = accessNumber || group ? null : await queueService.getQueueForNumber(to);
+      const user = accessNumber || group || queue ? null : await User.findOne({ telnyxPhoneNumber: to });
+      
+      if (!accessNumber && !group && !queue && !user) {
+        console.error(`No user, ring group or queue found for Telnyx number: ${to}`);
         return res.status(200).send({ received: true });
       }
       
       // Create call record
       const call = new Call({
-        userId: user._id,
+        userId: user ? user._id : undefined,
+        ringGroupId: group ? group._id : undefined,
+        queueId: queue ? queue._id : undefined,
         telnyxCallControlId: call_control_id,
         direction: 'inbound',
         from,
@@ -145,12 +386,35 @@ class CallController {
       
       await call.save();
       
-      // Handle the call based on user availability
-      const result = await telnyxService.handleIncomingCall(user, call_control_id);
+      // Users checking their voicemail, at the access number or by calling their own number from their own phone
+      if (accessNumber || voicemailAccessService.isOwnPhone(user, from)) {
+        const access = await voicemailAccessService.startCall(call_control_id, { user, from });
+        return res.status(200).send({ received: true, action: access.action });
+      }
+      
+      // Caller rules may reject the call or send it somewhere else before normal routing
+      const rule = await callerRuleService.findMatchingRule(from, user ? user._id : null);
+      let result = rule ? await callerRuleService.applyToCall(rule, call) : null;
+      
+      // Ring the group, queue the caller, or handle the call based on user availability
+      // (VIP callers ring the user even outside their availability hours)
+      if (!result) {
+        if (group) {
+          result = await ringGroupService.startCall(group, call_control_id);
+        } else if (queue) {
+          result = await queueService.enqueue(queue, call_control_id, { from, to });
+        } else {
+          result = await telnyxService.handleIncomingCall(user, call_control_id, {
+            ignoreAvailability: rule?.action === 'vip'
+          });
+        }
+      }
       
       // Update call status based on handling result
       if (result.action === 'voicemail') {
-        await Call.findByIdAndUpdate(call._id, { status: 'voicemail' });
+        await callLifecycleService.transition(call_control_id, 'voicemail');
+      } else if (result.action === 'forwarded' || result.action === 'routed_to_agent') {
+        await callLifecycleService.transition(call_control_id, 'forwarded');
       }
       
       res.status(200).send({ received: true, action: result.action });
@@ -189,16 +453,14 @@ class CallController {
         return res.status(200).send({ received: true });
       }
       
-      // Update call with recording URL
-      await Call.findByIdAndUpdate(call._id, {
-        recordingUrl,
-        status: 'completed'
-      });
-      
-      // If this was a voicemail, create a voicemail record
+      // Recordings of calls sent to voicemail are voicemails (on-demand recordings never get here)
       if (call.status === 'voicemail') {
+        await Call.findByIdAndUpdate(call._id, { voicemailUrl: recordingUrl });
+        
+        // Group calls that weren't sent to a user's box go to the group's shared mailbox
         const voicemail = new Voicemail({
           userId: call.userId,
+          ringGroupId: call.userId ? undefined : call.ringGroupId,
           callId: call._id,
           from: call.from,
           to: call.to,
@@ -208,6 +470,9 @@ class CallController {
         });
         
         await voicemail.save();
+        
+        // The owner is notified once the transcription is in
+        await voicemailTranscriptionService.transcribe(voicemail);
       }
       
       res.status(200).send({ received: true });
@@ -0,0 +1,160 @@
+const CallerRule = require('../models/CallerRule');
+const callerRuleService = require('../services/callerRuleService');
+
+// Fields a caller rule can be created or updated with
+const RULE_FIELDS = ['userId', 'matchType', 'pattern', 'action', 'route', 'label', 'isActive'];
+
+/**
+ * Caller rule controller for managing blocked, allowed, VIP and routed callers
+ */
+class CallerRuleController {
+  /**
+   * Get caller rules
+   * Pass userId for a user's rules, or scope=firm for firm-wide rules
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRules(req, res) {
+    try {
+      const { userId, scope, action } = req.query;
+      
+      const query = {};
+      if (userId) query.userId = userId;
+      if (scope === 'firm') query.userId = null;
+      if (action) query.action = action;
+      
+      const rules = await CallerRule.find(query).sort({ updatedAt: -1 });
+      
+      res.status(200).json(rules);
+    } catch (error) {
+      console.error('Error fetching caller rules:', error);
+      res.status(500).json({ error: 'Failed to fetch caller rules' });
+    }
+  }
+
+  /**
+   * Get a caller rule by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRuleById(req, res) {
+    try {
+      const rule = await CallerRule.findById(req.params.id);
+      
+      if (!rule) {
+        return res.status(404).json({ error: 'Caller rule not found' });
+      }
+      
+      res.status(200).json(rule);
+    } catch (error) {
+      console.error('Error fetching caller rule:', error);
+      res.status(500).json({ error: 'Failed to fetch caller rule' });
+    }
+  }
+
+  /**
+   * Find the rule that applies to a caller
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async matchRule(req, res) {
+    try {
+      const { from, userId } = req.query;
+      
+      if (!from) {
+        return res.status(400).json({ error: 'Caller number is required' });
+      }
+      
+      const rule = await callerRuleService.findMatchingRule(from, userId || null);
+      
+      res.status(200).json({ from: callerRuleService.normalizeNumber(from), rule });
+    } catch (error) {
+      console.error('Error matching caller rule:', error);
+      res.status(500).json({ error: 'Failed to match caller rule' });
+    }
+  }
+
+  /**
+   * Create a caller rule
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createRule(req, res) {
+    try {
+      const ruleData = {};
+      RULE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          ruleData[field] = req.body[field];
+        }
+      });
+      
+      const errors = callerRuleService.validateRule(ruleData);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid caller rule', details: errors });
+      }
+      
+      const rule = new CallerRule(ruleData);
+      await rule.save();
+      
+      res.status(201).json(rule);
+    } catch (error) {
+      console.error('Error creating caller rule:', error);
+      res.status(500).json({ error: 'Failed to create caller rule' });
+    }
+  }
+
+  /**
+   * Update a caller rule
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateRule(req, res) {
+    try {
+      const rule = await CallerRule.findById(req.params.id);
+      
+      if (!rule) {
+        return res.status(404).json({ error: 'Caller rule not found' });
+      }
+      
+      RULE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          rule[field] = req.body[field];
+        }
+      });
+      
+      const errors = callerRuleService.validateRule(rule.toObject());
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid caller rule', details: errors });
+      }
+      
+      await rule.save();
+      
+      res.status(200).json(rule);
+    } catch (error) {
+      console.error('Error updating caller rule:', error);
+      res.status(500).json({ error: 'Failed to update caller rule' });
+    }
+  }
+
+  /**
+   * Delete a caller rule
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteRule(req, res) {
+    try {
+      const rule = await CallerRule.findByIdAndDelete(req.params.id);
+      
+      if (!rule) {
+        return res.status(404).json({ error: 'Caller rule not found' });
+      }
+      
+      res.status(200).json({ message: 'Caller rule deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting caller rule:', error);
+      res.status(500).json({ error: 'Failed to delete caller rule' });
+    }
+  }
+}
+
+module.exports = new CallerRuleController(); 
\ No newline at end of file
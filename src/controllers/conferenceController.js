@@ -0,0 +1,172 @@
+const Conference = require('../models/Conference');
+const conferenceService = require('../services/conferenceService');
+
+/**
+ * Conference controller for multi-party calls
+ */
+class ConferenceController {
+  /**
+   * Get conferences
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getConferences(req, res) {
+    try {
+      const { userId, status } = req.query;
+      
+      const query = {};
+      if (userId) query.createdBy = userId;
+      if (status) query.status = status;
+      
+      const conferences = await Conference.find(query).sort({ createdAt: -1 });
+      
+      res.status(200).json(conferences);
+    } catch (error) {
+      console.error('Error fetching conferences:', error);
+      res.status(500).json({ error: 'Failed to fetch conferences' });
+    }
+  }
+
+  /**
+   * Get a conference and its participants
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getConferenceById(req, res) {
+    try {
+      const conference = await Conference.findById(req.params.id);
+      
+      if (!conference) {
+        return res.status(404).json({ error: 'Conference not found' });
+      }
+      
+      const snapshot = await conferenceService.getSnapshot(conference);
+      
+      res.status(200).json(snapshot);
+    } catch (error) {
+      console.error('Error fetching conference:', error);
+      res.status(500).json({ error: 'Failed to fetch conference' });
+    }
+  }
+
+  /**
+   * Create a conference and dial or join its first participants
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createConference(req, res) {
+    try {
+      const { name, userId, participants } = req.body;
+      
+      if (!name || !userId) {
+        return res.status(400).json({ error: 'Name and userId are required' });
+      }
+      
+      const snapshot = await conferenceService.createConference({ name, userId, participants });
+      
+      res.status(201).json(snapshot);
+    } catch (error) {
+      console.error('Error creating conference:', error);
+      res.status(error.status || 500).json({ error: `Failed to create conference: ${error.message}` });
+    }
+  }
+
+  /**
+   * Dial a participant or join an existing call into a conference
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async addParticipant(req, res) {
+    try {
+      const { userId, to, callId, label } = req.body;
+      const participants = await conferenceService.addParticipant(req.params.id, { userId, to, callId, label });
+      
+      res.status(201).json(participants);
+    } catch (error) {
+      console.error('Error adding conference participant:', error);
+      res.status(error.status || 500).json({ error: `Failed to add participant: ${error.message}` });
+    }
+  }
+
+  /**
+   * Mute a participant
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async muteParticipant(req, res) {
+    try {
+      const participant = await conferenceService.setMuted(req.params.id, req.params.participantId, true);
+      
+      res.status(200).json(participant);
+    } catch (error) {
+      console.error('Error muting conference participant:', error);
+      res.status(error.status || 500).json({ error: `Failed to mute participant: ${error.message}` });
+    }
+  }
+
+  /**
+   * Unmute a participant
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async unmuteParticipant(req, res) {
+    try {
+      const participant = await conferenceService.setMuted(req.params.id, req.params.participantId, false);
+      
+      res.status(200).json(participant);
+    } catch (error) {
+      console.error('Error unmuting conference participant:', error);
+      res.status(error.status || 500).json({ error: `Failed to unmute participant: ${error.message}` });
+    }
+  }
+
+  /**
+   * Remove a participant from a conference
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async kickParticipant(req, res) {
+    try {
+      const participant = await conferenceService.kick(req.params.id, req.params.participantId);
+      
+      res.status(200).json(participant);
+    } catch (error) {
+      console.error('Error removing conference participant:', error);
+      res.status(error.status || 500).json({ error: `Failed to remove participant: ${error.message}` });
+    }
+  }
+
+  /**
+   * Start recording a conference
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async startRecording(req, res) {
+    try {
+      const conference = await conferenceService.setRecording(req.params.id, true);
+      
+      res.status(200).json(conference);
+    } catch (error) {
+      console.error('Error starting conference recording:', error);
+      res.status(error.status || 500).json({ error: `Failed to start recording: ${error.message}` });
+    }
+  }
+
+  /**
+   * Stop recording a conference
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async stopRecording(req, res) {
+    try {
+      const conference = await conferenceService.setRecording(req.params.id, false);
+      
+      res.status(200).json(conference);
+    } catch (error) {
+      console.error('Error stopping conference recording:', error);
+      res.status(error.status || 500).json({ error: `Failed to stop recording: ${error.message}` });
+    }
+  }
+}
+
+module.exports = new ConferenceController(); 
\ No newline at end of file
@@ -0,0 +1,117 @@
+const conversationService = require('../services/conversationService');
+
+/**
+ * Conversation controller for SMS threads
+ */
+class ConversationController {
+  /**
+   * List conversations
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getConversations(req, res) {
+    try {
+      const { userId, assignedTo, status, unread, limit = 20, skip = 0 } = req.query;
+      
+      const { conversations, total } = await conversationService.listConversations({
+        userId,
+        assignedTo,
+        status,
+        unread: unread === 'true',
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+      });
+      
+      res.status(200).json({
+        conversations,
+        total,
+        hasMore: total > parseInt(skip) + conversations.length
+      });
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+      res.status(error.status || 500).json({ error: `Failed to fetch conversations: ${error.message}` });
+    }
+  }
+
+  /**
+   * Get a conversation by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getConversationById(req, res) {
+    try {
+      const conversation = await conversationService.getConversation(req.params.id);
+      
+      res.status(200).json(conversation);
+    } catch (error) {
+      console.error('Error fetching conversation:', error);
+      res.status(error.status || 500).json({ error: `Failed to fetch conversation: ${error.message}` });
+    }
+  }
+
+  /**
+   * Page through a conversation's messages, newest first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getConversationMessages(req, res) {
+    try {
+      const { limit = 50, skip = 0 } = req.query;
+      
+      const { messages, total } = await conversationService.getMessages(req.params.id, {
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+      });
+      
+      res.status(200).json({
+        messages,
+        total,
+        hasMore: total > parseInt(skip) + messages.length
+      });
+    } catch (error) {
+      console.error('Error fetching conversation messages:', error);
+      res.status(error.status || 500).json({ error: `Failed to fetch conversation messages: ${error.message}` });
+    }
+  }
+
+  /**
+   * Assign, archive or snooze a conversation, or set the counterpart's time zone
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateConversation(req, res) {
+    try {
+      const { assignedTo, isArchived, snoozedUntil, timeZone } = req.body;
+      
+      const conversation = await conversationService.updateConversation(req.params.id, {
+        assignedTo,
+        isArchived,
+        snoozedUntil,
+        timeZone
+      });
+      
+      res.status(200).json(conversation);
+    } catch (error) {
+      console.error('Error updating conversation:', error);
+      res.status(error.status || 500).json({ error: `Failed to update conversation: ${error.message}` });
+    }
+  }
+
+  /**
+   * Mark a conversation as read
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async markConversationRead(req, res) {
+    try {
+      const conversation = await conversationService.markRead(req.params.id);
+      
+      res.status(200).json(conversation);
+    } catch (error) {
+      console.error('Error marking conversation as read:', error);
+      res.status(error.status || 500).json({ error: `Failed to mark conversation as read: ${error.message}` });
+    }
+  }
+}
+
+module.exports = new ConversationController(); 
\ No newline at end of file
@@ -0,0 +1,138 @@
+const HolidayCalendar = require('../models/HolidayCalendar');
+const greetingService = require('../services/greetingService');
+
+// Fields a holiday calendar can be created or updated with
+const CALENDAR_FIELDS = ['name', 'holidays', 'isDefault'];
+
+/**
+ * Holiday calendar controller for managing the days holiday greetings play on
+ */
+class HolidayCalendarController {
+  /**
+   * Get all holiday calendars
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCalendars(req, res) {
+    try {
+      const calendars = await HolidayCalendar.find().sort({ name: 1 });
+      
+      res.status(200).json(calendars);
+    } catch (error) {
+      console.error('Error fetching holiday calendars:', error);
+      res.status(500).json({ error: 'Failed to fetch holiday calendars' });
+    }
+  }
+
+  /**
+   * Get a holiday calendar by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCalendarById(req, res) {
+    try {
+      const calendar = await HolidayCalendar.findById(req.params.id);
+      
+      if (!calendar) {
+        return res.status(404).json({ error: 'Holiday calendar not found' });
+      }
+      
+      res.status(200).json(calendar);
+    } catch (error) {
+      console.error('Error fetching holiday calendar:', error);
+      res.status(500).json({ error: 'Failed to fetch holiday calendar' });
+    }
+  }
+
+  /**
+   * Create a holiday calendar
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createCalendar(req, res) {
+    try {
+      const calendarData = {};
+      CALENDAR_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          calendarData[field] = req.body[field];
+        }
+      });
+      
+      const errors = greetingService.validateHolidayCalendar(calendarData);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid holiday calendar', details: errors });
+      }
+      
+      const calendar = new HolidayCalendar(calendarData);
+      await calendar.save();
+      
+      if (calendar.isDefault) {
+        await HolidayCalendar.updateMany({ _id: { $ne: calendar._id } }, { isDefault: false });
+      }
+      
+      res.status(201).json(calendar);
+    } catch (error) {
+      console.error('Error creating holiday calendar:', error);
+      res.status(500).json({ error: 'Failed to create holiday calendar' });
+    }
+  }
+
+  /**
+   * Update a holiday calendar
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateCalendar(req, res) {
+    try {
+      const calendar = await HolidayCalendar.findById(req.params.id);
+      
+      if (!calendar) {
+        return res.status(404).json({ error: 'Holiday calendar not found' });
+      }
+      
+      CALENDAR_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          calendar[field] = req.body[field];
+        }
+      });
+      
+      const errors = greetingService.validateHolidayCalendar(calendar.toObject());
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid holiday calendar', details: errors });
+      }
+      
+      await calendar.save();
+      
+      if (calendar.isDefault) {
+        await HolidayCalendar.updateMany({ _id: { $ne: calendar._id } }, { isDefault: false });
+      }
+      
+      res.status(200).json(calendar);
+    } catch (error) {
+      console.error('Error updating holiday calendar:', error);
+      res.status(500).json({ error: 'Failed to update holiday calendar' });
+    }
+  }
+
+  /**
+   * Delete a holiday calendar
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteCalendar(req, res) {
+    try {
+      const calendar = await HolidayCalendar.findByIdAndDelete(req.params.id);
+      
+      if (!calendar) {
+        return res.status(404).json({ error: 'Holiday calendar not found' });
+      }
+      
+      res.status(200).json({ message: 'Holiday calendar deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting holiday calendar:', error);
+      res.status(500).json({ error: 'Failed to delete holiday calendar' });
+    }
+  }
+}
+
+module.exports = new HolidayCalendarController(); 
\ No newline at end of file
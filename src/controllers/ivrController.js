@@ -0,0 +1,140 @@
+const IvrMenu = require('../models/IvrMenu');
+const ivrService = require('../services/ivrService');
+
+/**
+ * IVR controller for managing configurable phone menus
+ */
+class IvrController {
+  /**
+   * Get all IVR menus
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMenus(req, res) {
+    try {
+      const { userId, phoneNumber } = req.query;
+      
+      const query = {};
+      if (userId) query.userId = userId;
+      if (phoneNumber) query.phoneNumber = phoneNumber;
+      
+      const menus = await IvrMenu.find(query).sort({ updatedAt: -1 });
+      
+      res.status(200).json(menus);
+    } catch (error) {
+      console.error('Error fetching IVR menus:', error);
+      res.status(500).json({ error: 'Failed to fetch IVR menus' });
+    }
+  }
+
+  /**
+   * Get an IVR menu by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMenuById(req, res) {
+    try {
+      const menu = await IvrMenu.findById(req.params.id);
+      
+      if (!menu) {
+        return res.status(404).json({ error: 'IVR menu not found' });
+      }
+      
+      res.status(200).json(menu);
+    } catch (error) {
+      console.error('Error fetching IVR menu:', error);
+      res.status(500).json({ error: 'Failed to fetch IVR menu' });
+    }
+  }
+
+  /**
+   * Create an IVR menu
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createMenu(req, res) {
+    try {
+      const menuData = { ...req.body };
+      
+      // Start at the first node unless told otherwise
+      if (!menuData.rootNodeId && menuData.nodes && menuData.nodes.length > 0) {
+        menuData.rootNodeId = menuData.nodes[0].nodeId;
+      }
+      
+      const errors = ivrService.validateMenu(menuData);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid IVR menu', details: errors });
+      }
+      
+      const existing = await IvrMenu.findOne({ phoneNumber: menuData.phoneNumber });
+      if (existing) {
+        return res.status(400).json({ error: 'An IVR menu already exists for this phone number' });
+      }
+      
+      const menu = new IvrMenu(menuData);
+      await menu.save();
+      
+      res.status(201).json(menu);
+    } catch (error) {
+      console.error('Error creating IVR menu:', error);
+      res.status(500).json({ error: 'Failed to create IVR menu' });
+    }
+  }
+
+  /**
+   * Update an IVR menu
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateMenu(req, res) {
+    try {
+      const menu = await IvrMenu.findById(req.params.id);
+      
+      if (!menu) {
+        return res.status(404).json({ error: 'IVR menu not found' });
+      }
+      
+      const fields = ['name', 'phoneNumber', 'userId', 'isActive', 'rootNodeId', 'nodes'];
+      fields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          menu[field] = req.body[field];
+        }
+      });
+      
+      const errors = ivrService.validateMenu(menu.toObject());
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid IVR menu', details: errors });
+      }
+      
+      await menu.save();
+      
+      res.status(200).json(menu);
+    } catch (error) {
+      console.error('Error updating IVR menu:', error);
+      res.status(500).json({ error: 'Failed to update IVR menu' });
+    }
+  }
+
+  /**
+   * Delete an IVR menu
+   * Calls to the number fall back to the default unavailable menu
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteMenu(req, res) {
+    try {
+      const menu = await IvrMenu.findByIdAndDelete(req.params.id);
+      
+      if (!menu) {
+        return res.status(404).json({ error: 'IVR menu not found' });
+      }
+      
+      res.status(200).json({ message: 'IVR menu deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting IVR menu:', error);
+      res.status(500).json({ error: 'Failed to delete IVR menu' });
+    }
+  }
+}
+
+module.exports = new IvrController(); 
\ No newline at end of file
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Greeting = require('../models/Greeting');
+const Voicemail = require('../models/Voicemail');
+const mediaStorageService = require('../services/mediaStorageService');
+
+/**
+ * Media controller for serving stored audio
+ * Requests are authenticated by signed URL or API key (see middleware/mediaAuth.js)
+ */
+class MediaController {
+  /**
+   * Stream a greeting's audio
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getGreetingAudio(req, res) {
+    try {
+      const { greetingId } = req.params;
+      const greeting = mongoose.isValidObjectId(greetingId) ? await Greeting.findById(greetingId) : null;
+      
+      if (!greeting) {
+        return res.status(404).json({ error: 'Greeting not found' });
+      }
+      
+      const file = await mediaStorageService.get(greeting.storageKey);
+      
+      if (!file) {
+        return res.status(404).json({ error: 'Greeting audio not found' });
+      }
+      
+      res.set('Content-Type', greeting.contentType);
+      if (file.size) {
+        res.set('Content-Length', String(file.size));
+      }
+      
+      file.body.on('error', error => {
+        console.error('Error streaming greeting audio:', error);
+        res.destroy(error);
+      });
+      file.body.pipe(res);
+    } catch (error) {
+      console.error('Error fetching greeting audio:', error);
+      res.status(500).json({ error: 'Failed to fetch greeting audio' });
+    }
+  }
+
+  /**
+   * Show the page behind the "mark as read" link in voicemail emails
+   * Mail scanners open links in incoming mail, so the link only shows a button
+   * that posts back to the same signed URL; nothing changes on a GET
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async confirmVoicemailRead(req, res) {
+    try {
+      const { voicemailId } = req.params;
+      const voicemail = mongoose.isValidObjectId(voicemailId) ? await Voicemail.findById(voicemailId) : null;
+      
+      if (!voicemail) {
+        return res.status(404).type('html').send('<p>This voicemail no longer exists.</p>');
+      }
+      
+      // A form without an action posts to the page's own URL, signature included
+      res.status(200).type('html').send(
+        '<form method="post"><button type="submit">Mark voicemail as read</button></form>'
+      );
+    } catch (error) {
+      console.error('Error fetching voicemail:', error);
+      res.status(500).type('html').send('<p>Failed to load the voicemail. Please try again.</p>');
+    }
+  }
+
+  /**
+   * Mark a voicemail as read
+   * Posted from the page behind the voicemail email link, so it answers with a short page rather than JSON
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async markVoicemailRead(req, res) {
+    try {
+      const { voicemailId } = req.params;
+      const voicemail = mongoose.isValidObjectId(voicemailId)
+        ? await Voicemail.findByIdAndUpdate(voicemailId, { isNew: false }, { new: true })
+        : null;
+      
+      if (!voicemail) {
+        return res.status(404).type('html').send('<p>This voicemail no longer exists.</p>');
+      }
+      
+      res.status(200).type('html').send('<p>Voicemail marked as read.</p>');
+    } catch (error) {
+      console.error('Error marking voicemail as read:', error);
+      res.status(500).type('html').send('<p>Failed to mark the voicemail as read. Please try again.</p>');
+    }
+  }
+}
+
+module.exports = new MediaController(); 
\ No newline at end of file
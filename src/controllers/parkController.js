@@ -0,0 +1,68 @@
+const parkService = require('../services/parkService');
+
+/**
+ * Park controller for parking calls on slots and picking them up
+ */
+class ParkController {
+  /**
+   * Get every park slot with the call parked on it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSlots(req, res) {
+    try {
+      const slots = await parkService.getSlots();
+      
+      res.status(200).json(slots);
+    } catch (error) {
+      console.error('Error fetching park slots:', error);
+      res.status(500).json({ error: 'Failed to fetch park slots' });
+    }
+  }
+
+  /**
+   * Park a live call on a slot
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async parkCall(req, res) {
+    try {
+      const { callId, userId, slot } = req.body;
+      
+      if (!callId || !userId) {
+        return res.status(400).json({ error: 'Call ID and user ID are required' });
+      }
+      
+      const parked = await parkService.park(callId, userId, slot !== undefined ? parseInt(slot, 10) : undefined);
+      
+      res.status(201).json(parkService.toEvent(parked));
+    } catch (error) {
+      console.error('Error parking call:', error);
+      res.status(error.status || 500).json({ error: `Failed to park call: ${error.message}` });
+    }
+  }
+
+  /**
+   * Ring a user's phone or WebRTC client to pick up a parked call
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async pickupCall(req, res) {
+    try {
+      const { userId } = req.body;
+      
+      if (!userId) {
+        return res.status(400).json({ error: 'User ID is required' });
+      }
+      
+      const parked = await parkService.pickup(parseInt(req.params.slot, 10), userId);
+      
+      res.status(200).json(parkService.toEvent(parked));
+    } catch (error) {
+      console.error('Error picking up parked call:', error);
+      res.status(error.status || 500).json({ error: `Failed to pick up call: ${error.message}` });
+    }
+  }
+}
+
+module.exports = new ParkController(); 
\ No newline at end of file
@@ -0,0 +1,162 @@
+const CallQueue = require('../models/CallQueue');
+const queueService = require('../services/queueService');
+
+/**
+ * Queue controller for managing inbound call queues
+ */
+class QueueController {
+  /**
+   * Get all queues
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getQueues(req, res) {
+    try {
+      const { userId, phoneNumber } = req.query;
+      
+      const query = {};
+      if (userId) query.agents = userId;
+      if (phoneNumber) query.phoneNumber = phoneNumber;
+      
+      const queues = await CallQueue.find(query).sort({ updatedAt: -1 });
+      
+      res.status(200).json(queues);
+    } catch (error) {
+      console.error('Error fetching queues:', error);
+      res.status(500).json({ error: 'Failed to fetch queues' });
+    }
+  }
+
+  /**
+   * Get a queue by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getQueueById(req, res) {
+    try {
+      const queue = await CallQueue.findById(req.params.id);
+      
+      if (!queue) {
+        return res.status(404).json({ error: 'Queue not found' });
+      }
+      
+      res.status(200).json(queue);
+    } catch (error) {
+      console.error('Error fetching queue:', error);
+      res.status(500).json({ error: 'Failed to fetch queue' });
+    }
+  }
+
+  /**
+   * Get the live state of a queue (waiting callers and agents)
+   * The same snapshot is pushed to Socket.IO clients as 'queue-update'
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getQueueStatus(req, res) {
+    try {
+      const queue = await CallQueue.findById(req.params.id);
+      
+      if (!queue) {
+        return res.status(404).json({ error: 'Queue not found' });
+      }
+      
+      const snapshot = await queueService.getSnapshot(queue);
+      
+      res.status(200).json(snapshot);
+    } catch (error) {
+      console.error('Error fetching queue status:', error);
+      res.status(500).json({ error: 'Failed to fetch queue status' });
+    }
+  }
+
+  /**
+   * Create a queue
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createQueue(req, res) {
+    try {
+      const queueData = { ...req.body };
+      
+      const errors = queueService.validateQueue(queueData);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid queue', details: errors });
+      }
+      
+      if (queueData.phoneNumber) {
+        const existing = await CallQueue.findOne({ phoneNumber: queueData.phoneNumber });
+        if (existing) {
+          return res.status(400).json({ error: 'A queue already exists for this phone number' });
+        }
+      }
+      
+      const queue = new CallQueue(queueData);
+      await queue.save();
+      
+      res.status(201).json(queue);
+    } catch (error) {
+      console.error('Error creating queue:', error);
+      res.status(500).json({ error: 'Failed to create queue' });
+    }
+  }
+
+  /**
+   * Update a queue
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateQueue(req, res) {
+    try {
+      const queue = await CallQueue.findById(req.params.id);
+      
+      if (!queue) {
+        return res.status(404).json({ error: 'Queue not found' });
+      }
+      
+      const fields = [
+        'name', 'phoneNumber', 'agents', 'holdAudioUrl', 'announcementIntervalSecs', 'agentRingTimeoutSecs',
+        'maxWaitSecs', 'maxCallers', 'overflowWhenNoAgents', 'overflow', 'isActive'
+      ];
+      fields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          queue[field] = req.body[field];
+        }
+      });
+      
+      const errors = queueService.validateQueue(queue.toObject());
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid queue', details: errors });
+      }
+      
+      await queue.save();
+      
+      res.status(200).json(queue);
+    } catch (error) {
+      console.error('Error updating queue:', error);
+      res.status(500).json({ error: 'Failed to update queue' });
+    }
+  }
+
+  /**
+   * Delete a queue
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteQueue(req, res) {
+    try {
+      const queue = await CallQueue.findByIdAndDelete(req.params.id);
+      
+      if (!queue) {
+        return res.status(404).json({ error: 'Queue not found' });
+      }
+      
+      res.status(200).json({ message: 'Queue deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting queue:', error);
+      res.status(500).json({ error: 'Failed to delete queue' });
+    }
+  }
+}
+
+module.exports = new QueueController(); 
\ No newline at end of file
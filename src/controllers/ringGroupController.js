@@ -0,0 +1,135 @@
+const RingGroup = require('../models/RingGroup');
+const ringGroupService = require('../services/ringGroupService');
+
+/**
+ * Ring group controller for managing shared numbers that ring several users
+ */
+class RingGroupController {
+  /**
+   * Get all ring groups
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getGroups(req, res) {
+    try {
+      const { userId, phoneNumber } = req.query;
+      
+      const query = {};
+      if (userId) query['members.userId'] = userId;
+      if (phoneNumber) query.phoneNumber = phoneNumber;
+      
+      const groups = await RingGroup.find(query).sort({ updatedAt: -1 });
+      
+      res.status(200).json(groups);
+    } catch (error) {
+      console.error('Error fetching ring groups:', error);
+      res.status(500).json({ error: 'Failed to fetch ring groups' });
+    }
+  }
+
+  /**
+   * Get a ring group by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getGroupById(req, res) {
+    try {
+      const group = await RingGroup.findById(req.params.id);
+      
+      if (!group) {
+        return res.status(404).json({ error: 'Ring group not found' });
+      }
+      
+      res.status(200).json(group);
+    } catch (error) {
+      console.error('Error fetching ring group:', error);
+      res.status(500).json({ error: 'Failed to fetch ring group' });
+    }
+  }
+
+  /**
+   * Create a ring group
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createGroup(req, res) {
+    try {
+      const groupData = { ...req.body };
+      
+      const errors = ringGroupService.validateGroup(groupData);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid ring group', details: errors });
+      }
+      
+      const existing = await RingGroup.findOne({ phoneNumber: groupData.phoneNumber });
+      if (existing) {
+        return res.status(400).json({ error: 'A ring group already exists for this phone number' });
+      }
+      
+      const group = new RingGroup(groupData);
+      await group.save();
+      
+      res.status(201).json(group);
+    } catch (error) {
+      console.error('Error creating ring group:', error);
+      res.status(500).json({ error: 'Failed to create ring group' });
+    }
+  }
+
+  /**
+   * Update a ring group
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateGroup(req, res) {
+    try {
+      const group = await RingGroup.findById(req.params.id);
+      
+      if (!group) {
+        return res.status(404).json({ error: 'Ring group not found' });
+      }
+      
+      const fields = ['name', 'phoneNumber', 'strategy', 'members', 'ringTimeoutSecs', 'overflow',
+        'voicemailGreeting', 'voicemailGreetingUrl', 'isActive'];
+      fields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          group[field] = req.body[field];
+        }
+      });
+      
+      const errors = ringGroupService.validateGroup(group.toObject());
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid ring group', details: errors });
+      }
+      
+      await group.save();
+      
+      res.status(200).json(group);
+    } catch (error) {
+      console.error('Error updating ring group:', error);
+      res.status(500).json({ error: 'Failed to update ring group' });
+    }
+  }
+
+  /**
+   * Delete a ring group
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteGroup(req, res) {
+    try {
+      const group = await RingGroup.findByIdAndDelete(req.params.id);
+      
+      if (!group) {
+        return res.status(404).json({ error: 'Ring group not found' });
+      }
+      
+      res.status(200).json({ message: 'Ring group deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting ring group:', error);
+      res.status(500).json({ error: 'Failed to delete ring group' });
+    }
+  }
+}
+
+module.exports = new RingGroupController(); 
\ No newline at end of file
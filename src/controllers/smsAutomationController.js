@@ -1,5 +1,6 @@
 const SmsAutomation = require('../models/SmsAutomation');
 const smsAutomationService = require('../services/smsAutomationService');
+const automationJobService = require('../services/automationJobService');
 const errorHandler = require('../utils/errorHandler');
 
 /**
@@ -157,6 +158,7 @@ class SmsAutomationController {
         templateId, 
         templateContent,
         status,
+        isActive,
         delay,
         priority,
         phoneNumbers
@@ -178,6 +180,7 @@ class SmsAutomationController {
       if (triggerType) automation.triggerType = triggerType;
       if (triggerConditions) automation.triggerConditions = triggerConditions;
       if (status) automation.status = status;
+      if (isActive !== undefined) automation.isActive = isActive;
       if (delay !== undefined) automation.delay = delay;
       if (priority) automation.priority = priority;
       if (phoneNumbers) automation.phoneNumbers = phoneNumbers;
@@ -196,6 +199,11 @@ class SmsAutomationController {
       // Save the updated automation
       await automation.save();
       
+      // Delayed actions still waiting to run are dropped when the automation is deactivated
+      if (automation.isActive === false) {
+        await automationJobService.cancelForAutomation(automation._id, 'Automation was deactivated');
+      }
+      
       res.status(200).json({
         success: true,
         data: automation
@@ -221,6 +229,8 @@ class SmsAutomationController {
         });
       }
       
+      await automationJobService.cancelForAutomation(automation._id, 'Automation was deleted');
+      
       res.status(200).json({
         success: true,
         message: 'Automation deleted successfully'
@@ -247,16 +257,20 @@ class SmsAutomationController {
       }
       
       // Toggle status
-      automation.status = automation.status === 'active' ? 'inactive' : 'active';
+      automation.isActive = !automation.isActive;
       await automation.save();
       
+      if (automation.isActive === false) {
+        await automationJobService.cancelForAutomation(automation._id, 'Automation was deactivated');
+      }
+      
       res.status(200).json({
         success: true,
         data: {
           id: automation._id,
-          status: automation.status
+          isActive: automation.isActive
         },
-        message: `Automation ${automation.status === 'active' ? 'activated' : 'deactivated'} successfully`
+        message: `Automation ${automation.isActive ? 'activated' : 'deactivated'} successfully`
       });
     } catch (error) {
       errorHandler(res, error);
@@ -0,0 +1,107 @@
+const smsConsentService = require('../services/smsConsentService');
+
+/**
+ * SMS consent controller for the STOP/START/HELP ledger
+ */
+class SmsConsentController {
+  /**
+   * Get the current consent status for a pair of numbers
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getStatus(req, res) {
+    try {
+      const { ourNumber, counterpartNumber } = req.query;
+      
+      if (!ourNumber || !counterpartNumber) {
+        return res.status(400).json({ error: 'Our number and counterpart number are required' });
+      }
+      
+      const status = await smsConsentService.getStatus(ourNumber, counterpartNumber);
+      
+      res.status(200).json(status);
+    } catch (error) {
+      console.error('Error fetching SMS consent status:', error);
+      res.status(error.status || 500).json({ error: `Failed to fetch SMS consent status: ${error.message}` });
+    }
+  }
+
+  /**
+   * Page through the consent ledger, newest first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getHistory(req, res) {
+    try {
+      const { ourNumber, counterpartNumber, event, since, until, limit = 50, skip = 0 } = req.query;
+      
+      const { entries, total } = await smsConsentService.getHistory({
+        ourNumber,
+        counterpartNumber,
+        event,
+        since,
+        until,
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+      });
+      
+      res.status(200).json({
+        entries,
+        total,
+        hasMore: total > parseInt(skip) + entries.length
+      });
+    } catch (error) {
+      console.error('Error fetching SMS consent history:', error);
+      res.status(error.status || 500).json({ error: `Failed to fetch SMS consent history: ${error.message}` });
+    }
+  }
+
+  /**
+   * Opt a number out or back in by hand
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async setConsent(req, res) {
+    try {
+      const { ourNumber, counterpartNumber, event, userId, note } = req.body;
+      
+      const entry = await smsConsentService.setConsent({ ourNumber, counterpartNumber, event, userId, note });
+      
+      res.status(201).json(entry);
+    } catch (error) {
+      console.error('Error updating SMS consent:', error);
+      res.status(error.status || 500).json({ error: `Failed to update SMS consent: ${error.message}` });
+    }
+  }
+
+  /**
+   * Export the consent ledger for a compliance audit, as CSV (default) or JSON
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async exportHistory(req, res) {
+    try {
+      const { ourNumber, counterpartNumber, event, since, until, format = 'csv' } = req.query;
+      
+      if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ error: 'Format must be csv or json' });
+      }
+      
+      const entries = await smsConsentService.exportHistory({ ourNumber, counterpartNumber, event, since, until });
+      const filename = `sms-consent-${new Date().toISOString().slice(0, 10)}.${format}`;
+      
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      
+      if (format === 'json') {
+        return res.status(200).json(entries);
+      }
+      
+      res.type('text/csv').status(200).send(smsConsentService.toCsv(entries));
+    } catch (error) {
+      console.error('Error exporting SMS consent history:', error);
+      res.status(error.status || 500).json({ error: `Failed to export SMS consent history: ${error.message}` });
+    }
+  }
+}
+
+module.exports = new SmsConsentController(); 
\ No newline at end of file
@@ -1,6 +1,10 @@
 const SMS = require('../models/SMS');
 const User = require('../models/User');
 const telnyxService = require('../services/telnyxService');
+const callerRuleService = require('../services/callerRuleService');
+const conversationService = require('../services/conversationService');
+const smsConsentService = require('../services/smsConsentService');
+const quietHoursService = require('../services/quietHoursService');
 
 /**
  * SMS controller for handling SMS-related operations
@@ -66,7 +70,7 @@ class SMSController {
    */
   async sendSMS(req, res) {
     try {
-      const { userId, to, body, mediaUrls } = req.body;
+      const { userId, to, body, mediaUrls, urgent } = req.body;
       
       if (!userId || !to || !body) {
         return res.status(400).json({ error: 'User ID, destination number, and message body are required' });
@@ -92,12 +96,24 @@ class SMSController {
         });
       }
       
+      // Texts that land in the recipient's quiet hours need the urgent flag
+      const quietHours = await quietHoursService.check(user.telnyxPhoneNumber, to, user);
+      
+      if (quietHours.sendAt && !urgent) {
+        return res.status(409).json({
+          error: 'It is quiet hours for the recipient; send again with urgent to send now',
+          quietHours: true,
+          sendAfter: quietHours.sendAt,
+          timeZone: quietHours.timeZone
+        });
+      }
+      
       // Send the SMS using Telnyx
       const messageData = await telnyxService.sendSMS(
         user.telnyxPhoneNumber, 
         to, 
         body,
-        { media_urls: mediaUrls }
+        { media_urls: mediaUrls, userId }
       );
       
       // Save message record to database
@@ -110,10 +126,12 @@ class SMSController {
         body,
         status: 'sent',
         sentAt: new Date(),
-        mediaUrls: mediaUrls || []
+        mediaUrls: mediaUrls || [],
+        metadata: quietHours.sendAt ? { quietHoursOverride: true } : undefined
       });
       
       await sms.save();
+      await conversationService.recordMessage(sms);
       
       res.status(201).json({
         message: 'SMS sent successfully',
@@ -121,7 +139,7 @@ class SMSController {
       });
     } catch (error) {
       console.error('Error sending SMS:', error);
-      res.status(500).json({ error: `Failed to send SMS: ${error.message}` });
+      res.status(error.status || 500).json({ error: `Failed to send SMS: ${error.message}` });
     }
   }
 
@@ -148,8 +166,12 @@ class SMSController {
         return res.status(200).send({ received: true });
       }
       
+      // Blocked senders never get an auto-reply; VIP senders are treated as if the user were available
+      const rule = await callerRuleService.findMatchingRule(from, user._id);
+      const blocked = rule?.action === 'block';
+      
       // Check if user is available based on their settings
-      const isAvailable = telnyxService.isUserAvailable(user);
+      const isAvailable = rule?.action === 'vip' || telnyxService.isUserAvailable(user);
       
       // Create SMS record
       const sms = new SMS({
@@ -165,9 +187,32 @@ class SMSController {
       });
       
       await sms.save();
+      await conversationService.recordMessage(sms);
       
-      // If user is not available, send an auto-reply
-      if (!isAvailable) {
+      // STOP, START and HELP get their confirmation (even from blocked senders) instead of the auto-reply
+      const consent = await smsConsentService.handleIncoming(sms);
+      
+      if (consent) {
+        const reply = await telnyxService.sendSMS(to, from, consent.reply, { allowOptedOut: true });
+        
+        const replySMS = new SMS({
+          userId: user._id,
+          telnyxMessageId: reply.id,
+          direction: 'outbound',
+          from: to,
+          to: from,
+          body: consent.reply,
+          status: 'sent',
+          sentAt: new Date(),
+          metadata: { consentEvent: consent.event }
+        });
+        
+        await replySMS.save();
+        await conversationService.recordMessage(replySMS);
+      }
+      
+      // If user is not available, send an auto-reply (unless the sender opted out of this number)
+      if (!isAvailable && !blocked && !consent && !(await smsConsentService.isOptedOut(to, from))) {
         // Send auto-reply
         const autoReplyText = `Thank you for your message. I'm currently unavailable. I'll respond when I'm back online.`;
         
@@ -186,9 +231,10 @@ class SMSController {
         });
         
         await autoReplySMS.save();
+        await conversationService.recordMessage(autoReplySMS);
       }
       
-      res.status(200).send({ received: true, isAvailable });
+      res.status(200).send({ received: true, isAvailable, blocked, consent: consent ? consent.event : undefined });
     } catch (error) {
       console.error('Error handling incoming SMS webhook:', error);
       res.status(500).json({ error: 'Failed to process incoming SMS' });
@@ -0,0 +1,86 @@
+const supervisorService = require('../services/supervisorService');
+
+/**
+ * Dial the requesting supervisor into a call in the given mode
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} mode - 'monitor', 'whisper' or 'barge'
+ */
+async function startSession(req, res, mode) {
+  try {
+    const session = await supervisorService.startSession(req.user, req.params.callControlId, mode);
+    
+    res.status(201).json(session);
+  } catch (error) {
+    console.error(`Error starting ${mode} session:`, error);
+    res.status(error.status || 500).json({ error: `Failed to start ${mode} session: ${error.message}` });
+  }
+}
+
+/**
+ * Supervisor controller for monitoring live calls
+ * Routes are limited to supervisors and admins (see requireRole)
+ */
+class SupervisorController {
+  /**
+   * Get the calls in progress with their agents and supervisors
+   * Subscribed Socket.IO clients receive the same roster as 'call-roster'
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRoster(req, res) {
+    try {
+      const roster = await supervisorService.getRoster();
+      
+      res.status(200).json(roster);
+    } catch (error) {
+      console.error('Error fetching call roster:', error);
+      res.status(500).json({ error: 'Failed to fetch call roster' });
+    }
+  }
+
+  /**
+   * Listen to a call without being heard
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async monitorCall(req, res) {
+    await startSession(req, res, 'monitor');
+  }
+
+  /**
+   * Talk to the agent on a call without the caller hearing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async whisperCall(req, res) {
+    await startSession(req, res, 'whisper');
+  }
+
+  /**
+   * Join a call so everyone hears the supervisor
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async bargeCall(req, res) {
+    await startSession(req, res, 'barge');
+  }
+
+  /**
+   * Hang up a supervisor's leg
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async endSession(req, res) {
+    try {
+      const session = await supervisorService.endSession(req.user, req.params.callControlId);
+      
+      res.status(200).json(session);
+    } catch (error) {
+      console.error('Error ending supervision session:', error);
+      res.status(error.status || 500).json({ error: `Failed to end session: ${error.message}` });
+    }
+  }
+}
+
+module.exports = new SupervisorController(); 
\ No newline at end of file
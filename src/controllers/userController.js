@@ -1,5 +1,9 @@
 const User = require('../models/User');
 const telnyxService = require('../services/telnyxService');
+const findMeService = require('../services/findMeService');
+const notificationService = require('../services/notificationService');
+const quietHoursService = require('../services/quietHoursService');
+const { signUserToken } = require('../utils/userToken');
 
 /**
  * User controller for handling user-related operations
@@ -12,18 +16,24 @@ class UserController {
    */
   async createUser(req, res) {
     try {
-      const { name, email, phoneNumber } = req.body;
+      const { name, email, phoneNumber, role } = req.body;
       
       // Validate required fields
       if (!name || !email) {
         return res.status(400).json({ error: 'Name and email are required' });
       }
       
+      // Only admins hand out supervisor or admin access
+      if (role && role !== 'agent' && req.user?.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can set a user\'s role' });
+      }
+      
       // Create new user
       const user = new User({
         name,
         email,
-        phoneNumber
+        phoneNumber,
+        role
       });
       
       await user.save();
@@ -62,7 +72,15 @@ class UserController {
    */
   async updateUser(req, res) {
     try {
-      const { name, email, phoneNumber, voicemailGreeting, routeToLiveAgent, liveAgentNumber, emailPassword } = req.body;
+      const { name, email, phoneNumber, role, voicemailGreeting, routeToLiveAgent, liveAgentNumber, emailPassword } = req.body;
+      
+      if (role !== undefined && !['agent', 'supervisor', 'admin'].includes(role)) {
+        return res.status(400).json({ error: 'Role must be agent, supervisor or admin' });
+      }
+      
+      if (role !== undefined && req.user?.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can change a user\'s role' });
+      }
       
       // Validate emailPassword if provided
       if (emailPassword !== undefined) {
@@ -77,6 +95,7 @@ class UserController {
           name,
           email,
           phoneNumber,
+          role,
           voicemailGreeting,
           routeToLiveAgent,
           liveAgentNumber,
@@ -96,6 +115,29 @@ class UserController {
     }
   }
 
+  /**
+   * Issue a user token, sent as `Authorization: Bearer <token>` to act as the user
+   * Limited to admins (see userRoutes)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async issueToken(req, res) {
+    try {
+      const user = await User.findById(req.params.id);
+      
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      const expiresInSeconds = parseInt(req.body.expiresInSeconds) || undefined;
+      
+      res.status(201).json({ userId: user._id, token: signUserToken(String(user._id), expiresInSeconds) });
+    } catch (error) {
+      console.error('Error issuing user token:', error);
+      res.status(500).json({ error: `Failed to issue user token: ${error.message}` });
+    }
+  }
+
   /**
    * Delete user
    * @param {Object} req - Express request object
@@ -175,6 +217,119 @@ class UserController {
     }
   }
 
+  /**
+   * Update the find me / follow me devices rung when the user is available
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateFindMe(req, res) {
+    try {
+      const { enabled, strategy, destinations } = req.body;
+      
+      const errors = findMeService.validateFindMe({ enabled, strategy, destinations });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid find me settings', details: errors });
+      }
+      
+      const update = {};
+      if (enabled !== undefined) update['findMe.enabled'] = enabled;
+      if (strategy !== undefined) update['findMe.strategy'] = strategy;
+      if (destinations !== undefined) update['findMe.destinations'] = destinations;
+      
+      const user = await User.findByIdAndUpdate(
+        req.params.id,
+        { $set: update },
+        { new: true }
+      );
+      
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      res.status(200).json(user);
+    } catch (error) {
+      console.error('Error updating find me settings:', error);
+      res.status(500).json({ error: 'Failed to update find me settings' });
+    }
+  }
+
+  /**
+   * Update voicemail-to-email settings and the user's email template
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateVoicemailEmail(req, res) {
+    try {
+      const { enabled, attachAudio, template } = req.body;
+      
+      const errors = notificationService.validateVoicemailTemplate(template);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid voicemail email settings', details: errors });
+      }
+      
+      const update = {};
+      if (enabled !== undefined) update['voicemailEmail.enabled'] = enabled;
+      if (attachAudio !== undefined) update['voicemailEmail.attachAudio'] = attachAudio;
+      Object.keys(template || {}).forEach(field => {
+        update[`voicemailEmail.template.${field}`] = template[field] || null;
+      });
+      
+      const user = await User.findByIdAndUpdate(
+        req.params.id,
+        { $set: update },
+        { new: true }
+      );
+      
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      res.status(200).json(user);
+    } catch (error) {
+      console.error('Error updating voicemail email settings:', error);
+      res.status(500).json({ error: 'Failed to update voicemail email settings' });
+    }
+  }
+
+  /**
+   * Update a user's quiet hours for automated texts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateSmsQuietHours(req, res) {
+    try {
+      const { enabled, start, end } = req.body;
+      
+      const existing = await User.findById(req.params.id);
+      
+      if (!existing) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      const window = {
+        enabled: enabled !== undefined ? enabled : existing.smsQuietHours.enabled,
+        start: start || existing.smsQuietHours.start,
+        end: end || existing.smsQuietHours.end
+      };
+      
+      const errors = quietHoursService.validateWindow(window);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid quiet hours', details: errors });
+      }
+      
+      const user = await User.findByIdAndUpdate(
+        req.params.id,
+        { $set: { smsQuietHours: window } },
+        { new: true }
+      );
+      
+      res.status(200).json(user);
+    } catch (error) {
+      console.error('Error updating SMS quiet hours:', error);
+      res.status(500).json({ error: 'Failed to update SMS quiet hours' });
+    }
+  }
+
   /**
    * Set or update email password
    * @param {Object} req - Express request object
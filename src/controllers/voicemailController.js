@@ -1,6 +1,9 @@
 const Voicemail = require('../models/Voicemail');
 const User = require('../models/User');
 const telnyxService = require('../services/telnyxService');
+const voicemailTranscriptionService = require('../services/voicemailTranscriptionService');
+const greetingService = require('../services/greetingService');
+const mailboxService = require('../services/mailboxService');
 
 /**
  * Voicemail controller for handling voicemail-related operations
@@ -8,15 +11,16 @@ const telnyxService = require('../services/telnyxService');
 class VoicemailController {
   /**
    * Get voicemails for a user
+   * Pass includeShared=true to include the shared mailboxes of the user's ring groups
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async getUserVoicemails(req, res) {
     try {
       const { userId } = req.params;
-      const { limit = 20, skip = 0, isNew } = req.query;
+      const { limit = 20, skip = 0, isNew, includeShared } = req.query;
       
-      const query = { userId };
+      const query = await mailboxService.getUserQuery(userId, { includeShared: includeShared === 'true' });
       if (isNew !== undefined) {
         query.isNew = isNew === 'true';
       }
@@ -39,6 +43,114 @@ class VoicemailController {
     }
   }
 
+  /**
+   * Get the voicemails in a ring group's shared mailbox
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getGroupVoicemails(req, res) {
+    try {
+      const { limit = 20, skip = 0, isNew, handled } = req.query;
+      
+      const { voicemails, total } = await mailboxService.listGroupVoicemails(req.params.ringGroupId, {
+        isNew: isNew !== undefined ? isNew === 'true' : undefined,
+        handled: handled !== undefined ? handled === 'true' : undefined,
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+      });
+      
+      res.status(200).json({
+        voicemails,
+        total,
+        hasMore: total > parseInt(skip) + voicemails.length
+      });
+    } catch (error) {
+      console.error('Error fetching group voicemails:', error);
+      res.status(error.status || 500).json({ error: `Failed to fetch group voicemails: ${error.message}` });
+    }
+  }
+
+  /**
+   * Forward a copy of a voicemail to another user or a shared mailbox
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async forwardVoicemail(req, res) {
+    try {
+      const { userId, ringGroupId, forwardedBy, note } = req.body;
+      
+      const voicemail = await mailboxService.forward(req.params.id, { userId, ringGroupId, forwardedBy, note });
+      
+      res.status(201).json(voicemail);
+    } catch (error) {
+      console.error('Error forwarding voicemail:', error);
+      res.status(error.status || 500).json({ error: `Failed to forward voicemail: ${error.message}` });
+    }
+  }
+
+  /**
+   * Claim a shared mailbox voicemail (marks it as handled by the member)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async claimVoicemail(req, res) {
+    try {
+      const voicemail = await mailboxService.claim(req.params.id, req.body.userId);
+      
+      res.status(200).json(voicemail);
+    } catch (error) {
+      console.error('Error claiming voicemail:', error);
+      res.status(error.status || 500).json({ error: `Failed to claim voicemail: ${error.message}` });
+    }
+  }
+
+  /**
+   * Release a claim on a shared mailbox voicemail
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async releaseVoicemail(req, res) {
+    try {
+      const voicemail = await mailboxService.release(req.params.id, req.body.userId);
+      
+      res.status(200).json(voicemail);
+    } catch (error) {
+      console.error('Error releasing voicemail:', error);
+      res.status(error.status || 500).json({ error: `Failed to release voicemail: ${error.message}` });
+    }
+  }
+
+  /**
+   * Search voicemails by the words in their transcription
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async searchVoicemails(req, res) {
+    try {
+      const { q, userId, minConfidence, limit = 20, skip = 0 } = req.query;
+      
+      if (!q) {
+        return res.status(400).json({ error: 'Search text (q) is required' });
+      }
+      
+      const { voicemails, total } = await voicemailTranscriptionService.search(q, {
+        userId,
+        minConfidence: minConfidence !== undefined ? parseFloat(minConfidence) : undefined,
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+      });
+      
+      res.status(200).json({
+        voicemails,
+        total,
+        hasMore: total > parseInt(skip) + voicemails.length
+      });
+    } catch (error) {
+      console.error('Error searching voicemails:', error);
+      res.status(500).json({ error: 'Failed to search voicemails' });
+    }
+  }
+
   /**
    * Get voicemail by ID
    * @param {Object} req - Express request object
@@ -225,8 +337,8 @@ class VoicemailController {
         return res.status(404).json({ error: 'User not found' });
       }
       
-      // Get the current greeting URL or generate GitHub URL
-      let greetingUrl = user.voicemailGreetingUrl;
+      // Get the uploaded or custom greeting URL, or generate GitHub URL
+      let greetingUrl = await greetingService.getGreetingUrl(user);
       
       if (!greetingUrl) {
         greetingUrl = telnyxService.generateGitHubVoicemailUrl(user);
@@ -243,6 +355,120 @@ class VoicemailController {
       res.status(500).json({ error: 'Failed to get voicemail greeting URL' });
     }
   }
+
+  /**
+   * List a user's uploaded greetings and the active one
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getGreetings(req, res) {
+    try {
+      const result = await greetingService.listGreetings(req.params.userId);
+      
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Error fetching greetings:', error);
+      res.status(error.status || 500).json({ error: `Failed to fetch greetings: ${error.message}` });
+    }
+  }
+
+  /**
+   * Upload a greeting
+   * @param {Object} req - Express request object (file from greetingUpload, body: name, kind, activate)
+   * @param {Object} res - Express response object
+   */
+  async uploadGreeting(req, res) {
+    try {
+      const { name, kind, activate } = req.body;
+      
+      const greeting = await greetingService.createGreeting(req.params.userId, req.file, {
+        name,
+        kind,
+        activate: activate === true || activate === 'true'
+      });
+      
+      res.status(201).json(greeting);
+    } catch (error) {
+      console.error('Error uploading greeting:', error);
+      res.status(error.status || 500).json({ error: `Failed to upload greeting: ${error.message}` });
+    }
+  }
+
+  /**
+   * Choose the greeting callers hear
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async setActiveGreeting(req, res) {
+    try {
+      const { greetingId } = req.body;
+      
+      if (greetingId === undefined) {
+        return res.status(400).json({ error: 'greetingId is required (null for the default greeting)' });
+      }
+      
+      const user = await greetingService.activateGreeting(req.params.userId, greetingId);
+      
+      res.status(200).json({ userId: user._id, activeGreetingId: user.activeGreetingId });
+    } catch (error) {
+      console.error('Error setting active greeting:', error);
+      res.status(error.status || 500).json({ error: `Failed to set active greeting: ${error.message}` });
+    }
+  }
+
+  /**
+   * Show which greeting callers hear right now
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCurrentGreeting(req, res) {
+    try {
+      const user = await greetingService.getUser(req.params.userId);
+      const { rule, greeting } = await greetingService.selectGreeting(user);
+      
+      res.status(200).json({
+        userId: user._id,
+        rule,
+        greeting,
+        greetingUrl: await greetingService.getGreetingUrl(user)
+      });
+    } catch (error) {
+      console.error('Error fetching current greeting:', error);
+      res.status(error.status || 500).json({ error: `Failed to fetch current greeting: ${error.message}` });
+    }
+  }
+
+  /**
+   * Update a user's greeting schedule
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateGreetingSchedule(req, res) {
+    try {
+      const user = await greetingService.updateSchedule(req.params.userId, req.body);
+      
+      res.status(200).json({ userId: user._id, greetingSchedule: user.greetingSchedule });
+    } catch (error) {
+      console.error('Error updating greeting schedule:', error);
+      res.status(error.status || 500).json({ error: `Failed to update greeting schedule: ${error.message}` });
+    }
+  }
+
+  /**
+   * Delete an uploaded greeting
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteGreeting(req, res) {
+    try {
+      await greetingService.deleteGreeting(req.params.userId, req.params.greetingId);
+      
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error deleting greeting:', error);
+      res.status(error.status || 500).json({ error: `Failed to delete greeting: ${error.message}` });
+    }
+  }
 }
 
 module.exports = new VoicemailController(); 
\ No newline at end of file
@@ -4,6 +4,39 @@ const User = require('../models/User');
 const telnyxService = require('../services/telnyxService');
 const smsAutomationService = require('../services/smsAutomationService');
 const notificationService = require('../services/notificationService');
+const webhookInboxService = require('../services/webhookInboxService');
+const createResponseRecorder = require('../utils/responseRecorder');
+const { decodeClientState } = require('../utils/clientState');
+const ivrService = require('../services/ivrService');
+const ringGroupService = require('../services/ringGroupService');
+const queueService = require('../services/queueService');
+const callLifecycleService = require('../services/callLifecycleService');
+const warmTransferService = require('../services/warmTransferService');
+const conferenceService = require('../services/conferenceService');
+const amdService = require('../services/amdService');
+const callRecordingService = require('../services/callRecordingService');
+const supervisorService = require('../services/supervisorService');
+const parkService = require('../services/parkService');
+const findMeService = require('../services/findMeService');
+const voicemailTranscriptionService = require('../services/voicemailTranscriptionService');
+const callerRuleService = require('../services/callerRuleService');
+const voicemailAccessService = require('../services/voicemailAccessService');
+const voicemailFlowService = require('../services/voicemailFlowService');
+const smsConsentService = require('../services/smsConsentService');
+
+// Services that drive a call, keyed by the flow named in its client_state
+const FLOW_HANDLERS = {
+  ivr: ivrService,
+  ring_group: ringGroupService,
+  queue: queueService,
+  warm_transfer: warmTransferService,
+  conference: conferenceService,
+  amd: amdService,
+  park: parkService,
+  find_me: findMeService,
+  voicemail_access: voicemailAccessService,
+  voicemail: voicemailFlowService
+};
 
 /**
  * Webhook controller for handling Telnyx webhooks
@@ -11,57 +44,33 @@ const notificationService = require('../services/notificationService');
 class WebhookController {
   /**
    * Process Telnyx webhook events
+   * Every event is recorded in the webhook inbox first so that Telnyx
+   * redeliveries of an event that was already handled are ignored
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async processWebhook(req, res) {
     try {
       const event = req.body;
-      console.log('Received webhook event:', event.data.event_type);
       
-      // Verify webhook signature if configured
-      if (process.env.TELNYX_PUBLIC_KEY) {
-        // Here you'd implement Telnyx signature verification
-        // using their public key for added security
+      if (!event || !event.data || !event.data.id) {
+        return res.status(400).json({ error: 'Invalid webhook payload' });
       }
       
-      // Process different event types
-      switch (event.data.event_type) {
-        // Call events
-        case 'call.initiated':
-          return await this.handleCallEvent(req, res);
-          
-        case 'call.answered':
-        case 'call.hangup':
-          // Update call status in the database and check for automations
-          return await this.handleCallEvent(req, res);
-          
-        case 'call.recording.saved':
-          // Handle call recording and check for voicemail automations
-          return await this.handleCallRecording(req, res);
-          
-        case 'call.machine.detection.ended':
-          // Handle answering machine detection
-          break;
-        
-        case 'call.gather.ended':
-          // Handle DTMF input from users
-          return await this.handleGatherEvent(req, res);
-          
-        // SMS events
-        case 'message.received':
-          // Process incoming SMS and check for automations
-          return await this.handleIncomingSms(req, res);
-          
-        case 'message.finalized':
-          return await smsController.handleSMSStatus(req, res);
-          
-        default:
-          console.log(`Unhandled event type: ${event.data.event_type}`);
+      console.log('Received webhook event:', event.data.event_type);
+
+      // The signature has already been verified by the telnyxSignature middleware
+
+      const claim = await webhookInboxService.claimEvent(event);
+      
+      if (!claim.claimed) {
+        console.log(`Ignoring duplicate webhook event ${event.data.id}`);
+        return res.status(200).send({ received: true, duplicate: true });
       }
       
-      // Generic response for unhandled event types
-      res.status(200).send({ received: true });
+      const result = await this.runEvent(claim.record, req);
+      
+      res.status(result.statusCode).json(result.body);
     } catch (error) {
       console.error('Error processing webhook:', error);
       res.status(500).json({ error: 'Failed to process webhook event' });
@@ -69,44 +78,261 @@ class WebhookController {
   }
 
   /**
-   * Handle gather events (DTMF inputs)
+   * Run a claimed inbox event through the dispatcher and record the outcome
+   * @param {Object} record - Webhook inbox record
+   * @param {Object} req - Express request object (a stand-in is built for retries)
+   * @returns {Promise<Object>} - Response recorder holding the handler's response
+   */
+  async runEvent(record, req = { body: record.payload }) {
+    const { recorder, handler, durationMs, failure } = await this.executeEvent(req);
+    const outcome = {
+      handler,
+      action: recorder.body?.action,
+      durationMs
+    };
+    
+    if (failure) {
+      await webhookInboxService.markFailed(record._id, failure, outcome);
+    } else {
+      await webhookInboxService.markProcessed(record._id, outcome);
+    }
+    
+    return recorder;
+  }
+
+  /**
+   * Dispatch an event and time it, capturing the handler's response
+   * @param {Object} req - Express request object or stand-in
+   * @returns {Promise<Object>} - { recorder, handler, durationMs, failure }
+   */
+  async executeEvent(req) {
+    const recorder = createResponseRecorder();
+    const startedAt = Date.now();
+    let handler = null;
+    let failure = null;
+    
+    try {
+      handler = await this.dispatchEvent(req, recorder);
+    } catch (error) {
+      console.error('Error dispatching webhook event:', error);
+      
+      // Work done after the handler responded would be repeated by a retry, so the response stands
+      if (!recorder.sent) {
+        failure = error.message;
+        recorder.status(500).json({ error: 'Failed to process webhook event' });
+      }
+    }
+    
+    if (!failure && recorder.statusCode >= 400) {
+      failure = recorder.body?.error || `Handler responded with status ${recorder.statusCode}`;
+    }
+    
+    return {
+      recorder,
+      handler: handler || this.getHandler(req.body.data.event_type)?.name || 'unhandled',
+      durationMs: Date.now() - startedAt,
+      failure
+    };
+  }
+
+  /**
+   * Retry a failed inbox event
+   * @param {string} id - Webhook inbox record ID
+   * @returns {Promise<Object|null>} - Handler response, or null if the event is not in a failed state
+   */
+  async retryEvent(id) {
+    const record = await webhookInboxService.claimForRetry(id);
+    
+    if (!record) {
+      return null;
+    }
+    
+    const result = await this.runEvent(record);
+    
+    return {
+      id: record._id,
+      eventId: record.eventId,
+      statusCode: result.statusCode,
+      response: result.body
+    };
+  }
+
+  /**
+   * Re-run a stored event through the dispatcher for debugging
+   * The inbox record is left untouched. With stubCommands, outbound Telnyx
+   * commands are recorded and returned instead of being sent; everything else
+   * the handlers do (database writes, notifications, automations) still happens.
+   * @param {string} id - Webhook inbox record ID
+   * @param {Object} options - Replay options (stubCommands)
+   * @returns {Promise<Object|null>} - Replay outcome, or null if the event does not exist
+   */
+  async replayEvent(id, options = {}) {
+    const record = await webhookInboxService.getEvent(id);
+    
+    if (!record) {
+      return null;
+    }
+    
+    const req = { body: record.payload };
+    let execution;
+    let commands;
+    
+    if (options.stubCommands) {
+      const dryRun = await telnyxService.runDryRun(() => this.executeEvent(req));
+      execution = dryRun.result;
+      commands = dryRun.commands;
+    } else {
+      execution = await this.executeEvent(req);
+    }
+    
+    return {
+      id: record._id,
+      eventId: record.eventId,
+      eventType: record.eventType,
+      stubCommands: !!options.stubCommands,
+      handler: execution.handler,
+      action: execution.recorder.body?.action,
+      durationMs: execution.durationMs,
+      statusCode: execution.recorder.statusCode,
+      response: execution.recorder.body,
+      error: execution.failure,
+      commands
+    };
+  }
+
+  /**
+   * Get the handler for a Telnyx event type
+   * @param {string} eventType - Telnyx event type
+   * @returns {Object|null} - { name, run } or null for unhandled event types
+   */
+  getHandler(eventType) {
+    switch (eventType) {
+      // Call events
+      case 'call.initiated':
+      case 'call.answered':
+      case 'call.hangup':
+        // Update call status in the database and check for automations
+        return { name: 'handleCallEvent', run: (req, res) => this.handleCallEvent(req, res) };
+        
+      case 'call.recording.saved':
+        // Handle call recording and check for voicemail automations
+        return { name: 'handleCallRecording', run: (req, res) => this.handleCallRecording(req, res) };
+        
+      case 'call.recording.transcription.saved':
+        // Store the transcription of a voicemail recording
+        return { name: 'handleRecordingTranscription', run: (req, res) => this.handleRecordingTranscription(req, res) };
+        
+      case 'call.gather.ended':
+      case 'call.speak.ended':
+      case 'call.playback.ended':
+      case 'call.transcription':
+      case 'call.machine.detection.ended':
+      case 'call.machine.greeting.ended':
+      case 'call.machine.premium.detection.ended':
+      case 'call.machine.premium.greeting.ended':
+        // Hand DTMF/speech input, prompt and AMD results to the flow driving the call (IVR, AMD, ...)
+        return { name: 'handleFlowEvent', run: (req, res) => this.handleFlowEvent(req, res) };
+        
+      // Conference events
+      case 'conference.created':
+      case 'conference.ended':
+      case 'conference.participant.joined':
+      case 'conference.participant.left':
+      case 'conference.recording.saved':
+        // Update conference and participant records
+        return { name: 'handleConferenceEvent', run: (req, res) => this.handleConferenceEvent(req, res) };
+        
+      // SMS events
+      case 'message.received':
+        // Process incoming SMS and check for automations
+        return { name: 'handleIncomingSms', run: (req, res) => this.handleIncomingSms(req, res) };
+        
+      case 'message.finalized':
+        return { name: 'smsController.handleSMSStatus', run: (req, res) => smsController.handleSMSStatus(req, res) };
+        
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Dispatch a Telnyx event to the handler for its type
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @returns {Promise<string>} - Name of the handler that processed the event
    */
-  async handleGatherEvent(req, res) {
+  async dispatchEvent(req, res) {
+    const eventType = req.body.data.event_type;
+    const handler = this.getHandler(eventType);
+    
+    if (!handler) {
+      console.log(`Unhandled event type: ${eventType}`);
+      
+      // Generic response for unhandled event types
+      res.status(200).send({ received: true });
+      return 'unhandled';
+    }
+    
+    await handler.run(req, res);
+    return handler.name;
+  }
+
+  /**
+   * Handle events for calls driven by a flow service (gather, speak, playback, transcription, AMD)
+   * The flow is taken from the call's client_state
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async handleFlowEvent(req, res) {
     try {
       const event = req.body.data;
-      const clientState = event.payload.client_state;
-      const callLegId = event.payload.call_leg_id;
-      
-      // Check if this is part of the unavailable user flow
-      if (clientState === 'unavailable-flow') {
-        // Find the user associated with this call
-        // We need to extract the user's phone number from the call information
-        // This assumes that the 'to' field in the call event is the user's Telnyx number
-        const toNumber = event.payload.to || '';
-        
-        const user = await User.findOne({ telnyxPhoneNumber: toNumber });
+      
+      // Recording consent announcements can be spoken on any call, whatever drives it
+      if (event.event_type === 'call.speak.ended') {
+        const consent = await callRecordingService.handleAnnouncementEnded(event);
         
-        if (!user) {
-          console.error(`No user found for Telnyx number: ${toNumber}`);
-          return res.status(200).send({ received: true });
+        if (consent.action !== 'none') {
+          return res.status(200).json({ received: true, action: consent.action });
         }
-        
-        // Process the DTMF input based on the user's choice
-        const result = await telnyxService.handleUnavailableDTMF(event, user);
-        
-        return res.status(200).json({ 
-          received: true, 
-          action: result.action 
-        });
       }
       
-      // For other gather events that are not part of the unavailable flow
-      res.status(200).send({ received: true });
+      const state = decodeClientState(event.payload.client_state);
+      const flowHandler = state && FLOW_HANDLERS[state.flow];
+      
+      if (!flowHandler) {
+        // Not part of a flow we drive
+        return res.status(200).send({ received: true });
+      }
+      
+      const result = await flowHandler.handleEvent(event, state);
+      
+      res.status(200).json({ 
+        received: true, 
+        flow: state.flow,
+        action: result.action 
+      });
     } catch (error) {
-      console.error('Error handling gather event:', error);
-      res.status(500).json({ error: 'Failed to process gather event' });
+      console.error('Error handling flow event:', error);
+      res.status(500).json({ error: 'Failed to process call flow event' });
+    }
+  }
+
+  /**
+   * Handle conference.* events
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async handleConferenceEvent(req, res) {
+    try {
+      const result = await conferenceService.handleConferenceEvent(req.body.data);
+      
+      res.status(200).json({ 
+        received: true, 
+        action: result.action 
+      });
+    } catch (error) {
+      console.error('Error handling conference event:', error);
+      res.status(500).json({ error: 'Failed to process conference event' });
     }
   }
 
@@ -130,21 +356,28 @@ class WebhookController {
         messageId: event.payload.id
       };
       
+      const user = await User.findOne({ telnyxPhoneNumber: smsData.to });
+      
+      // Blocked senders get no automated replies and no notifications
+      if (await callerRuleService.isBlocked(smsData.from, user ? user._id : null)) {
+        return;
+      }
+      
       // Process automations asynchronously so we don't delay the webhook response
-      smsAutomationService.processIncomingSms(smsData)
-        .then(result => {
-          if (result.processed) {
-            console.log(`Processed SMS automations: ${result.total} triggered`);
-          }
-        })
-        .catch(error => {
-          console.error('Error processing SMS automations:', error);
-        });
+      // Senders who opted out (including with this message) get no automated replies
+      if (!(await smsConsentService.isOptedOut(smsData.to, smsData.from))) {
+        smsAutomationService.processIncomingSms(smsData)
+          .then(result => {
+            if (result.processed) {
+              console.log(`Processed SMS automations: ${result.total} triggered`);
+            }
+          })
+          .catch(error => {
+            console.error('Error processing SMS automations:', error);
+          });
+      }
       
       // Send notification about new SMS
-      const toNumber = smsData.to;
-      const user = await User.findOne({ telnyxPhoneNumber: toNumber });
-      
       if (user) {
         // Notify the user about the new SMS
         notificationService.notifyNewSMS(user, {
@@ -163,7 +396,11 @@ class WebhookController {
       // The response was already sent by smsController.handleIncomingSMS
     } catch (error) {
       console.error('Error handling incoming SMS webhook:', error);
-      res.status(500).json({ error: 'Failed to process SMS webhook' });
+      
+      // Once smsController has replied, the message and its auto-reply are done; a retry would send the reply again
+      if (!res.sent) {
+        res.status(500).json({ error: 'Failed to process SMS webhook' });
+      }
     }
   }
 
@@ -174,11 +411,42 @@ class WebhookController {
    */
   async handleCallEvent(req, res) {
     try {
-      // First, let the call controller handle the call event normally
+      const event = req.body.data;
+      const state = decodeClientState(event.payload.client_state);
+      
+      // Move the call record through its lifecycle (answered, completed, no-answer...)
+      await callLifecycleService.handleEvent(event, state);
+      
+      // Callers and agents in a warm transfer are not tagged with its flow
+      if (event.event_type === 'call.hangup') {
+        await warmTransferService.handleCallHangup(event);
+        await callRecordingService.handleCallHangup(event);
+        await parkService.handleCallHangup(event);
+      }
+      
+      // Let the flow driving the call (ring group legs, ...) react before we respond
+      const flowHandler = state && FLOW_HANDLERS[state.flow];
+      
+      if (flowHandler) {
+        await flowHandler.handleEvent(event, state);
+      }
+      
+      // Then let the call controller handle the call event normally
       await callController.handleIncomingCall(req, res);
       
+      // Keep supervisors' live call rosters current
+      supervisorService.broadcastRoster()
+        .catch(error => {
+          console.error('Error broadcasting call roster:', error);
+        });
+      
+      // Blocked callers get no automated texts or missed call notifications
+      const calledUser = await User.findOne({ telnyxPhoneNumber: event.payload.to });
+      if (await callerRuleService.isBlocked(event.payload.from, calledUser ? calledUser._id : null)) {
+        return;
+      }
+      
       // Then, process any automations for this call event
-      const event = req.body.data;
       const callData = {
         from: event.payload.from,
         to: event.payload.to,
@@ -225,7 +493,11 @@ class WebhookController {
       // The response was already sent by callController
     } catch (error) {
       console.error('Error handling call event webhook:', error);
-      res.status(500).json({ error: 'Failed to process call webhook' });
+      
+      // Once callController has replied, the call was routed; a retry would route it again
+      if (!res.sent) {
+        res.status(500).json({ error: 'Failed to process call webhook' });
+      }
     }
   }
 
@@ -236,6 +508,13 @@ class WebhookController {
    */
   async handleCallRecording(req, res) {
     try {
+      // Recordings started from the app belong to their call, not a voicemail box
+      const recording = await callRecordingService.handleRecordingSaved(req.body.data);
+      
+      if (recording) {
+        return res.status(200).json({ received: true, action: 'call_recording_saved' });
+      }
+      
       // First, let the call controller handle the recording normally
       await callController.handleCallRecording(req, res);
       
@@ -262,35 +541,32 @@ class WebhookController {
           console.error('Error processing voicemail automations:', error);
         });
       
-      // Send notification about new voicemail
-      if (callData.isVoicemail) {
-        // Find the user associated with this phone number
-        const toNumber = callData.to;
-        const user = await User.findOne({ telnyxPhoneNumber: toNumber });
-        
-        if (user) {
-          // Notify the user about the new voicemail
-          notificationService.notifyNewVoicemail(user, {
-            from: callData.from,
-            duration: callData.duration,
-            recordingUrl: callData.recordingUrl,
-            timestamp: new Date()
-          })
-          .then(result => {
-            console.log('Voicemail notification results:', result);
-          })
-          .catch(error => {
-            console.error('Error sending voicemail notification:', error);
-          });
-        }
-      }
-      
-      // The response was already sent by callController
+      // The voicemail notification is sent once its transcription is in (see voicemailTranscriptionService)
+      // and the response was already sent by callController
     } catch (error) {
       console.error('Error handling call recording webhook:', error);
       res.status(500).json({ error: 'Failed to process recording webhook' });
     }
   }
+
+  /**
+   * Handle call.recording.transcription.saved events
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async handleRecordingTranscription(req, res) {
+    try {
+      const result = await voicemailTranscriptionService.handleTelnyxTranscription(req.body.data);
+      
+      res.status(200).json({ 
+        received: true, 
+        action: result.action 
+      });
+    } catch (error) {
+      console.error('Error handling recording transcription:', error);
+      res.status(500).json({ error: 'Failed to process recording transcription' });
+    }
+  }
 }
 
 module.exports = new WebhookController(); 
\ No newline at end of file
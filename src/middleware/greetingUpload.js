@@ -0,0 +1,27 @@
+const multer = require('multer');
+const greetingService = require('../services/greetingService');
+
+// Greetings are validated in memory before they are written to media storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: greetingService.getMaxBytes(),
+    files: 1
+  }
+}).single('greeting');
+
+/**
+ * Multipart upload middleware for voicemail greetings
+ * Puts the file on req.file and answers upload errors (too large, wrong field) with a 400
+ */
+const greetingUpload = (req, res, next) => {
+  upload(req, res, error => {
+    if (error) {
+      return res.status(400).json({ error: `Invalid greeting upload: ${error.message}` });
+    }
+    
+    next();
+  });
+};
+
+module.exports = greetingUpload; 
\ No newline at end of file
@@ -0,0 +1,23 @@
+const apiKeyAuth = require('./auth');
+const { verifyMediaSignature } = require('../utils/mediaUrl');
+
+/**
+ * Media authentication middleware
+ * Accepts a signed URL (expires + signature query parameters, see utils/mediaUrl.js)
+ * so Telnyx can fetch audio, and otherwise falls back to the API key
+ */
+const mediaAuth = (req, res, next) => {
+  if (req.query.signature === undefined) {
+    return apiKeyAuth(req, res, next);
+  }
+
+  const result = verifyMediaSignature(req.path, req.query.expires, req.query.signature);
+  
+  if (!result.valid) {
+    return res.status(401).json({ error: `Unauthorized: ${result.reason}` });
+  }
+
+  next();
+};
+
+module.exports = mediaAuth; 
\ No newline at end of file
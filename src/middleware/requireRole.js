@@ -0,0 +1,20 @@
+/**
+ * Role check middleware for endpoints limited to some users
+ * The acting user comes from their user token (see userAuth.js), never from a header
+ * the caller can set, and is available as req.user
+ * @param {Array<string>} roles - Roles allowed through
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Unauthorized: A user token is required' });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ error: `Forbidden: Requires one of the roles ${roles.join(', ')}` });
+  }
+
+  next();
+};
+
+module.exports = requireRole; 
\ No newline at end of file
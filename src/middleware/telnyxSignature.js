@@ -0,0 +1,28 @@
+const { verifySignature } = require('../utils/telnyxSignature');
+
+/**
+ * Telnyx webhook signature verification middleware
+ * Requires the raw request body to be captured by the body parser (req.rawBody)
+ */
+const verifyTelnyxSignature = (req, res, next) => {
+  const signature = req.headers['telnyx-signature-ed25519'];
+  const timestamp = req.headers['telnyx-timestamp'];
+  
+  const result = verifySignature(req.rawBody, signature, timestamp);
+  
+  if (!result.valid) {
+    console.warn('Rejected Telnyx webhook:', {
+      reason: result.reason,
+      path: req.path,
+      ip: req.ip,
+      eventId: req.body?.data?.id,
+      eventType: req.body?.data?.event_type
+    });
+    
+    return res.status(401).json({ error: 'Unauthorized: Invalid webhook signature' });
+  }
+
+  next();
+};
+
+module.exports = verifyTelnyxSignature; 
\ No newline at end of file
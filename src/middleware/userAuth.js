@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { verifyUserToken } = require('../utils/userToken');
+
+/**
+ * Look up the user a token was issued to
+ * @param {string} token - User token
+ * @returns {Promise<Object>} - { user } or { reason } if the token is not accepted
+ */
+async function resolveUser(token) {
+  const result = verifyUserToken(token);
+  
+  if (!result.valid) {
+    return { reason: result.reason };
+  }
+
+  const user = mongoose.isValidObjectId(result.userId) ? await User.findById(result.userId) : null;
+  
+  if (!user) {
+    return { reason: 'Unknown user' };
+  }
+
+  return { user };
+}
+
+/**
+ * User authentication middleware
+ * Runs after the API key check. A request carrying `Authorization: Bearer <user token>`
+ * acts as that user (req.user); a request without one acts as no particular user.
+ * Identity is never taken from a header or body field the caller can simply set.
+ */
+const authenticateUser = async (req, res, next) => {
+  const header = req.headers.authorization;
+  
+  if (!header) {
+    return next();
+  }
+
+  try {
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    const result = match ? await resolveUser(match[1]) : { reason: 'Expected a Bearer token' };
+    
+    if (!result.user) {
+      return res.status(401).json({ error: `Unauthorized: ${result.reason}` });
+    }
+    
+    req.user = result.user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating user:', error);
+    res.status(500).json({ error: 'Failed to authenticate user' });
+  }
+};
+
+module.exports = authenticateUser;
+module.exports.resolveUser = resolveUser; 
\ No newline at end of file
@@ -1,10 +1,131 @@
 const mongoose = require('mongoose');
 
+// An outbound leg dialed on behalf of an inbound call (ring group members, find me devices, ...)
+const callLegSchema = new mongoose.Schema({
+  callControlId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  to: String,
+  // Find me / follow me device the leg rang (webrtc, mobile or desk)
+  device: String,
+  status: {
+    type: String,
+    enum: ['dialing', 'bridged', 'ended'],
+    default: 'dialing'
+  },
+  startTime: {
+    type: Date,
+    default: Date.now
+  },
+  // Set on the leg that answered and was bridged to the caller
+  answerTime: Date,
+  endTime: Date
+}, { _id: false });
+
+// Warm (attended) transfer state: the agent consults a colleague while the caller holds
+const callTransferSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['held', 'dialing', 'consulting', 'swapped', 'completed', 'cancelled'],
+    required: true
+  },
+  // Agent who started the transfer and the leg they are on
+  agentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  agentCallControlId: String,
+  // Colleague or number being consulted
+  consultCallControlId: String,
+  consultTo: String,
+  consultUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: Date
+}, { _id: false });
+
+// Answering machine detection requested for an outbound call, and what it found
+const callAmdSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: ['detect', 'detect_beep', 'detect_words', 'greeting_end', 'premium'],
+    required: true
+  },
+  // human, machine, not_sure (premium: human_residence, human_business, silence, fax_detected, ...)
+  result: String,
+  // beep_detected, ended, not_sure (premium: no_beep_detected)
+  greetingResult: String,
+  detectedAt: Date,
+  // Message left on the machine: a recording or text read with text-to-speech
+  messageAudioUrl: String,
+  messageText: String,
+  messageStatus: {
+    type: String,
+    enum: ['none', 'pending', 'playing', 'left', 'failed'],
+    default: 'none'
+  },
+  messageLeftAt: Date
+}, { _id: false });
+
+// Set on a supervisor's leg listening to, whispering on or barging into another call
+const callSupervisionSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: ['monitor', 'whisper', 'barge'],
+    required: true
+  },
+  // Leg being supervised (the agent's leg for whisper, so only the agent hears the supervisor)
+  supervisedCallControlId: String
+}, { _id: false });
+
 const callSchema = new mongoose.Schema({
+  // Unset until someone answers when the call came in on a ring group or queue
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.ringGroupId && !this.queueId && !this.parentCallId && !this.conferenceId;
+    }
+  },
+  // Set on legs dialed or transferred on behalf of another call
+  parentCallId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call'
+  },
+  ringGroupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RingGroup'
+  },
+  queueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallQueue'
+  },
+  // Set when the caller is parked on a slot (see ParkedCall)
+  parkedAt: {
+    type: Date
+  },
+  // Caller rule that matched the caller (see CallerRule)
+  callerRule: {
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CallerRule'
+    },
+    action: String
+  },
+  // Set once the call is dialed into or joined to a conference
+  conferenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conference'
   },
   telnyxCallControlId: {
     type: String,
@@ -26,7 +147,7 @@ const callSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['initiated', 'ringing', 'answered', 'completed', 'failed', 'busy', 'no-answer', 'forwarded', 'voicemail'],
+    enum: ['initiated', 'ringing', 'queued', 'answered', 'completed', 'failed', 'busy', 'no-answer', 'forwarded', 'voicemail'],
     default: 'initiated'
   },
   duration: {
@@ -37,10 +158,13 @@ const callSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  answerTime: {
+    type: Date
+  },
   endTime: {
     type: Date
   },
-  recordingUrl: {
+  hangupCause: {
     type: String
   },
   voicemailUrl: {
@@ -49,6 +173,10 @@ const callSchema = new mongoose.Schema({
   notes: {
     type: String
   },
+  legs: [callLegSchema],
+  transfer: callTransferSchema,
+  amd: callAmdSchema,
+  supervision: callSupervisionSchema,
   metadata: {
     type: mongoose.Schema.Types.Mixed
   }
@@ -57,5 +185,9 @@ const callSchema = new mongoose.Schema({
 // Index for faster queries
 callSchema.index({ userId: 1, startTime: -1 });
 callSchema.index({ telnyxCallControlId: 1 });
+callSchema.index({ 'legs.callControlId': 1 });
+callSchema.index({ parentCallId: 1 });
+callSchema.index({ 'transfer.agentCallControlId': 1 });
+callSchema.index({ 'transfer.consultCallControlId': 1 });
 
 module.exports = mongoose.model('Call', callSchema); 
\ No newline at end of file
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const overflowTargetSchema = require('./overflowTargetSchema');
+
+// Schema for an inbound call queue (ACD) attached to a Telnyx number
+const callQueueSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Optional: queues can also be reached as an overflow target
+  phoneNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Users who take calls from this queue
+  agents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Looped while callers wait
+  holdAudioUrl: {
+    type: String,
+    required: true
+  },
+  // How often callers hear "you are caller number N" (0 disables announcements)
+  announcementIntervalSecs: {
+    type: Number,
+    default: 60,
+    min: 0
+  },
+  // How long each agent rings before the call is offered to the next one
+  agentRingTimeoutSecs: {
+    type: Number,
+    default: 20,
+    min: 5,
+    max: 120
+  },
+  // Overflow rules
+  maxWaitSecs: {
+    type: Number,
+    default: 600,
+    min: 30
+  },
+  maxCallers: {
+    type: Number,
+    default: 20,
+    min: 1
+  },
+  overflowWhenNoAgents: {
+    type: Boolean,
+    default: false
+  },
+  overflow: {
+    type: overflowTargetSchema,
+    default: () => ({ type: 'hangup' })
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+callQueueSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('CallQueue', callQueueSchema); 
\ No newline at end of file
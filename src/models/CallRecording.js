@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A stretch of a recording that was paused
+const recordingPauseSchema = new mongoose.Schema({
+  pausedAt: {
+    type: Date,
+    required: true
+  },
+  resumedAt: Date
+}, { _id: false });
+
+// Schema for an on-demand recording of a live call
+const callRecordingSchema = new mongoose.Schema({
+  callId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call',
+    required: true
+  },
+  // Leg being recorded (the caller's leg, so both sides of a bridge are captured)
+  callControlId: {
+    type: String,
+    required: true
+  },
+  // User who asked for the recording
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // announcing: consent announcement playing; saved: recording URL received from Telnyx
+  status: {
+    type: String,
+    enum: ['announcing', 'recording', 'paused', 'stopped', 'saved', 'cancelled'],
+    default: 'announcing'
+  },
+  consent: {
+    // State the other party's number belongs to, if known
+    state: String,
+    requirement: {
+      type: String,
+      enum: ['one_party', 'two_party'],
+      required: true
+    },
+    // Announcement played to the other party
+    announcement: String,
+    // pending: announcement playing; announced: played before recording; failed: call ended first
+    status: {
+      type: String,
+      enum: ['pending', 'announced', 'failed'],
+      default: 'pending'
+    },
+    announcedAt: Date
+  },
+  pauses: [recordingPauseSchema],
+  startedAt: Date,
+  stoppedAt: Date,
+  recordingUrl: String,
+  duration: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a call's recordings and matching webhooks
+callRecordingSchema.index({ callId: 1, createdAt: 1 });
+callRecordingSchema.index({ callControlId: 1, status: 1 });
+
+module.exports = mongoose.model('CallRecording', callRecordingSchema); 
\ No newline at end of file
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Where a matching caller is sent by a route rule
+const callerRuleRouteSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['user', 'ring_group', 'voicemail'],
+    required: true
+  },
+  // User to ring, or whose voicemail box takes the call
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Group to ring for ring_group routes
+  ringGroupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RingGroup'
+  }
+}, { _id: false });
+
+// Schema for a rule applied to calls and texts from particular callers
+const callerRuleSchema = new mongoose.Schema({
+  // Owner of the rule; rules without a user apply firm-wide
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // How pattern is compared with the caller's number
+  matchType: {
+    type: String,
+    enum: ['number', 'prefix', 'area_code'],
+    required: true
+  },
+  // E.164 number, number prefix (e.g. +1900) or three digit area code
+  pattern: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  action: {
+    type: String,
+    enum: ['block', 'allow', 'vip', 'route'],
+    required: true
+  },
+  route: callerRuleRouteSchema,
+  label: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+callerRuleSchema.index({ userId: 1, isActive: 1 });
+
+// Update the updatedAt field before saving
+callerRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('CallerRule', callerRuleSchema); 
\ No newline at end of file
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Schema for a multi-party conference bridge
+const conferenceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // User who set the conference up; receives the Socket.IO updates
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Caller ID used when dialing participants
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  // Set when the first participant is connected and Telnyx creates the conference
+  telnyxConferenceId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'starting', 'active', 'ended'],
+    default: 'pending'
+  },
+  isRecording: {
+    type: Boolean,
+    default: false
+  },
+  recordingUrl: String,
+  startedAt: Date,
+  endedAt: Date,
+  // Reason reported by Telnyx (all_left, host_left, time_exceeded)
+  endReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+conferenceSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Index for listing a user's conferences
+conferenceSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Conference', conferenceSchema); 
\ No newline at end of file
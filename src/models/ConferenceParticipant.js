@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Schema for a call taking part in a conference
+const conferenceParticipantSchema = new mongoose.Schema({
+  conferenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conference',
+    required: true
+  },
+  // Call control ID of the participant's leg
+  callControlId: {
+    type: String,
+    required: true
+  },
+  // Call record of the leg
+  callId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Number dialed, or the caller's number for joined calls
+  to: String,
+  // Display label (Client, Interpreter, ...)
+  label: String,
+  // dialing: ringing; waiting: answered before the conference exists;
+  // joining: join sent; joined/left: reported by conference.participant.* webhooks
+  status: {
+    type: String,
+    enum: ['dialing', 'waiting', 'joining', 'joined', 'left', 'failed'],
+    default: 'dialing'
+  },
+  muted: {
+    type: Boolean,
+    default: false
+  },
+  joinedAt: Date,
+  leftAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for participant lookups from webhooks
+conferenceParticipantSchema.index({ conferenceId: 1, createdAt: 1 });
+conferenceParticipantSchema.index({ callControlId: 1 });
+
+module.exports = mongoose.model('ConferenceParticipant', conferenceParticipantSchema); 
\ No newline at end of file
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Schema for an SMS thread between one of our numbers and one counterpart
+const conversationSchema = new mongoose.Schema({
+  // User whose Telnyx number the thread is on
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ourNumber: {
+    type: String,
+    required: true
+  },
+  counterpartNumber: {
+    type: String,
+    required: true
+  },
+  lastMessage: {
+    smsId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SMS'
+    },
+    body: String,
+    direction: {
+      type: String,
+      enum: ['inbound', 'outbound']
+    },
+    sentAt: Date
+  },
+  lastMessageAt: {
+    type: Date
+  },
+  // Inbound messages since the thread was last marked read
+  unreadCount: {
+    type: Number,
+    default: 0
+  },
+  // User handling the thread
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Archived threads come back when the counterpart writes again
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  // Hidden from open threads until then, or until the counterpart writes again
+  snoozedUntil: {
+    type: Date,
+    default: null
+  },
+  // Counterpart's IANA time zone, used for quiet hours instead of the one guessed from their area code
+  timeZone: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One thread per pair of numbers
+conversationSchema.index({ ourNumber: 1, counterpartNumber: 1 }, { unique: true });
+conversationSchema.index({ userId: 1, lastMessageAt: -1 });
+conversationSchema.index({ assignedTo: 1, lastMessageAt: -1 });
+
+// Update the updatedAt field before saving
+conversationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Conversation', conversationSchema); 
\ No newline at end of file
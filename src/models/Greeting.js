@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Schema for an uploaded voicemail greeting
+const greetingSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: ['standard', 'after_hours', 'out_of_office', 'holiday', 'custom'],
+    default: 'standard'
+  },
+  // Where the audio lives in media storage (see mediaStorageService)
+  storageKey: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['mp3', 'wav'],
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  // Length in seconds
+  duration: {
+    type: Number,
+    default: 0
+  },
+  originalName: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+greetingSchema.index({ userId: 1, createdAt: -1 });
+
+// Update the updatedAt field before saving
+greetingSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Greeting', greetingSchema); 
\ No newline at end of file
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A day the office is closed
+const holidaySchema = new mongoose.Schema({
+  // YYYY-MM-DD
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Falls on the same month and day every year (the year in date is ignored)
+  recurring: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Schema for a list of holidays that holiday greetings are played on
+const holidayCalendarSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  holidays: [holidaySchema],
+  // Used for users who haven't picked a calendar
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+holidayCalendarSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('HolidayCalendar', holidayCalendarSchema); 
\ No newline at end of file
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// What to do when a caller picks an option (or gives no/invalid input)
+const ivrActionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['transfer', 'voicemail', 'menu', 'sms', 'hangup'],
+    required: true
+  },
+  // For transfer actions
+  to: String,
+  timeoutSecs: {
+    type: Number,
+    default: 30
+  },
+  // For voicemail actions (defaults to the menu's user)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // For menu actions, and for sms actions to continue the menu afterwards
+  nodeId: String,
+  // SMS text for sms actions, goodbye message for hangup actions
+  message: String
+}, { _id: false });
+
+// Schema for a single menu node: a prompt followed by input gathering
+const ivrNodeSchema = new mongoose.Schema({
+  nodeId: {
+    type: String,
+    required: true
+  },
+  name: String,
+  prompt: {
+    // Either an audio file or text-to-speech
+    audioUrl: String,
+    text: String,
+    voice: {
+      type: String,
+      default: 'female'
+    },
+    language: {
+      type: String,
+      default: 'en-US'
+    }
+  },
+  gather: {
+    input: {
+      type: String,
+      enum: ['dtmf', 'speech', 'dtmf_speech'],
+      default: 'dtmf'
+    },
+    maxDigits: {
+      type: Number,
+      default: 1
+    },
+    timeoutSecs: {
+      type: Number,
+      default: 5
+    }
+  },
+  options: [{
+    // DTMF digits that select this option
+    digits: String,
+    // Spoken words that select this option
+    keywords: [String],
+    action: {
+      type: ivrActionSchema,
+      required: true
+    }
+  }],
+  // Action when the caller does not respond
+  noInputAction: ivrActionSchema,
+  // Action when the caller keeps giving invalid input
+  invalidAction: ivrActionSchema,
+  // How many times the node is replayed after invalid input
+  maxRetries: {
+    type: Number,
+    default: 2
+  }
+}, { _id: false });
+
+// Schema for an IVR tree attached to a Telnyx number
+const ivrMenuSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  phoneNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Owner of the number, used as the default voicemail box
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  rootNodeId: {
+    type: String,
+    required: true
+  },
+  nodes: [ivrNodeSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+ivrMenuSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('IvrMenu', ivrMenuSchema); 
\ No newline at end of file
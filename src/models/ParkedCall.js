@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Schema for a caller parked on a numbered slot
+const parkedCallSchema = new mongoose.Schema({
+  slot: {
+    type: Number,
+    required: true
+  },
+  // Same as slot while the call occupies it (parked or ringing), unset afterwards;
+  // the unique index makes sure a slot holds one call at a time
+  occupiedSlot: {
+    type: Number,
+    unique: true,
+    sparse: true
+  },
+  callId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call',
+    required: true
+  },
+  // Call control ID of the parked caller's leg
+  callControlId: {
+    type: String,
+    required: true
+  },
+  from: String,
+  parkedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // parked: waiting; ringing: a pickup or the parker's call back is ringing;
+  // picked_up / returned: connected to someone; abandoned: caller hung up
+  status: {
+    type: String,
+    enum: ['parked', 'ringing', 'picked_up', 'returned', 'abandoned'],
+    default: 'parked'
+  },
+  // Leg ringing to pick the call up or return it to the parker
+  ringingCallControlId: String,
+  ringingUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  pickedUpBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  parkedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the call goes back to the parker
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date
+});
+
+// Index for webhook lookups and the timeout check
+parkedCallSchema.index({ callControlId: 1 });
+parkedCallSchema.index({ ringingCallControlId: 1 });
+parkedCallSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('ParkedCall', parkedCallSchema); 
\ No newline at end of file
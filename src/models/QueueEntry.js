@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Schema for a caller waiting in (or served by) a call queue
+const queueEntrySchema = new mongoose.Schema({
+  queueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallQueue',
+    required: true
+  },
+  // Call control ID of the caller's leg
+  callControlId: {
+    type: String,
+    required: true
+  },
+  from: String,
+  // Number the caller dialed, used as caller ID when ringing agents
+  to: String,
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'connected', 'completed', 'abandoned', 'overflowed'],
+    default: 'waiting'
+  },
+  // Agent currently ringing or connected
+  agentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  agentCallControlId: String,
+  // Agents who let the call ring out, skipped for the rest of this wait
+  skippedAgents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  enqueuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAnnouncedAt: Date,
+  connectedAt: Date,
+  endedAt: Date
+});
+
+// Index for position lookups and the dispatcher
+queueEntrySchema.index({ queueId: 1, status: 1, enqueuedAt: 1 });
+queueEntrySchema.index({ callControlId: 1 });
+
+module.exports = mongoose.model('QueueEntry', queueEntrySchema); 
\ No newline at end of file
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const overflowTargetSchema = require('./overflowTargetSchema');
+
+// A user who rings when the group is called
+const ringGroupMemberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Overrides the group's ring timeout for this member
+  ringTimeoutSecs: {
+    type: Number,
+    min: 5,
+    max: 120
+  },
+  // Position for sequential ringing (lowest rings first)
+  order: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Schema for a ring/hunt group attached to a shared Telnyx number
+const ringGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  phoneNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  strategy: {
+    type: String,
+    enum: ['simultaneous', 'sequential', 'round_robin'],
+    default: 'simultaneous'
+  },
+  members: [ringGroupMemberSchema],
+  // Default ring timeout per member
+  ringTimeoutSecs: {
+    type: Number,
+    default: 20,
+    min: 5,
+    max: 120
+  },
+  overflow: {
+    type: overflowTargetSchema,
+    default: () => ({ type: 'hangup' })
+  },
+  // Greeting for the group's shared mailbox (audio URL, else text-to-speech)
+  voicemailGreetingUrl: {
+    type: String,
+    default: ''
+  },
+  voicemailGreeting: {
+    type: String,
+    default: ''
+  },
+  // Member that starts the next round robin cycle
+  nextMemberIndex: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+ringGroupSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('RingGroup', ringGroupSchema); 
\ No newline at end of file
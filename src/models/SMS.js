@@ -6,6 +6,11 @@ const smsSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Thread the message belongs to (see conversationService)
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
   telnyxMessageId: {
     type: String,
     required: true,
@@ -52,5 +57,6 @@ const smsSchema = new mongoose.Schema({
 // Index for faster queries
 smsSchema.index({ userId: 1, sentAt: -1 });
 smsSchema.index({ telnyxMessageId: 1 });
+smsSchema.index({ conversationId: 1, sentAt: -1 });
 
 module.exports = mongoose.model('SMS', smsSchema); 
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Schema for the SMS consent ledger
+// Entries are only ever added, so the history for a pair of numbers can be audited;
+// the latest opt_out or opt_in entry is the pair's current status
+const smsConsentSchema = new mongoose.Schema({
+  // Our number the counterpart texted (or that tried to text them)
+  ourNumber: {
+    type: String,
+    required: true
+  },
+  counterpartNumber: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    enum: ['opt_out', 'opt_in', 'help', 'blocked_send'],
+    required: true
+  },
+  // keyword: the counterpart texted a keyword; api: entered by a user; send: a blocked send attempt
+  source: {
+    type: String,
+    enum: ['keyword', 'api', 'send'],
+    required: true
+  },
+  // Keyword the counterpart texted (STOP, START, HELP...)
+  keyword: {
+    type: String
+  },
+  // Telnyx message ID of the keyword message
+  messageId: {
+    type: String
+  },
+  // Keyword message text, or the text of the blocked message
+  body: {
+    type: String
+  },
+  // User who entered the change, or whose message was blocked
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Why a consent change was entered by hand, or what tried to send a blocked message
+  note: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+smsConsentSchema.index({ ourNumber: 1, counterpartNumber: 1, createdAt: -1 });
+smsConsentSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('SmsConsent', smsConsentSchema); 
\ No newline at end of file
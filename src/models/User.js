@@ -98,9 +98,42 @@ const calendarEventSchema = new mongoose.Schema({
   makeUnavailable: {
     type: Boolean,
     default: true
+  },
+  // Marked out of office by the provider (Google outOfOffice, Microsoft oof)
+  outOfOffice: {
+    type: Boolean,
+    default: false
   }
 });
 
+// A device rung by the user's find me / follow me list
+const findMeDestinationSchema = new mongoose.Schema({
+  device: {
+    type: String,
+    enum: ['webrtc', 'mobile', 'desk'],
+    required: true
+  },
+  // Number or SIP URI to ring (mobile defaults to phoneNumber, webrtc uses sipUsername)
+  number: {
+    type: String
+  },
+  ringTimeoutSecs: {
+    type: Number,
+    default: 20,
+    min: 5,
+    max: 120
+  },
+  // Position for sequential ringing (lowest rings first)
+  order: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -146,6 +179,21 @@ const userSchema = new mongoose.Schema({
     type: String,
     sparse: true
   },
+  // supervisors and admins can listen to, whisper on and barge into other users' calls
+  role: {
+    type: String,
+    enum: ['agent', 'supervisor', 'admin'],
+    default: 'agent'
+  },
+  // Set while the user is ringing for a queue/ring group call or connected to any call
+  onCall: {
+    type: Boolean,
+    default: false
+  },
+  // Used to pick the longest idle agent for queue calls
+  lastCallEndedAt: {
+    type: Date
+  },
   availability: {
     type: [availabilitySchema],
     default: [
@@ -205,6 +253,87 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Uploaded greeting played to callers, ahead of voicemailGreetingUrl (see Greeting)
+  activeGreetingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greeting',
+    default: null
+  },
+  // Greetings picked by time of the call; unset ones fall back to activeGreetingId
+  greetingSchedule: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    businessHoursGreetingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Greeting'
+    },
+    afterHoursGreetingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Greeting'
+    },
+    holidayGreetingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Greeting'
+    },
+    outOfOfficeGreetingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Greeting'
+    },
+    // Holidays to observe; the default holiday calendar if unset
+    holidayCalendarId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HolidayCalendar'
+    }
+  },
+  // Quiet hours for this user's automated texts, on top of the firm-wide window (recipient's local time)
+  smsQuietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      default: '21:00'
+    },
+    end: {
+      type: String,
+      default: '08:00'
+    }
+  },
+  // Voicemail-to-email; template fields left empty use the built-in template
+  voicemailEmail: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    attachAudio: {
+      type: Boolean,
+      default: true
+    },
+    template: {
+      subject: String,
+      text: String,
+      html: String
+    }
+  },
+  // Devices rung instead of phoneNumber when the user is available
+  findMe: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    strategy: {
+      type: String,
+      enum: ['simultaneous', 'sequential'],
+      default: 'simultaneous'
+    },
+    destinations: {
+      type: [findMeDestinationSchema],
+      default: []
+    }
+  },
   routeToLiveAgent: {
     type: Boolean,
     default: false
@@ -1,10 +1,17 @@
 const mongoose = require('mongoose');
 
 const voicemailSchema = new mongoose.Schema({
+  // Mailbox owner: a user, or a ring group for shared mailboxes
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.ringGroupId;
+    }
+  },
+  ringGroupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RingGroup'
   },
   callId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -29,6 +36,31 @@ const voicemailSchema = new mongoose.Schema({
   transcription: {
     type: String
   },
+  // Filled in by the transcription engine after the recording is saved
+  transcriptionStatus: {
+    type: String,
+    enum: ['none', 'pending', 'completed', 'failed'],
+    default: 'none'
+  },
+  // 0-1, unset when the engine does not report one
+  transcriptionConfidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  transcriptionEngine: {
+    type: String
+  },
+  transcriptionError: {
+    type: String
+  },
+  transcribedAt: {
+    type: Date
+  },
+  // Set once the user has been notified (after transcription, so it can be included)
+  notifiedAt: {
+    type: Date
+  },
   isNew: {
     type: Boolean,
     default: true
@@ -39,11 +71,35 @@ const voicemailSchema = new mongoose.Schema({
   },
   notes: {
     type: String
+  },
+  // Set on copies made by forwarding a voicemail to another mailbox
+  forwardedFrom: {
+    voicemailId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Voicemail'
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    forwardedAt: Date
+  },
+  // Member of a shared mailbox who is returning the call
+  handledBy: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    claimedAt: Date
   }
 });
 
 // Index for faster queries
 voicemailSchema.index({ userId: 1, createdAt: -1 });
 voicemailSchema.index({ callId: 1 });
+voicemailSchema.index({ ringGroupId: 1, createdAt: -1 });
+voicemailSchema.index({ transcription: 'text' });
+voicemailSchema.index({ transcriptionStatus: 1, createdAt: 1 });
 
 module.exports = mongoose.model('Voicemail', voicemailSchema); 
\ No newline at end of file
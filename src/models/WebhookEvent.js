@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Inbox and log of Telnyx webhook events, keyed by the Telnyx event ID (data.id)
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  occurredAt: {
+    type: Date
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Extracted from the payload so call flows can be searched
+  callControlId: {
+    type: String
+  },
+  from: {
+    type: String
+  },
+  to: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'failed'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: {
+    type: String
+  },
+  // Outcome of the last processing attempt
+  handler: {
+    type: String
+  },
+  action: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the current processing attempt started
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: {
+    type: Date
+  }
+});
+
+// Index for faster queries
+webhookEventSchema.index({ status: 1, receivedAt: -1 });
+webhookEventSchema.index({ callControlId: 1, receivedAt: 1 });
+webhookEventSchema.index({ from: 1, receivedAt: -1 });
+webhookEventSchema.index({ to: 1, receivedAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema); 
\ No newline at end of file
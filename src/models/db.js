@@ -251,6 +251,55 @@ const Config = sequelize.define('Config', {
   description: DataTypes.TEXT
 });
 
+// Define AutomationJob model: delayed SMS automation actions waiting to run (see automationJobService)
+const AutomationJob = sequelize.define('AutomationJob', {
+  // SmsAutomation (MongoDB) the action belongs to
+  automationId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // _id of the action within the automation; the current version of the action is run
+  actionId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  actionType: DataTypes.STRING,
+  // Trigger context (sender, message, userId...) the action runs with
+  context: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  // pending, running, completed, deferred, failed or cancelled
+  status: {
+    type: DataTypes.STRING,
+    defaultValue: 'pending'
+  },
+  runAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5
+  },
+  // Worker running the job, and since when
+  lockedBy: DataTypes.STRING,
+  lockedAt: DataTypes.DATE,
+  lastError: DataTypes.TEXT,
+  // Action result, or why the job was cancelled
+  result: DataTypes.JSONB,
+  finishedAt: DataTypes.DATE
+}, {
+  indexes: [
+    { fields: ['status', 'runAt'] },
+    { fields: ['automationId'] }
+  ]
+});
+
 // Export models and sequelize instance
 module.exports = {
   sequelize,
@@ -260,5 +309,6 @@ module.exports = {
   Call,
   Sms,
   Voicemail,
-  Config
+  Config,
+  AutomationJob
 }; 
\ No newline at end of file
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Where a call goes when nobody picks up (shared by ring groups and queues)
+const overflowTargetSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['voicemail', 'group_voicemail', 'ivr', 'queue', 'external', 'hangup'],
+    default: 'hangup'
+  },
+  // Voicemail box for voicemail overflow
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Shared mailbox for group_voicemail overflow
+  ringGroupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RingGroup'
+  },
+  // Menu for ivr overflow
+  menuId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IvrMenu'
+  },
+  // Queue for queue overflow
+  queueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallQueue'
+  },
+  // Number for external overflow
+  to: String
+}, { _id: false });
+
+module.exports = overflowTargetSchema; 
\ No newline at end of file
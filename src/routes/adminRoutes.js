@@ -17,4 +17,23 @@ router.put('/messaging-profile-id', adminController.updateMessagingProfileId);
 // Test Telnyx API connection
 router.get('/test-telnyx-connection', adminController.testTelnyxConnection);
 
+// Webhook inbox and event log
+router.get('/webhook-events', adminController.getWebhookEvents);
+router.get('/webhook-events/:id', adminController.getWebhookEventById);
+router.post('/webhook-events/retry-failed', adminController.retryFailedWebhookEvents);
+router.post('/webhook-events/:id/retry', adminController.retryWebhookEvent);
+router.post('/webhook-events/:id/replay', adminController.replayWebhookEvent);
+
+// File SMS messages stored before conversations existed into conversations
+router.post('/conversations/backfill', adminController.backfillConversations);
+
+// Delayed automation jobs (filter by status, automationId)
+router.get('/automation-jobs', adminController.getAutomationJobs);
+router.get('/automation-jobs/:id', adminController.getAutomationJobById);
+router.post('/automation-jobs/:id/retry', adminController.retryAutomationJob);
+router.post('/automation-jobs/:id/cancel', adminController.cancelAutomationJob);
+
+// Sign a webhook payload with the local keypair (webhook test mode only)
+router.post('/webhook-test/sign', adminController.signTestWebhook);
+
 module.exports = router; 
\ No newline at end of file
@@ -8,12 +8,31 @@ router.get('/user/:userId', callController.getUserCalls);
 // Get call by ID
 router.get('/:id', callController.getCallById);
 
+// Get legs dialed or transferred for a call
+router.get('/:id/legs', callController.getCallLegs);
+
 // Make outbound call
 router.post('/', callController.makeOutboundCall);
 
 // Update call notes
 router.put('/:id/notes', callController.updateCallNotes);
 
+// Warm (attended) transfer
+router.post('/:id/hold', callController.holdCall);
+router.post('/:id/unhold', callController.unholdCall);
+router.post('/:id/consult', callController.startConsult);
+router.post('/:id/bridge', callController.bridgeLeg);
+router.post('/:id/swap', callController.swapLegs);
+router.post('/:id/transfer/complete', callController.completeTransfer);
+router.post('/:id/transfer/cancel', callController.cancelTransfer);
+
+// On-demand recording (a consent announcement plays first)
+router.get('/:id/recordings', callController.getCallRecordings);
+router.post('/:id/recording/start', callController.startRecording);
+router.post('/:id/recording/pause', callController.pauseRecording);
+router.post('/:id/recording/resume', callController.resumeRecording);
+router.post('/:id/recording/stop', callController.stopRecording);
+
 // Webhook handlers for call events
 router.post('/webhook/incoming', callController.handleIncomingCall);
 router.post('/webhook/recording', callController.handleCallRecording);
@@ -0,0 +1,23 @@
+const express = require('express');
+const callerRuleController = require('../controllers/callerRuleController');
+const router = express.Router();
+
+// Get caller rules (filter by userId, scope=firm or action)
+router.get('/', callerRuleController.getRules);
+
+// Find the rule that applies to a caller (?from=&userId=)
+router.get('/match', callerRuleController.matchRule);
+
+// Get caller rule by ID
+router.get('/:id', callerRuleController.getRuleById);
+
+// Create caller rule
+router.post('/', callerRuleController.createRule);
+
+// Update caller rule
+router.put('/:id', callerRuleController.updateRule);
+
+// Delete caller rule
+router.delete('/:id', callerRuleController.deleteRule);
+
+module.exports = router; 
\ No newline at end of file
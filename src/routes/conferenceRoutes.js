@@ -0,0 +1,26 @@
+const express = require('express');
+const conferenceController = require('../controllers/conferenceController');
+const router = express.Router();
+
+// Get conferences
+router.get('/', conferenceController.getConferences);
+
+// Get conference with its participants
+router.get('/:id', conferenceController.getConferenceById);
+
+// Create conference
+router.post('/', conferenceController.createConference);
+
+// Dial a participant or join an existing call
+router.post('/:id/participants', conferenceController.addParticipant);
+
+// Mute, unmute and kick participants
+router.post('/:id/participants/:participantId/mute', conferenceController.muteParticipant);
+router.post('/:id/participants/:participantId/unmute', conferenceController.unmuteParticipant);
+router.delete('/:id/participants/:participantId', conferenceController.kickParticipant);
+
+// Record the whole conference
+router.post('/:id/recording/start', conferenceController.startRecording);
+router.post('/:id/recording/stop', conferenceController.stopRecording);
+
+module.exports = router; 
\ No newline at end of file
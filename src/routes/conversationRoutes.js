@@ -0,0 +1,20 @@
+const express = require('express');
+const conversationController = require('../controllers/conversationController');
+const router = express.Router();
+
+// List conversations (filter by userId, assignedTo ('none' for unassigned), status, unread)
+router.get('/', conversationController.getConversations);
+
+// Get conversation by ID
+router.get('/:id', conversationController.getConversationById);
+
+// Page through a conversation's messages
+router.get('/:id/messages', conversationController.getConversationMessages);
+
+// Assign, archive or snooze a conversation, or set the counterpart's time zone
+router.put('/:id', conversationController.updateConversation);
+
+// Mark a conversation as read
+router.put('/:id/read', conversationController.markConversationRead);
+
+module.exports = router; 
\ No newline at end of file
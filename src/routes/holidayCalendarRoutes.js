@@ -0,0 +1,20 @@
+const express = require('express');
+const holidayCalendarController = require('../controllers/holidayCalendarController');
+const router = express.Router();
+
+// Get all holiday calendars
+router.get('/', holidayCalendarController.getCalendars);
+
+// Get holiday calendar by ID
+router.get('/:id', holidayCalendarController.getCalendarById);
+
+// Create holiday calendar
+router.post('/', holidayCalendarController.createCalendar);
+
+// Update holiday calendar
+router.put('/:id', holidayCalendarController.updateCalendar);
+
+// Delete holiday calendar
+router.delete('/:id', holidayCalendarController.deleteCalendar);
+
+module.exports = router; 
\ No newline at end of file
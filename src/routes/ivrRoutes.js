@@ -0,0 +1,20 @@
+const express = require('express');
+const ivrController = require('../controllers/ivrController');
+const router = express.Router();
+
+// Get all IVR menus
+router.get('/', ivrController.getMenus);
+
+// Get IVR menu by ID
+router.get('/:id', ivrController.getMenuById);
+
+// Create IVR menu
+router.post('/', ivrController.createMenu);
+
+// Update IVR menu
+router.put('/:id', ivrController.updateMenu);
+
+// Delete IVR menu
+router.delete('/:id', ivrController.deleteMenu);
+
+module.exports = router; 
\ No newline at end of file
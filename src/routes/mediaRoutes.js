@@ -0,0 +1,12 @@
+const express = require('express');
+const mediaController = require('../controllers/mediaController');
+const router = express.Router();
+
+// Stream an uploaded voicemail greeting
+router.get('/greetings/:greetingId', mediaController.getGreetingAudio);
+
+// Mark a voicemail as read (the link in voicemail emails opens a page that posts back)
+router.get('/voicemails/:voicemailId/read', mediaController.confirmVoicemailRead);
+router.post('/voicemails/:voicemailId/read', mediaController.markVoicemailRead);
+
+module.exports = router; 
\ No newline at end of file
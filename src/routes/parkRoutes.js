@@ -0,0 +1,14 @@
+const express = require('express');
+const parkController = require('../controllers/parkController');
+const router = express.Router();
+
+// Get park slots
+router.get('/', parkController.getSlots);
+
+// Park a call
+router.post('/', parkController.parkCall);
+
+// Pick up the call parked on a slot
+router.post('/:slot/pickup', parkController.pickupCall);
+
+module.exports = router; 
\ No newline at end of file
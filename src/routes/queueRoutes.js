@@ -0,0 +1,23 @@
+const express = require('express');
+const queueController = require('../controllers/queueController');
+const router = express.Router();
+
+// Get all queues
+router.get('/', queueController.getQueues);
+
+// Get live queue status (waiting callers and agents)
+router.get('/:id/status', queueController.getQueueStatus);
+
+// Get queue by ID
+router.get('/:id', queueController.getQueueById);
+
+// Create queue
+router.post('/', queueController.createQueue);
+
+// Update queue
+router.put('/:id', queueController.updateQueue);
+
+// Delete queue
+router.delete('/:id', queueController.deleteQueue);
+
+module.exports = router; 
\ No newline at end of file
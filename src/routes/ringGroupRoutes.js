@@ -0,0 +1,20 @@
+const express = require('express');
+const ringGroupController = require('../controllers/ringGroupController');
+const router = express.Router();
+
+// Get all ring groups
+router.get('/', ringGroupController.getGroups);
+
+// Get ring group by ID
+router.get('/:id', ringGroupController.getGroupById);
+
+// Create ring group
+router.post('/', ringGroupController.createGroup);
+
+// Update ring group
+router.put('/:id', ringGroupController.updateGroup);
+
+// Delete ring group
+router.delete('/:id', ringGroupController.deleteGroup);
+
+module.exports = router; 
\ No newline at end of file
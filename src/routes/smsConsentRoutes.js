@@ -0,0 +1,17 @@
+const express = require('express');
+const smsConsentController = require('../controllers/smsConsentController');
+const router = express.Router();
+
+// Page through the consent ledger (filter by ourNumber, counterpartNumber, event, since, until)
+router.get('/', smsConsentController.getHistory);
+
+// Get the current consent status for a pair of numbers (?ourNumber=&counterpartNumber=)
+router.get('/status', smsConsentController.getStatus);
+
+// Export the consent ledger as CSV or JSON (?format=, same filters as the ledger)
+router.get('/export', smsConsentController.exportHistory);
+
+// Opt a number out or back in by hand
+router.post('/', smsConsentController.setConsent);
+
+module.exports = router; 
\ No newline at end of file
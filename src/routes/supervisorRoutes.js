@@ -0,0 +1,20 @@
+const express = require('express');
+const supervisorController = require('../controllers/supervisorController');
+const requireRole = require('../middleware/requireRole');
+const router = express.Router();
+
+// Supervisors and admins only, identified by their user token
+router.use(requireRole(['supervisor', 'admin']));
+
+// Get live call roster
+router.get('/calls', supervisorController.getRoster);
+
+// Listen, whisper to the agent, or join a call (by its Telnyx call control ID)
+router.post('/calls/:callControlId/monitor', supervisorController.monitorCall);
+router.post('/calls/:callControlId/whisper', supervisorController.whisperCall);
+router.post('/calls/:callControlId/barge', supervisorController.bargeCall);
+
+// Hang up a supervisor leg
+router.delete('/sessions/:callControlId', supervisorController.endSession);
+
+module.exports = router; 
\ No newline at end of file
@@ -1,5 +1,7 @@
 const express = require('express');
 const userController = require('../controllers/userController');
+const phoneController = require('../controllers/phoneController');
+const requireRole = require('../middleware/requireRole');
 const router = express.Router();
 
 // Create new user
@@ -14,16 +16,28 @@ router.put('/:id', userController.updateUser);
 // Delete user
 router.delete('/:id', userController.deleteUser);
 
+// Issue a user token (admins only)
+router.post('/:id/token', requireRole(['admin']), userController.issueToken);
+
 // Assign phone number to user
 router.post('/:id/phone-number', userController.assignPhoneNumber);
 
 // Update user availability settings
 router.put('/:id/availability', userController.updateAvailability);
 
+// Update find me / follow me devices
+router.put('/:id/find-me', userController.updateFindMe);
+
+// Update voicemail-to-email settings and template
+router.put('/:id/voicemail-email', userController.updateVoicemailEmail);
+
+// Update quiet hours for automated texts
+router.put('/:id/sms-quiet-hours', userController.updateSmsQuietHours);
+
 // Set or update email password
 router.put('/:id/email-password', userController.setEmailPassword);
 
-// Get available phone numbers
-router.get('/phone-numbers/available', userController.getAvailablePhoneNumbers);
+// Get available phone numbers (same search as GET /api/phones/available)
+router.get('/phone-numbers/available', phoneController.searchAvailableNumbers);
 
 module.exports = router; 
\ No newline at end of file
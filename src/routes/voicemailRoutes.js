@@ -1,13 +1,29 @@
 const express = require('express');
 const voicemailController = require('../controllers/voicemailController');
+const greetingUpload = require('../middleware/greetingUpload');
 const router = express.Router();
 
 // Get voicemails for a user
 router.get('/user/:userId', voicemailController.getUserVoicemails);
 
+// Get voicemails in a ring group's shared mailbox (?handled=&isNew=)
+router.get('/group/:ringGroupId', voicemailController.getGroupVoicemails);
+
+// Search voicemail transcriptions (?q=&userId=&minConfidence=)
+router.get('/search', voicemailController.searchVoicemails);
+
 // Get voicemail by ID
 router.get('/:id', voicemailController.getVoicemailById);
 
+// Forward a copy to another user or shared mailbox (userId or ringGroupId, forwardedBy, note)
+router.post('/:id/forward', voicemailController.forwardVoicemail);
+
+// Claim a shared mailbox voicemail so other members know it's being handled (userId)
+router.post('/:id/claim', voicemailController.claimVoicemail);
+
+// Release a claim (userId of the member who claimed it)
+router.delete('/:id/claim', voicemailController.releaseVoicemail);
+
 // Mark voicemail as read
 router.put('/:id/read', voicemailController.markVoicemailAsRead);
 
@@ -26,4 +42,22 @@ router.put('/user/:userId/greeting-url', voicemailController.updateVoicemailGree
 // Get personalized voicemail greeting URL for a user
 router.get('/user/:userId/greeting-url', voicemailController.getVoicemailGreetingUrl);
 
+// List a user's uploaded greetings
+router.get('/user/:userId/greetings', voicemailController.getGreetings);
+
+// Upload a greeting (multipart, audio in the "greeting" field)
+router.post('/user/:userId/greetings', greetingUpload, voicemailController.uploadGreeting);
+
+// Choose the greeting callers hear (greetingId: null goes back to the default)
+router.put('/user/:userId/greetings/active', voicemailController.setActiveGreeting);
+
+// Show which greeting callers hear right now, and the schedule rule that picked it
+router.get('/user/:userId/greetings/current', voicemailController.getCurrentGreeting);
+
+// Update the greeting schedule (business hours, after hours, holiday, out of office)
+router.put('/user/:userId/greeting-schedule', voicemailController.updateGreetingSchedule);
+
+// Delete an uploaded greeting
+router.delete('/user/:userId/greetings/:greetingId', voicemailController.deleteGreeting);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,219 @@
+const Call = require('../models/Call');
+const { SmsTemplate } = require('../models/SmsTemplate');
+const telnyxService = require('./telnyxService');
+const smsAutomationService = require('./smsAutomationService');
+const { encodeClientState } = require('../utils/clientState');
+const { createError } = require('../utils/errorHandler');
+
+// Telnyx answering_machine_detection modes we accept
+const AMD_MODES = ['detect', 'detect_beep', 'detect_words', 'greeting_end', 'premium'];
+
+// Modes that report the end of the machine greeting; the others leave the message straight away
+const GREETING_MODES = ['detect_beep', 'greeting_end', 'premium'];
+
+/**
+ * Service for answering machine detection (AMD) on outbound calls
+ *
+ * Calls placed with AMD carry { flow: 'amd' } in their client_state. When a machine
+ * answers and a message is configured, the message is played once the greeting ends
+ * (or as soon as the machine is detected, for modes without greeting detection) and
+ * the call is hung up when it finishes.
+ */
+class AmdService {
+  /**
+   * Validate AMD options and render the message to leave
+   * @param {Object} options - { mode, audioUrl, message, templateId }
+   * @param {Object} user - User placing the call (for template variables)
+   * @returns {Promise<Object>} - AMD settings for the call record
+   */
+  async prepare(options, user) {
+    const mode = options.mode || 'detect_beep';
+    
+    if (!AMD_MODES.includes(mode)) {
+      throw createError(`AMD mode must be one of: ${AMD_MODES.join(', ')}`);
+    }
+    
+    let messageText;
+    
+    if (options.templateId) {
+      const template = await SmsTemplate.findById(options.templateId);
+      
+      if (!template) {
+        throw createError('Message template not found');
+      }
+      
+      messageText = await smsAutomationService.processTemplate(template, { user });
+    } else if (options.message) {
+      messageText = await smsAutomationService.processTemplate({ content: options.message }, { user });
+    }
+    
+    const hasMessage = Boolean(options.audioUrl || messageText);
+    
+    return {
+      mode,
+      messageAudioUrl: options.audioUrl,
+      messageText: options.audioUrl ? undefined : messageText,
+      messageStatus: hasMessage ? 'pending' : 'none'
+    };
+  }
+
+  /**
+   * Get the Telnyx dial options that turn on AMD
+   * @param {Object} amd - AMD settings from prepare
+   * @param {string} userId - User placing the call
+   * @returns {Object} - Options for telnyxService.makeOutboundCall
+   */
+  getDialOptions(amd, userId) {
+    return {
+      answering_machine_detection: amd.mode,
+      client_state: encodeClientState({ flow: 'amd', userId: String(userId) }),
+      webhook_url: process.env.WEBHOOK_URL
+    };
+  }
+
+  /**
+   * Handle AMD results and the message playback for an outbound call
+   * @param {Object} event - Telnyx event (req.body.data)
+   * @param {Object} state - Decoded client_state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleEvent(event, state) {
+    try {
+      const callControlId = event.payload.call_control_id;
+      
+      switch (event.event_type) {
+        case 'call.machine.detection.ended':
+        case 'call.machine.premium.detection.ended':
+          return await this.handleDetection(callControlId, event);
+        
+        case 'call.machine.greeting.ended':
+        case 'call.machine.premium.greeting.ended':
+          return await this.handleGreetingEnded(callControlId, event);
+        
+        case 'call.playback.ended':
+        case 'call.speak.ended':
+          return await this.handleMessageEnded(callControlId);
+        
+        case 'call.hangup':
+          // Hung up before the message finished
+          await Call.updateOne(
+            { telnyxCallControlId: callControlId, 'amd.messageStatus': 'playing' },
+            { 'amd.messageStatus': 'failed' }
+          );
+          return { action: 'none' };
+        
+        default:
+          return { action: 'none' };
+      }
+    } catch (error) {
+      console.error('Error handling AMD event:', error);
+      throw new Error(`Failed to handle AMD event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the detection result and leave the message if the mode will not report a greeting
+   * @param {string} callControlId - Call control ID
+   * @param {Object} event - Detection event
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleDetection(callControlId, event) {
+    const occurredAt = event.occurred_at ? new Date(event.occurred_at) : new Date();
+    const result = event.payload.result;
+    
+    const call = await Call.findOneAndUpdate(
+      { telnyxCallControlId: callControlId, amd: { $ne: null } },
+      { 'amd.result': result, 'amd.detectedAt': occurredAt },
+      { new: true }
+    );
+    
+    if (!call || result !== 'machine') {
+      return { action: call ? result : 'none' };
+    }
+    
+    if (GREETING_MODES.includes(call.amd.mode)) {
+      // Wait for the beep (call.machine.greeting.ended)
+      return { action: 'machine' };
+    }
+    
+    return await this.leaveMessage(call);
+  }
+
+  /**
+   * Record how the machine greeting ended and leave the message after it
+   * @param {string} callControlId - Call control ID
+   * @param {Object} event - Greeting ended event
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleGreetingEnded(callControlId, event) {
+    const call = await Call.findOneAndUpdate(
+      { telnyxCallControlId: callControlId, amd: { $ne: null } },
+      { 'amd.greetingResult': event.payload.result },
+      { new: true }
+    );
+    
+    if (!call || call.amd.result !== 'machine') {
+      return { action: 'none' };
+    }
+    
+    return await this.leaveMessage(call);
+  }
+
+  /**
+   * Play or speak the configured message on the machine
+   * @param {Object} call - Call record
+   * @returns {Promise<Object>} - { action }
+   */
+  async leaveMessage(call) {
+    // Claim the message so it is only played once
+    const claimed = await Call.findOneAndUpdate(
+      { _id: call._id, 'amd.messageStatus': 'pending' },
+      { 'amd.messageStatus': 'playing' }
+    );
+    
+    if (!claimed) {
+      return { action: 'machine' };
+    }
+    
+    try {
+      if (call.amd.messageAudioUrl) {
+        await telnyxService.sendCallCommand(call.telnyxCallControlId, 'playback_start', {
+          audio_url: call.amd.messageAudioUrl
+        });
+      } else {
+        await telnyxService.sendCallCommand(call.telnyxCallControlId, 'speak', {
+          payload: call.amd.messageText,
+          voice: 'female',
+          language: 'en-US'
+        });
+      }
+    } catch (error) {
+      await Call.findByIdAndUpdate(call._id, { 'amd.messageStatus': 'failed' });
+      throw error;
+    }
+    
+    return { action: 'leaving_message' };
+  }
+
+  /**
+   * Hang up once the message has finished playing
+   * @param {string} callControlId - Call control ID
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleMessageEnded(callControlId) {
+    const call = await Call.findOneAndUpdate(
+      { telnyxCallControlId: callControlId, 'amd.messageStatus': 'playing' },
+      { 'amd.messageStatus': 'left', 'amd.messageLeftAt': new Date() }
+    );
+    
+    if (!call) {
+      return { action: 'none' };
+    }
+    
+    await telnyxService.sendCallCommand(callControlId, 'hangup');
+    
+    return { action: 'message_left' };
+  }
+}
+
+module.exports = new AmdService(); 
\ No newline at end of file
@@ -0,0 +1,399 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const { Op } = require('sequelize');
+const { sequelize, AutomationJob } = require('../models/db');
+const SmsAutomation = require('../models/SmsAutomation');
+const User = require('../models/User');
+const { createError } = require('../utils/errorHandler');
+
+// How often the worker looks for due jobs
+const AUTOMATION_JOB_POLL_SECONDS = parseInt(process.env.AUTOMATION_JOB_POLL_SECONDS) || 15;
+
+// Jobs claimed per pass
+const AUTOMATION_JOB_BATCH_SIZE = parseInt(process.env.AUTOMATION_JOB_BATCH_SIZE) || 10;
+
+// Attempts before a job is marked failed
+const AUTOMATION_JOB_MAX_ATTEMPTS = parseInt(process.env.AUTOMATION_JOB_MAX_ATTEMPTS) || 5;
+
+// First retry delay; doubles with each attempt up to an hour
+const AUTOMATION_JOB_RETRY_SECS = parseInt(process.env.AUTOMATION_JOB_RETRY_SECS) || 60;
+const MAX_RETRY_SECS = 60 * 60;
+
+// Running jobs locked for longer than this belong to a worker that died
+const AUTOMATION_JOB_LOCK_TIMEOUT_SECS = parseInt(process.env.AUTOMATION_JOB_LOCK_TIMEOUT_SECS) || 600;
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'deferred', 'failed', 'cancelled'];
+
+// Identifies this process in lockedBy
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Service for delayed SMS automation actions, stored in Postgres so they survive restarts
+ * A worker on every instance claims due jobs with FOR UPDATE SKIP LOCKED, so each job
+ * runs once however many instances are polling. Failed jobs are retried with backoff.
+ */
+class AutomationJobService {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Store an action to run later
+   * @param {string} automationId - Automation ID
+   * @param {Object} action - Action from the automation
+   * @param {Object} context - Context data for the action
+   * @param {Date} runAt - When to run it
+   * @returns {Promise<Object>} - Job
+   */
+  async enqueue(automationId, action, context, runAt) {
+    if (!action._id) {
+      throw new Error('Only actions saved on an automation can be delayed');
+    }
+    
+    return await AutomationJob.create({
+      automationId: String(automationId),
+      actionId: String(action._id),
+      actionType: action.type,
+      context: this.serializeContext(context),
+      runAt,
+      maxAttempts: AUTOMATION_JOB_MAX_ATTEMPTS
+    });
+  }
+
+  /**
+   * Reduce a context to JSON; the user is stored by ID and loaded again when the job runs
+   * @param {Object} context - Context data for the action
+   * @returns {Object} - Plain context
+   */
+  serializeContext(context = {}) {
+    const { user, ...rest } = context;
+    
+    return JSON.parse(JSON.stringify({
+      ...rest,
+      userId: rest.userId || user?._id
+    }));
+  }
+
+  /**
+   * Get the delay before retrying a job
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(AUTOMATION_JOB_RETRY_SECS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_SECS) * 1000;
+  }
+
+  /**
+   * Lock the next due jobs and mark them running
+   * @returns {Promise<Array>} - Claimed jobs
+   */
+  async claimJobs() {
+    return await sequelize.transaction(async transaction => {
+      const jobs = await AutomationJob.findAll({
+        where: { status: 'pending', runAt: { [Op.lte]: new Date() } },
+        order: [['runAt', 'ASC']],
+        limit: AUTOMATION_JOB_BATCH_SIZE,
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction
+      });
+      
+      for (const job of jobs) {
+        await job.update({
+          status: 'running',
+          attempts: job.attempts + 1,
+          lockedBy: WORKER_ID,
+          lockedAt: new Date()
+        }, { transaction });
+      }
+      
+      return jobs;
+    });
+  }
+
+  /**
+   * Put jobs left running by a worker that died back in the queue, or fail them if they're out of attempts
+   * @returns {Promise<number>} - Number of jobs recovered
+   */
+  async recoverStaleJobs() {
+    const staleBefore = new Date(Date.now() - AUTOMATION_JOB_LOCK_TIMEOUT_SECS * 1000);
+    const where = { status: 'running', lockedAt: { [Op.lt]: staleBefore } };
+    const unlock = { lockedBy: null, lockedAt: null, lastError: 'Worker stopped while running the job' };
+    
+    const [failed] = await AutomationJob.update(
+      { ...unlock, status: 'failed', finishedAt: new Date() },
+      { where: { ...where, attempts: { [Op.gte]: sequelize.col('maxAttempts') } } }
+    );
+    const [retried] = await AutomationJob.update(
+      { ...unlock, status: 'pending' },
+      { where }
+    );
+    
+    return failed + retried;
+  }
+
+  /**
+   * Run a claimed job
+   * The automation is loaded again, so edits to the action apply and deactivated or deleted automations don't run
+   * @param {Object} job - Claimed job
+   * @returns {Promise<Object>} - Updated job
+   */
+  async runJob(job) {
+    // Required here because smsAutomationService schedules its delayed actions through this service
+    const smsAutomationService = require('./smsAutomationService');
+    
+    try {
+      const automation = mongoose.isValidObjectId(job.automationId)
+        ? await SmsAutomation.findById(job.automationId).populate('actions.parameters.template')
+        : null;
+      
+      if (!automation || !automation.isActive) {
+        return await this.finish(job, 'cancelled', { reason: 'Automation was deleted or deactivated' });
+      }
+      
+      const action = automation.actions.id(job.actionId);
+      
+      if (!action) {
+        return await this.finish(job, 'cancelled', { reason: 'Action was removed from the automation' });
+      }
+      
+      const context = { ...job.context };
+      
+      if (context.userId) {
+        context.user = await User.findById(context.userId);
+      }
+      
+      const result = await smsAutomationService.executeAction(action, context);
+      
+      // executeAction reports errors in its result instead of throwing
+      if (result.status === 'error') {
+        throw new Error(result.error);
+      }
+      
+      // Quiet hours moved the text to a new job, which is counted when it sends
+      if (result.status === 'deferred') {
+        return await this.finish(job, 'deferred', result);
+      }
+      
+      // Skipped texts (the recipient opted out) complete without counting as a success
+      if (result.status === 'success') {
+        await SmsAutomation.findByIdAndUpdate(job.automationId, {
+          $inc: { 'statistics.successCount': 1 }
+        });
+      }
+      
+      return await this.finish(job, 'completed', result);
+    } catch (error) {
+      console.error(`Error running automation job ${job.id}:`, error);
+      
+      if (job.attempts < job.maxAttempts) {
+        return await job.update({
+          status: 'pending',
+          runAt: new Date(Date.now() + this.getRetryDelay(job.attempts)),
+          lastError: error.message,
+          lockedBy: null,
+          lockedAt: null
+        });
+      }
+      
+      await SmsAutomation.findByIdAndUpdate(job.automationId, {
+        $inc: { 'statistics.errorCount': 1 }
+      });
+      
+      return await this.finish(job, 'failed', null, error.message);
+    }
+  }
+
+  /**
+   * Mark a job as finished
+   * @param {Object} job - Job
+   * @param {string} status - completed, deferred, failed or cancelled
+   * @param {Object} result - Action result, or { reason } for cancelled jobs
+   * @param {string} lastError - Error for failed jobs
+   * @returns {Promise<Object>} - Updated job
+   */
+  async finish(job, status, result, lastError) {
+    return await job.update({
+      status,
+      result,
+      lastError: lastError || job.lastError,
+      lockedBy: null,
+      lockedAt: null,
+      finishedAt: new Date()
+    });
+  }
+
+  /**
+   * Cancel the pending jobs for an automation
+   * @param {string} automationId - Automation ID
+   * @param {string} reason - Why the jobs were cancelled
+   * @returns {Promise<number>} - Number of jobs cancelled
+   */
+  async cancelForAutomation(automationId, reason) {
+    const [count] = await AutomationJob.update(
+      { status: 'cancelled', result: { reason }, finishedAt: new Date() },
+      { where: { automationId: String(automationId), status: 'pending' } }
+    );
+    
+    if (count > 0) {
+      console.log(`Cancelled ${count} delayed actions for automation ${automationId}: ${reason}`);
+    }
+    
+    return count;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>} - Job
+   */
+  async getJob(id) {
+    const job = /^\d+$/.test(String(id)) ? await AutomationJob.findByPk(id) : null;
+    
+    if (!job) {
+      throw createError('Automation job not found', 404);
+    }
+    
+    return job;
+  }
+
+  /**
+   * List jobs; pending jobs soonest first, others most recently updated first
+   * @param {Object} filters - { status, automationId }
+   * @param {Object} options - { limit, skip }
+   * @returns {Promise<Object>} - { jobs, total }
+   */
+  async listJobs(filters = {}, options = {}) {
+    const where = {};
+    
+    if (filters.status) {
+      if (!JOB_STATUSES.includes(filters.status)) {
+        throw createError(`Status must be one of ${JOB_STATUSES.join(', ')}`);
+      }
+      where.status = filters.status;
+    }
+    
+    if (filters.automationId) {
+      where.automationId = String(filters.automationId);
+    }
+    
+    const { rows, count } = await AutomationJob.findAndCountAll({
+      where,
+      order: filters.status === 'pending' ? [['runAt', 'ASC']] : [['updatedAt', 'DESC']],
+      limit: parseInt(options.limit) || 20,
+      offset: parseInt(options.skip) || 0
+    });
+    
+    return { jobs: rows, total: count };
+  }
+
+  /**
+   * Count jobs by status
+   * @returns {Promise<Object>} - Count for each status
+   */
+  async getCounts() {
+    const rows = await AutomationJob.findAll({
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+    
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    rows.forEach(row => {
+      counts[row.status] = parseInt(row.count);
+    });
+    
+    return counts;
+  }
+
+  /**
+   * Run a failed or cancelled job again now, with a fresh set of attempts
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>} - Updated job
+   */
+  async retryJob(id) {
+    const job = await this.getJob(id);
+    
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      throw createError('Only failed or cancelled jobs can be retried', 409);
+    }
+    
+    return await job.update({
+      status: 'pending',
+      runAt: new Date(),
+      attempts: 0,
+      lastError: null,
+      result: null,
+      finishedAt: null
+    });
+  }
+
+  /**
+   * Cancel a pending job
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>} - Updated job
+   */
+  async cancelJob(id) {
+    const job = await this.getJob(id);
+    
+    if (job.status !== 'pending') {
+      throw createError('Only pending jobs can be cancelled', 409);
+    }
+    
+    return await this.finish(job, 'cancelled', { reason: 'Cancelled by an admin' });
+  }
+
+  /**
+   * One worker pass: recover stale jobs, then run the due ones
+   * @returns {Promise<number>} - Number of jobs run
+   */
+  async tick() {
+    // Leave jobs unclaimed until MongoDB is connected; running them now would only burn their retries
+    if (this.ticking || mongoose.connection.readyState !== 1) {
+      return 0;
+    }
+    
+    this.ticking = true;
+    
+    try {
+      await this.recoverStaleJobs();
+      
+      const jobs = await this.claimJobs();
+      
+      for (const job of jobs) {
+        await this.runJob(job);
+      }
+      
+      return jobs.length;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Start the worker loop
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('Error running automation jobs:', error));
+    }, AUTOMATION_JOB_POLL_SECONDS * 1000);
+    
+    // Don't keep the process alive just for the worker
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the worker loop
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new AutomationJobService(); 
\ No newline at end of file
@@ -5,6 +5,9 @@ const ICAL = require('ical.js');
 const moment = require('moment');
 const User = require('../models/User');
 
+// Titles of out of office events from providers that don't flag them
+const OUT_OF_OFFICE_TITLE = /\b(ooo|out of (the )?office|vacation|pto|on leave)\b/i;
+
 /**
  * Service for handling calendar integrations
  */
@@ -523,7 +526,8 @@ class CalendarService {
         allDay: !!event.start.date,
         recurrence: event.recurrence ? event.recurrence.join(';') : null,
         status: event.status,
-        makeUnavailable: true // Default to making user unavailable during this event
+        makeUnavailable: true, // Default to making user unavailable during this event
+        outOfOffice: event.eventType === 'outOfOffice'
       }));
     } catch (error) {
       console.error('Error fetching Google Calendar events:', error);
@@ -590,7 +594,8 @@ class CalendarService {
         allDay: event.isAllDay,
         recurrence: event.recurrence ? JSON.stringify(event.recurrence) : null,
         status: event.showAs === 'free' ? 'free' : 'busy',
-        makeUnavailable: event.showAs !== 'free' // Only make user unavailable if busy
+        makeUnavailable: event.showAs !== 'free', // Only make user unavailable if busy
+        outOfOffice: event.showAs === 'oof'
       }));
     } catch (error) {
       console.error('Error fetching Microsoft Calendar events:', error);
@@ -783,6 +788,36 @@ class CalendarService {
     return !!currentEvent;
   }
   
+  /**
+   * Check whether a cached event marks the user as out of office
+   * Providers without an out of office flag are matched on the event title
+   * @param {Object} event - Cached calendar event
+   * @returns {boolean} - Whether the event is an out of office event
+   */
+  isOutOfOfficeEvent(event) {
+    return Boolean(event.outOfOffice) || OUT_OF_OFFICE_TITLE.test(event.title || '');
+  }
+  
+  /**
+   * Get the out of office event the user is in right now
+   * @param {Object} user - User object
+   * @param {Date} now - Time to check (defaults to now)
+   * @returns {Object|null} - Current out of office event, or null
+   */
+  getOutOfOfficeEvent(user, now = new Date()) {
+    if (!user.calendarIntegration || !user.calendarIntegration.enabled) {
+      return null;
+    }
+    
+    const event = (user.calendarIntegration.events || []).find(e =>
+      e.status !== 'cancelled' &&
+      this.isOutOfOfficeEvent(e) &&
+      now >= e.startTime && now <= e.endTime
+    );
+    
+    return event || null;
+  }
+  
   /**
    * Disconnect calendar integration for a user
    * @param {string} userId - User ID
@@ -0,0 +1,323 @@
+const Call = require('../models/Call');
+const User = require('../models/User');
+
+// Allowed status changes; a call can always be updated without changing status
+const TRANSITIONS = {
+  initiated: ['ringing', 'queued', 'answered', 'forwarded', 'voicemail', 'completed', 'no-answer', 'busy', 'failed'],
+  ringing: ['queued', 'answered', 'forwarded', 'voicemail', 'completed', 'no-answer', 'busy', 'failed'],
+  queued: ['ringing', 'answered', 'forwarded', 'voicemail', 'completed', 'no-answer', 'failed'],
+  answered: ['queued', 'forwarded', 'voicemail', 'completed', 'failed'],
+  // Final states: forwarded and voicemail calls keep their status when they hang up
+  forwarded: [],
+  voicemail: [],
+  completed: [],
+  'no-answer': [],
+  busy: [],
+  failed: []
+};
+
+// Statuses for calls nobody has picked up yet
+const UNANSWERED_STATUSES = ['initiated', 'ringing', 'queued'];
+
+// Telnyx hangup causes for calls that were never answered
+const BUSY_CAUSES = ['user_busy', 'call_rejected'];
+const NO_ANSWER_CAUSES = ['timeout', 'originator_cancel', 'normal_clearing', 'no_answer', 'unanswered'];
+
+/**
+ * Service that moves Call records through their lifecycle from call control events
+ *
+ * Inbound calls are always answered by us (to play a menu, ring a group, queue...),
+ * so call.answered on an inbound call only records answerTime; the flow that connects
+ * the caller to a person marks it answered. Outbound calls and legs are answered by
+ * the far end, so call.answered moves them to answered.
+ *
+ * Outbound calls and legs that belong to a user (direct, forwarded, ring group, queue
+ * and find me legs, and calls the user places) mark the user onCall while they are
+ * answered, so queues don't offer calls to someone who is already talking.
+ */
+class CallLifecycleService {
+  /**
+   * Check whether a call may move from one status to another
+   * @param {string} from - Current status
+   * @param {string} to - New status
+   * @returns {boolean} - Whether the transition is allowed
+   */
+  canTransition(from, to) {
+    return from === to || (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Get the statuses a call may be in to move to a status
+   * @param {string} status - New status
+   * @returns {Array<string>} - Statuses
+   */
+  getAllowedFrom(status) {
+    return Object.keys(TRANSITIONS).filter(from => this.canTransition(from, status));
+  }
+
+  /**
+   * Move a call to a new status if the state machine allows it
+   * @param {string} callControlId - Call control ID
+   * @param {string} status - New status
+   * @param {Object} update - Other fields to set along with the status
+   * @param {Object} options - { from } to restrict the transition to fewer current statuses
+   * @returns {Promise<Object|null>} - Call as it was before the update, or null if it was not moved
+   */
+  async transition(callControlId, status, update = {}, options = {}) {
+    if (!TRANSITIONS[status]) {
+      throw new Error(`Unknown call status: ${status}`);
+    }
+    
+    const allowedFrom = this.getAllowedFrom(status)
+      .filter(from => !options.from || options.from.includes(from));
+    
+    return await Call.findOneAndUpdate(
+      { telnyxCallControlId: callControlId, status: { $in: allowedFrom } },
+      { ...update, status }
+    );
+  }
+
+  /**
+   * Record an outbound call or leg we are dialing
+   * @param {Object} callData - Call control information returned by Telnyx
+   * @param {Object} details - { from, to, userId, parentCallControlId, conferenceId, amd }
+   * @returns {Promise<Object>} - Call record
+   */
+  async trackOutboundCall(callData, details) {
+    const parent = details.parentCallControlId
+      ? await Call.findOne({ telnyxCallControlId: details.parentCallControlId })
+      : null;
+    
+    const call = new Call({
+      userId: details.userId || (parent ? parent.userId : undefined),
+      parentCallId: parent ? parent._id : undefined,
+      ringGroupId: parent ? parent.ringGroupId : undefined,
+      queueId: parent ? parent.queueId : undefined,
+      conferenceId: details.conferenceId,
+      amd: details.amd,
+      telnyxCallControlId: callData.call_control_id,
+      direction: 'outbound',
+      from: details.from,
+      to: details.to,
+      status: 'initiated',
+      startTime: new Date()
+    });
+    
+    try {
+      await call.save();
+    } catch (error) {
+      // The leg's first webhook got here first and created it (see findCall)
+      if (error.code === 11000) {
+        return await Call.findOne({ telnyxCallControlId: callData.call_control_id });
+      }
+      throw error;
+    }
+    
+    return call;
+  }
+
+  /**
+   * Find the call record for an event, creating it for transfer legs we have not seen yet
+   * @param {Object} event - Telnyx call event
+   * @param {Object} state - Decoded client_state ({ parent } links a leg to its parent call)
+   * @returns {Promise<Object|null>} - Call record
+   */
+  async findCall(event, state) {
+    const { call_control_id, from, to } = event.payload;
+    const call = await Call.findOne({ telnyxCallControlId: call_control_id });
+    
+    if (call || !state || !state.parent || event.payload.direction === 'incoming') {
+      return call;
+    }
+    
+    return await this.trackOutboundCall({ call_control_id }, {
+      from,
+      to,
+      userId: state.userId,
+      parentCallControlId: state.parent
+    });
+  }
+
+  /**
+   * Apply a call.initiated, call.answered or call.hangup event to its call record
+   * @param {Object} event - Telnyx event (req.body.data)
+   * @param {Object} state - Decoded client_state, or null
+   * @returns {Promise<Object>} - { status } after the event, or { status: null } for unknown calls
+   */
+  async handleEvent(event, state) {
+    try {
+      const call = await this.findCall(event, state);
+      
+      if (!call) {
+        return { status: null };
+      }
+      
+      const occurredAt = event.occurred_at ? new Date(event.occurred_at) : new Date();
+      
+      switch (event.event_type) {
+        case 'call.initiated':
+          // Outbound calls ring the far end as soon as they are placed
+          if (call.direction === 'outbound') {
+            await this.transition(call.telnyxCallControlId, 'ringing');
+            return { status: 'ringing' };
+          }
+          return { status: call.status };
+        
+        case 'call.answered':
+          return await this.handleAnswered(call, occurredAt);
+        
+        case 'call.hangup':
+          return await this.handleHangup(call, event.payload, occurredAt);
+        
+        default:
+          return { status: call.status };
+      }
+    } catch (error) {
+      console.error('Error updating call lifecycle:', error);
+      throw new Error(`Failed to update call lifecycle: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle call.answered
+   * @param {Object} call - Call record
+   * @param {Date} occurredAt - When the call was answered
+   * @returns {Promise<Object>} - { status }
+   */
+  async handleAnswered(call, occurredAt) {
+    const update = { answerTime: call.answerTime || occurredAt };
+    
+    // Answered after the hangup was processed (webhooks can arrive out of order)
+    if (call.endTime) {
+      update.duration = this.getDuration(update.answerTime, call.endTime);
+    }
+    
+    if (call.direction === 'outbound') {
+      const moved = await this.transition(call.telnyxCallControlId, 'answered', update);
+      
+      if (moved) {
+        if (!call.endTime) {
+          await this.markUserOnCall(call);
+        }
+        return { status: 'answered' };
+      }
+    }
+    
+    await Call.findByIdAndUpdate(call._id, update);
+    return { status: call.status };
+  }
+
+  /**
+   * Handle call.hangup: pick the final status from the current status and hangup cause
+   * @param {Object} call - Call record
+   * @param {Object} payload - Event payload
+   * @param {Date} occurredAt - When the call ended
+   * @returns {Promise<Object>} - { status }
+   */
+  async handleHangup(call, payload, occurredAt) {
+    const endTime = payload.end_time ? new Date(payload.end_time) : occurredAt;
+    const update = {
+      endTime,
+      hangupCause: payload.hangup_cause,
+      duration: this.getDuration(call.answerTime, endTime)
+    };
+    
+    const status = this.getHangupStatus(call, payload.hangup_cause);
+    const moved = await this.transition(call.telnyxCallControlId, status, update);
+    
+    if (call.answerTime) {
+      await this.releaseUser(call);
+    }
+    
+    if (moved) {
+      return { status };
+    }
+    
+    // Final status already set (forwarded, voicemail...), just record the end of the call
+    await Call.findByIdAndUpdate(call._id, update);
+    return { status: call.status };
+  }
+
+  /**
+   * Mark the user an answered outbound call or leg belongs to as on a call
+   * @param {Object} call - Call record
+   * @returns {Promise<void>}
+   */
+  async markUserOnCall(call) {
+    if (call.direction !== 'outbound' || !call.userId) {
+      return;
+    }
+    
+    await User.findByIdAndUpdate(call.userId, { onCall: true });
+  }
+
+  /**
+   * Mark the user free once their answered call or leg ends, unless another one is still ringing or up
+   * @param {Object} call - Call record that ended
+   * @returns {Promise<void>}
+   */
+  async releaseUser(call) {
+    if (call.direction !== 'outbound' || !call.userId) {
+      return;
+    }
+    
+    const stillOnCall = await Call.exists({
+      _id: { $ne: call._id },
+      userId: call.userId,
+      direction: 'outbound',
+      status: { $in: ['ringing', 'answered'] },
+      endTime: null
+    });
+    
+    if (!stillOnCall) {
+      await User.findByIdAndUpdate(call.userId, { onCall: false, lastCallEndedAt: new Date() });
+    }
+  }
+
+  /**
+   * Work out the status a call should end in
+   * @param {Object} call - Call record
+   * @param {string} hangupCause - Telnyx hangup cause
+   * @returns {string} - Final status
+   */
+  getHangupStatus(call, hangupCause) {
+    if (!UNANSWERED_STATUSES.includes(call.status)) {
+      return call.status === 'answered' ? 'completed' : call.status;
+    }
+    
+    if (BUSY_CAUSES.includes(hangupCause)) {
+      return 'busy';
+    }
+    
+    if (NO_ANSWER_CAUSES.includes(hangupCause)) {
+      return 'no-answer';
+    }
+    
+    return 'failed';
+  }
+
+  /**
+   * Get the talk time of a call in seconds
+   * @param {Date} answerTime - When the call was answered
+   * @param {Date} endTime - When the call ended
+   * @returns {number} - Duration in seconds (0 for unanswered calls)
+   */
+  getDuration(answerTime, endTime) {
+    if (!answerTime || !endTime) {
+      return 0;
+    }
+    
+    return Math.max(0, Math.round((new Date(endTime) - new Date(answerTime)) / 1000));
+  }
+
+  /**
+   * Get the legs dialed or transferred on behalf of a call
+   * @param {string} callId - Call ID
+   * @returns {Promise<Array>} - Child calls
+   */
+  async getChildCalls(callId) {
+    return await Call.find({ parentCallId: callId }).sort({ startTime: 1 });
+  }
+}
+
+module.exports = new CallLifecycleService(); 
\ No newline at end of file
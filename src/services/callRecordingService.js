@@ -0,0 +1,284 @@
+const Call = require('../models/Call');
+const CallRecording = require('../models/CallRecording');
+const telnyxService = require('./telnyxService');
+const { getStateForNumber } = require('../utils/areaCodes');
+const { createError } = require('../utils/errorHandler');
+
+// States where everyone on a call must consent to it being recorded (override with TWO_PARTY_CONSENT_STATES)
+const DEFAULT_TWO_PARTY_CONSENT_STATES = ['CA', 'CT', 'DE', 'FL', 'IL', 'MA', 'MD', 'MI', 'MT', 'NH', 'NV', 'PA', 'WA'];
+
+// Announcements played before recording starts (override with RECORDING_CONSENT_MESSAGE / RECORDING_CONSENT_TWO_PARTY_MESSAGE)
+const DEFAULT_CONSENT_MESSAGE = 'This call is being recorded.';
+const DEFAULT_TWO_PARTY_CONSENT_MESSAGE = 'This call is being recorded. By staying on the line you consent to the recording. If you do not consent, please hang up now.';
+
+// Recordings that are still running on their call
+const ACTIVE_STATUSES = ['announcing', 'recording', 'paused'];
+
+// Call statuses with two parties talking
+const LIVE_CALL_STATUSES = ['answered', 'forwarded'];
+
+/**
+ * Service for on-demand recording of live calls
+ *
+ * Every recording starts with a consent announcement to the other party. The wording
+ * depends on whether their state (from the area code) requires all-party consent;
+ * numbers we can't place get the all-party wording. Recording starts when the
+ * announcement finishes.
+ */
+class CallRecordingService {
+  /**
+   * Get the states that require all-party consent
+   * @returns {Array<string>} - Two-letter state codes
+   */
+  getTwoPartyStates() {
+    if (!process.env.TWO_PARTY_CONSENT_STATES) {
+      return DEFAULT_TWO_PARTY_CONSENT_STATES;
+    }
+    
+    return process.env.TWO_PARTY_CONSENT_STATES.split(',').map(state => state.trim().toUpperCase());
+  }
+
+  /**
+   * Work out the consent requirement and announcement for the other party on a call
+   * @param {Object} call - Call record
+   * @returns {Object} - { state, requirement, announcement }
+   */
+  getConsent(call) {
+    const otherParty = call.direction === 'inbound' ? call.from : call.to;
+    const state = getStateForNumber(otherParty);
+    const twoParty = !state || this.getTwoPartyStates().includes(state);
+    
+    return {
+      state: state || undefined,
+      requirement: twoParty ? 'two_party' : 'one_party',
+      announcement: twoParty
+        ? process.env.RECORDING_CONSENT_TWO_PARTY_MESSAGE || DEFAULT_TWO_PARTY_CONSENT_MESSAGE
+        : process.env.RECORDING_CONSENT_MESSAGE || DEFAULT_CONSENT_MESSAGE
+    };
+  }
+
+  /**
+   * Get the recordings made on a call
+   * @param {string} callId - Call ID
+   * @returns {Promise<Array>} - Recordings, oldest first
+   */
+  async getRecordings(callId) {
+    return await CallRecording.find({ callId }).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Get a call's running recording, failing if there is none in one of the expected statuses
+   * @param {string} callId - Call ID
+   * @param {Array<string>} statuses - Expected statuses
+   * @returns {Promise<Object>} - Recording
+   */
+  async getActiveRecording(callId, statuses) {
+    const recording = await CallRecording.findOne({ callId, status: { $in: ACTIVE_STATUSES } });
+    
+    if (!recording || !statuses.includes(recording.status)) {
+      throw createError(
+        recording ? `The recording is ${recording.status}` : 'The call is not being recorded',
+        409
+      );
+    }
+    
+    return recording;
+  }
+
+  /**
+   * Play the consent announcement on a live call; recording starts when it ends
+   * @param {string} callId - Call ID
+   * @param {string} userId - User asking for the recording
+   * @returns {Promise<Object>} - Recording
+   */
+  async start(callId, userId) {
+    const call = await Call.findById(callId);
+    
+    if (!call) {
+      throw createError('Call not found', 404);
+    }
+    
+    if (!LIVE_CALL_STATUSES.includes(call.status) || call.endTime) {
+      throw createError('Only live calls can be recorded', 409);
+    }
+    
+    const existing = await CallRecording.findOne({ callId: call._id, status: { $in: ACTIVE_STATUSES } });
+    
+    if (existing) {
+      throw createError('The call is already being recorded', 409);
+    }
+    
+    const consent = this.getConsent(call);
+    const recording = await CallRecording.create({
+      callId: call._id,
+      callControlId: call.telnyxCallControlId,
+      startedBy: userId,
+      status: 'announcing',
+      consent
+    });
+    
+    try {
+      await telnyxService.sendCallCommand(call.telnyxCallControlId, 'speak', {
+        payload: consent.announcement,
+        voice: 'female',
+        language: 'en-US'
+      });
+    } catch (error) {
+      await CallRecording.findByIdAndUpdate(recording._id, { status: 'cancelled', 'consent.status': 'failed' });
+      throw error;
+    }
+    
+    return recording;
+  }
+
+  /**
+   * Start recording once the consent announcement has been spoken
+   * @param {Object} event - call.speak.ended event
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleAnnouncementEnded(event) {
+    const now = new Date();
+    const recording = await CallRecording.findOneAndUpdate(
+      { callControlId: event.payload.call_control_id, status: 'announcing' },
+      { status: 'recording', startedAt: now, 'consent.status': 'announced', 'consent.announcedAt': now },
+      { new: true }
+    );
+    
+    if (!recording) {
+      return { action: 'none' };
+    }
+    
+    try {
+      await telnyxService.sendCallCommand(recording.callControlId, 'record_start', {
+        format: 'mp3',
+        channels: 'dual'
+      });
+    } catch (error) {
+      await CallRecording.findByIdAndUpdate(recording._id, { status: 'cancelled' });
+      throw error;
+    }
+    
+    return { action: 'recording_started' };
+  }
+
+  /**
+   * Pause a call's recording
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} - Updated recording
+   */
+  async pause(callId) {
+    const recording = await this.getActiveRecording(callId, ['recording']);
+    
+    await telnyxService.sendCallCommand(recording.callControlId, 'record_pause');
+    
+    return await CallRecording.findByIdAndUpdate(
+      recording._id,
+      { status: 'paused', $push: { pauses: { pausedAt: new Date() } } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Resume a paused recording
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} - Updated recording
+   */
+  async resume(callId) {
+    const recording = await this.getActiveRecording(callId, ['paused']);
+    
+    await telnyxService.sendCallCommand(recording.callControlId, 'record_resume');
+    
+    recording.status = 'recording';
+    recording.pauses[recording.pauses.length - 1].resumedAt = new Date();
+    await recording.save();
+    
+    return recording;
+  }
+
+  /**
+   * Stop a call's recording (or cancel it while the announcement plays)
+   * The recording URL arrives with call.recording.saved
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} - Updated recording
+   */
+  async stop(callId) {
+    const recording = await this.getActiveRecording(callId, ACTIVE_STATUSES);
+    
+    if (recording.status === 'announcing') {
+      return await CallRecording.findByIdAndUpdate(recording._id, { status: 'cancelled' }, { new: true });
+    }
+    
+    await telnyxService.sendCallCommand(recording.callControlId, 'record_stop');
+    
+    return await this.markStopped(recording, new Date());
+  }
+
+  /**
+   * Mark a recording stopped, closing any open pause
+   * @param {Object} recording - Recording
+   * @param {Date} stoppedAt - When it stopped
+   * @returns {Promise<Object>} - Updated recording
+   */
+  async markStopped(recording, stoppedAt) {
+    const openPause = recording.pauses.find(pause => !pause.resumedAt);
+    
+    if (openPause) {
+      openPause.resumedAt = stoppedAt;
+    }
+    
+    recording.status = 'stopped';
+    recording.stoppedAt = stoppedAt;
+    await recording.save();
+    
+    return recording;
+  }
+
+  /**
+   * Close out a recording when its call hangs up (Telnyx stops recording on hangup)
+   * @param {Object} event - call.hangup event
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleCallHangup(event) {
+    const recording = await CallRecording.findOne({
+      callControlId: event.payload.call_control_id,
+      status: { $in: ACTIVE_STATUSES }
+    });
+    
+    if (!recording) {
+      return { action: 'none' };
+    }
+    
+    const endedAt = event.occurred_at ? new Date(event.occurred_at) : new Date();
+    
+    if (recording.status === 'announcing') {
+      // Hung up during the announcement: nothing was recorded
+      await CallRecording.findByIdAndUpdate(recording._id, { status: 'cancelled', 'consent.status': 'failed' });
+      return { action: 'cancelled' };
+    }
+    
+    await this.markStopped(recording, endedAt);
+    
+    return { action: 'stopped' };
+  }
+
+  /**
+   * Attach a saved recording to the on-demand recording it belongs to
+   * @param {Object} event - call.recording.saved event
+   * @returns {Promise<Object|null>} - Recording, or null if the recording is not one of ours (voicemail)
+   */
+  async handleRecordingSaved(event) {
+    const { call_control_id, recording_urls } = event.payload;
+    
+    return await CallRecording.findOneAndUpdate(
+      { callControlId: call_control_id, status: { $in: ['recording', 'paused', 'stopped'] } },
+      {
+        status: 'saved',
+        recordingUrl: recording_urls?.mp3,
+        duration: event.payload.recording_duration_sec || 0
+      },
+      { new: true, sort: { createdAt: 1 } }
+    );
+  }
+}
+
+module.exports = new CallRecordingService(); 
\ No newline at end of file
@@ -0,0 +1,229 @@
+const CallerRule = require('../models/CallerRule');
+const Call = require('../models/Call');
+const User = require('../models/User');
+const RingGroup = require('../models/RingGroup');
+const telnyxService = require('./telnyxService');
+const ringGroupService = require('./ringGroupService');
+const routingService = require('./routingService');
+const { normalizeNumber } = require('../utils/phoneNumber');
+
+// Rules that decide where a call goes instead of the dialed number
+const TAKEOVER_ACTIONS = ['block', 'route'];
+
+// Exact numbers beat any prefix; an area code counts as a +1NXX prefix
+const NUMBER_SPECIFICITY = 100;
+const AREA_CODE_SPECIFICITY = 4;
+
+/**
+ * Service for matching callers against blocklist, allowlist, VIP and route rules
+ *
+ * A user's own rules are checked before firm-wide rules (rules without a user);
+ * within each set the most specific match wins, so an allow rule for one number
+ * can punch a hole in a block rule for its prefix or area code.
+ */
+class CallerRuleService {
+  /**
+   * Normalize a number to E.164, assuming +1 for ten digit numbers
+   * @param {string} number - Phone number
+   * @returns {string} - E.164 number, or an empty string
+   */
+  normalizeNumber(number) {
+    return normalizeNumber(number);
+  }
+
+  /**
+   * Check whether a rule matches a caller
+   * @param {Object} rule - Caller rule
+   * @param {string} number - Caller's E.164 number
+   * @returns {boolean} - Whether the rule applies
+   */
+  matches(rule, number) {
+    const pattern = String(rule.pattern || '').replace(/\D/g, '');
+    
+    if (!pattern || !number) {
+      return false;
+    }
+    
+    switch (rule.matchType) {
+      case 'number':
+        return this.normalizeNumber(rule.pattern) === number;
+      case 'prefix':
+        return number.startsWith(`+${pattern}`);
+      case 'area_code':
+        return number.startsWith(`+1${pattern}`);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Get how specific a rule's pattern is, higher wins
+   * @param {Object} rule - Caller rule
+   * @returns {number} - Specificity
+   */
+  getSpecificity(rule) {
+    if (rule.matchType === 'number') {
+      return NUMBER_SPECIFICITY;
+    }
+    
+    if (rule.matchType === 'area_code') {
+      return AREA_CODE_SPECIFICITY;
+    }
+    
+    return String(rule.pattern || '').replace(/\D/g, '').length;
+  }
+
+  /**
+   * Find the rule that applies to a caller
+   * @param {string} from - Caller's number
+   * @param {string} userId - User whose number was called (null for group and queue numbers)
+   * @returns {Promise<Object|null>} - Matching rule, or null
+   */
+  async findMatchingRule(from, userId = null) {
+    const number = this.normalizeNumber(from);
+    
+    if (!number) {
+      return null;
+    }
+    
+    const scopes = userId ? [userId, null] : [null];
+    const rules = await CallerRule.find({ userId: { $in: scopes }, isActive: true }).sort({ createdAt: -1 });
+    
+    const matching = rules
+      .filter(rule => this.matches(rule, number))
+      .sort((a, b) => {
+        // User rules first, then the most specific pattern; newest wins ties (stable sort)
+        const scope = Number(!a.userId) - Number(!b.userId);
+        return scope || this.getSpecificity(b) - this.getSpecificity(a);
+      });
+    
+    return matching[0] || null;
+  }
+
+  /**
+   * Check whether the caller of a number is blocked
+   * @param {string} from - Caller's number
+   * @param {string} userId - User whose number was called
+   * @returns {Promise<boolean>} - Whether the caller is blocked
+   */
+  async isBlocked(from, userId = null) {
+    const rule = await this.findMatchingRule(from, userId);
+    return Boolean(rule && rule.action === 'block');
+  }
+
+  /**
+   * Apply a block or route rule to an inbound call that has not been answered yet
+   * Allow and VIP rules leave the call to normal handling
+   * @param {Object} rule - Matching caller rule
+   * @param {Object} call - Call record of the inbound call
+   * @returns {Promise<Object|null>} - { action }, or null if the call should be handled normally
+   */
+  async applyToCall(rule, call) {
+    try {
+      const callControlId = call.telnyxCallControlId;
+      
+      await Call.findByIdAndUpdate(call._id, { callerRule: { ruleId: rule._id, action: rule.action } });
+      
+      if (!TAKEOVER_ACTIONS.includes(rule.action)) {
+        return null;
+      }
+      
+      if (rule.action === 'block') {
+        await telnyxService.sendCallCommand(callControlId, 'reject', { cause: 'CALL_REJECTED' });
+        return { action: 'blocked' };
+      }
+      
+      const route = rule.route || {};
+      
+      switch (route.type) {
+        case 'user': {
+          const user = await User.findById(route.userId);
+          
+          if (!user) {
+            console.error(`Caller rule ${rule._id} routes to a missing user`);
+            return null;
+          }
+          
+          await Call.findByIdAndUpdate(call._id, { userId: user._id });
+          return await telnyxService.handleIncomingCall(user, callControlId);
+        }
+        
+        case 'ring_group': {
+          const group = await RingGroup.findOne({ _id: route.ringGroupId, isActive: true });
+          
+          if (!group) {
+            console.error(`Caller rule ${rule._id} routes to a missing or inactive ring group`);
+            return null;
+          }
+          
+          await Call.findByIdAndUpdate(call._id, { ringGroupId: group._id });
+          return await ringGroupService.startCall(group, callControlId);
+        }
+        
+        case 'voicemail': {
+          const userId = route.userId || rule.userId;
+          
+          if (!userId || !(await User.exists({ _id: userId }))) {
+            console.error(`Caller rule ${rule._id} routes to a missing voicemail box`);
+            return null;
+          }
+          
+          await Call.findByIdAndUpdate(call._id, { userId });
+          await telnyxService.sendCallCommand(callControlId, 'answer');
+          
+          return await routingService.routeToTarget(callControlId, { type: 'voicemail', userId }, {
+            from: call.from,
+            to: call.to,
+            source: `caller rule ${rule._id}`
+          });
+        }
+        
+        default:
+          return null;
+      }
+    } catch (error) {
+      console.error('Error applying caller rule:', error);
+      throw new Error(`Failed to apply caller rule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate a caller rule
+   * @param {Object} rule - Caller rule data
+   * @returns {Array<string>} - Validation errors
+   */
+  validateRule(rule) {
+    const errors = [];
+    const digits = String(rule.pattern || '').replace(/\D/g, '');
+    
+    if (!['number', 'prefix', 'area_code'].includes(rule.matchType)) {
+      errors.push('Match type must be number, prefix or area_code');
+    }
+    if (!['block', 'allow', 'vip', 'route'].includes(rule.action)) {
+      errors.push('Action must be block, allow, vip or route');
+    }
+    
+    if (!digits) errors.push('Pattern is required');
+    if (rule.matchType === 'number' && digits && !this.normalizeNumber(rule.pattern).match(/^\+\d{8,15}$/)) {
+      errors.push('Number rules need an E.164 number');
+    }
+    if (rule.matchType === 'area_code' && digits.length !== 3) errors.push('Area code rules need a three digit area code');
+    
+    if (rule.action === 'route') {
+      const route = rule.route || {};
+      
+      if (!['user', 'ring_group', 'voicemail'].includes(route.type)) {
+        errors.push('Route rules need a route type of user, ring_group or voicemail');
+      }
+      if (route.type === 'user' && !route.userId) errors.push('User routes need a userId');
+      if (route.type === 'ring_group' && !route.ringGroupId) errors.push('Ring group routes need a ringGroupId');
+      if (route.type === 'voicemail' && !route.userId && !rule.userId) {
+        errors.push('Firm-wide voicemail routes need a userId');
+      }
+    }
+    
+    return errors;
+  }
+}
+
+module.exports = new CallerRuleService(); 
\ No newline at end of file
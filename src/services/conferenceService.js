@@ -0,0 +1,532 @@
+const Conference = require('../models/Conference');
+const ConferenceParticipant = require('../models/ConferenceParticipant');
+const Call = require('../models/Call');
+const User = require('../models/User');
+const telnyxService = require('./telnyxService');
+const callLifecycleService = require('./callLifecycleService');
+const warmTransferService = require('./warmTransferService');
+const { encodeClientState } = require('../utils/clientState');
+const { emitToUser } = require('../utils/socket');
+const { createError } = require('../utils/errorHandler');
+
+// Participants still on (or on their way into) the conference
+const LIVE_STATUSES = ['dialing', 'waiting', 'joining', 'joined'];
+
+// How long a dialed participant's phone rings
+const PARTICIPANT_RING_TIMEOUT_SECONDS = 30;
+
+/**
+ * Service for conference bridges
+ *
+ * Telnyx creates a conference from a live call, so the conference record starts out
+ * pending and the first participant to be connected creates it. Participants who
+ * answer while it is being created wait and are joined once it exists.
+ */
+class ConferenceService {
+  /**
+   * Get a conference, failing with a 404 if it does not exist
+   * @param {string} conferenceId - Conference ID
+   * @returns {Promise<Object>} - Conference record
+   */
+  async getConference(conferenceId) {
+    const conference = await Conference.findById(conferenceId);
+    
+    if (!conference) {
+      throw createError('Conference not found', 404);
+    }
+    
+    return conference;
+  }
+
+  /**
+   * Get a participant of a conference, failing with a 404 if it does not exist
+   * @param {Object} conference - Conference record
+   * @param {string} participantId - Participant ID
+   * @returns {Promise<Object>} - Participant record
+   */
+  async getParticipant(conference, participantId) {
+    const participant = await ConferenceParticipant.findOne({ _id: participantId, conferenceId: conference._id });
+    
+    if (!participant) {
+      throw createError('Participant not found', 404);
+    }
+    
+    return participant;
+  }
+
+  /**
+   * Get a conference together with its participants
+   * @param {Object} conference - Conference record
+   * @returns {Promise<Object>} - { conference, participants }
+   */
+  async getSnapshot(conference) {
+    const participants = await ConferenceParticipant.find({ conferenceId: conference._id }).sort({ createdAt: 1 });
+    
+    return { conference, participants };
+  }
+
+  /**
+   * Push the conference state to its organiser's Socket.IO room
+   * @param {string} conferenceId - Conference ID
+   * @returns {Promise<void>}
+   */
+  async notify(conferenceId) {
+    const conference = await Conference.findById(conferenceId);
+    
+    if (conference) {
+      emitToUser(conference.createdBy, 'conference-update', await this.getSnapshot(conference));
+    }
+  }
+
+  /**
+   * Create a conference and bring in its first participants
+   * @param {Object} data - { name, userId, participants: [{ userId, to, callId, label }] }
+   * @returns {Promise<Object>} - { conference, participants }
+   */
+  async createConference(data) {
+    const user = await User.findById(data.userId);
+    
+    if (!user || !user.telnyxPhoneNumber) {
+      throw createError('User not found or has no phone number to dial from');
+    }
+    
+    const conference = new Conference({
+      name: data.name,
+      createdBy: user._id,
+      phoneNumber: user.telnyxPhoneNumber
+    });
+    
+    await conference.save();
+    
+    for (const target of data.participants || []) {
+      await this.addParticipant(conference._id, target);
+    }
+    
+    return await this.getSnapshot(await Conference.findById(conference._id));
+  }
+
+  /**
+   * Dial a participant, or join one of our existing calls into the conference
+   * @param {string} conferenceId - Conference ID
+   * @param {Object} target - { userId, to, label } to dial, or { callId, label } to join a call
+   * @returns {Promise<Array>} - Participant records added
+   */
+  async addParticipant(conferenceId, target = {}) {
+    const conference = await this.getConference(conferenceId);
+    
+    if (conference.status === 'ended') {
+      throw createError('The conference has ended', 409);
+    }
+    
+    const participants = target.callId
+      ? await this.joinCall(conference, target)
+      : [await this.dialParticipant(conference, target)];
+    
+    await this.notify(conference._id);
+    
+    return participants;
+  }
+
+  /**
+   * Dial a user or number into the conference
+   * The leg is joined when it answers (see handleEvent)
+   * @param {Object} conference - Conference record
+   * @param {Object} target - { userId } or { to }, plus an optional label
+   * @returns {Promise<Object>} - Participant record
+   */
+  async dialParticipant(conference, target) {
+    let to = target.to;
+    
+    if (target.userId) {
+      const user = await User.findById(target.userId);
+      
+      if (!user || !user.phoneNumber) {
+        throw createError('Participant user not found or has no phone number');
+      }
+      
+      to = user.phoneNumber;
+    }
+    
+    if (!to) {
+      throw createError('A userId, "to" number or callId is required for each participant');
+    }
+    
+    const leg = await telnyxService.makeOutboundCall(conference.phoneNumber, to, {
+      timeout_secs: PARTICIPANT_RING_TIMEOUT_SECONDS,
+      client_state: encodeClientState({
+        flow: 'conference',
+        conferenceId: String(conference._id),
+        userId: target.userId
+      }),
+      webhook_url: process.env.WEBHOOK_URL
+    });
+    
+    const call = await callLifecycleService.trackOutboundCall(leg, {
+      from: conference.phoneNumber,
+      to,
+      userId: target.userId,
+      conferenceId: conference._id
+    });
+    
+    return await ConferenceParticipant.create({
+      conferenceId: conference._id,
+      callControlId: leg.call_control_id,
+      callId: call._id,
+      userId: target.userId,
+      to,
+      label: target.label,
+      status: 'dialing'
+    });
+  }
+
+  /**
+   * Join an existing call into the conference
+   * A caller connected through a ring group or queue brings the agent they are talking to
+   * @param {Object} conference - Conference record
+   * @param {Object} target - { callId, label }
+   * @returns {Promise<Array>} - Participant records
+   */
+  async joinCall(conference, target) {
+    const call = await Call.findById(target.callId);
+    
+    if (!call) {
+      throw createError('Call not found', 404);
+    }
+    
+    if (call.endTime || call.conferenceId) {
+      throw createError('The call has ended or is already in a conference', 409);
+    }
+    
+    const participants = [await this.addCallLeg(conference, call.telnyxCallControlId, {
+      callId: call._id,
+      to: call.direction === 'inbound' ? call.from : call.to,
+      label: target.label
+    })];
+    
+    // Once the caller leaves the bridge the agent's leg is parked, so bring it along
+    const agentCallControlId = await warmTransferService.findAgentLeg(call);
+    
+    if (agentCallControlId) {
+      participants.push(await this.addCallLeg(conference, agentCallControlId, { userId: call.userId }));
+    }
+    
+    return participants;
+  }
+
+  /**
+   * Record a live leg as a participant and connect it
+   * @param {Object} conference - Conference record
+   * @param {string} callControlId - Call control ID of the leg
+   * @param {Object} details - { callId, userId, to, label }
+   * @returns {Promise<Object>} - Participant record
+   */
+  async addCallLeg(conference, callControlId, details) {
+    await Call.findOneAndUpdate({ telnyxCallControlId: callControlId }, { conferenceId: conference._id });
+    
+    const participant = await ConferenceParticipant.create({
+      conferenceId: conference._id,
+      callControlId,
+      ...details,
+      status: 'waiting'
+    });
+    
+    await this.connectParticipant(conference._id, participant);
+    
+    return await ConferenceParticipant.findById(participant._id);
+  }
+
+  /**
+   * Connect a waiting participant, creating the Telnyx conference if nobody has yet
+   * @param {string} conferenceId - Conference ID
+   * @param {Object} participant - Participant record in the waiting status
+   * @returns {Promise<void>}
+   */
+  async connectParticipant(conferenceId, participant) {
+    const starting = await Conference.findOneAndUpdate(
+      { _id: conferenceId, status: 'pending' },
+      { status: 'starting' },
+      { new: true }
+    );
+    
+    if (starting) {
+      return await this.startConference(starting, participant);
+    }
+    
+    // Someone else is creating it: join now if they finished, otherwise they will pick us up
+    const conference = await Conference.findById(conferenceId);
+    
+    if (conference && conference.telnyxConferenceId) {
+      await this.joinParticipant(conference, participant);
+    }
+  }
+
+  /**
+   * Create the Telnyx conference from a participant's call and join everyone waiting
+   * @param {Object} conference - Conference record in the starting status
+   * @param {Object} participant - Participant whose call creates the conference
+   * @returns {Promise<void>}
+   */
+  async startConference(conference, participant) {
+    await ConferenceParticipant.findByIdAndUpdate(participant._id, { status: 'joining' });
+    
+    let created;
+    
+    try {
+      created = await telnyxService.createConference({
+        call_control_id: participant.callControlId,
+        name: conference.name,
+        beep_enabled: 'always',
+        start_conference_on_create: true
+      });
+    } catch (error) {
+      // Let the next participant to answer try again
+      await Conference.findByIdAndUpdate(conference._id, { status: 'pending' });
+      await ConferenceParticipant.findByIdAndUpdate(participant._id, { status: 'failed' });
+      throw error;
+    }
+    
+    const active = await Conference.findByIdAndUpdate(
+      conference._id,
+      { telnyxConferenceId: created.id, status: 'active', startedAt: new Date() },
+      { new: true }
+    );
+    
+    const waiting = await ConferenceParticipant.find({ conferenceId: conference._id, status: 'waiting' });
+    
+    for (const other of waiting) {
+      try {
+        await this.joinParticipant(active, other);
+      } catch (error) {
+        console.error(`Error joining participant ${other._id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Join a waiting participant into a running conference
+   * @param {Object} conference - Conference record with a Telnyx conference ID
+   * @param {Object} participant - Participant record
+   * @returns {Promise<void>}
+   */
+  async joinParticipant(conference, participant) {
+    // Claim the participant so it is joined only once
+    const claimed = await ConferenceParticipant.findOneAndUpdate(
+      { _id: participant._id, status: 'waiting' },
+      { status: 'joining' }
+    );
+    
+    if (!claimed) {
+      return;
+    }
+    
+    await telnyxService.sendConferenceCommand(conference.telnyxConferenceId, 'join', {
+      call_control_id: participant.callControlId,
+      mute: participant.muted
+    });
+  }
+
+  /**
+   * Handle call events for dialed participant legs (flow: 'conference')
+   * @param {Object} event - Telnyx event (req.body.data)
+   * @param {Object} state - Decoded client_state ({ conferenceId })
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleEvent(event, state) {
+    try {
+      const legId = event.payload.call_control_id;
+      
+      if (event.event_type === 'call.answered') {
+        const participant = await ConferenceParticipant.findOneAndUpdate(
+          { callControlId: legId, status: 'dialing' },
+          { status: 'waiting' },
+          { new: true }
+        );
+        
+        if (!participant) {
+          return { action: 'none' };
+        }
+        
+        await this.connectParticipant(state.conferenceId, participant);
+        await this.notify(state.conferenceId);
+        
+        return { action: 'joining' };
+      }
+      
+      if (event.event_type === 'call.hangup') {
+        // Rang out or declined; legs that made it in are marked by conference.participant.left
+        const failed = await ConferenceParticipant.findOneAndUpdate(
+          { callControlId: legId, status: { $in: ['dialing', 'waiting', 'joining'] } },
+          { status: 'failed', leftAt: new Date() }
+        );
+        
+        if (failed) {
+          await this.notify(state.conferenceId);
+          return { action: 'failed' };
+        }
+      }
+      
+      return { action: 'none' };
+    } catch (error) {
+      console.error('Error handling conference call event:', error);
+      throw new Error(`Failed to handle conference call event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply a conference.* webhook to the conference and its participants
+   * @param {Object} event - Telnyx event (req.body.data)
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleConferenceEvent(event) {
+    try {
+      const payload = event.payload;
+      const occurredAt = event.occurred_at ? new Date(event.occurred_at) : new Date();
+      const conference = await Conference.findOne({ telnyxConferenceId: payload.conference_id });
+      
+      if (!conference) {
+        return { action: 'none' };
+      }
+      
+      switch (event.event_type) {
+        case 'conference.created':
+          await Conference.updateOne(
+            { _id: conference._id, status: { $ne: 'ended' } },
+            { status: 'active', startedAt: conference.startedAt || occurredAt }
+          );
+          break;
+        
+        case 'conference.participant.joined':
+          await ConferenceParticipant.findOneAndUpdate(
+            { conferenceId: conference._id, callControlId: payload.call_control_id },
+            { status: 'joined', joinedAt: occurredAt }
+          );
+          break;
+        
+        case 'conference.participant.left':
+          await ConferenceParticipant.findOneAndUpdate(
+            { conferenceId: conference._id, callControlId: payload.call_control_id },
+            { status: 'left', leftAt: occurredAt }
+          );
+          break;
+        
+        case 'conference.ended':
+          await Conference.findByIdAndUpdate(conference._id, {
+            status: 'ended',
+            isRecording: false,
+            endedAt: occurredAt,
+            endReason: payload.reason
+          });
+          await ConferenceParticipant.updateMany(
+            { conferenceId: conference._id, status: { $in: LIVE_STATUSES } },
+            { status: 'left', leftAt: occurredAt }
+          );
+          break;
+        
+        case 'conference.recording.saved':
+          await Conference.findByIdAndUpdate(conference._id, {
+            isRecording: false,
+            recordingUrl: payload.recording_urls?.mp3 || payload.public_recording_urls?.mp3
+          });
+          break;
+        
+        default:
+          return { action: 'none' };
+      }
+      
+      await this.notify(conference._id);
+      
+      return { action: event.event_type.replace('conference.', '') };
+    } catch (error) {
+      console.error('Error handling conference event:', error);
+      throw new Error(`Failed to handle conference event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a running conference and one of its participants who is in it
+   * @param {string} conferenceId - Conference ID
+   * @param {string} participantId - Participant ID
+   * @returns {Promise<Object>} - { conference, participant }
+   */
+  async getJoinedParticipant(conferenceId, participantId) {
+    const conference = await this.getConference(conferenceId);
+    const participant = await this.getParticipant(conference, participantId);
+    
+    if (conference.status !== 'active' || participant.status !== 'joined') {
+      throw createError('The participant is not in the conference', 409);
+    }
+    
+    return { conference, participant };
+  }
+
+  /**
+   * Mute or unmute a participant
+   * @param {string} conferenceId - Conference ID
+   * @param {string} participantId - Participant ID
+   * @param {boolean} muted - Whether the participant should be muted
+   * @returns {Promise<Object>} - Updated participant
+   */
+  async setMuted(conferenceId, participantId, muted) {
+    const { conference, participant } = await this.getJoinedParticipant(conferenceId, participantId);
+    
+    await telnyxService.sendConferenceCommand(conference.telnyxConferenceId, muted ? 'mute' : 'unmute', {
+      call_control_ids: [participant.callControlId]
+    });
+    
+    const updated = await ConferenceParticipant.findByIdAndUpdate(participant._id, { muted }, { new: true });
+    await this.notify(conference._id);
+    
+    return updated;
+  }
+
+  /**
+   * Remove a participant by hanging up their leg
+   * @param {string} conferenceId - Conference ID
+   * @param {string} participantId - Participant ID
+   * @returns {Promise<Object>} - Participant (marked left by the webhooks that follow)
+   */
+  async kick(conferenceId, participantId) {
+    const conference = await this.getConference(conferenceId);
+    const participant = await this.getParticipant(conference, participantId);
+    
+    if (!LIVE_STATUSES.includes(participant.status)) {
+      throw createError('The participant has already left', 409);
+    }
+    
+    await telnyxService.sendCallCommand(participant.callControlId, 'hangup');
+    
+    return participant;
+  }
+
+  /**
+   * Start or stop recording the whole conference
+   * The recording arrives with conference.recording.saved
+   * @param {string} conferenceId - Conference ID
+   * @param {boolean} recording - Whether to start (true) or stop (false) recording
+   * @returns {Promise<Object>} - Updated conference
+   */
+  async setRecording(conferenceId, recording) {
+    const conference = await this.getConference(conferenceId);
+    
+    if (conference.status !== 'active') {
+      throw createError('The conference is not running', 409);
+    }
+    
+    if (conference.isRecording === recording) {
+      throw createError(recording ? 'The conference is already being recorded' : 'The conference is not being recorded', 409);
+    }
+    
+    if (recording) {
+      await telnyxService.sendConferenceCommand(conference.telnyxConferenceId, 'record_start', { format: 'mp3' });
+    } else {
+      await telnyxService.sendConferenceCommand(conference.telnyxConferenceId, 'record_stop');
+    }
+    
+    const updated = await Conference.findByIdAndUpdate(conference._id, { isRecording: recording }, { new: true });
+    await this.notify(conference._id);
+    
+    return updated;
+  }
+}
+
+module.exports = new ConferenceService(); 
\ No newline at end of file
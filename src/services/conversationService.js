@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const Conversation = require('../models/Conversation');
+const SMS = require('../models/SMS');
+const User = require('../models/User');
+const { emitToUser } = require('../utils/socket');
+const { createError } = require('../utils/errorHandler');
+const { normalizeNumber } = require('../utils/phoneNumber');
+
+/**
+ * Service for SMS conversations (threads keyed by our number and the counterpart's number)
+ * Every stored SMS is filed into its thread with recordMessage, which keeps the
+ * last message, unread count and archived/snoozed state up to date
+ */
+class ConversationService {
+  /**
+   * Get the thread key for a message
+   * Numbers are normalized so a ten digit number and its E.164 form share a thread
+   * @param {Object} sms - SMS record
+   * @returns {Object} - { ourNumber, counterpartNumber }
+   */
+  getKey(sms) {
+    return sms.direction === 'inbound'
+      ? { ourNumber: normalizeNumber(sms.to), counterpartNumber: normalizeNumber(sms.from) }
+      : { ourNumber: normalizeNumber(sms.from), counterpartNumber: normalizeNumber(sms.to) };
+  }
+
+  /**
+   * File a stored SMS into its conversation, creating the conversation if needed
+   * New inbound messages count as unread and bring archived or snoozed threads back.
+   * The last message only moves forward, so filing an older message leaves it alone.
+   * Failures are logged rather than thrown so they never fail the send itself
+   * @param {Object} sms - Saved SMS record
+   * @param {Object} options - { backfill } (true when filing old messages: no unread count, archive and snooze left alone)
+   * @returns {Promise<Object|null>} - Conversation, or null if it couldn't be updated
+   */
+  async recordMessage(sms, options = {}) {
+    try {
+      const sentAt = sms.sentAt || new Date();
+      const update = {
+        $set: {
+          userId: sms.userId,
+          updatedAt: new Date()
+        },
+        $setOnInsert: { createdAt: new Date() }
+      };
+      
+      if (sms.direction === 'inbound' && !options.backfill) {
+        update.$set.isArchived = false;
+        update.$set.snoozedUntil = null;
+        update.$inc = { unreadCount: 1 };
+      }
+      
+      let conversation = await this.upsert(this.getKey(sms), update);
+      
+      // Only a message at least as new as the current last message replaces it
+      const advanced = await Conversation.findOneAndUpdate(
+        {
+          _id: conversation._id,
+          $or: [{ lastMessageAt: null }, { lastMessageAt: { $lte: sentAt } }]
+        },
+        {
+          $set: {
+            lastMessage: {
+              smsId: sms._id,
+              body: sms.body,
+              direction: sms.direction,
+              sentAt
+            },
+            lastMessageAt: sentAt
+          }
+        },
+        { new: true }
+      );
+      
+      conversation = advanced || conversation;
+      
+      await SMS.updateOne({ _id: sms._id }, { conversationId: conversation._id });
+      sms.conversationId = conversation._id;
+      
+      this.broadcast(conversation);
+      
+      return conversation;
+    } catch (error) {
+      console.error('Error recording SMS in conversation:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Update a conversation, creating it if it doesn't exist
+   * @param {Object} key - { ourNumber, counterpartNumber }
+   * @param {Object} update - Update to apply
+   * @returns {Promise<Object>} - Conversation
+   */
+  async upsert(key, update) {
+    try {
+      return await Conversation.findOneAndUpdate(key, update, { upsert: true, new: true });
+    } catch (error) {
+      // Two first messages raced to create the thread; the second one updates it
+      if (error.code === 11000) {
+        return await Conversation.findOneAndUpdate(key, update, { new: true });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a conversation by ID
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} - Conversation
+   */
+  async getConversation(conversationId) {
+    const conversation = mongoose.isValidObjectId(conversationId)
+      ? await Conversation.findById(conversationId).populate('assignedTo', 'name email')
+      : null;
+    
+    if (!conversation) {
+      throw createError('Conversation not found', 404);
+    }
+    
+    return conversation;
+  }
+
+  /**
+   * List conversations, most recent first
+   * @param {Object} options - { userId, assignedTo ('none' for unassigned), status, unread, limit, skip }
+   * @returns {Promise<Object>} - { conversations, total }
+   */
+  async listConversations(options = {}) {
+    const query = {};
+    const now = new Date();
+    
+    if (options.userId) query.userId = options.userId;
+    if (options.assignedTo) query.assignedTo = options.assignedTo === 'none' ? null : options.assignedTo;
+    if (options.unread) query.unreadCount = { $gt: 0 };
+    
+    switch (options.status || 'open') {
+      case 'open':
+        query.isArchived = false;
+        query.$or = [{ snoozedUntil: null }, { snoozedUntil: { $lte: now } }];
+        break;
+      case 'snoozed':
+        query.isArchived = false;
+        query.snoozedUntil = { $gt: now };
+        break;
+      case 'archived':
+        query.isArchived = true;
+        break;
+      case 'all':
+        break;
+      default:
+        throw createError('Status must be open, snoozed, archived or all');
+    }
+    
+    const [conversations, total] = await Promise.all([
+      Conversation.find(query)
+        .sort({ lastMessageAt: -1 })
+        .limit(options.limit || 20)
+        .skip(options.skip || 0)
+        .populate('assignedTo', 'name email'),
+      Conversation.countDocuments(query)
+    ]);
+    
+    return { conversations, total };
+  }
+
+  /**
+   * Page through the messages in a conversation, newest first
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - { limit, skip }
+   * @returns {Promise<Object>} - { messages, total }
+   */
+  async getMessages(conversationId, options = {}) {
+    const conversation = await this.getConversation(conversationId);
+    const query = { conversationId: conversation._id };
+    
+    const [messages, total] = await Promise.all([
+      SMS.find(query)
+        .sort({ sentAt: -1 })
+        .limit(options.limit || 50)
+        .skip(options.skip || 0),
+      SMS.countDocuments(query)
+    ]);
+    
+    return { messages, total };
+  }
+
+  /**
+   * Update a conversation's assignee, archived or snoozed state, or the counterpart's time zone
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} changes - { assignedTo (null to unassign), isArchived, snoozedUntil (null to wake), timeZone (null to guess) }
+   * @returns {Promise<Object>} - Updated conversation
+   */
+  async updateConversation(conversationId, changes = {}) {
+    const conversation = await this.getConversation(conversationId);
+    const { assignedTo, isArchived, snoozedUntil, timeZone } = changes;
+    
+    if (assignedTo !== undefined) {
+      if (assignedTo && (!mongoose.isValidObjectId(assignedTo) || !(await User.exists({ _id: assignedTo })))) {
+        throw createError('Assignee not found', 404);
+      }
+      conversation.assignedTo = assignedTo || null;
+    }
+    
+    if (isArchived !== undefined) {
+      conversation.isArchived = Boolean(isArchived);
+    }
+    
+    if (snoozedUntil !== undefined) {
+      const until = snoozedUntil ? new Date(snoozedUntil) : null;
+      
+      if (until && (isNaN(until.getTime()) || until <= new Date())) {
+        throw createError('snoozedUntil must be a date in the future');
+      }
+      conversation.snoozedUntil = until;
+    }
+    
+    if (timeZone !== undefined) {
+      if (timeZone && !moment.tz.zone(timeZone)) {
+        throw createError('timeZone must be an IANA time zone such as America/Chicago');
+      }
+      conversation.timeZone = timeZone || null;
+    }
+    
+    await conversation.save();
+    this.broadcast(conversation);
+    
+    return conversation;
+  }
+
+  /**
+   * Mark every message in a conversation as read
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} - Updated conversation
+   */
+  async markRead(conversationId) {
+    const conversation = await this.getConversation(conversationId);
+    
+    conversation.unreadCount = 0;
+    await conversation.save();
+    this.broadcast(conversation);
+    
+    return conversation;
+  }
+
+  /**
+   * File messages stored before conversations existed, oldest first
+   * Backfilled messages are not counted as unread
+   * @returns {Promise<number>} - Number of messages filed
+   */
+  async backfill() {
+    const cursor = SMS.find({ conversationId: null }).sort({ sentAt: 1 }).cursor();
+    let count = 0;
+    
+    for (let sms = await cursor.next(); sms; sms = await cursor.next()) {
+      if (await this.recordMessage(sms, { backfill: true })) {
+        count++;
+      }
+    }
+    
+    return count;
+  }
+
+  /**
+   * Tell the thread's owner and assignee that it changed
+   * @param {Object} conversation - Conversation
+   */
+  broadcast(conversation) {
+    const userIds = new Set([conversation.userId, conversation.assignedTo?._id || conversation.assignedTo]
+      .filter(Boolean)
+      .map(String));
+    
+    userIds.forEach(userId => emitToUser(userId, 'conversation-update', conversation));
+  }
+}
+
+module.exports = new ConversationService(); 
\ No newline at end of file
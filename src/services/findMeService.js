@@ -0,0 +1,340 @@
+const Call = require('../models/Call');
+const User = require('../models/User');
+const telnyxService = require('./telnyxService');
+const callLifecycleService = require('./callLifecycleService');
+const ringGroupService = require('./ringGroupService');
+const queueService = require('./queueService');
+const warmTransferService = require('./warmTransferService');
+const ivrService = require('./ivrService');
+const { encodeClientState } = require('../utils/clientState');
+
+// Parent call statuses in which nobody has picked up the call yet
+const UNANSWERED_STATUSES = ['initiated', 'ringing'];
+
+// How long the live agent rings once every device has gone unanswered
+const LIVE_AGENT_RING_TIMEOUT_SECONDS = 15;
+
+/**
+ * Service for ringing a user's find me / follow me devices
+ * The inbound call is answered and parked while the user's WebRTC client, mobile
+ * and desk phone ring together or one after another; the first to answer is bridged
+ * and the rest are cancelled. Leg bookkeeping is shared with ring groups.
+ */
+class FindMeService {
+  /**
+   * Get the devices to ring for a user, in ringing order
+   * @param {Object} user - User
+   * @returns {Array} - [{ device, to, ringTimeoutSecs }]
+   */
+  getDestinations(user) {
+    if (!user.findMe || !user.findMe.enabled) {
+      return [];
+    }
+    
+    return [...user.findMe.destinations]
+      .filter(destination => destination.isActive !== false)
+      .sort((a, b) => a.order - b.order)
+      .map(destination => ({
+        device: destination.device,
+        to: this.getAddress(user, destination),
+        ringTimeoutSecs: destination.ringTimeoutSecs
+      }))
+      .filter(destination => destination.to);
+  }
+
+  /**
+   * Get the number or SIP URI a find me device is rung on
+   * @param {Object} user - User
+   * @param {Object} destination - Find me destination
+   * @returns {string|null} - Address, or null if the device can't be rung
+   */
+  getAddress(user, destination) {
+    switch (destination.device) {
+      case 'webrtc':
+        return user.webrtcEnabled && user.sipUsername ? `sip:${user.sipUsername}@sip.telnyx.com` : null;
+      case 'mobile':
+        return destination.number || user.phoneNumber || null;
+      default:
+        return destination.number || null;
+    }
+  }
+
+  /**
+   * Start ringing a user's devices for an inbound call
+   * @param {Object} user - User whose number was called
+   * @param {string} callControlId - Call control ID of the inbound call
+   * @returns {Promise<Object|null>} - { action, dialed }, or null if the user has no devices to ring
+   */
+  async startCall(user, callControlId) {
+    try {
+      const destinations = this.getDestinations(user);
+      
+      if (destinations.length === 0) {
+        return null;
+      }
+      
+      // Answer the caller so the device legs can be bridged to it
+      await telnyxService.sendCallCommand(callControlId, 'answer', {
+        client_state: encodeClientState({ flow: 'find_me', role: 'caller', userId: String(user._id) })
+      });
+      
+      const state = { flow: 'find_me', role: 'leg', parent: callControlId, userId: String(user._id) };
+      
+      if (user.findMe.strategy === 'sequential') {
+        return await this.dialNext(user, destinations, { ...state, position: -1 });
+      }
+      
+      await callLifecycleService.transition(callControlId, 'ringing');
+      
+      for (const [position, destination] of destinations.entries()) {
+        await this.dialDevice(user, destination, { ...state, position });
+      }
+      
+      return { action: 'ringing_find_me', dialed: destinations.length };
+    } catch (error) {
+      console.error('Error ringing find me devices:', error);
+      throw new Error(`Failed to ring find me devices: ${error.message}`);
+    }
+  }
+
+  /**
+   * Dial the device after state.position (sequential)
+   * @param {Object} user - User
+   * @param {Array} destinations - Devices in ringing order
+   * @param {Object} state - Leg state of the previous attempt
+   * @returns {Promise<Object>} - { action, dialed }
+   */
+  async dialNext(user, destinations, state) {
+    const position = state.position + 1;
+    
+    if (position >= destinations.length) {
+      return await this.handleNoAnswer(user, state.parent);
+    }
+    
+    await callLifecycleService.transition(state.parent, 'ringing');
+    await this.dialDevice(user, destinations[position], { ...state, position });
+    
+    return { action: 'ringing_find_me', dialed: 1 };
+  }
+
+  /**
+   * Dial one device and record the leg on the parent call
+   * @param {Object} user - User
+   * @param {Object} destination - { device, to, ringTimeoutSecs }
+   * @param {Object} state - Leg state
+   * @returns {Promise<Object>} - Call control information for the leg
+   */
+  async dialDevice(user, destination, state) {
+    const leg = await telnyxService.makeOutboundCall(user.telnyxPhoneNumber, destination.to, {
+      timeout_secs: destination.ringTimeoutSecs,
+      client_state: encodeClientState(state),
+      webhook_url: process.env.WEBHOOK_URL
+    });
+    
+    await callLifecycleService.trackOutboundCall(leg, {
+      from: user.telnyxPhoneNumber,
+      to: destination.to,
+      userId: user._id,
+      parentCallControlId: state.parent
+    });
+    
+    await Call.findOneAndUpdate(
+      { telnyxCallControlId: state.parent },
+      {
+        $push: {
+          legs: {
+            callControlId: leg.call_control_id,
+            userId: user._id,
+            to: destination.to,
+            device: destination.device,
+            status: 'dialing'
+          }
+        }
+      }
+    );
+    
+    return leg;
+  }
+
+  /**
+   * Handle the caller when none of the devices picked up: the live agent if
+   * the user routes to one, otherwise their unavailable IVR menu
+   * @param {Object} user - User
+   * @param {string} callControlId - Call control ID of the inbound call
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleNoAnswer(user, callControlId) {
+    // Claim the call so a second leg ending at the same moment cannot handle it again
+    const call = await callLifecycleService.transition(callControlId, 'answered', {}, {
+      from: UNANSWERED_STATUSES
+    });
+    
+    if (!call) {
+      return { action: 'none' };
+    }
+    
+    if (user.routeToLiveAgent && user.liveAgentNumber) {
+      await telnyxService.transferCall(callControlId, user.liveAgentNumber, {
+        timeout_secs: LIVE_AGENT_RING_TIMEOUT_SECONDS
+      });
+      await callLifecycleService.transition(callControlId, 'forwarded');
+      
+      return { action: 'routed_to_agent' };
+    }
+    
+    const result = await ivrService.startMenu(callControlId, {
+      phoneNumber: user.telnyxPhoneNumber,
+      user
+    });
+    
+    return { action: 'unavailable_prompt', menuName: result.menuName };
+  }
+
+  /**
+   * Handle a call control event for a find me call or device leg
+   * @param {Object} event - Telnyx event (req.body.data)
+   * @param {Object} state - Decoded client_state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleEvent(event, state) {
+    try {
+      if (state.role === 'caller') {
+        return event.event_type === 'call.hangup'
+          ? await ringGroupService.handleCallerHangup(event.payload.call_control_id)
+          : { action: 'none' };
+      }
+      
+      switch (event.event_type) {
+        case 'call.answered':
+          return await this.handleLegAnswered(event, state);
+        
+        case 'call.hangup':
+          return await this.handleLegHangup(event, state);
+        
+        default:
+          return { action: 'none' };
+      }
+    } catch (error) {
+      console.error('Error handling find me event:', error);
+      throw new Error(`Failed to handle find me event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Bridge the first device that answers and cancel the others
+   * @param {Object} event - call.answered event for the device leg
+   * @param {Object} state - Leg state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleLegAnswered(event, state) {
+    const legId = event.payload.call_control_id;
+    
+    const call = await callLifecycleService.transition(state.parent, 'answered', {}, {
+      from: UNANSWERED_STATUSES
+    });
+    
+    if (!call) {
+      // Another device got there first, or the caller has gone
+      await ringGroupService.hangupQuietly(legId);
+      return { action: 'hangup' };
+    }
+    
+    // Bridge from the device's leg so it is parked, not hung up, if the caller is put on hold
+    await telnyxService.sendCallCommand(legId, 'bridge', {
+      call_control_id: state.parent,
+      park_after_unbridge: 'self'
+    });
+    await ringGroupService.setLegStatus(state.parent, legId, 'bridged');
+    
+    // Keep the user out of queue distribution while they are on the call
+    await queueService.claimAgent(state.userId);
+    
+    // Stop ringing the other devices
+    await ringGroupService.hangupLegs(call, legId);
+    
+    return { action: 'bridged', userId: state.userId };
+  }
+
+  /**
+   * Handle a device leg ending: ring the next device, give up, or end the bridged call
+   * @param {Object} event - call.hangup event for the device leg
+   * @param {Object} state - Leg state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleLegHangup(event, state) {
+    const legId = event.payload.call_control_id;
+    const call = await Call.findOne({ telnyxCallControlId: state.parent });
+    
+    if (!call) {
+      return { action: 'none' };
+    }
+    
+    const leg = call.legs.find(l => l.callControlId === legId);
+    await ringGroupService.setLegStatus(state.parent, legId, 'ended');
+    
+    if (leg && leg.status === 'bridged') {
+      await queueService.releaseAgent(state.userId, { callEnded: true });
+      
+      // The caller now belongs to a warm transfer, a conference or a park slot
+      if (warmTransferService.isTransferring(call) || call.conferenceId || call.parkedAt) {
+        return { action: 'transferred' };
+      }
+      
+      // The user hung up on the caller
+      await ringGroupService.hangupQuietly(state.parent);
+      return { action: 'completed' };
+    }
+    
+    if (!UNANSWERED_STATUSES.includes(call.status)) {
+      return { action: 'none' };
+    }
+    
+    const user = await User.findById(state.userId);
+    
+    if (!user) {
+      await ringGroupService.hangupQuietly(state.parent);
+      return { action: 'hangup' };
+    }
+    
+    if (user.findMe.strategy !== 'sequential') {
+      const stillRinging = call.legs.some(l => l.callControlId !== legId && l.status === 'dialing');
+      return stillRinging ? { action: 'none' } : await this.handleNoAnswer(user, state.parent);
+    }
+    
+    return await this.dialNext(user, this.getDestinations(user), state);
+  }
+
+  /**
+   * Check a find me configuration
+   * @param {Object} findMe - { enabled, strategy, destinations }
+   * @returns {Array<string>} - Validation errors (empty if the configuration is valid)
+   */
+  validateFindMe(findMe) {
+    const errors = [];
+    
+    if (!findMe || typeof findMe !== 'object') {
+      return ['Find me settings are required'];
+    }
+    
+    if (findMe.strategy && !['simultaneous', 'sequential'].includes(findMe.strategy)) {
+      errors.push('Strategy must be simultaneous or sequential');
+    }
+    
+    if (findMe.destinations !== undefined && !Array.isArray(findMe.destinations)) {
+      return errors.concat('Destinations must be a list');
+    }
+    
+    (findMe.destinations || []).forEach((destination, index) => {
+      if (!['webrtc', 'mobile', 'desk'].includes(destination.device)) {
+        errors.push(`Destination ${index + 1} needs a device of webrtc, mobile or desk`);
+      }
+      if (destination.device === 'desk' && !destination.number) {
+        errors.push(`Destination ${index + 1} needs a desk phone number or SIP URI`);
+      }
+    });
+    
+    return errors;
+  }
+}
+
+module.exports = new FindMeService(); 
\ No newline at end of file
@@ -0,0 +1,366 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Greeting = require('../models/Greeting');
+const User = require('../models/User');
+const HolidayCalendar = require('../models/HolidayCalendar');
+const calendarService = require('./calendarService');
+const mediaStorageService = require('./mediaStorageService');
+const { getAudioInfo } = require('../utils/audioInfo');
+const { signMediaUrl } = require('../utils/mediaUrl');
+const { createError } = require('../utils/errorHandler');
+
+// Shortest and longest greeting accepted, in seconds
+const GREETING_MIN_SECS = parseInt(process.env.GREETING_MIN_SECS) || 1;
+const GREETING_MAX_SECS = parseInt(process.env.GREETING_MAX_SECS) || 120;
+
+// Largest upload accepted, in bytes
+const GREETING_MAX_BYTES = parseInt(process.env.GREETING_MAX_BYTES) || 10 * 1024 * 1024;
+
+// How long the greeting URL handed to Telnyx stays valid
+const GREETING_URL_EXPIRES_SECONDS = 15 * 60;
+
+// Greeting schedule fields, in the order their rules are checked
+const SCHEDULE_GREETING_FIELDS = {
+  out_of_office: 'outOfOfficeGreetingId',
+  holiday: 'holidayGreetingId',
+  business_hours: 'businessHoursGreetingId',
+  after_hours: 'afterHoursGreetingId'
+};
+
+// Content type to store for each supported format
+const CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav'
+};
+
+/**
+ * Service for uploaded voicemail greetings
+ * Users can keep several named greetings and pick the one callers hear
+ */
+class GreetingService {
+  /**
+   * Get the largest upload accepted, for the upload middleware
+   * @returns {number} - Bytes
+   */
+  getMaxBytes() {
+    return GREETING_MAX_BYTES;
+  }
+
+  /**
+   * Check an uploaded file is an MP3 or WAV of an acceptable length
+   * The format is taken from the file contents, not its name or declared type
+   * @param {Object} file - Uploaded file ({ buffer, originalname, mimetype })
+   * @returns {Object} - { format, duration }
+   */
+  validateAudio(file) {
+    if (!file || !file.buffer || file.buffer.length === 0) {
+      throw createError('A greeting audio file is required');
+    }
+    
+    const info = getAudioInfo(file.buffer);
+    
+    if (!info) {
+      throw createError('Greeting must be an MP3 or WAV file');
+    }
+    
+    if (info.duration < GREETING_MIN_SECS || info.duration > GREETING_MAX_SECS) {
+      throw createError(
+        `Greeting must be between ${GREETING_MIN_SECS} and ${GREETING_MAX_SECS} seconds long (got ${Math.round(info.duration)})`
+      );
+    }
+    
+    return { format: info.format, duration: Math.round(info.duration * 10) / 10 };
+  }
+
+  /**
+   * Get a user, or fail with a 404
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - User
+   */
+  async getUser(userId) {
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    
+    if (!user) {
+      throw createError('User not found', 404);
+    }
+    
+    return user;
+  }
+
+  /**
+   * Get one of a user's greetings, or fail with a 404
+   * @param {string} userId - User ID
+   * @param {string} greetingId - Greeting ID
+   * @returns {Promise<Object>} - Greeting
+   */
+  async getGreeting(userId, greetingId) {
+    const greeting = mongoose.isValidObjectId(greetingId)
+      ? await Greeting.findOne({ _id: greetingId, userId })
+      : null;
+    
+    if (!greeting) {
+      throw createError('Greeting not found', 404);
+    }
+    
+    return greeting;
+  }
+
+  /**
+   * List a user's greetings
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { greetings, activeGreetingId }
+   */
+  async listGreetings(userId) {
+    const user = await this.getUser(userId);
+    const greetings = await Greeting.find({ userId }).sort({ createdAt: -1 });
+    
+    return { greetings, activeGreetingId: user.activeGreetingId };
+  }
+
+  /**
+   * Store an uploaded greeting
+   * @param {string} userId - User ID
+   * @param {Object} file - Uploaded file ({ buffer, originalname })
+   * @param {Object} options - { name, kind, activate }
+   * @returns {Promise<Object>} - Greeting
+   */
+  async createGreeting(userId, file, options = {}) {
+    await this.getUser(userId);
+    
+    const { format, duration } = this.validateAudio(file);
+    const kind = options.kind || 'standard';
+    
+    if (!Greeting.schema.path('kind').enumValues.includes(kind)) {
+      throw createError('Kind must be standard, after_hours, out_of_office, holiday or custom');
+    }
+    
+    const greeting = new Greeting({
+      userId,
+      name: options.name || file.originalname || kind,
+      kind,
+      format,
+      contentType: CONTENT_TYPES[format],
+      size: file.buffer.length,
+      duration,
+      originalName: file.originalname
+    });
+    
+    // Keyed by greeting ID, so users with the same name never share a file
+    greeting.storageKey = `greetings/${userId}/${greeting._id}.${format}`;
+    
+    await mediaStorageService.put(greeting.storageKey, file.buffer, greeting.contentType);
+    
+    try {
+      await greeting.save();
+    } catch (error) {
+      await mediaStorageService.remove(greeting.storageKey);
+      throw error;
+    }
+    
+    if (options.activate) {
+      await User.findByIdAndUpdate(userId, { activeGreetingId: greeting._id });
+    }
+    
+    return greeting;
+  }
+
+  /**
+   * Choose the greeting callers hear
+   * @param {string} userId - User ID
+   * @param {string} greetingId - Greeting ID, or null to go back to the default greeting
+   * @returns {Promise<Object>} - Updated user
+   */
+  async activateGreeting(userId, greetingId) {
+    await this.getUser(userId);
+    
+    if (greetingId) {
+      await this.getGreeting(userId, greetingId);
+    }
+    
+    return await User.findByIdAndUpdate(userId, { activeGreetingId: greetingId || null }, { new: true });
+  }
+
+  /**
+   * Delete a greeting and its audio
+   * @param {string} userId - User ID
+   * @param {string} greetingId - Greeting ID
+   * @returns {Promise<void>}
+   */
+  async deleteGreeting(userId, greetingId) {
+    const greeting = await this.getGreeting(userId, greetingId);
+    
+    await User.updateOne({ _id: userId, activeGreetingId: greeting._id }, { activeGreetingId: null });
+    
+    // Scheduled rules fall back to the active greeting once theirs is gone
+    for (const field of Object.values(SCHEDULE_GREETING_FIELDS)) {
+      await User.updateOne(
+        { _id: userId, [`greetingSchedule.${field}`]: greeting._id },
+        { [`greetingSchedule.${field}`]: null }
+      );
+    }
+    await Greeting.deleteOne({ _id: greeting._id });
+    await mediaStorageService.remove(greeting.storageKey);
+  }
+
+  /**
+   * Get a URL Telnyx can play a greeting from
+   * @param {Object} greeting - Greeting
+   * @returns {string} - Signed media URL
+   */
+  getPlaybackUrl(greeting) {
+    return signMediaUrl(`/media/greetings/${greeting._id}`, GREETING_URL_EXPIRES_SECONDS);
+  }
+
+  /**
+   * Validate a holiday calendar
+   * @param {Object} calendar - Holiday calendar data
+   * @returns {Array} - Validation errors (empty if valid)
+   */
+  validateHolidayCalendar(calendar) {
+    const errors = [];
+    
+    if (!calendar.name) {
+      errors.push('name is required');
+    }
+    
+    if (calendar.holidays !== undefined && !Array.isArray(calendar.holidays)) {
+      errors.push('holidays must be an array');
+      return errors;
+    }
+    
+    (calendar.holidays || []).forEach((holiday, index) => {
+      if (!holiday || !moment(holiday.date, 'YYYY-MM-DD', true).isValid()) {
+        errors.push(`holidays[${index}].date must be a YYYY-MM-DD date`);
+      }
+      if (!holiday || !holiday.name) {
+        errors.push(`holidays[${index}].name is required`);
+      }
+    });
+    
+    return errors;
+  }
+
+  /**
+   * Get the holiday a user's office is closed for on a day
+   * @param {Object} user - User
+   * @param {Object} now - moment to check
+   * @returns {Promise<Object|null>} - Holiday, or null
+   */
+  async getHoliday(user, now) {
+    const calendarId = user.greetingSchedule && user.greetingSchedule.holidayCalendarId;
+    const calendar = calendarId
+      ? await HolidayCalendar.findById(calendarId)
+      : await HolidayCalendar.findOne({ isDefault: true });
+    
+    if (!calendar) {
+      return null;
+    }
+    
+    const date = now.format('YYYY-MM-DD');
+    
+    return calendar.holidays.find(holiday =>
+      holiday.date === date || (holiday.recurring && holiday.date.slice(5) === date.slice(5))
+    ) || null;
+  }
+
+  /**
+   * Work out which schedule rule applies to a call arriving now
+   * Out of office (from the calendar) beats holidays, which beat business/after hours
+   * @param {Object} user - User
+   * @param {Object} now - moment to check (defaults to now)
+   * @returns {Promise<Array>} - Rules that apply, most important first
+   */
+  async getScheduleRules(user, now = moment()) {
+    // Required here because telnyxService plays greetings through this service
+    const telnyxService = require('./telnyxService');
+    const rules = [];
+    
+    if (calendarService.getOutOfOfficeEvent(user, now.toDate())) {
+      rules.push('out_of_office');
+    }
+    
+    if (await this.getHoliday(user, now)) {
+      rules.push('holiday');
+    }
+    
+    rules.push(telnyxService.isWithinAvailabilityHours(user, now) ? 'business_hours' : 'after_hours');
+    
+    return rules;
+  }
+
+  /**
+   * Pick the greeting a caller should hear
+   * @param {Object} user - User
+   * @param {Object} now - moment to check (defaults to now)
+   * @returns {Promise<Object>} - { rule, greeting } (rule is 'active' for the active greeting, greeting may be null)
+   */
+  async selectGreeting(user, now = moment()) {
+    const schedule = user.greetingSchedule;
+    
+    if (schedule && schedule.enabled) {
+      for (const rule of await this.getScheduleRules(user, now)) {
+        const greetingId = schedule[SCHEDULE_GREETING_FIELDS[rule]];
+        const greeting = greetingId ? await Greeting.findById(greetingId) : null;
+        
+        if (greeting) {
+          return { rule, greeting };
+        }
+      }
+    }
+    
+    const greeting = user.activeGreetingId ? await Greeting.findById(user.activeGreetingId) : null;
+    return { rule: 'active', greeting };
+  }
+
+  /**
+   * Get the URL of the greeting a caller should hear
+   * @param {Object} user - User
+   * @returns {Promise<string|null>} - Scheduled or active uploaded greeting, else voicemailGreetingUrl, else null
+   */
+  async getGreetingUrl(user) {
+    const { greeting } = await this.selectGreeting(user);
+    
+    if (greeting) {
+      return this.getPlaybackUrl(greeting);
+    }
+    
+    return user.voicemailGreetingUrl || null;
+  }
+
+  /**
+   * Update a user's greeting schedule
+   * @param {string} userId - User ID
+   * @param {Object} schedule - { enabled, businessHoursGreetingId, afterHoursGreetingId, holidayGreetingId, outOfOfficeGreetingId, holidayCalendarId }
+   * @returns {Promise<Object>} - Updated user
+   */
+  async updateSchedule(userId, schedule = {}) {
+    await this.getUser(userId);
+    
+    const update = {};
+    
+    if (schedule.enabled !== undefined) {
+      update['greetingSchedule.enabled'] = Boolean(schedule.enabled);
+    }
+    
+    for (const field of Object.values(SCHEDULE_GREETING_FIELDS)) {
+      if (schedule[field] !== undefined) {
+        if (schedule[field]) {
+          await this.getGreeting(userId, schedule[field]);
+        }
+        update[`greetingSchedule.${field}`] = schedule[field] || null;
+      }
+    }
+    
+    if (schedule.holidayCalendarId !== undefined) {
+      if (schedule.holidayCalendarId && !(mongoose.isValidObjectId(schedule.holidayCalendarId)
+        && await HolidayCalendar.exists({ _id: schedule.holidayCalendarId }))) {
+        throw createError('Holiday calendar not found', 404);
+      }
+      update['greetingSchedule.holidayCalendarId'] = schedule.holidayCalendarId || null;
+    }
+    
+    return await User.findByIdAndUpdate(userId, { $set: update }, { new: true });
+  }
+}
+
+module.exports = new GreetingService(); 
\ No newline at end of file
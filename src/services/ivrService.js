@@ -0,0 +1,449 @@
+const IvrMenu = require('../models/IvrMenu');
+const User = require('../models/User');
+const telnyxService = require('./telnyxService');
+const callLifecycleService = require('./callLifecycleService');
+const { encodeClientState } = require('../utils/clientState');
+
+// Central forwarding number offered by the default unavailable menu
+const CENTRAL_FORWARDING_NUMBER = '+18446942885';
+
+// Prompt played by the default unavailable menu
+const UNAVAILABLE_PROMPT_URL = 'https://raw.githubusercontent.com/GavvlLaw/voicemail-greetings/main/Unavailable';
+
+// ID used for the built-in menu, which is not stored in the database
+const DEFAULT_MENU_ID = 'default';
+
+/**
+ * Service for walking callers through configurable IVR menus
+ * Menu state travels with the call in client_state ({ flow: 'ivr', ... })
+ */
+class IvrService {
+  /**
+   * Build the default unavailable menu for a user
+   * 1 leaves a voicemail, 2 transfers to the central number, anything else goes to voicemail
+   * @param {Object} user - User who owns the number
+   * @returns {Object} - Menu with the same shape as a stored IvrMenu
+   */
+  buildDefaultMenu(user) {
+    const voicemail = { type: 'voicemail', userId: user?._id };
+    
+    return {
+      _id: DEFAULT_MENU_ID,
+      name: 'Default unavailable menu',
+      phoneNumber: user?.telnyxPhoneNumber,
+      userId: user?._id,
+      isActive: true,
+      rootNodeId: 'unavailable',
+      nodes: [{
+        nodeId: 'unavailable',
+        name: 'Unavailable',
+        prompt: { audioUrl: UNAVAILABLE_PROMPT_URL },
+        gather: { input: 'dtmf', maxDigits: 1, timeoutSecs: 5 },
+        options: [
+          { digits: '1', action: voicemail },
+          { digits: '2', action: { type: 'transfer', to: CENTRAL_FORWARDING_NUMBER, timeoutSecs: 30 } }
+        ],
+        noInputAction: voicemail,
+        invalidAction: voicemail,
+        maxRetries: 0
+      }]
+    };
+  }
+
+  /**
+   * Get the menu for a Telnyx number
+   * @param {string} phoneNumber - Telnyx number that was called
+   * @returns {Promise<Object|null>} - Active stored menu, or null
+   */
+  async getMenuForNumber(phoneNumber) {
+    if (!phoneNumber) {
+      return null;
+    }
+    
+    return await IvrMenu.findOne({ phoneNumber, isActive: true });
+  }
+
+  /**
+   * Load the menu referenced by a call's client_state
+   * @param {Object} state - Decoded client_state
+   * @returns {Promise<Object|null>} - Menu
+   */
+  async loadMenu(state) {
+    if (state.menuId === DEFAULT_MENU_ID) {
+      const user = state.userId ? await User.findById(state.userId) : null;
+      return this.buildDefaultMenu(user);
+    }
+    
+    return await IvrMenu.findById(state.menuId);
+  }
+
+  /**
+   * Start the IVR for an answered call
+   * @param {string} callControlId - Call control ID
+   * @param {Object} context - { phoneNumber, user, menu }
+   * @returns {Promise<Object>} - { menuId, menuName, nodeId }
+   */
+  async startMenu(callControlId, context = {}) {
+    try {
+      const menu = context.menu ||
+        await this.getMenuForNumber(context.phoneNumber) ||
+        this.buildDefaultMenu(context.user);
+      
+      const state = {
+        flow: 'ivr',
+        menuId: String(menu._id),
+        userId: menu.userId ? String(menu.userId) : (context.user ? String(context.user._id) : undefined),
+        nodeId: menu.rootNodeId,
+        attempt: 0
+      };
+      
+      await this.playNode(callControlId, menu, state);
+      
+      return { menuId: state.menuId, menuName: menu.name, nodeId: state.nodeId };
+    } catch (error) {
+      console.error('Error starting IVR menu:', error);
+      throw new Error(`Failed to start IVR menu: ${error.message}`);
+    }
+  }
+
+  /**
+   * Play a node's prompt and gather the caller's input
+   * @param {string} callControlId - Call control ID
+   * @param {Object} menu - Menu
+   * @param {Object} state - IVR state (nodeId, attempt, ...)
+   * @returns {Promise<void>}
+   */
+  async playNode(callControlId, menu, state) {
+    const node = this.findNode(menu, state.nodeId);
+    
+    if (!node) {
+      throw new Error(`IVR node not found: ${state.nodeId}`);
+    }
+    
+    const gather = node.gather || {};
+    const input = gather.input || 'dtmf';
+    const clientState = encodeClientState(state);
+    const gatherParams = {
+      minimum_digits: 1,
+      maximum_digits: gather.maxDigits || 1,
+      timeout_millis: (gather.timeoutSecs || 5) * 1000,
+      client_state: clientState
+    };
+    
+    // Listen for speech alongside the gather; matched in handleTranscription
+    if (input === 'speech' || input === 'dtmf_speech') {
+      await telnyxService.sendCallCommand(callControlId, 'transcription_start', {
+        language: node.prompt?.language || 'en',
+        client_state: clientState
+      });
+    }
+    
+    if (node.prompt?.audioUrl) {
+      await telnyxService.sendCallCommand(callControlId, 'gather_using_audio', {
+        audio_url: node.prompt.audioUrl,
+        ...gatherParams
+      });
+    } else {
+      await telnyxService.sendCallCommand(callControlId, 'gather_using_speak', {
+        payload: node.prompt?.text || 'Please make a selection.',
+        voice: node.prompt?.voice || 'female',
+        language: node.prompt?.language || 'en-US',
+        ...gatherParams
+      });
+    }
+  }
+
+  /**
+   * Handle a call control event for a call in the IVR
+   * @param {Object} event - Telnyx event (req.body.data)
+   * @param {Object} state - Decoded client_state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleEvent(event, state) {
+    switch (event.event_type) {
+      case 'call.gather.ended':
+        return await this.handleGather(event, state);
+      
+      case 'call.transcription':
+        return await this.handleTranscription(event, state);
+      
+      case 'call.speak.ended':
+        // Goodbye message finished playing
+        if (state.stage === 'goodbye') {
+          await telnyxService.sendCallCommand(event.payload.call_control_id, 'hangup');
+          return { action: 'hangup' };
+        }
+        return { action: 'none' };
+      
+      default:
+        return { action: 'none' };
+    }
+  }
+
+  /**
+   * Handle the end of a gather on an IVR node
+   * @param {Object} event - call.gather.ended event
+   * @param {Object} state - Decoded client_state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleGather(event, state) {
+    const { call_control_id, digits, status } = event.payload;
+    
+    // Gathers we stopped ourselves (speech matched, caller hung up) need no action
+    if (status === 'cancelled' || status === 'call_hangup') {
+      return { action: 'none' };
+    }
+    
+    const menu = await this.loadMenu(state);
+    const node = menu && this.findNode(menu, state.nodeId);
+    
+    if (!node) {
+      console.error(`IVR node not found for call ${call_control_id}:`, state);
+      await telnyxService.sendCallCommand(call_control_id, 'hangup');
+      return { action: 'hangup' };
+    }
+    
+    if (!digits) {
+      return await this.runAction(event, menu, state, node.noInputAction || { type: 'hangup' });
+    }
+    
+    const option = (node.options || []).find(o => o.digits === digits);
+    
+    if (option) {
+      return await this.runAction(event, menu, state, option.action);
+    }
+    
+    return await this.handleInvalidInput(event, menu, node, state);
+  }
+
+  /**
+   * Handle speech recognised while an IVR node is listening
+   * @param {Object} event - call.transcription event
+   * @param {Object} state - Decoded client_state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleTranscription(event, state) {
+    const { call_control_id, transcription_data } = event.payload;
+    
+    if (!transcription_data || !transcription_data.is_final) {
+      return { action: 'none' };
+    }
+    
+    const menu = await this.loadMenu(state);
+    const node = menu && this.findNode(menu, state.nodeId);
+    
+    if (!node) {
+      return { action: 'none' };
+    }
+    
+    const transcript = (transcription_data.transcript || '').toLowerCase();
+    const option = (node.options || []).find(o =>
+      (o.keywords || []).some(keyword => transcript.includes(keyword.toLowerCase()))
+    );
+    
+    if (!option) {
+      // Keep listening - the gather timeout decides what happens next
+      return { action: 'none' };
+    }
+    
+    await telnyxService.sendCallCommand(call_control_id, 'transcription_stop');
+    await telnyxService.sendCallCommand(call_control_id, 'gather_stop');
+    
+    return await this.runAction(event, menu, state, option.action);
+  }
+
+  /**
+   * Replay the node after invalid input, or give up after maxRetries
+   * @param {Object} event - Telnyx event
+   * @param {Object} menu - Menu
+   * @param {Object} node - Current node
+   * @param {Object} state - IVR state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleInvalidInput(event, menu, node, state) {
+    const attempt = (state.attempt || 0) + 1;
+    const maxRetries = node.maxRetries !== undefined ? node.maxRetries : 2;
+    
+    if (attempt > maxRetries) {
+      return await this.runAction(event, menu, state, node.invalidAction || { type: 'hangup' });
+    }
+    
+    await this.playNode(event.payload.call_control_id, menu, { ...state, attempt });
+    
+    return { action: 'menu_retry', nodeId: node.nodeId };
+  }
+
+  /**
+   * Run an IVR action
+   * @param {Object} event - Telnyx event that triggered the action
+   * @param {Object} menu - Menu
+   * @param {Object} state - IVR state
+   * @param {Object} action - Action to run
+   * @returns {Promise<Object>} - { action }
+   */
+  async runAction(event, menu, state, action) {
+    const { call_control_id } = event.payload;
+    
+    switch (action.type) {
+      case 'menu':
+        await this.playNode(call_control_id, menu, { ...state, nodeId: action.nodeId, attempt: 0 });
+        return { action: 'menu', nodeId: action.nodeId };
+      
+      case 'transfer': {
+        const result = await telnyxService.transferCall(call_control_id, action.to, {
+          timeout_secs: action.timeoutSecs || 30
+        });
+        
+        await callLifecycleService.transition(call_control_id, 'forwarded');
+        
+        return { action: 'forwarded', to: action.to, result };
+      }
+      
+      case 'voicemail': {
+        const userId = action.userId || menu.userId || state.userId;
+        const user = userId ? await User.findById(userId) : null;
+        
+        if (!user) {
+          throw new Error('No voicemail box configured for this IVR action');
+        }
+        
+        const result = await telnyxService.sendToVoicemail(call_control_id, user);
+        
+        // Mark the call so the recording is saved as a voicemail
+        await callLifecycleService.transition(call_control_id, 'voicemail', { userId: user._id });
+        
+        return { action: 'voicemail', result: result.result };
+      }
+      
+      case 'sms': {
+        const caller = event.payload.from;
+        const ourNumber = menu.phoneNumber || event.payload.to;
+        
+        try {
+          await telnyxService.sendSMS(ourNumber, caller, action.message);
+        } catch (error) {
+          // Callers who texted STOP to this number don't get the text; the menu carries on
+          if (error.code !== 'SMS_OPTED_OUT') {
+            throw error;
+          }
+        }
+        
+        if (action.nodeId) {
+          await this.playNode(call_control_id, menu, { ...state, nodeId: action.nodeId, attempt: 0 });
+          return { action: 'sms', nodeId: action.nodeId };
+        }
+        
+        return await this.hangup(call_control_id, state, 'A text message is on its way. Goodbye.');
+      }
+      
+      case 'hangup':
+      default:
+        return await this.hangup(call_control_id, state, action.message);
+    }
+  }
+
+  /**
+   * Hang up, optionally after speaking a goodbye message
+   * @param {string} callControlId - Call control ID
+   * @param {Object} state - IVR state
+   * @param {string} message - Optional goodbye message
+   * @returns {Promise<Object>} - { action }
+   */
+  async hangup(callControlId, state, message) {
+    if (!message) {
+      await telnyxService.sendCallCommand(callControlId, 'hangup');
+      return { action: 'hangup' };
+    }
+    
+    // Hang up once the message has been spoken (see handleEvent)
+    await telnyxService.sendCallCommand(callControlId, 'speak', {
+      payload: message,
+      voice: 'female',
+      language: 'en-US',
+      client_state: encodeClientState({ ...state, stage: 'goodbye' })
+    });
+    
+    return { action: 'hangup' };
+  }
+
+  /**
+   * Find a node in a menu
+   * @param {Object} menu - Menu
+   * @param {string} nodeId - Node ID
+   * @returns {Object|undefined} - Node
+   */
+  findNode(menu, nodeId) {
+    return (menu.nodes || []).find(node => node.nodeId === nodeId);
+  }
+
+  /**
+   * Check a menu definition for broken references
+   * @param {Object} menu - Menu data
+   * @returns {Array<string>} - Validation errors (empty if the menu is valid)
+   */
+  validateMenu(menu) {
+    const errors = [];
+    const nodes = menu.nodes || [];
+    const nodeIds = new Set();
+    
+    if (!menu.name) errors.push('Menu name is required');
+    if (!menu.phoneNumber) errors.push('Phone number is required');
+    if (nodes.length === 0) errors.push('At least one node is required');
+    
+    nodes.forEach(node => {
+      if (!node.nodeId) {
+        errors.push('Every node needs a nodeId');
+      } else if (nodeIds.has(node.nodeId)) {
+        errors.push(`Duplicate node ID: ${node.nodeId}`);
+      }
+      nodeIds.add(node.nodeId);
+      
+      if (!node.prompt || (!node.prompt.audioUrl && !node.prompt.text)) {
+        errors.push(`Node ${node.nodeId} needs a prompt audioUrl or text`);
+      }
+    });
+    
+    if (menu.rootNodeId && !nodeIds.has(menu.rootNodeId)) {
+      errors.push(`Root node not found: ${menu.rootNodeId}`);
+    }
+    
+    const checkAction = (nodeId, action) => {
+      if (!action) return;
+      
+      switch (action.type) {
+        case 'transfer':
+          if (!action.to) errors.push(`Transfer action in node ${nodeId} needs a "to" number`);
+          break;
+        case 'menu':
+          if (!nodeIds.has(action.nodeId)) errors.push(`Node ${nodeId} links to unknown node: ${action.nodeId}`);
+          break;
+        case 'sms':
+          if (!action.message) errors.push(`SMS action in node ${nodeId} needs a message`);
+          if (action.nodeId && !nodeIds.has(action.nodeId)) errors.push(`Node ${nodeId} links to unknown node: ${action.nodeId}`);
+          break;
+        case 'voicemail':
+          if (!action.userId && !menu.userId) errors.push(`Voicemail action in node ${nodeId} needs a userId (or set one on the menu)`);
+          break;
+        case 'hangup':
+          break;
+        default:
+          errors.push(`Unknown action type in node ${nodeId}: ${action.type}`);
+      }
+    };
+    
+    nodes.forEach(node => {
+      (node.options || []).forEach(option => {
+        if (!option.digits && (!option.keywords || option.keywords.length === 0)) {
+          errors.push(`Options in node ${node.nodeId} need digits or keywords`);
+        }
+        checkAction(node.nodeId, option.action);
+      });
+      checkAction(node.nodeId, node.noInputAction);
+      checkAction(node.nodeId, node.invalidAction);
+    });
+    
+    return errors;
+  }
+}
+
+module.exports = new IvrService(); 
\ No newline at end of file
@@ -0,0 +1,272 @@
+const mongoose = require('mongoose');
+const Voicemail = require('../models/Voicemail');
+const User = require('../models/User');
+const RingGroup = require('../models/RingGroup');
+const voicemailTranscriptionService = require('./voicemailTranscriptionService');
+const { emitToUser } = require('../utils/socket');
+const { createError } = require('../utils/errorHandler');
+
+// Fields copied from a voicemail when it is forwarded
+const FORWARDED_FIELDS = [
+  'callId', 'from', 'to', 'duration', 'recordingUrl', 'transcription', 'transcriptionStatus',
+  'transcriptionConfidence', 'transcriptionEngine', 'transcribedAt', 'createdAt'
+];
+
+/**
+ * Service for shared ring group mailboxes and forwarding voicemails between mailboxes
+ * A voicemail belongs to a user (userId) or to a ring group (ringGroupId) whose
+ * members all see it; a member claims it (handledBy) before returning the call
+ */
+class MailboxService {
+  /**
+   * Get a voicemail by ID
+   * @param {string} voicemailId - Voicemail ID
+   * @returns {Promise<Object>} - Voicemail
+   */
+  async getVoicemail(voicemailId) {
+    const voicemail = mongoose.isValidObjectId(voicemailId) ? await Voicemail.findById(voicemailId) : null;
+    
+    if (!voicemail) {
+      throw createError('Voicemail not found', 404);
+    }
+    
+    return voicemail;
+  }
+
+  /**
+   * Get a ring group by ID
+   * @param {string} ringGroupId - Ring group ID
+   * @returns {Promise<Object>} - Ring group
+   */
+  async getGroup(ringGroupId) {
+    const group = mongoose.isValidObjectId(ringGroupId) ? await RingGroup.findById(ringGroupId) : null;
+    
+    if (!group) {
+      throw createError('Ring group not found', 404);
+    }
+    
+    return group;
+  }
+
+  /**
+   * Get the IDs of the ring groups a user is a member of
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Ring group IDs
+   */
+  async getMemberGroupIds(userId) {
+    if (!mongoose.isValidObjectId(userId)) {
+      return [];
+    }
+    
+    return await RingGroup.find({ 'members.userId': userId }).distinct('_id');
+  }
+
+  /**
+   * Check whether a user is a member of a ring group
+   * @param {Object} group - Ring group
+   * @param {string} userId - User ID
+   * @returns {boolean} - Whether the user is a member
+   */
+  isMember(group, userId) {
+    return group.members.some(member => String(member.userId) === String(userId));
+  }
+
+  /**
+   * Build the query for a user's voicemails, optionally with their shared mailboxes
+   * @param {string} userId - User ID
+   * @param {Object} options - { includeShared }
+   * @returns {Promise<Object>} - Voicemail query
+   */
+  async getUserQuery(userId, options = {}) {
+    if (!options.includeShared) {
+      return { userId };
+    }
+    
+    const groupIds = await this.getMemberGroupIds(userId);
+    
+    return { $or: [{ userId }, { ringGroupId: { $in: groupIds } }] };
+  }
+
+  /**
+   * List a shared mailbox's voicemails
+   * @param {string} ringGroupId - Ring group ID
+   * @param {Object} options - { handled, isNew, limit, skip }
+   * @returns {Promise<Object>} - { voicemails, total }
+   */
+  async listGroupVoicemails(ringGroupId, options = {}) {
+    const group = await this.getGroup(ringGroupId);
+    const query = { ringGroupId: group._id };
+    
+    if (options.handled !== undefined) {
+      query['handledBy.userId'] = options.handled ? { $ne: null } : null;
+    }
+    if (options.isNew !== undefined) {
+      query.isNew = options.isNew;
+    }
+    
+    const [voicemails, total] = await Promise.all([
+      Voicemail.find(query)
+        .sort({ createdAt: -1 })
+        .limit(options.limit || 20)
+        .skip(options.skip || 0)
+        .populate('handledBy.userId', 'name email'),
+      Voicemail.countDocuments(query)
+    ]);
+    
+    return { voicemails, total };
+  }
+
+  /**
+   * Copy a voicemail into another user's mailbox or a shared mailbox
+   * The copy starts out new and unclaimed, and its recipients are notified
+   * @param {string} voicemailId - Voicemail ID
+   * @param {Object} options - { userId or ringGroupId to forward to, forwardedBy, note }
+   * @returns {Promise<Object>} - The copy
+   */
+  async forward(voicemailId, options = {}) {
+    const { userId, ringGroupId, forwardedBy, note } = options;
+    
+    if (!userId === !ringGroupId) {
+      throw createError('Forward to either a userId or a ringGroupId');
+    }
+    
+    const voicemail = await this.getVoicemail(voicemailId);
+    
+    if (ringGroupId) {
+      await this.getGroup(ringGroupId);
+    } else if (!mongoose.isValidObjectId(userId) || !(await User.exists({ _id: userId }))) {
+      throw createError('User not found', 404);
+    }
+    
+    if (forwardedBy && (!mongoose.isValidObjectId(forwardedBy) || !(await User.exists({ _id: forwardedBy })))) {
+      throw createError('Forwarding user not found', 404);
+    }
+    
+    const copy = new Voicemail({
+      userId: userId || undefined,
+      ringGroupId: ringGroupId || undefined,
+      forwardedFrom: {
+        voicemailId: voicemail._id,
+        userId: forwardedBy || undefined,
+        note,
+        forwardedAt: new Date()
+      }
+    });
+    
+    FORWARDED_FIELDS.forEach(field => {
+      if (voicemail[field] !== undefined) {
+        copy[field] = voicemail[field];
+      }
+    });
+    
+    // Only the original is updated when a pending transcription arrives
+    if (copy.transcriptionStatus === 'pending') {
+      copy.transcriptionStatus = 'none';
+    }
+    
+    await copy.save();
+    await voicemailTranscriptionService.notify(copy._id);
+    
+    return copy;
+  }
+
+  /**
+   * Claim a shared mailbox voicemail so other members know the call is being returned
+   * @param {string} voicemailId - Voicemail ID
+   * @param {string} userId - Member claiming it
+   * @returns {Promise<Object>} - Updated voicemail
+   */
+  async claim(voicemailId, userId) {
+    const { voicemail, group } = await this.getSharedVoicemail(voicemailId, userId);
+    
+    // Only an unclaimed message can be claimed, so two members can't both take it
+    const claimed = await Voicemail.findOneAndUpdate(
+      { _id: voicemail._id, 'handledBy.userId': null },
+      { handledBy: { userId, claimedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!claimed) {
+      const current = await Voicemail.findById(voicemail._id);
+      
+      if (String(current.handledBy.userId) === String(userId)) {
+        return current;
+      }
+      
+      throw createError('Voicemail is already being handled by another member', 409);
+    }
+    
+    this.broadcast(group, 'claimed', claimed);
+    
+    return claimed;
+  }
+
+  /**
+   * Release a claim on a shared mailbox voicemail
+   * @param {string} voicemailId - Voicemail ID
+   * @param {string} userId - Member who claimed it
+   * @returns {Promise<Object>} - Updated voicemail
+   */
+  async release(voicemailId, userId) {
+    const { voicemail, group } = await this.getSharedVoicemail(voicemailId, userId);
+    
+    const released = await Voicemail.findOneAndUpdate(
+      { _id: voicemail._id, 'handledBy.userId': userId },
+      { handledBy: { userId: null, claimedAt: null } },
+      { new: true }
+    );
+    
+    if (!released) {
+      throw createError('Only the member handling this voicemail can release it', 409);
+    }
+    
+    this.broadcast(group, 'released', released);
+    
+    return released;
+  }
+
+  /**
+   * Get a shared mailbox voicemail for one of the group's members
+   * @param {string} voicemailId - Voicemail ID
+   * @param {string} userId - Member
+   * @returns {Promise<Object>} - { voicemail, group }
+   */
+  async getSharedVoicemail(voicemailId, userId) {
+    if (!userId) {
+      throw createError('userId is required');
+    }
+    
+    const voicemail = await this.getVoicemail(voicemailId);
+    
+    if (!voicemail.ringGroupId) {
+      throw createError('Only voicemails in a shared mailbox can be claimed');
+    }
+    
+    const group = await this.getGroup(voicemail.ringGroupId);
+    
+    if (!this.isMember(group, userId)) {
+      throw createError('Only members of the ring group can handle its voicemails', 403);
+    }
+    
+    return { voicemail, group };
+  }
+
+  /**
+   * Tell every member of a shared mailbox that a voicemail's claim changed
+   * @param {Object} group - Ring group
+   * @param {string} event - claimed or released
+   * @param {Object} voicemail - Updated voicemail
+   */
+  broadcast(group, event, voicemail) {
+    const payload = {
+      event,
+      voicemailId: String(voicemail._id),
+      ringGroupId: String(group._id),
+      handledBy: voicemail.handledBy?.userId ? voicemail.handledBy : null
+    };
+    
+    group.members.forEach(member => emitToUser(String(member.userId), 'voicemail-update', payload));
+  }
+}
+
+module.exports = new MailboxService(); 
\ No newline at end of file
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+
+// Where uploaded media lives: local (default) or s3 (any S3-compatible store)
+const MEDIA_STORAGE_DRIVER = process.env.MEDIA_STORAGE_DRIVER || 'local';
+
+// Root directory for the local driver
+const MEDIA_STORAGE_DIR = process.env.MEDIA_STORAGE_DIR || path.join(process.cwd(), 'storage', 'media');
+
+/**
+ * Local disk storage
+ */
+class LocalMediaStore {
+  /**
+   * @param {string} root - Directory files are stored under
+   */
+  constructor(root) {
+    this.root = root;
+  }
+
+  /**
+   * Get the file path for a key
+   * @param {string} key - Storage key
+   * @returns {string} - Absolute path
+   */
+  resolve(key) {
+    return path.join(this.root, key);
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} - { body, size }, or null if it doesn't exist
+   */
+  async get(key) {
+    const filePath = this.resolve(key);
+    
+    try {
+      const stats = await fs.promises.stat(filePath);
+      return { body: fs.createReadStream(filePath), size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+/**
+ * S3 (or S3-compatible, e.g. MinIO or R2) storage
+ */
+class S3MediaStore {
+  constructor() {
+    // Required here so local installs don't load the AWS SDK
+    const { S3Client } = require('@aws-sdk/client-s3');
+    
+    if (!process.env.S3_BUCKET) {
+      throw new Error('S3_BUCKET is required for the s3 media storage driver');
+    }
+    
+    this.bucket = process.env.S3_BUCKET;
+    this.client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer, contentType) {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} - { body, size }, or null if it doesn't exist
+   */
+  async get(key) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    
+    try {
+      const result = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return { body: result.Body, size: result.ContentLength };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+}
+
+/**
+ * Service for storing uploaded media (voicemail greetings, ...)
+ * Keys are relative paths such as greetings/<userId>/<id>.mp3
+ */
+class MediaStorageService {
+  /**
+   * Get the configured store, creating it on first use
+   * @returns {Object} - Store with put/get/remove
+   */
+  getStore() {
+    if (!this.store) {
+      this.store = MEDIA_STORAGE_DRIVER === 's3'
+        ? new S3MediaStore()
+        : new LocalMediaStore(MEDIA_STORAGE_DIR);
+    }
+    
+    return this.store;
+  }
+
+  /**
+   * Make sure a key can't escape the storage root
+   * @param {string} key - Storage key
+   * @returns {string} - Normalized key
+   */
+  checkKey(key) {
+    const normalized = path.posix.normalize(String(key || ''));
+    
+    if (!normalized || normalized.startsWith('/') || normalized.startsWith('..')) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    
+    return normalized;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   * @returns {Promise<string>} - Storage key
+   */
+  async put(key, buffer, contentType) {
+    const checked = this.checkKey(key);
+    await this.getStore().put(checked, buffer, contentType);
+    return checked;
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} - { body (readable stream), size }, or null if it doesn't exist
+   */
+  async get(key) {
+    return await this.getStore().get(this.checkKey(key));
+  }
+
+  /**
+   * Delete a file (missing files are ignored)
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this.getStore().remove(this.checkKey(key));
+  }
+}
+
+module.exports = new MediaStorageService(); 
\ No newline at end of file
@@ -1,12 +1,62 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
 const User = require('../models/User');
-// For email notifications
-// Uncomment and install dependencies as needed:
-// const nodemailer = require('nodemailer');
+const { signMediaUrl } = require('../utils/mediaUrl');
+
+// Built-in voicemail email, used for any template field a user hasn't set
+const DEFAULT_VOICEMAIL_TEMPLATE = {
+  subject: 'New voicemail from {{from}}',
+  text: 'You have a new voicemail from {{from}}.\n\n' +
+    'Received: {{receivedAt}}\n' +
+    'Duration: {{duration}} seconds\n\n' +
+    'Transcription:\n{{transcription}}\n\n' +
+    'Mark as read: {{markReadUrl}}',
+  html: '<p>You have a new voicemail from <strong>{{from}}</strong>.</p>' +
+    '<p>Received: {{receivedAt}}<br>Duration: {{duration}} seconds</p>' +
+    '<p><strong>Transcription</strong><br>{{transcription}}</p>' +
+    '<p><a href="{{markReadUrl}}">Mark as read</a></p>'
+};
+
+// Variables voicemail email templates can use
+const VOICEMAIL_TEMPLATE_VARIABLES = [
+  'from', 'to', 'duration', 'receivedAt', 'transcription', 'markReadUrl', 'user.name', 'user.firstName'
+];
+
+// How long the "mark as read" link in a voicemail email works
+const MARK_READ_LINK_SECONDS = 30 * 24 * 60 * 60;
+
+// Largest recording attached to a voicemail email (larger ones are left off)
+const DEFAULT_MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
 
 /**
  * Service for handling notifications, including SMS, email, and push notifications
  */
 class NotificationService {
+  /**
+   * Get the SMTP transport emails are sent with
+   * Any SMTP server works, including a local test server (EMAIL_HOST=localhost)
+   * @returns {Object|null} - Nodemailer transport, or null if EMAIL_HOST is not set
+   */
+  getEmailTransport() {
+    if (!process.env.EMAIL_HOST) {
+      return null;
+    }
+    
+    if (!this.emailTransport) {
+      this.emailTransport = nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port: parseInt(process.env.EMAIL_PORT) || 587,
+        secure: process.env.EMAIL_SECURE === 'true',
+        auth: process.env.EMAIL_USER ? {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASSWORD
+        } : undefined
+      });
+    }
+    
+    return this.emailTransport;
+  }
+
   /**
    * Send an email notification
    * @param {Object|string} user - User object or user ID
@@ -30,60 +80,221 @@ class NotificationService {
         return false;
       }
       
-      // Example implementation with nodemailer
-      // Uncomment and complete as needed
-      /*
-      const transporter = nodemailer.createTransport({
-        host: process.env.EMAIL_HOST,
-        port: process.env.EMAIL_PORT,
-        secure: process.env.EMAIL_SECURE === 'true',
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASSWORD
-        }
-      });
+      if (type === 'voicemail' && user.voicemailEmail && user.voicemailEmail.enabled === false) {
+        return false;
+      }
       
-      let subject, text;
+      const transport = this.getEmailTransport();
       
-      switch (type) {
-        case 'voicemail':
-          subject = 'New Voicemail';
-          text = `You have a new voicemail from ${data.from || 'unknown'}. ` +
-                 `Duration: ${data.duration || 'unknown'} seconds.`;
-          break;
-        case 'sms':
-          subject = 'New SMS Message';
-          text = `You have a new SMS message from ${data.from || 'unknown'}.` +
-                 (data.text ? `\n\nMessage: ${data.text}` : '');
-          break;
-        case 'missed_call':
-          subject = 'Missed Call';
-          text = `You missed a call from ${data.from || 'unknown'} ` +
-                 `at ${new Date(data.timestamp).toLocaleString()}.`;
-          break;
-        default:
-          subject = `New ${type} Notification`;
-          text = `You have a new notification related to ${type}.`;
+      if (!transport) {
+        console.log(`Would send ${type} email to ${user.email} (EMAIL_HOST is not set)`);
+        return false;
       }
       
-      const info = await transporter.sendMail({
-        from: process.env.EMAIL_FROM,
+      const email = type === 'voicemail'
+        ? await this.buildVoicemailEmail(user, data)
+        : this.buildEmail(type, data);
+      
+      const info = await transport.sendMail({
+        from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
         to: user.email,
-        subject,
-        text
+        ...email
       });
       
       console.log('Email notification sent:', info.messageId);
-      */
-      
-      // For now, just log that we would send an email
-      console.log(`Would send ${type} email to ${user.email}`);
       return true;
     } catch (error) {
       console.error('Error sending email notification:', error);
       return false;
     }
   }
+
+  /**
+   * Build a plain notification email
+   * @param {string} type - Notification type (sms, missed_call, ...)
+   * @param {Object} data - Notification data
+   * @returns {Object} - { subject, text }
+   */
+  buildEmail(type, data) {
+    switch (type) {
+      case 'sms':
+        return {
+          subject: 'New SMS Message',
+          text: `You have a new SMS message from ${data.from || 'unknown'}.` +
+            (data.text ? `\n\nMessage: ${data.text}` : '')
+        };
+      case 'missed_call':
+        return {
+          subject: 'Missed Call',
+          text: `You missed a call from ${data.from || 'unknown'} ` +
+            `at ${new Date(data.timestamp || Date.now()).toLocaleString()}.`
+        };
+      default:
+        return {
+          subject: `New ${type} Notification`,
+          text: `You have a new notification related to ${type}.`
+        };
+    }
+  }
+
+  /**
+   * Build a voicemail email from the user's template, with the recording attached
+   * @param {Object} user - User
+   * @param {Object} data - { voicemailId, from, to, duration, recordingUrl, transcription, timestamp, forwardedBy, forwardNote }
+   * @returns {Promise<Object>} - { subject, text, html, attachments }
+   */
+  async buildVoicemailEmail(user, data) {
+    const template = { ...DEFAULT_VOICEMAIL_TEMPLATE };
+    const custom = user.voicemailEmail?.template || {};
+    
+    Object.keys(template).forEach(field => {
+      if (custom[field]) {
+        template[field] = custom[field];
+      }
+    });
+    
+    const receivedAt = new Date(data.timestamp || Date.now());
+    const variables = {
+      from: data.from || 'unknown',
+      to: data.to || '',
+      duration: data.duration || 0,
+      receivedAt: receivedAt.toLocaleString(),
+      transcription: data.transcription || 'No transcription available.',
+      markReadUrl: data.voicemailId
+        ? signMediaUrl(`/media/voicemails/${data.voicemailId}/read`, MARK_READ_LINK_SECONDS)
+        : '',
+      'user.name': user.name || '',
+      'user.firstName': user.name ? user.name.split(' ')[0] : ''
+    };
+    
+    const email = {
+      subject: this.renderTemplate(template.subject, variables),
+      text: this.renderTemplate(template.text, variables),
+      html: this.renderTemplate(template.html, variables, { escapeHtml: true }),
+      attachments: []
+    };
+    
+    // Forwarded copies lead with who forwarded them and their note
+    if (data.forwardedBy || data.forwardNote) {
+      const forwarded = `Forwarded by ${data.forwardedBy || 'a colleague'}` + (data.forwardNote ? `: ${data.forwardNote}` : '');
+      
+      email.subject = `Fwd: ${email.subject}`;
+      email.text = `${forwarded}\n\n${email.text}`;
+      email.html = `<p>${this.escapeHtml(forwarded)}</p>${email.html}`;
+    }
+    
+    if (data.recordingUrl && user.voicemailEmail?.attachAudio !== false) {
+      const audio = await this.downloadRecording(data.recordingUrl);
+      
+      if (audio) {
+        const digits = String(data.from || '').replace(/\D/g, '') || 'unknown';
+        
+        email.attachments.push({
+          filename: `voicemail-${digits}-${receivedAt.toISOString().slice(0, 10)}.mp3`,
+          content: audio,
+          contentType: 'audio/mpeg'
+        });
+      }
+    }
+    
+    return email;
+  }
+
+  /**
+   * Download a voicemail recording to attach to an email
+   * @param {string} url - Recording URL (Telnyx recording_urls.mp3)
+   * @returns {Promise<Buffer|null>} - Audio, or null if it couldn't be downloaded or is too large
+   */
+  async downloadRecording(url) {
+    try {
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: 15000,
+        maxContentLength: parseInt(process.env.EMAIL_MAX_ATTACHMENT_BYTES) || DEFAULT_MAX_ATTACHMENT_BYTES
+      });
+      
+      return Buffer.from(response.data);
+    } catch (error) {
+      console.error('Error downloading voicemail recording, sending email without it:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fill in {{variable}} placeholders
+   * @param {string} template - Template text
+   * @param {Object} variables - Values keyed by variable name
+   * @param {Object} options - { escapeHtml } to escape values for an HTML body
+   * @returns {string} - Rendered text
+   */
+  renderTemplate(template, variables, options = {}) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+      if (variables[name] === undefined) {
+        return match;
+      }
+      
+      const value = String(variables[name]);
+      
+      return options.escapeHtml ? this.escapeHtml(value) : value;
+    });
+  }
+
+  /**
+   * Escape text for an HTML email body, keeping line breaks
+   * @param {string} value - Text
+   * @returns {string} - HTML
+   */
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\n/g, '<br>');
+  }
+
+  /**
+   * Check a voicemail email template for unknown variables
+   * @param {Object} template - { subject, text, html }
+   * @returns {Array<string>} - Validation errors (empty if the template is valid)
+   */
+  validateVoicemailTemplate(template) {
+    const errors = [];
+    
+    if (template === undefined || template === null) {
+      return errors;
+    }
+    
+    if (typeof template !== 'object' || Array.isArray(template)) {
+      return ['template must be an object'];
+    }
+    
+    Object.keys(template).forEach(field => {
+      if (!['subject', 'text', 'html'].includes(field)) {
+        errors.push(`Unknown template field: ${field}`);
+        return;
+      }
+      
+      const value = template[field];
+      
+      if (value === null || value === '') {
+        return;
+      }
+      
+      if (typeof value !== 'string') {
+        errors.push(`${field} must be a string`);
+        return;
+      }
+      
+      for (const [, name] of value.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)) {
+        if (!VOICEMAIL_TEMPLATE_VARIABLES.includes(name)) {
+          errors.push(`Unknown variable in ${field}: {{${name}}}`);
+        }
+      }
+    });
+    
+    return errors;
+  }
   
   /**
    * Send a push notification (requires device configuration)
@@ -129,7 +340,9 @@ class NotificationService {
       switch (type) {
         case 'voicemail':
           title = 'New Voicemail';
-          body = `From: ${data.from || 'unknown'}`;
+          body = data.transcription
+            ? `From: ${data.from || 'unknown'} - ${data.transcription}`
+            : `From: ${data.from || 'unknown'}`;
           break;
         case 'sms':
           title = 'New SMS Message';
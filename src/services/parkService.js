@@ -0,0 +1,524 @@
+const mongoose = require('mongoose');
+const ParkedCall = require('../models/ParkedCall');
+const Call = require('../models/Call');
+const User = require('../models/User');
+const telnyxService = require('./telnyxService');
+const callLifecycleService = require('./callLifecycleService');
+const warmTransferService = require('./warmTransferService');
+const { encodeClientState } = require('../utils/clientState');
+const { emitToAll } = require('../utils/socket');
+const { createError } = require('../utils/errorHandler');
+
+// Park slots are numbered 1..PARK_SLOT_COUNT
+const PARK_SLOT_COUNT = parseInt(process.env.PARK_SLOT_COUNT) || 10;
+
+// How long a call stays parked before it rings the person who parked it
+const PARK_TIMEOUT_SECS = parseInt(process.env.PARK_TIMEOUT_SECS) || 120;
+
+// Dial code prefix for picking up from a desk phone or WebRTC client (*7 + slot, e.g. *73)
+const PARK_PICKUP_CODE = process.env.PARK_PICKUP_CODE || '*7';
+
+// How often parked calls are checked for timeouts
+const PARK_TICK_SECONDS = 5;
+
+// How long a pickup or call back rings
+const PARK_RING_TIMEOUT_SECONDS = 30;
+
+// Statuses of calls still sitting on a slot
+const OCCUPIED_STATUSES = ['parked', 'ringing'];
+
+/**
+ * Service for parking calls on numbered slots and picking them up
+ *
+ * A parked caller waits in a Telnyx queue of its own (park-<slot>) and hears
+ * HOLD_AUDIO_URL if it is set. Whoever picks up is bridged with that queue.
+ */
+class ParkService {
+  /**
+   * Get the Telnyx queue a slot's caller waits in
+   * @param {number} slot - Park slot
+   * @returns {string} - Queue name
+   */
+  getQueueName(slot) {
+    return `park-${slot}`;
+  }
+
+  /**
+   * Get the address to ring for a user: their WebRTC client if enabled, otherwise their phone
+   * @param {Object} user - User
+   * @returns {string|null} - Number or SIP URI
+   */
+  getDeviceAddress(user) {
+    if (user.webrtcEnabled && user.sipUsername) {
+      return `sip:${user.sipUsername}@sip.telnyx.com`;
+    }
+    
+    return user.phoneNumber || null;
+  }
+
+  /**
+   * Get the slot a dialed pickup code refers to
+   * @param {string} to - Dialed number or SIP URI (e.g. *73 or sip:*73@...)
+   * @returns {number|null} - Slot, or null if this is not a pickup code
+   */
+  parseDialCode(to) {
+    const dialed = String(to || '').replace(/^sip:/, '').split('@')[0];
+    
+    if (!dialed.startsWith(PARK_PICKUP_CODE)) {
+      return null;
+    }
+    
+    const slotDigits = dialed.slice(PARK_PICKUP_CODE.length);
+    const slot = parseInt(slotDigits, 10);
+    
+    if (!/^\d+$/.test(slotDigits) || slot < 1 || slot > PARK_SLOT_COUNT) {
+      return null;
+    }
+    
+    return slot;
+  }
+
+  /**
+   * Get every slot with the call parked on it, if any
+   * @returns {Promise<Array>} - Slots in order
+   */
+  async getSlots() {
+    const parked = await ParkedCall.find({ status: { $in: OCCUPIED_STATUSES } });
+    const slots = [];
+    
+    for (let slot = 1; slot <= PARK_SLOT_COUNT; slot++) {
+      const occupant = parked.find(p => p.slot === slot);
+      slots.push({ slot, call: occupant ? this.toEvent(occupant) : null });
+    }
+    
+    return slots;
+  }
+
+  /**
+   * Shape a parked call for API responses and Socket.IO events
+   * @param {Object} parked - Parked call
+   * @returns {Object} - Public fields
+   */
+  toEvent(parked) {
+    return {
+      parkedCallId: String(parked._id),
+      slot: parked.slot,
+      status: parked.status,
+      callId: String(parked.callId),
+      from: parked.from,
+      parkedBy: parked.parkedBy ? String(parked.parkedBy) : null,
+      pickedUpBy: parked.pickedUpBy ? String(parked.pickedUpBy) : null,
+      parkedAt: parked.parkedAt,
+      expiresAt: parked.expiresAt,
+      endedAt: parked.endedAt
+    };
+  }
+
+  /**
+   * Broadcast a parked call change to every client
+   * @param {string} event - What happened (parked, ringing, picked_up, returned, abandoned)
+   * @param {Object} parked - Parked call
+   */
+  notify(event, parked) {
+    emitToAll('park-update', { event, ...this.toEvent(parked) });
+  }
+
+  /**
+   * Park a live call on a slot and drop the person who parked it
+   * @param {string} callId - Call ID
+   * @param {string} userId - User parking the call
+   * @param {number} slot - Slot to use (the first free slot if omitted)
+   * @returns {Promise<Object>} - Parked call
+   */
+  async park(callId, userId, slot) {
+    const call = await Call.findById(callId);
+    
+    if (!call) {
+      throw createError('Call not found', 404);
+    }
+    
+    if (!['answered', 'forwarded'].includes(call.status) || call.endTime) {
+      throw createError('Only live, connected calls can be parked', 409);
+    }
+    
+    if (await ParkedCall.exists({ callControlId: call.telnyxCallControlId, status: { $in: OCCUPIED_STATUSES } })) {
+      throw createError('The call is already parked', 409);
+    }
+    
+    const parked = await this.claimSlot(call, userId, slot);
+    
+    try {
+      await telnyxService.sendCallCommand(call.telnyxCallControlId, 'enqueue', {
+        queue_name: this.getQueueName(parked.slot)
+      });
+      
+      if (process.env.HOLD_AUDIO_URL) {
+        await telnyxService.sendCallCommand(call.telnyxCallControlId, 'playback_start', {
+          audio_url: process.env.HOLD_AUDIO_URL,
+          loop: 'infinity'
+        });
+      }
+    } catch (error) {
+      await ParkedCall.findByIdAndDelete(parked._id);
+      throw error;
+    }
+    
+    // Set before hanging up the agent so ring group and queue handlers leave the caller up
+    await Call.findByIdAndUpdate(call._id, { parkedAt: parked.parkedAt });
+    
+    const agentCallControlId = await warmTransferService.findAgentLeg(call);
+    
+    if (agentCallControlId) {
+      await telnyxService.sendQuietly(agentCallControlId, 'hangup');
+    }
+    
+    this.notify('parked', parked);
+    
+    return parked;
+  }
+
+  /**
+   * Take a free slot for a call
+   * @param {Object} call - Call record
+   * @param {string} userId - User parking the call
+   * @param {number} slot - Requested slot, or undefined for the first free one
+   * @returns {Promise<Object>} - Parked call
+   */
+  async claimSlot(call, userId, slot) {
+    if (slot !== undefined && (slot < 1 || slot > PARK_SLOT_COUNT)) {
+      throw createError(`Slot must be between 1 and ${PARK_SLOT_COUNT}`);
+    }
+    
+    const candidates = slot !== undefined
+      ? [slot]
+      : Array.from({ length: PARK_SLOT_COUNT }, (value, index) => index + 1);
+    
+    for (const candidate of candidates) {
+      try {
+        return await ParkedCall.create({
+          slot: candidate,
+          occupiedSlot: candidate,
+          callId: call._id,
+          callControlId: call.telnyxCallControlId,
+          from: call.direction === 'inbound' ? call.from : call.to,
+          parkedBy: userId,
+          expiresAt: new Date(Date.now() + PARK_TIMEOUT_SECS * 1000)
+        });
+      } catch (error) {
+        // Slot taken (unique occupiedSlot), try the next one
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+    
+    throw createError(slot !== undefined ? `Slot ${slot} is in use` : 'All park slots are in use', 409);
+  }
+
+  /**
+   * Ring a user so they can pick up the call parked on a slot
+   * @param {number} slot - Park slot
+   * @param {string} userId - User picking up
+   * @returns {Promise<Object>} - Parked call
+   */
+  async pickup(slot, userId) {
+    const user = await User.findById(userId);
+    const address = user ? this.getDeviceAddress(user) : null;
+    
+    if (!address) {
+      throw createError('User not found or has no phone number or WebRTC client');
+    }
+    
+    const parked = await ParkedCall.findOneAndUpdate(
+      { occupiedSlot: slot, status: 'parked' },
+      { status: 'ringing', ringingUserId: user._id },
+      { new: true }
+    );
+    
+    if (!parked) {
+      throw createError(`No call is waiting on slot ${slot}`, 409);
+    }
+    
+    return await this.ring(parked, user, address, 'pickup');
+  }
+
+  /**
+   * Dial someone to take a parked call
+   * @param {Object} parked - Parked call in the ringing status
+   * @param {Object} user - User to ring
+   * @param {string} address - Number or SIP URI to dial
+   * @param {string} role - 'pickup' or 'return' (call back to the parker)
+   * @returns {Promise<Object>} - Parked call
+   */
+  async ring(parked, user, address, role) {
+    const call = await Call.findById(parked.callId);
+    const from = call.direction === 'inbound' ? call.to : call.from;
+    let leg;
+    
+    try {
+      leg = await telnyxService.makeOutboundCall(from, address, {
+        timeout_secs: PARK_RING_TIMEOUT_SECONDS,
+        client_state: encodeClientState({
+          flow: 'park',
+          role,
+          parent: parked.callControlId,
+          parkedCallId: String(parked._id),
+          userId: String(user._id)
+        }),
+        webhook_url: process.env.WEBHOOK_URL
+      });
+    } catch (error) {
+      await ParkedCall.findByIdAndUpdate(parked._id, { status: 'parked', ringingUserId: null });
+      throw error;
+    }
+    
+    await callLifecycleService.trackOutboundCall(leg, {
+      from,
+      to: address,
+      userId: user._id,
+      parentCallControlId: parked.callControlId
+    });
+    
+    const ringing = await ParkedCall.findByIdAndUpdate(
+      parked._id,
+      { ringingCallControlId: leg.call_control_id },
+      { new: true }
+    );
+    
+    this.notify('ringing', ringing);
+    
+    return ringing;
+  }
+
+  /**
+   * Handle the pickup and call back legs (flow: 'park')
+   * @param {Object} event - Telnyx event (req.body.data)
+   * @param {Object} state - Decoded client_state ({ role, parkedCallId, userId })
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleEvent(event, state) {
+    try {
+      const legId = event.payload.call_control_id;
+      
+      if (event.event_type === 'call.answered') {
+        const connected = await this.connect(
+          { _id: state.parkedCallId, status: 'ringing', ringingCallControlId: legId },
+          legId,
+          state.userId,
+          state.role === 'return' ? 'returned' : 'picked_up'
+        );
+        
+        if (!connected) {
+          // Caller left or someone else got there first
+          await telnyxService.sendQuietly(legId, 'hangup');
+          return { action: 'hangup' };
+        }
+        
+        return { action: connected.status };
+      }
+      
+      if (event.event_type === 'call.hangup') {
+        // Not answered: the call waits on its slot again, for another timeout if it was coming back to the parker
+        const update = { status: 'parked', ringingCallControlId: null, ringingUserId: null };
+        
+        if (state.role === 'return') {
+          update.expiresAt = new Date(Date.now() + PARK_TIMEOUT_SECS * 1000);
+        }
+        
+        const parked = await ParkedCall.findOneAndUpdate(
+          { _id: state.parkedCallId, status: 'ringing', ringingCallControlId: legId },
+          update,
+          { new: true }
+        );
+        
+        if (parked) {
+          this.notify('parked', parked);
+          return { action: 'parked' };
+        }
+      }
+      
+      return { action: 'none' };
+    } catch (error) {
+      console.error('Error handling park event:', error);
+      throw new Error(`Failed to handle park event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take a parked call off its slot and bridge it with a leg
+   * @param {Object} query - Query matching the parked call in the expected state
+   * @param {string} legId - Call control ID of the leg taking the call
+   * @param {string} userId - User taking the call, if known
+   * @param {string} status - 'picked_up' or 'returned'
+   * @returns {Promise<Object|null>} - Parked call, or null if it was no longer available
+   */
+  async connect(query, legId, userId, status) {
+    const parked = await ParkedCall.findOneAndUpdate(
+      query,
+      {
+        status,
+        pickedUpBy: userId,
+        endedAt: new Date(),
+        $unset: { occupiedSlot: 1, ringingCallControlId: 1, ringingUserId: 1 }
+      },
+      { new: true }
+    );
+    
+    if (!parked) {
+      return null;
+    }
+    
+    await telnyxService.sendQuietly(parked.callControlId, 'playback_stop');
+    await telnyxService.sendCallCommand(legId, 'bridge', {
+      queue: this.getQueueName(parked.slot)
+    });
+    
+    if (userId) {
+      await Call.findByIdAndUpdate(parked.callId, { userId });
+    }
+    
+    this.notify(status, parked);
+    
+    return parked;
+  }
+
+  /**
+   * Pick up a parked call dialed with the pickup code from a SIP device
+   * Calls from devices that don't match a user's SIP username are hung up
+   * @param {Object} event - call.initiated event for the device's call
+   * @param {number} slot - Slot from the dial code
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleDialCode(event, slot) {
+    const { call_control_id, from } = event.payload;
+    const sipUsername = String(from || '').replace(/^sip:/, '').split('@')[0];
+    const user = sipUsername ? await User.findOne({ sipUsername }) : null;
+    
+    // Only devices that belong to a user may take parked calls
+    if (!user) {
+      await telnyxService.sendCallCommand(call_control_id, 'hangup');
+      return { action: 'unknown_caller' };
+    }
+    
+    if (!(await ParkedCall.exists({ occupiedSlot: slot, status: 'parked' }))) {
+      await telnyxService.sendCallCommand(call_control_id, 'hangup');
+      return { action: 'no_parked_call' };
+    }
+    
+    await telnyxService.sendCallCommand(call_control_id, 'answer');
+    
+    const parked = await this.connect(
+      { occupiedSlot: slot, status: 'parked' },
+      call_control_id,
+      user._id,
+      'picked_up'
+    );
+    
+    if (!parked) {
+      await telnyxService.sendCallCommand(call_control_id, 'hangup');
+      return { action: 'no_parked_call' };
+    }
+    
+    return { action: 'picked_up' };
+  }
+
+  /**
+   * Free the slot of a parked caller who hangs up
+   * @param {Object} event - call.hangup event
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleCallHangup(event) {
+    const parked = await ParkedCall.findOneAndUpdate(
+      { callControlId: event.payload.call_control_id, status: { $in: OCCUPIED_STATUSES } },
+      { status: 'abandoned', endedAt: new Date(), $unset: { occupiedSlot: 1 } }
+    );
+    
+    if (!parked) {
+      return { action: 'none' };
+    }
+    
+    // Stop ringing whoever was about to take the call
+    if (parked.status === 'ringing' && parked.ringingCallControlId) {
+      await telnyxService.sendQuietly(parked.ringingCallControlId, 'hangup');
+    }
+    
+    this.notify('abandoned', { ...parked.toObject(), status: 'abandoned', endedAt: new Date() });
+    
+    return { action: 'abandoned' };
+  }
+
+  /**
+   * Ring the person who parked a call whose timeout has expired
+   * @param {Object} parked - Parked call
+   * @returns {Promise<void>}
+   */
+  async returnToParker(parked) {
+    const parker = parked.parkedBy ? await User.findById(parked.parkedBy) : null;
+    const address = parker ? this.getDeviceAddress(parker) : null;
+    
+    if (!address) {
+      // Nobody to call back: leave the call on its slot
+      await ParkedCall.findByIdAndUpdate(parked._id, {
+        expiresAt: new Date(Date.now() + PARK_TIMEOUT_SECS * 1000)
+      });
+      return;
+    }
+    
+    const ringing = await ParkedCall.findOneAndUpdate(
+      { _id: parked._id, status: 'parked' },
+      { status: 'ringing', ringingUserId: parker._id },
+      { new: true }
+    );
+    
+    if (ringing) {
+      await this.ring(ringing, parker, address, 'return');
+    }
+  }
+
+  /**
+   * Call back parkers of calls that have been parked too long
+   * @returns {Promise<void>}
+   */
+  async tick() {
+    // Nothing to do until the database is connected
+    if (mongoose.connection.readyState !== 1) {
+      return;
+    }
+    
+    const expired = await ParkedCall.find({ status: 'parked', expiresAt: { $lte: new Date() } });
+    
+    for (const parked of expired) {
+      try {
+        await this.returnToParker(parked);
+      } catch (error) {
+        console.error(`Error returning parked call on slot ${parked.slot}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Start the periodic park timeout check
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('Error running park tick:', error));
+    }, PARK_TICK_SECONDS * 1000);
+    
+    // Don't keep the process alive just for parked calls
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the periodic park timeout check
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new ParkService(); 
\ No newline at end of file
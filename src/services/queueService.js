@@ -0,0 +1,656 @@
+const mongoose = require('mongoose');
+const CallQueue = require('../models/CallQueue');
+const QueueEntry = require('../models/QueueEntry');
+const Call = require('../models/Call');
+const User = require('../models/User');
+const telnyxService = require('./telnyxService');
+const callLifecycleService = require('./callLifecycleService');
+const warmTransferService = require('./warmTransferService');
+const routingService = require('./routingService');
+const { encodeClientState } = require('../utils/clientState');
+const { emitToRoom, emitToUser } = require('../utils/socket');
+
+// How often waiting callers are checked for announcements, overflow and free agents
+const QUEUE_TICK_SECONDS = parseInt(process.env.QUEUE_TICK_SECONDS) || 5;
+
+// Entry statuses for callers who are still waiting for an agent
+const WAITING_STATUSES = ['waiting', 'offered'];
+
+/**
+ * Service for inbound call queues (ACD)
+ * Callers hear hold audio and position announcements while the longest idle
+ * available agent is rung; the first agent to answer is bridged to the caller
+ */
+class QueueService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Get the active queue for a Telnyx number
+   * @param {string} phoneNumber - Telnyx number that was called
+   * @returns {Promise<Object|null>} - Queue, or null
+   */
+  async getQueueForNumber(phoneNumber) {
+    if (!phoneNumber) {
+      return null;
+    }
+    
+    return await CallQueue.findOne({ phoneNumber, isActive: true });
+  }
+
+  /**
+   * Put a caller in a queue
+   * @param {Object} queue - Queue
+   * @param {string} callControlId - Call control ID of the caller's leg
+   * @param {Object} options - { from, to, answered } (answered: the call has already been answered)
+   * @returns {Promise<Object>} - { action, position }
+   */
+  async enqueue(queue, callControlId, options = {}) {
+    try {
+      const waiting = await QueueEntry.countDocuments({ queueId: queue._id, status: { $in: WAITING_STATUSES } });
+      const entry = new QueueEntry({
+        queueId: queue._id,
+        callControlId,
+        from: options.from,
+        to: options.to
+      });
+      
+      if (!options.answered) {
+        await telnyxService.sendCallCommand(callControlId, 'answer');
+      }
+      
+      // Overflow straight away if the queue is full or nobody could take the call
+      const noAgents = queue.overflowWhenNoAgents && (await this.getEligibleAgents(queue)).length === 0;
+      
+      if (waiting >= queue.maxCallers || noAgents) {
+        entry.status = 'overflowed';
+        entry.endedAt = new Date();
+        await entry.save();
+        
+        return await this.routeOverflow(queue, entry);
+      }
+      
+      await entry.save();
+      await callLifecycleService.transition(callControlId, 'queued', { queueId: queue._id });
+      
+      const position = waiting + 1;
+      
+      if (queue.announcementIntervalSecs > 0) {
+        await this.announcePosition(entry, position);
+      } else {
+        await this.playHoldAudio(queue, entry);
+      }
+      
+      await this.dispatch(queue);
+      await this.broadcast(queue);
+      
+      return { action: 'queued', queueId: String(queue._id), position };
+    } catch (error) {
+      console.error('Error adding caller to queue:', error);
+      throw new Error(`Failed to add caller to queue: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the client_state for a caller's leg
+   * @param {Object} entry - Queue entry
+   * @returns {string} - Encoded client_state
+   */
+  getCallerState(entry) {
+    return encodeClientState({
+      flow: 'queue',
+      role: 'caller',
+      queueId: String(entry.queueId),
+      entryId: String(entry._id)
+    });
+  }
+
+  /**
+   * Loop the queue's hold audio to a caller
+   * @param {Object} queue - Queue
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<void>}
+   */
+  async playHoldAudio(queue, entry) {
+    await telnyxService.sendCallCommand(entry.callControlId, 'playback_start', {
+      audio_url: queue.holdAudioUrl,
+      loop: 'infinity',
+      client_state: this.getCallerState(entry)
+    });
+  }
+
+  /**
+   * Tell a caller their position; hold audio resumes on call.speak.ended
+   * @param {Object} entry - Queue entry
+   * @param {number} position - Position in the queue (1 is next)
+   * @returns {Promise<void>}
+   */
+  async announcePosition(entry, position) {
+    await telnyxService.sendQuietly(entry.callControlId, 'playback_stop');
+    
+    await telnyxService.sendCallCommand(entry.callControlId, 'speak', {
+      payload: `You are caller number ${position}. Please stay on the line and the next available person will be with you shortly.`,
+      voice: 'female',
+      language: 'en-US',
+      client_state: this.getCallerState(entry)
+    });
+    
+    await QueueEntry.findByIdAndUpdate(entry._id, { lastAnnouncedAt: new Date() });
+  }
+
+  /**
+   * Get a waiting caller's position in the queue
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<number>} - Position (1 is next)
+   */
+  async getPosition(entry) {
+    const ahead = await QueueEntry.countDocuments({
+      queueId: entry.queueId,
+      status: { $in: WAITING_STATUSES },
+      enqueuedAt: { $lt: entry.enqueuedAt }
+    });
+    
+    return ahead + 1;
+  }
+
+  /**
+   * Get the queue's agents who could take a call now, longest idle first
+   * @param {Object} queue - Queue
+   * @returns {Promise<Array>} - Users
+   */
+  async getEligibleAgents(queue) {
+    const agents = await User.find({
+      _id: { $in: queue.agents },
+      onCall: { $ne: true },
+      phoneNumber: { $exists: true, $ne: null }
+    }).sort({ lastCallEndedAt: 1 });
+    
+    return agents.filter(agent => telnyxService.isUserAvailable(agent));
+  }
+
+  /**
+   * Offer waiting callers to free agents, oldest caller first
+   * @param {Object} queue - Queue
+   * @param {Object} options - { retrySkipped } to offer calls again to agents who let them ring out
+   * @returns {Promise<number>} - Number of agents rung
+   */
+  async dispatch(queue, options = {}) {
+    const entries = await QueueEntry.find({ queueId: queue._id, status: 'waiting' }).sort({ enqueuedAt: 1 });
+    let offered = 0;
+    
+    for (const entry of entries) {
+      const agents = await this.getEligibleAgents(queue);
+      
+      if (agents.length === 0) {
+        break;
+      }
+      
+      const skipped = new Set(entry.skippedAgents.map(String));
+      let candidates = agents.filter(agent => !skipped.has(String(agent._id)));
+      
+      if (candidates.length === 0 && options.retrySkipped) {
+        await QueueEntry.findByIdAndUpdate(entry._id, { skippedAgents: [] });
+        candidates = agents;
+      }
+      
+      for (const agent of candidates) {
+        if (await this.offerToAgent(queue, entry, agent)) {
+          offered++;
+          break;
+        }
+      }
+    }
+    
+    return offered;
+  }
+
+  /**
+   * Ring an agent for a waiting caller
+   * @param {Object} queue - Queue
+   * @param {Object} entry - Queue entry
+   * @param {Object} agent - User to ring
+   * @returns {Promise<boolean>} - Whether the agent was rung
+   */
+  async offerToAgent(queue, entry, agent) {
+    // Claim the agent first so two callers cannot ring the same person
+    if (!await this.claimAgent(agent._id)) {
+      return false;
+    }
+    
+    const claimed = await QueueEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { status: 'offered', agentId: agent._id },
+      { new: true }
+    );
+    
+    if (!claimed) {
+      await this.releaseAgent(agent._id);
+      return false;
+    }
+    
+    try {
+      const leg = await telnyxService.makeOutboundCall(queue.phoneNumber || entry.to, agent.phoneNumber, {
+        timeout_secs: queue.agentRingTimeoutSecs,
+        client_state: encodeClientState({
+          flow: 'queue',
+          role: 'agent',
+          parent: entry.callControlId,
+          queueId: String(queue._id),
+          entryId: String(entry._id),
+          userId: String(agent._id)
+        }),
+        webhook_url: process.env.WEBHOOK_URL
+      });
+      
+      await callLifecycleService.trackOutboundCall(leg, {
+        from: queue.phoneNumber || entry.to,
+        to: agent.phoneNumber,
+        userId: agent._id,
+        parentCallControlId: entry.callControlId
+      });
+      
+      await QueueEntry.findByIdAndUpdate(entry._id, { agentCallControlId: leg.call_control_id });
+      
+      emitToUser(agent._id, 'queue-call-offered', {
+        queueId: String(queue._id),
+        queueName: queue.name,
+        from: entry.from
+      });
+      
+      return true;
+    } catch (error) {
+      console.error(`Error ringing agent ${agent._id} for queue ${queue.name}:`, error);
+      
+      await QueueEntry.findByIdAndUpdate(entry._id, {
+        status: 'waiting',
+        $unset: { agentId: 1 },
+        $addToSet: { skippedAgents: agent._id }
+      });
+      await this.releaseAgent(agent._id);
+      
+      return false;
+    }
+  }
+
+  /**
+   * Handle a call control event for a queued caller or an agent leg
+   * @param {Object} event - Telnyx event (req.body.data)
+   * @param {Object} state - Decoded client_state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleEvent(event, state) {
+    const entry = await QueueEntry.findById(state.entryId);
+    
+    if (!entry) {
+      return { action: 'none' };
+    }
+    
+    let result = { action: 'none' };
+    
+    if (state.role === 'caller') {
+      switch (event.event_type) {
+        case 'call.speak.ended':
+          // Position announcement finished, back to hold audio
+          if (WAITING_STATUSES.includes(entry.status)) {
+            const queue = await CallQueue.findById(entry.queueId);
+            await this.playHoldAudio(queue, entry);
+            result = { action: 'hold' };
+          }
+          break;
+        
+        case 'call.hangup':
+          result = await this.handleCallerHangup(entry);
+          break;
+      }
+    } else if (state.role === 'agent') {
+      switch (event.event_type) {
+        case 'call.answered':
+          result = await this.handleAgentAnswered(entry, event.payload.call_control_id, state);
+          break;
+        
+        case 'call.hangup':
+          result = await this.handleAgentHangup(entry, event.payload.call_control_id, state);
+          break;
+      }
+    }
+    
+    if (result.action !== 'none' && result.action !== 'hold') {
+      const queue = await CallQueue.findById(entry.queueId);
+      
+      if (queue) {
+        await this.dispatch(queue);
+        await this.broadcast(queue);
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Connect the caller to the agent who answered
+   * @param {Object} entry - Queue entry
+   * @param {string} legId - Call control ID of the agent leg
+   * @param {Object} state - Agent leg state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleAgentAnswered(entry, legId, state) {
+    const connected = await QueueEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', agentId: state.userId },
+      { status: 'connected', agentCallControlId: legId, connectedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!connected) {
+      // The caller left or overflowed while this agent was ringing
+      await telnyxService.sendQuietly(legId, 'hangup');
+      return { action: 'none' };
+    }
+    
+    await telnyxService.sendQuietly(entry.callControlId, 'playback_stop');
+    
+    // Bridge from the agent's leg so it is parked, not hung up, if the caller is put on hold
+    await telnyxService.sendCallCommand(legId, 'bridge', {
+      call_control_id: entry.callControlId,
+      park_after_unbridge: 'self'
+    });
+    
+    await callLifecycleService.transition(entry.callControlId, 'answered', { userId: state.userId });
+    
+    return { action: 'connected', userId: state.userId };
+  }
+
+  /**
+   * Handle an agent leg ending: the call rang out, or the agent hung up on the caller
+   * @param {Object} entry - Queue entry
+   * @param {string} legId - Call control ID of the agent leg
+   * @param {Object} state - Agent leg state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleAgentHangup(entry, legId, state) {
+    if (entry.status === 'connected' && entry.agentCallControlId === legId) {
+      await QueueEntry.findByIdAndUpdate(entry._id, { status: 'completed', endedAt: new Date() });
+      await this.releaseAgent(state.userId, { callEnded: true });
+      
+      // Leave the caller up if the agent handed them over with a warm transfer, a conference or a park slot
+      const call = await Call.findOne({ telnyxCallControlId: entry.callControlId });
+      if (!warmTransferService.isTransferring(call) && !call?.conferenceId && !call?.parkedAt) {
+        await telnyxService.sendQuietly(entry.callControlId, 'hangup');
+      }
+      
+      return { action: 'completed' };
+    }
+    
+    // Rang out or declined: put the caller back in line and skip this agent
+    const requeued = await QueueEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', agentId: state.userId },
+      {
+        status: 'waiting',
+        $unset: { agentId: 1, agentCallControlId: 1 },
+        $addToSet: { skippedAgents: state.userId }
+      }
+    );
+    
+    await this.releaseAgent(state.userId);
+    
+    return requeued ? { action: 'requeued' } : { action: 'none' };
+  }
+
+  /**
+   * Handle the caller hanging up while waiting or connected
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleCallerHangup(entry) {
+    if (entry.status === 'connected') {
+      await QueueEntry.findByIdAndUpdate(entry._id, { status: 'completed', endedAt: new Date() });
+      await this.releaseAgent(entry.agentId, { callEnded: true });
+      
+      // An agent who joined the caller in a conference stays on it
+      const call = await Call.findOne({ telnyxCallControlId: entry.callControlId });
+      if (!call?.conferenceId) {
+        await telnyxService.sendQuietly(entry.agentCallControlId, 'hangup');
+      }
+      
+      return { action: 'completed' };
+    }
+    
+    const abandoned = await QueueEntry.findOneAndUpdate(
+      { _id: entry._id, status: { $in: WAITING_STATUSES } },
+      { status: 'abandoned', endedAt: new Date() }
+    );
+    
+    if (!abandoned) {
+      return { action: 'none' };
+    }
+    
+    // Stop ringing the agent this caller was offered to
+    if (abandoned.status === 'offered') {
+      if (abandoned.agentCallControlId) {
+        await telnyxService.sendQuietly(abandoned.agentCallControlId, 'hangup');
+      }
+      await this.releaseAgent(abandoned.agentId);
+    }
+    
+    return { action: 'abandoned' };
+  }
+
+  /**
+   * Send a caller who has waited too long to the queue's overflow target
+   * @param {Object} queue - Queue
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<Object>} - { action }
+   */
+  async overflowEntry(queue, entry) {
+    const overflowed = await QueueEntry.findOneAndUpdate(
+      { _id: entry._id, status: { $in: WAITING_STATUSES } },
+      { status: 'overflowed', endedAt: new Date() }
+    );
+    
+    if (!overflowed) {
+      return { action: 'none' };
+    }
+    
+    if (overflowed.status === 'offered') {
+      if (overflowed.agentCallControlId) {
+        await telnyxService.sendQuietly(overflowed.agentCallControlId, 'hangup');
+      }
+      await this.releaseAgent(overflowed.agentId);
+    }
+    
+    await telnyxService.sendQuietly(entry.callControlId, 'playback_stop');
+    
+    return await this.routeOverflow(queue, entry);
+  }
+
+  /**
+   * Route an overflowed caller and record where the call went
+   * @param {Object} queue - Queue
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<Object>} - { action }
+   */
+  async routeOverflow(queue, entry) {
+    const target = queue.overflow || { type: 'hangup' };
+    const update = { status: routingService.getStatusForTarget(target) };
+    
+    if (target.type === 'voicemail') {
+      update.userId = target.userId;
+    } else if (target.type === 'group_voicemail') {
+      update.ringGroupId = target.ringGroupId;
+    }
+    
+    await callLifecycleService.transition(entry.callControlId, update.status, update);
+    
+    return await routingService.routeToTarget(entry.callControlId, target, {
+      from: entry.from,
+      source: `queue ${queue.name}`
+    });
+  }
+
+  /**
+   * Periodic pass over all queues: overflow long waits, announce positions, offer calls to free agents
+   * @returns {Promise<void>}
+   */
+  async tick() {
+    // Nothing to do until the database is connected
+    if (mongoose.connection.readyState !== 1) {
+      return;
+    }
+    
+    const queueIds = await QueueEntry.distinct('queueId', { status: { $in: WAITING_STATUSES } });
+    
+    for (const queueId of queueIds) {
+      try {
+        const queue = await CallQueue.findById(queueId);
+        
+        if (!queue) {
+          continue;
+        }
+        
+        const entries = await QueueEntry.find({ queueId, status: { $in: WAITING_STATUSES } }).sort({ enqueuedAt: 1 });
+        const now = Date.now();
+        
+        for (let index = 0; index < entries.length; index++) {
+          const entry = entries[index];
+          
+          if (now - entry.enqueuedAt.getTime() > queue.maxWaitSecs * 1000) {
+            await this.overflowEntry(queue, entry);
+            continue;
+          }
+          
+          const announcementDue = queue.announcementIntervalSecs > 0 &&
+            entry.status === 'waiting' &&
+            (!entry.lastAnnouncedAt || now - entry.lastAnnouncedAt.getTime() > queue.announcementIntervalSecs * 1000);
+          
+          if (announcementDue) {
+            await this.announcePosition(entry, await this.getPosition(entry));
+          }
+        }
+        
+        await this.dispatch(queue, { retrySkipped: true });
+        await this.broadcast(queue);
+      } catch (error) {
+        console.error(`Error processing queue ${queueId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Start the periodic queue pass
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('Error running queue tick:', error));
+    }, QUEUE_TICK_SECONDS * 1000);
+    
+    // Don't keep the process alive just for the queue
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the periodic queue pass
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Get the current state of a queue: waiting callers and agents
+   * @param {Object} queue - Queue
+   * @returns {Promise<Object>} - Queue snapshot
+   */
+  async getSnapshot(queue) {
+    const entries = await QueueEntry.find({
+      queueId: queue._id,
+      status: { $in: [...WAITING_STATUSES, 'connected'] }
+    }).sort({ enqueuedAt: 1 });
+    const agents = await User.find({ _id: { $in: queue.agents } });
+    const now = Date.now();
+    let position = 0;
+    
+    return {
+      queueId: String(queue._id),
+      name: queue.name,
+      callers: entries.map(entry => ({
+        entryId: String(entry._id),
+        from: entry.from,
+        status: entry.status,
+        position: WAITING_STATUSES.includes(entry.status) ? ++position : null,
+        waitSecs: Math.round((now - entry.enqueuedAt.getTime()) / 1000),
+        agentId: entry.agentId ? String(entry.agentId) : null
+      })),
+      agents: agents.map(agent => ({
+        userId: String(agent._id),
+        name: agent.name,
+        available: telnyxService.isUserAvailable(agent),
+        onCall: agent.onCall,
+        lastCallEndedAt: agent.lastCallEndedAt
+      }))
+    };
+  }
+
+  /**
+   * Push a queue snapshot to Socket.IO clients subscribed to the queue
+   * @param {Object} queue - Queue
+   * @returns {Promise<void>}
+   */
+  async broadcast(queue) {
+    emitToRoom(`queue-${queue._id}`, 'queue-update', await this.getSnapshot(queue));
+  }
+
+  /**
+   * Mark an agent busy if they are free
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - Whether the agent was free and is now busy
+   */
+  async claimAgent(userId) {
+    const agent = await User.findOneAndUpdate(
+      { _id: userId, onCall: { $ne: true } },
+      { onCall: true }
+    );
+    
+    return Boolean(agent);
+  }
+
+  /**
+   * Mark an agent free again
+   * @param {string} userId - User ID
+   * @param {Object} options - { callEnded } to restart the agent's idle time
+   * @returns {Promise<void>}
+   */
+  async releaseAgent(userId, options = {}) {
+    if (!userId) {
+      return;
+    }
+    
+    const update = { onCall: false };
+    
+    if (options.callEnded) {
+      update.lastCallEndedAt = new Date();
+    }
+    
+    await User.findByIdAndUpdate(userId, update);
+  }
+
+  /**
+   * Check a queue definition
+   * @param {Object} queue - Queue data
+   * @returns {Array<string>} - Validation errors (empty if the queue is valid)
+   */
+  validateQueue(queue) {
+    const errors = [];
+    
+    if (!queue.name) errors.push('Queue name is required');
+    if (!queue.holdAudioUrl) errors.push('Hold audio URL is required');
+    if (!queue.agents || queue.agents.length === 0) errors.push('At least one agent is required');
+    
+    return errors.concat(routingService.validateTarget(queue.overflow));
+  }
+}
+
+module.exports = new QueueService(); 
\ No newline at end of file
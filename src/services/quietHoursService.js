@@ -0,0 +1,163 @@
+const moment = require('moment-timezone');
+const Conversation = require('../models/Conversation');
+const { getTimeZoneForNumber } = require('../utils/areaCodes');
+const { normalizeNumber } = require('../utils/phoneNumber');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Service for SMS quiet hours
+ * Windows are HH:mm to HH:mm in the recipient's local time and may cross midnight.
+ * The firm-wide window (only if SMS_QUIET_HOURS is set) and the sending user's own window both apply.
+ */
+class QuietHoursService {
+  /**
+   * Parse a window written as HH:mm-HH:mm
+   * @param {string} value - Window, or 'off'
+   * @returns {Object|null} - { start, end }, or null if there is no valid window
+   */
+  parseWindow(value) {
+    if (!value || value === 'off') {
+      return null;
+    }
+    
+    const [start, end] = String(value).split('-').map(part => part.trim());
+    
+    if (this.validateWindow({ start, end }).length > 0) {
+      console.warn(`Ignoring invalid quiet hours window: ${value}`);
+      return null;
+    }
+    
+    return { start, end };
+  }
+
+  /**
+   * Validate a quiet hours window
+   * @param {Object} window - { enabled, start, end }
+   * @returns {Array} - Validation errors (empty if valid)
+   */
+  validateWindow(window = {}) {
+    const errors = [];
+    
+    if (window.enabled !== undefined && typeof window.enabled !== 'boolean') {
+      errors.push('enabled must be true or false');
+    }
+    
+    ['start', 'end'].forEach(field => {
+      if (!TIME_PATTERN.test(window[field] || '')) {
+        errors.push(`${field} must be a time in HH:mm format`);
+      }
+    });
+    
+    if (errors.length === 0 && window.start === window.end) {
+      errors.push('start and end must be different times');
+    }
+    
+    return errors;
+  }
+
+  /**
+   * Get the windows that apply to a user's automated texts
+   * @param {Object} user - Sending user (optional)
+   * @returns {Array} - Windows as { start, end }
+   */
+  getWindows(user) {
+    const windows = [this.parseWindow(process.env.SMS_QUIET_HOURS)];
+    
+    if (user?.smsQuietHours?.enabled) {
+      windows.push(this.parseWindow(`${user.smsQuietHours.start}-${user.smsQuietHours.end}`));
+    }
+    
+    return windows.filter(Boolean);
+  }
+
+  /**
+   * Work out the recipient's time zone
+   * A time zone set on the conversation wins, then the one for their area code, then SMS_DEFAULT_TIME_ZONE
+   * @param {string} from - Our number
+   * @param {string} to - Recipient's number
+   * @returns {Promise<Object>} - { timeZone, source } where source is conversation, area_code or default
+   */
+  async getRecipientTimeZone(from, to) {
+    const conversation = await Conversation.findOne({
+      ourNumber: normalizeNumber(from),
+      counterpartNumber: normalizeNumber(to),
+      timeZone: { $ne: null }
+    }).select('timeZone');
+    
+    if (conversation) {
+      return { timeZone: conversation.timeZone, source: 'conversation' };
+    }
+    
+    const areaCodeTimeZone = getTimeZoneForNumber(to);
+    
+    if (areaCodeTimeZone) {
+      return { timeZone: areaCodeTimeZone, source: 'area_code' };
+    }
+    
+    return { timeZone: process.env.SMS_DEFAULT_TIME_ZONE || moment.tz.guess(), source: 'default' };
+  }
+
+  /**
+   * Check whether a local time falls inside a window
+   * @param {Object} window - { start, end }
+   * @param {Object} local - moment in the recipient's time zone
+   * @returns {boolean} - Whether it is quiet hours
+   */
+  isInWindow(window, local) {
+    const time = local.format('HH:mm');
+    
+    return window.start < window.end
+      ? time >= window.start && time < window.end
+      : time >= window.start || time < window.end;
+  }
+
+  /**
+   * Get the first time outside every window
+   * @param {Array} windows - Windows as { start, end }
+   * @param {string} timeZone - Recipient's time zone
+   * @param {Date} now - Time to check (defaults to now)
+   * @returns {Date|null} - When the text may go out, or null if it may go out now
+   */
+  getNextAllowedTime(windows, timeZone, now = new Date()) {
+    let local = moment(now).tz(timeZone);
+    let deferred = false;
+    
+    // Leaving one window can land inside another, so keep going until we're clear of all of them
+    for (let i = 0; i <= windows.length; i++) {
+      const window = windows.find(w => this.isInWindow(w, local));
+      
+      if (!window) {
+        break;
+      }
+      
+      const [hour, minute] = window.end.split(':').map(Number);
+      const end = local.clone().set({ hour, minute, second: 0, millisecond: 0 });
+      
+      local = end.isAfter(local) ? end : end.add(1, 'day');
+      deferred = true;
+    }
+    
+    return deferred ? local.toDate() : null;
+  }
+
+  /**
+   * Check whether an automated text may go out now
+   * @param {string} from - Our number
+   * @param {string} to - Recipient's number
+   * @param {Object} user - Sending user (optional)
+   * @param {Date} now - Time to check (defaults to now)
+   * @returns {Promise<Object>} - { sendAt (null to send now), timeZone, source }
+   */
+  async check(from, to, user, now = new Date()) {
+    const { timeZone, source } = await this.getRecipientTimeZone(from, to);
+    
+    return {
+      sendAt: this.getNextAllowedTime(this.getWindows(user), timeZone, now),
+      timeZone,
+      source
+    };
+  }
+}
+
+module.exports = new QuietHoursService(); 
\ No newline at end of file
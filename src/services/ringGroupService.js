@@ -0,0 +1,412 @@
+const RingGroup = require('../models/RingGroup');
+const Call = require('../models/Call');
+const User = require('../models/User');
+const telnyxService = require('./telnyxService');
+const callLifecycleService = require('./callLifecycleService');
+const routingService = require('./routingService');
+const queueService = require('./queueService');
+const warmTransferService = require('./warmTransferService');
+const { encodeClientState } = require('../utils/clientState');
+
+// Parent call statuses in which nobody has picked up the call yet
+const UNANSWERED_STATUSES = ['initiated', 'ringing'];
+
+/**
+ * Service for ringing the members of a ring/hunt group
+ * The inbound call is answered and parked while member legs are dialed;
+ * the first member to answer is bridged to the caller
+ */
+class RingGroupService {
+  /**
+   * Get the active ring group for a Telnyx number
+   * @param {string} phoneNumber - Telnyx number that was called
+   * @returns {Promise<Object|null>} - Ring group, or null
+   */
+  async getGroupForNumber(phoneNumber) {
+    if (!phoneNumber) {
+      return null;
+    }
+    
+    return await RingGroup.findOne({ phoneNumber, isActive: true });
+  }
+
+  /**
+   * Get the group's members in ringing order, with their users loaded
+   * @param {Object} group - Ring group
+   * @param {number} offset - Round robin starting position
+   * @returns {Promise<Array>} - [{ user, ringTimeoutSecs }]
+   */
+  async getOrderedMembers(group, offset = 0) {
+    const members = [...group.members].sort((a, b) => a.order - b.order);
+    const users = await User.find({ _id: { $in: members.map(m => m.userId) } });
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+    
+    const rotated = members.length > 0
+      ? members.slice(offset % members.length).concat(members.slice(0, offset % members.length))
+      : [];
+    
+    return rotated.map(member => ({
+      user: usersById.get(String(member.userId)),
+      ringTimeoutSecs: member.ringTimeoutSecs || group.ringTimeoutSecs
+    }));
+  }
+
+  /**
+   * Check whether a member can be rung right now
+   * @param {Object} member - { user, ringTimeoutSecs }
+   * @returns {boolean} - Whether the member should ring
+   */
+  isMemberAvailable(member) {
+    return Boolean(member.user && member.user.phoneNumber && telnyxService.isUserAvailable(member.user));
+  }
+
+  /**
+   * Start ringing a group for an inbound call
+   * @param {Object} group - Ring group
+   * @param {string} callControlId - Call control ID of the inbound call
+   * @returns {Promise<Object>} - { action, dialed }
+   */
+  async startCall(group, callControlId) {
+    try {
+      // Round robin starts one member further along on every call
+      let offset = 0;
+      if (group.strategy === 'round_robin' && group.members.length > 0) {
+        const updated = await RingGroup.findByIdAndUpdate(
+          group._id,
+          { $inc: { nextMemberIndex: 1 } },
+          { new: false }
+        );
+        offset = (updated ? updated.nextMemberIndex : 0) % group.members.length;
+      }
+      
+      // Answer the caller so the member legs can be bridged to it
+      await telnyxService.sendCallCommand(callControlId, 'answer', {
+        client_state: encodeClientState({ flow: 'ring_group', role: 'caller', groupId: String(group._id) })
+      });
+      
+      const members = await this.getOrderedMembers(group, offset);
+      const state = { flow: 'ring_group', role: 'member', parent: callControlId, groupId: String(group._id), offset };
+      
+      if (group.strategy === 'simultaneous') {
+        const available = members.filter(member => this.isMemberAvailable(member));
+        
+        if (available.length === 0) {
+          return await this.overflow(group, callControlId);
+        }
+        
+        await callLifecycleService.transition(callControlId, 'ringing');
+        
+        for (const member of available) {
+          await this.dialMember(group, member, { ...state, position: members.indexOf(member) });
+        }
+        
+        return { action: 'ringing_group', dialed: available.length };
+      }
+      
+      return await this.dialNext(group, members, { ...state, position: -1 });
+    } catch (error) {
+      console.error('Error ringing group:', error);
+      throw new Error(`Failed to ring group: ${error.message}`);
+    }
+  }
+
+  /**
+   * Dial the next available member after state.position (sequential and round robin)
+   * @param {Object} group - Ring group
+   * @param {Array} members - Members in ringing order
+   * @param {Object} state - Member leg state of the previous attempt
+   * @returns {Promise<Object>} - { action, dialed }
+   */
+  async dialNext(group, members, state) {
+    for (let position = state.position + 1; position < members.length; position++) {
+      if (this.isMemberAvailable(members[position])) {
+        await callLifecycleService.transition(state.parent, 'ringing');
+        await this.dialMember(group, members[position], { ...state, position });
+        
+        return { action: 'ringing_group', dialed: 1 };
+      }
+    }
+    
+    return await this.overflow(group, state.parent);
+  }
+
+  /**
+   * Dial one member and record the leg on the parent call
+   * @param {Object} group - Ring group
+   * @param {Object} member - { user, ringTimeoutSecs }
+   * @param {Object} state - Member leg state
+   * @returns {Promise<Object>} - Call control information for the leg
+   */
+  async dialMember(group, member, state) {
+    const leg = await telnyxService.makeOutboundCall(group.phoneNumber, member.user.phoneNumber, {
+      timeout_secs: member.ringTimeoutSecs,
+      client_state: encodeClientState({ ...state, userId: String(member.user._id) }),
+      webhook_url: process.env.WEBHOOK_URL
+    });
+    
+    await callLifecycleService.trackOutboundCall(leg, {
+      from: group.phoneNumber,
+      to: member.user.phoneNumber,
+      userId: member.user._id,
+      parentCallControlId: state.parent
+    });
+    
+    await Call.findOneAndUpdate(
+      { telnyxCallControlId: state.parent },
+      {
+        $push: {
+          legs: {
+            callControlId: leg.call_control_id,
+            userId: member.user._id,
+            to: member.user.phoneNumber,
+            status: 'dialing'
+          }
+        }
+      }
+    );
+    
+    return leg;
+  }
+
+  /**
+   * Send an unanswered group call to the group's overflow target
+   * @param {Object} group - Ring group
+   * @param {string} callControlId - Call control ID of the inbound call
+   * @returns {Promise<Object>} - { action }
+   */
+  async overflow(group, callControlId) {
+    const target = group.overflow || { type: 'hangup' };
+    const update = { status: routingService.getStatusForTarget(target) };
+    
+    if (target.type === 'voicemail') {
+      update.userId = target.userId;
+    } else if (target.type === 'group_voicemail') {
+      update.ringGroupId = target.ringGroupId;
+    }
+    
+    // Claim the call so a second leg ending at the same moment cannot overflow it again
+    const call = await callLifecycleService.transition(callControlId, update.status, update, {
+      from: UNANSWERED_STATUSES
+    });
+    
+    if (!call) {
+      return { action: 'none' };
+    }
+    
+    return await routingService.routeToTarget(callControlId, target, {
+      from: call.from,
+      to: call.to,
+      source: `group ${group.name}`
+    });
+  }
+
+  /**
+   * Handle a call control event for a ring group call or member leg
+   * @param {Object} event - Telnyx event (req.body.data)
+   * @param {Object} state - Decoded client_state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleEvent(event, state) {
+    if (state.role === 'caller') {
+      return event.event_type === 'call.hangup'
+        ? await this.handleCallerHangup(event.payload.call_control_id)
+        : { action: 'none' };
+    }
+    
+    switch (event.event_type) {
+      case 'call.answered':
+        return await this.handleMemberAnswered(event, state);
+      
+      case 'call.hangup':
+        return await this.handleMemberHangup(event, state);
+      
+      default:
+        return { action: 'none' };
+    }
+  }
+
+  /**
+   * Bridge the first member who answers; hang up on anyone who answers later
+   * @param {Object} event - call.answered event for the member leg
+   * @param {Object} state - Member leg state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleMemberAnswered(event, state) {
+    const legId = event.payload.call_control_id;
+    
+    const call = await callLifecycleService.transition(state.parent, 'answered', { userId: state.userId }, {
+      from: UNANSWERED_STATUSES
+    });
+    
+    if (!call) {
+      // Someone else got there first, or the caller has gone
+      await telnyxService.sendCallCommand(legId, 'hangup');
+      return { action: 'hangup' };
+    }
+    
+    // Bridge from the member's leg so it is parked, not hung up, if the caller is put on hold
+    await telnyxService.sendCallCommand(legId, 'bridge', {
+      call_control_id: state.parent,
+      park_after_unbridge: 'self'
+    });
+    await this.setLegStatus(state.parent, legId, 'bridged');
+    
+    // Keep the member out of queue distribution while they are on the call
+    await queueService.claimAgent(state.userId);
+    
+    // Stop ringing everyone else
+    await this.hangupLegs(call, legId);
+    
+    return { action: 'bridged', userId: state.userId };
+  }
+
+  /**
+   * Handle a member leg ending: keep hunting, overflow, or end the bridged call
+   * @param {Object} event - call.hangup event for the member leg
+   * @param {Object} state - Member leg state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleMemberHangup(event, state) {
+    const legId = event.payload.call_control_id;
+    const call = await Call.findOne({ telnyxCallControlId: state.parent });
+    
+    if (!call) {
+      return { action: 'none' };
+    }
+    
+    const leg = call.legs.find(l => l.callControlId === legId);
+    await this.setLegStatus(state.parent, legId, 'ended');
+    
+    if (leg && leg.status === 'bridged') {
+      await queueService.releaseAgent(state.userId, { callEnded: true });
+      
+      // The caller now belongs to a warm transfer, a conference or a park slot
+      if (warmTransferService.isTransferring(call) || call.conferenceId || call.parkedAt) {
+        return { action: 'transferred' };
+      }
+      
+      // Member hung up on the caller
+      await this.hangupQuietly(state.parent);
+      return { action: 'completed' };
+    }
+    
+    if (!UNANSWERED_STATUSES.includes(call.status)) {
+      return { action: 'none' };
+    }
+    
+    const group = await RingGroup.findById(state.groupId);
+    
+    if (!group) {
+      await this.hangupQuietly(state.parent);
+      return { action: 'hangup' };
+    }
+    
+    if (group.strategy === 'simultaneous') {
+      const stillRinging = call.legs.some(l => l.callControlId !== legId && l.status === 'dialing');
+      return stillRinging ? { action: 'none' } : await this.overflow(group, state.parent);
+    }
+    
+    const members = await this.getOrderedMembers(group, state.offset);
+    return await this.dialNext(group, members, state);
+  }
+
+  /**
+   * Hang up on members when the caller hangs up
+   * @param {string} callControlId - Call control ID of the inbound call
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleCallerHangup(callControlId) {
+    const call = await Call.findOne({ telnyxCallControlId: callControlId });
+    
+    if (!call) {
+      return { action: 'none' };
+    }
+    
+    const live = call.legs.filter(l => l.status !== 'ended');
+    
+    for (const leg of live) {
+      // A member who joined the caller in a conference stays on it
+      if (leg.status !== 'bridged' || !call.conferenceId) {
+        await this.hangupQuietly(leg.callControlId);
+      }
+      
+      if (leg.status === 'bridged') {
+        await queueService.releaseAgent(leg.userId, { callEnded: true });
+      }
+    }
+    
+    return { action: 'cancelled' };
+  }
+
+  /**
+   * Hang up every leg of a call that is still ringing
+   * @param {Object} call - Parent call
+   * @param {string} exceptLegId - Leg to leave alone
+   * @returns {Promise<void>}
+   */
+  async hangupLegs(call, exceptLegId) {
+    const ringing = call.legs.filter(l => l.status === 'dialing' && l.callControlId !== exceptLegId);
+    
+    for (const leg of ringing) {
+      await this.hangupQuietly(leg.callControlId);
+    }
+  }
+
+  /**
+   * Hang up a call, ignoring errors from calls that have already ended
+   * @param {string} callControlId - Call control ID
+   * @returns {Promise<void>}
+   */
+  async hangupQuietly(callControlId) {
+    try {
+      await telnyxService.sendCallCommand(callControlId, 'hangup');
+    } catch (error) {
+      console.log(`Could not hang up ${callControlId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update the status of one leg of a call
+   * @param {string} parentId - Call control ID of the inbound call
+   * @param {string} legId - Call control ID of the leg
+   * @param {string} status - New leg status
+   * @returns {Promise<void>}
+   */
+  async setLegStatus(parentId, legId, status) {
+    const update = { 'legs.$.status': status };
+    
+    if (status === 'bridged') {
+      update['legs.$.answerTime'] = new Date();
+    }
+    
+    if (status === 'ended') {
+      update['legs.$.endTime'] = new Date();
+    }
+    
+    await Call.findOneAndUpdate(
+      { telnyxCallControlId: parentId, 'legs.callControlId': legId },
+      { $set: update }
+    );
+  }
+
+  /**
+   * Check a ring group definition
+   * @param {Object} group - Ring group data
+   * @returns {Array<string>} - Validation errors (empty if the group is valid)
+   */
+  validateGroup(group) {
+    const errors = [];
+    
+    if (!group.name) errors.push('Group name is required');
+    if (!group.phoneNumber) errors.push('Phone number is required');
+    if (!group.members || group.members.length === 0) errors.push('At least one member is required');
+    
+    (group.members || []).forEach((member, index) => {
+      if (!member.userId) errors.push(`Member ${index + 1} needs a userId`);
+    });
+    
+    return errors.concat(routingService.validateTarget(group.overflow));
+  }
+}
+
+module.exports = new RingGroupService(); 
\ No newline at end of file
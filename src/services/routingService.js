@@ -0,0 +1,121 @@
+const User = require('../models/User');
+const RingGroup = require('../models/RingGroup');
+const IvrMenu = require('../models/IvrMenu');
+const CallQueue = require('../models/CallQueue');
+const telnyxService = require('./telnyxService');
+const ivrService = require('./ivrService');
+
+// Call status to record for each overflow target type
+const STATUS_BY_TARGET = {
+  voicemail: 'voicemail',
+  group_voicemail: 'voicemail',
+  ivr: 'answered',
+  queue: 'queued',
+  external: 'forwarded',
+  hangup: 'no-answer'
+};
+
+/**
+ * Service for sending an answered call to an overflow target
+ * (voicemail box, shared group mailbox, IVR menu, queue, external number or hangup)
+ */
+class RoutingService {
+  /**
+   * Get the call status to record when a call is sent to a target
+   * @param {Object} target - Overflow target
+   * @returns {string} - Call status
+   */
+  getStatusForTarget(target) {
+    return STATUS_BY_TARGET[target?.type] || 'no-answer';
+  }
+
+  /**
+   * Send an answered call to an overflow target
+   * @param {string} callControlId - Call control ID of the caller's leg
+   * @param {Object} target - Overflow target ({ type, userId, ringGroupId, menuId, queueId, to })
+   * @param {Object} context - { from, to, source } where source names the group/queue for errors
+   * @returns {Promise<Object>} - { action }
+   */
+  async routeToTarget(callControlId, target, context = {}) {
+    const source = context.source || 'call';
+    
+    switch (target?.type) {
+      case 'voicemail': {
+        const user = await User.findById(target.userId);
+        
+        if (!user) {
+          throw new Error(`Overflow voicemail box not found for ${source}`);
+        }
+        
+        await telnyxService.sendToVoicemail(callControlId, user);
+        return { action: 'voicemail', userId: String(user._id) };
+      }
+      
+      case 'group_voicemail': {
+        const group = await RingGroup.findById(target.ringGroupId);
+        
+        if (!group) {
+          throw new Error(`Overflow group mailbox not found for ${source}`);
+        }
+        
+        await telnyxService.sendToGroupVoicemail(callControlId, group);
+        return { action: 'voicemail', ringGroupId: String(group._id) };
+      }
+      
+      case 'ivr': {
+        const menu = await IvrMenu.findById(target.menuId);
+        
+        if (!menu) {
+          throw new Error(`Overflow IVR menu not found for ${source}`);
+        }
+        
+        await ivrService.startMenu(callControlId, { menu });
+        return { action: 'ivr', menuId: String(menu._id) };
+      }
+      
+      case 'queue': {
+        // Required here because queueService overflows through this service
+        const queueService = require('./queueService');
+        const queue = await CallQueue.findById(target.queueId);
+        
+        if (!queue) {
+          throw new Error(`Overflow queue not found for ${source}`);
+        }
+        
+        return await queueService.enqueue(queue, callControlId, { from: context.from, to: context.to, answered: true });
+      }
+      
+      case 'external':
+        await telnyxService.transferCall(callControlId, target.to);
+        return { action: 'forwarded', to: target.to };
+      
+      case 'hangup':
+      default:
+        await telnyxService.sendCallCommand(callControlId, 'hangup');
+        return { action: 'hangup' };
+    }
+  }
+
+  /**
+   * Check an overflow target definition
+   * @param {Object} target - Overflow target
+   * @returns {Array<string>} - Validation errors (empty if the target is valid)
+   */
+  validateTarget(target) {
+    const errors = [];
+    
+    if (!target) {
+      return errors;
+    }
+    
+    if (target.type === 'voicemail' && !target.userId) errors.push('Voicemail overflow needs a userId');
+    if (target.type === 'group_voicemail' && !target.ringGroupId) errors.push('Group voicemail overflow needs a ringGroupId');
+    if (target.type === 'ivr' && !target.menuId) errors.push('IVR overflow needs a menuId');
+    if (target.type === 'queue' && !target.queueId) errors.push('Queue overflow needs a queueId');
+    if (target.type === 'external' && !target.to) errors.push('External overflow needs a "to" number');
+    
+    return errors;
+  }
+}
+
+module.exports = new RoutingService(); 
\ No newline at end of file
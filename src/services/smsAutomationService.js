@@ -2,6 +2,10 @@ const SmsAutomation = require('../models/SmsAutomation');
 const { SmsTemplate, TemplateVariable } = require('../models/SmsTemplate');
 const telnyxService = require('./telnyxService');
 const User = require('../models/User');
+const SMS = require('../models/SMS');
+const conversationService = require('./conversationService');
+const quietHoursService = require('./quietHoursService');
+const automationJobService = require('./automationJobService');
 const moment = require('moment');
 
 /**
@@ -44,7 +48,8 @@ class SmsAutomationService {
             messageText: text,
             from,
             to,
-            automationId: automation._id
+            automationId: automation._id,
+            isReply: true
           });
           
           triggeredAutomations.push(automation.name);
@@ -109,7 +114,8 @@ class SmsAutomationService {
           from,
           to,
           automationId: automation._id,
-          callData
+          callData,
+          isReply: true
         });
         
         triggeredAutomations.push(automation.name);
@@ -317,10 +323,11 @@ class SmsAutomationService {
         if (action.parameters && action.parameters.delay && 
             action.parameters.delay.value > 0) {
           
-          await this.scheduleDelayedAction(automation._id, action, context);
+          const job = await this.scheduleDelayedAction(automation._id, action, context);
           results.push({ 
             type: action.type, 
             status: 'scheduled',
+            jobId: job.id,
             delay: `${action.parameters.delay.value} ${action.parameters.delay.unit}`
           });
           continue;
@@ -411,8 +418,64 @@ class SmsAutomationService {
         throw new Error('Missing required to/from phone numbers');
       }
       
+      const user = context.user || await User.findOne({ telnyxPhoneNumber: from });
+      
+      // Immediate replies to the recipient's text or call go straight out; everything else
+      // (scheduled, availability and delayed actions) waits until the recipient's quiet hours end
+      if (!context.isReply) {
+        const quietHours = await quietHoursService.check(from, to, user);
+        
+        if (quietHours.sendAt) {
+          const job = await this.scheduleDelayedAction(context.automationId, action, context, quietHours.sendAt);
+          
+          return {
+            type: 'sendSms',
+            status: 'deferred',
+            jobId: job.id,
+            sendAt: quietHours.sendAt,
+            timeZone: quietHours.timeZone,
+            to,
+            from
+          };
+        }
+      }
+      
       // Send the SMS using the Telnyx service
-      const result = await telnyxService.sendSMS(from, to, messageText);
+      let result;
+      
+      try {
+        result = await telnyxService.sendSMS(from, to, messageText, { userId: user?._id });
+      } catch (error) {
+        // The recipient texted STOP to this number; telnyxService logged the blocked attempt
+        if (error.code === 'SMS_OPTED_OUT') {
+          return {
+            type: 'sendSms',
+            status: 'skipped',
+            reason: 'Recipient opted out',
+            to,
+            from
+          };
+        }
+        throw error;
+      }
+      
+      // Store the message so it shows up in the conversation with the recipient
+      if (user) {
+        const sms = new SMS({
+          userId: user._id,
+          telnyxMessageId: result.id,
+          direction: 'outbound',
+          from,
+          to,
+          body: messageText,
+          status: 'sent',
+          sentAt: new Date(),
+          metadata: { automationId: context.automationId }
+        });
+        
+        await sms.save();
+        await conversationService.recordMessage(sms);
+      }
       
       return {
         type: 'sendSms',
@@ -452,49 +515,30 @@ class SmsAutomationService {
   
   /**
    * Schedule a delayed action
+   * The action is stored as a job and run by automationJobService, so it survives restarts
    * @param {string} automationId - The automation ID
    * @param {Object} action - The action to schedule
    * @param {Object} context - Context data for the action
-   * @returns {Promise<void>}
+   * @param {Date} runAt - When to run it (defaults to the action's delay from now)
+   * @returns {Promise<Object>} - Scheduled job
    */
-  async scheduleDelayedAction(automationId, action, context) {
+  async scheduleDelayedAction(automationId, action, context, runAt) {
     try {
-      // Calculate the delay in milliseconds
-      let delayMs = action.parameters.delay.value * 60 * 1000; // Default minutes
-      
-      if (action.parameters.delay.unit === 'hours') {
-        delayMs = action.parameters.delay.value * 60 * 60 * 1000;
-      } else if (action.parameters.delay.unit === 'days') {
-        delayMs = action.parameters.delay.value * 24 * 60 * 60 * 1000;
-      }
-      
-      // Schedule the action to run after the delay
-      setTimeout(async () => {
-        try {
-          const automation = await SmsAutomation.findById(automationId)
-            .populate('actions.parameters.template');
-          
-          if (!automation || !automation.isActive) {
-            console.log(`Automation ${automationId} is no longer active, skipping delayed action`);
-            return;
-          }
-          
-          await this.executeAction(action, context);
-          
-          // Update success statistics
-          await SmsAutomation.findByIdAndUpdate(automationId, {
-            $inc: { 'statistics.successCount': 1 }
-          });
-        } catch (error) {
-          console.error('Error executing delayed action:', error);
-          
-          // Update error statistics
-          await SmsAutomation.findByIdAndUpdate(automationId, {
-            $inc: { 'statistics.errorCount': 1 }
-          });
+      if (!runAt) {
+        // Calculate the delay in milliseconds
+        let delayMs = action.parameters.delay.value * 60 * 1000; // Default minutes
+        
+        if (action.parameters.delay.unit === 'hours') {
+          delayMs = action.parameters.delay.value * 60 * 60 * 1000;
+        } else if (action.parameters.delay.unit === 'days') {
+          delayMs = action.parameters.delay.value * 24 * 60 * 60 * 1000;
         }
-      }, delayMs);
+        
+        runAt = new Date(Date.now() + delayMs);
+      }
       
+      // Delayed actions are no longer replies, so they respect quiet hours
+      return await automationJobService.enqueue(automationId, action, { ...context, isReply: false }, runAt);
     } catch (error) {
       console.error('Error scheduling delayed action:', error);
       throw error;
@@ -0,0 +1,288 @@
+const SmsConsent = require('../models/SmsConsent');
+const { normalizeNumber } = require('../utils/phoneNumber');
+const { createError } = require('../utils/errorHandler');
+
+// Standard carrier keywords, matched against the whole message
+const KEYWORD_EVENTS = {
+  STOP: 'opt_out',
+  STOPALL: 'opt_out',
+  UNSUBSCRIBE: 'opt_out',
+  CANCEL: 'opt_out',
+  END: 'opt_out',
+  QUIT: 'opt_out',
+  REVOKE: 'opt_out',
+  OPTOUT: 'opt_out',
+  START: 'opt_in',
+  UNSTOP: 'opt_in',
+  HELP: 'help',
+  INFO: 'help'
+};
+
+// Confirmation replies, overridable with SMS_OPT_OUT_REPLY, SMS_OPT_IN_REPLY and SMS_HELP_REPLY
+const DEFAULT_REPLIES = {
+  opt_out: 'You have been unsubscribed and will not receive any more messages from this number. Reply START to resubscribe.',
+  opt_in: 'You have been resubscribed and will receive messages from this number again. Reply STOP to unsubscribe.',
+  help: 'Reply STOP to unsubscribe or START to resubscribe. Msg & data rates may apply.'
+};
+
+// Columns in the CSV export, in order
+const EXPORT_FIELDS = ['createdAt', 'ourNumber', 'counterpartNumber', 'event', 'source', 'keyword', 'messageId', 'userId', 'note', 'body'];
+
+/**
+ * Service for the SMS consent ledger (STOP/START/HELP)
+ * Consent is tracked per pair of our number and the counterpart's number, the same
+ * way carriers apply it. telnyxService.sendSMS checks it before every send, so this
+ * service must not require telnyxService.
+ */
+class SmsConsentService {
+  /**
+   * Get the normalized ledger key for a pair of numbers
+   * @param {string} ourNumber - Our number
+   * @param {string} counterpartNumber - Counterpart's number
+   * @returns {Object} - { ourNumber, counterpartNumber }
+   */
+  getKey(ourNumber, counterpartNumber) {
+    return {
+      ourNumber: normalizeNumber(ourNumber),
+      counterpartNumber: normalizeNumber(counterpartNumber)
+    };
+  }
+
+  /**
+   * Match a message against the consent keywords
+   * The keyword must be the whole message; case and surrounding punctuation are ignored
+   * @param {string} text - Message text
+   * @returns {Object|null} - { keyword, event }, or null if the message isn't a keyword
+   */
+  matchKeyword(text) {
+    const keyword = String(text || '').toUpperCase().replace(/^[^A-Z]+|[^A-Z]+$/g, '');
+    const event = KEYWORD_EVENTS[keyword];
+    
+    return event ? { keyword, event } : null;
+  }
+
+  /**
+   * Get the confirmation reply for a consent event
+   * @param {string} event - opt_out, opt_in or help
+   * @returns {string} - Reply text
+   */
+  getReply(event) {
+    switch (event) {
+      case 'opt_out':
+        return process.env.SMS_OPT_OUT_REPLY || DEFAULT_REPLIES.opt_out;
+      case 'opt_in':
+        return process.env.SMS_OPT_IN_REPLY || DEFAULT_REPLIES.opt_in;
+      default:
+        return process.env.SMS_HELP_REPLY || DEFAULT_REPLIES.help;
+    }
+  }
+
+  /**
+   * Get the current consent status for a pair of numbers
+   * @param {string} ourNumber - Our number
+   * @param {string} counterpartNumber - Counterpart's number
+   * @returns {Promise<Object>} - { ourNumber, counterpartNumber, optedOut, since, entry }
+   */
+  async getStatus(ourNumber, counterpartNumber) {
+    const key = this.getKey(ourNumber, counterpartNumber);
+    const entry = await SmsConsent.findOne({ ...key, event: { $in: ['opt_out', 'opt_in'] } })
+      .sort({ createdAt: -1 });
+    
+    return {
+      ...key,
+      optedOut: entry?.event === 'opt_out',
+      since: entry ? entry.createdAt : null,
+      entry
+    };
+  }
+
+  /**
+   * Check whether a counterpart has opted out of messages from one of our numbers
+   * @param {string} ourNumber - Our number
+   * @param {string} counterpartNumber - Counterpart's number
+   * @returns {Promise<boolean>} - Whether they opted out
+   */
+  async isOptedOut(ourNumber, counterpartNumber) {
+    return (await this.getStatus(ourNumber, counterpartNumber)).optedOut;
+  }
+
+  /**
+   * Add an entry to the ledger
+   * @param {string} ourNumber - Our number
+   * @param {string} counterpartNumber - Counterpart's number
+   * @param {Object} entry - { event, source, keyword, messageId, body, userId, note }
+   * @returns {Promise<Object>} - Ledger entry
+   */
+  async record(ourNumber, counterpartNumber, entry) {
+    const consent = new SmsConsent({
+      ...this.getKey(ourNumber, counterpartNumber),
+      ...entry
+    });
+    
+    await consent.save();
+    return consent;
+  }
+
+  /**
+   * Record a consent keyword in an inbound message
+   * START and UNSTOP only count from a counterpart who opted out; otherwise they're an ordinary message
+   * @param {Object} sms - Saved inbound SMS record
+   * @returns {Promise<Object|null>} - { event, keyword, reply }, or null if the message isn't a keyword
+   */
+  async handleIncoming(sms) {
+    const match = this.matchKeyword(sms.body);
+    
+    if (!match) {
+      return null;
+    }
+    
+    if (match.event === 'opt_in' && !(await this.isOptedOut(sms.to, sms.from))) {
+      return null;
+    }
+    
+    await this.record(sms.to, sms.from, {
+      event: match.event,
+      source: 'keyword',
+      keyword: match.keyword,
+      messageId: sms.telnyxMessageId,
+      body: sms.body,
+      userId: sms.userId
+    });
+    
+    console.log(`SMS consent: ${sms.from} sent ${match.keyword} to ${sms.to}`);
+    
+    return { ...match, reply: this.getReply(match.event) };
+  }
+
+  /**
+   * Refuse to send to a counterpart who opted out, logging the blocked attempt
+   * @param {string} from - Our number
+   * @param {string} to - Recipient's number
+   * @param {Object} context - { body, userId, note } describing the attempt
+   * @throws {Error} - 403 with code SMS_OPTED_OUT if the recipient opted out
+   */
+  async assertCanSend(from, to, context = {}) {
+    if (!(await this.isOptedOut(from, to))) {
+      return;
+    }
+    
+    await this.record(from, to, {
+      event: 'blocked_send',
+      source: 'send',
+      body: context.body,
+      userId: context.userId,
+      note: context.note
+    });
+    
+    console.warn(`Blocked SMS from ${from} to ${to}: recipient opted out`);
+    
+    const error = createError(`${to} has opted out of messages from ${from}`, 403);
+    error.code = 'SMS_OPTED_OUT';
+    throw error;
+  }
+
+  /**
+   * Opt a counterpart out or back in by hand (for example after a verbal request)
+   * @param {Object} data - { ourNumber, counterpartNumber, event (opt_out or opt_in), userId, note }
+   * @returns {Promise<Object>} - Ledger entry
+   */
+  async setConsent(data = {}) {
+    const { ourNumber, counterpartNumber, event, userId, note } = data;
+    
+    if (!normalizeNumber(ourNumber) || !normalizeNumber(counterpartNumber)) {
+      throw createError('Our number and counterpart number are required');
+    }
+    
+    if (!['opt_out', 'opt_in'].includes(event)) {
+      throw createError('Event must be opt_out or opt_in');
+    }
+    
+    return await this.record(ourNumber, counterpartNumber, {
+      event,
+      source: 'api',
+      userId: userId || undefined,
+      note
+    });
+  }
+
+  /**
+   * Build the ledger query for the history and export
+   * @param {Object} filters - { ourNumber, counterpartNumber, event, since, until }
+   * @returns {Object} - Mongo query
+   */
+  buildQuery(filters = {}) {
+    const query = {};
+    
+    if (filters.ourNumber) query.ourNumber = normalizeNumber(filters.ourNumber);
+    if (filters.counterpartNumber) query.counterpartNumber = normalizeNumber(filters.counterpartNumber);
+    if (filters.event) query.event = filters.event;
+    
+    ['since', 'until'].forEach(bound => {
+      if (!filters[bound]) {
+        return;
+      }
+      
+      const date = new Date(filters[bound]);
+      
+      if (isNaN(date.getTime())) {
+        throw createError(`${bound} must be a valid date`);
+      }
+      
+      query.createdAt = { ...query.createdAt, [bound === 'since' ? '$gte' : '$lte']: date };
+    });
+    
+    return query;
+  }
+
+  /**
+   * Page through the ledger, newest first
+   * @param {Object} filters - { ourNumber, counterpartNumber, event, since, until, limit, skip }
+   * @returns {Promise<Object>} - { entries, total }
+   */
+  async getHistory(filters = {}) {
+    const query = this.buildQuery(filters);
+    
+    const [entries, total] = await Promise.all([
+      SmsConsent.find(query)
+        .sort({ createdAt: -1 })
+        .limit(filters.limit || 50)
+        .skip(filters.skip || 0),
+      SmsConsent.countDocuments(query)
+    ]);
+    
+    return { entries, total };
+  }
+
+  /**
+   * Export the ledger for a compliance audit, oldest first
+   * @param {Object} filters - { ourNumber, counterpartNumber, event, since, until }
+   * @returns {Promise<Array>} - Ledger entries
+   */
+  async exportHistory(filters = {}) {
+    return await SmsConsent.find(this.buildQuery(filters))
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Format exported ledger entries as CSV
+   * @param {Array} entries - Ledger entries
+   * @returns {string} - CSV with a header row
+   */
+  toCsv(entries) {
+    const escape = value => {
+      if (value === undefined || value === null) {
+        return '';
+      }
+      
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    return [EXPORT_FIELDS, ...entries.map(entry => EXPORT_FIELDS.map(field => entry[field]))]
+      .map(row => row.map(escape).join(','))
+      .join('\r\n');
+  }
+}
+
+module.exports = new SmsConsentService(); 
\ No newline at end of file
@@ -0,0 +1,207 @@
+const Call = require('../models/Call');
+const User = require('../models/User');
+const telnyxService = require('./telnyxService');
+const callLifecycleService = require('./callLifecycleService');
+const warmTransferService = require('./warmTransferService');
+const { encodeClientState } = require('../utils/clientState');
+const { emitToRoom, hasListeners } = require('../utils/socket');
+const { createError } = require('../utils/errorHandler');
+
+// User roles allowed to supervise calls
+const SUPERVISOR_ROLES = ['supervisor', 'admin'];
+
+// Telnyx supervisor roles: monitor listens, whisper talks to the supervised leg only, barge joins the call
+const SUPERVISION_MODES = ['monitor', 'whisper', 'barge'];
+
+// Statuses of calls that are still in progress
+const LIVE_STATUSES = ['initiated', 'ringing', 'queued', 'answered', 'forwarded'];
+
+// Socket.IO room supervisors join for the live call roster
+const SUPERVISORS_ROOM = 'supervisors';
+
+// How long the supervisor's phone rings
+const SUPERVISOR_RING_TIMEOUT_SECONDS = 30;
+
+/**
+ * Service for supervisors listening to, whispering on and barging into live calls
+ *
+ * The supervisor's phone is dialed with Telnyx's supervise_call_control_id and
+ * supervisor_role, and the leg is stored as a child call with its supervision details.
+ */
+class SupervisorService {
+  /**
+   * Check whether a user may supervise calls
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - Whether the user is a supervisor or admin
+   */
+  async canSupervise(userId) {
+    const user = await User.findById(userId);
+    return Boolean(user && SUPERVISOR_ROLES.includes(user.role));
+  }
+
+  /**
+   * Dial a supervisor into a live call
+   * @param {Object} supervisor - Supervisor user
+   * @param {string} callControlId - Call control ID of the call to supervise
+   * @param {string} mode - 'monitor', 'whisper' or 'barge'
+   * @returns {Promise<Object>} - Call record of the supervisor's leg
+   */
+  async startSession(supervisor, callControlId, mode) {
+    if (!SUPERVISION_MODES.includes(mode)) {
+      throw createError(`Mode must be one of: ${SUPERVISION_MODES.join(', ')}`);
+    }
+    
+    if (!supervisor.phoneNumber) {
+      throw createError('Supervisor has no phone number to dial');
+    }
+    
+    const call = await Call.findOne({ telnyxCallControlId: callControlId });
+    
+    if (!call) {
+      throw createError('Call not found', 404);
+    }
+    
+    if (!['answered', 'forwarded'].includes(call.status) || call.endTime) {
+      throw createError('Only live, connected calls can be supervised', 409);
+    }
+    
+    const existing = await Call.findOne({
+      parentCallId: call._id,
+      userId: supervisor._id,
+      'supervision.mode': { $exists: true },
+      endTime: null
+    });
+    
+    if (existing) {
+      throw createError('You are already supervising this call', 409);
+    }
+    
+    // Coaching should reach the agent, not the caller
+    let supervisedCallControlId = call.telnyxCallControlId;
+    
+    if (mode === 'whisper') {
+      supervisedCallControlId = await warmTransferService.findAgentLeg(call) || supervisedCallControlId;
+    }
+    
+    const from = call.direction === 'inbound' ? call.to : call.from;
+    const leg = await telnyxService.makeOutboundCall(from, supervisor.phoneNumber, {
+      supervise_call_control_id: supervisedCallControlId,
+      supervisor_role: mode,
+      timeout_secs: SUPERVISOR_RING_TIMEOUT_SECONDS,
+      client_state: encodeClientState({ parent: call.telnyxCallControlId, userId: String(supervisor._id) }),
+      webhook_url: process.env.WEBHOOK_URL
+    });
+    
+    const tracked = await callLifecycleService.trackOutboundCall(leg, {
+      from,
+      to: supervisor.phoneNumber,
+      userId: supervisor._id,
+      parentCallControlId: call.telnyxCallControlId
+    });
+    
+    const session = await Call.findByIdAndUpdate(
+      tracked._id,
+      { supervision: { mode, supervisedCallControlId } },
+      { new: true }
+    );
+    
+    await this.broadcastRoster();
+    
+    return session;
+  }
+
+  /**
+   * Hang up a supervisor's leg
+   * @param {Object} supervisor - Supervisor user
+   * @param {string} callControlId - Call control ID of the supervisor's leg
+   * @returns {Promise<Object>} - Call record of the leg
+   */
+  async endSession(supervisor, callControlId) {
+    const session = await Call.findOne({
+      telnyxCallControlId: callControlId,
+      'supervision.mode': { $exists: true }
+    });
+    
+    if (!session) {
+      throw createError('Supervision session not found', 404);
+    }
+    
+    if (String(session.userId) !== String(supervisor._id) && supervisor.role !== 'admin') {
+      throw createError('Only admins can end another supervisor\'s session', 403);
+    }
+    
+    await telnyxService.sendCallCommand(callControlId, 'hangup');
+    
+    return session;
+  }
+
+  /**
+   * Get the calls in progress with their agents and supervisors
+   * @returns {Promise<Array>} - Roster entries, oldest call first
+   */
+  async getRoster() {
+    const calls = await Call.find({ parentCallId: null, endTime: null, status: { $in: LIVE_STATUSES } })
+      .sort({ startTime: 1 })
+      .populate('userId', 'name');
+    const sessions = await Call.find({
+      parentCallId: { $in: calls.map(call => call._id) },
+      'supervision.mode': { $exists: true },
+      endTime: null
+    }).populate('userId', 'name');
+    const now = Date.now();
+    
+    return calls.map(call => ({
+      callId: String(call._id),
+      telnyxCallControlId: call.telnyxCallControlId,
+      direction: call.direction,
+      from: call.from,
+      to: call.to,
+      status: call.status,
+      agent: call.userId ? { userId: String(call.userId._id), name: call.userId.name } : null,
+      queueId: call.queueId ? String(call.queueId) : null,
+      ringGroupId: call.ringGroupId ? String(call.ringGroupId) : null,
+      durationSecs: Math.round((now - call.startTime.getTime()) / 1000),
+      talkSecs: call.answerTime ? Math.round((now - call.answerTime.getTime()) / 1000) : 0,
+      supervisors: sessions
+        .filter(session => String(session.parentCallId) === String(call._id))
+        .map(session => ({
+          userId: session.userId ? String(session.userId._id) : null,
+          name: session.userId ? session.userId.name : null,
+          mode: session.supervision.mode,
+          callControlId: session.telnyxCallControlId,
+          status: session.status
+        }))
+    }));
+  }
+
+  /**
+   * Push the live call roster to subscribed supervisors
+   * @returns {Promise<void>}
+   */
+  async broadcastRoster() {
+    if (!hasListeners(SUPERVISORS_ROOM)) {
+      return;
+    }
+    
+    emitToRoom(SUPERVISORS_ROOM, 'call-roster', await this.getRoster());
+  }
+
+  /**
+   * Subscribe a socket to the roster if its user may supervise
+   * The user is the one the socket authenticated as with its user token, never one it names
+   * @param {Object} socket - Socket.IO socket
+   * @returns {Promise<boolean>} - Whether the socket was subscribed
+   */
+  async subscribe(socket) {
+    if (!socket.user || !(await this.canSupervise(socket.user._id))) {
+      return false;
+    }
+    
+    socket.join(SUPERVISORS_ROOM);
+    socket.emit('call-roster', await this.getRoster());
+    
+    return true;
+  }
+}
+
+module.exports = new SupervisorService(); 
\ No newline at end of file
@@ -1,7 +1,11 @@
 const telnyx = require('telnyx');
 const moment = require('moment');
+const { AsyncLocalStorage } = require('async_hooks');
 const User = require('../models/User');
 const calendarService = require('./calendarService');
+const greetingService = require('./greetingService');
+const smsConsentService = require('./smsConsentService');
+const { encodeClientState } = require('../utils/clientState');
 
 // Initialize Telnyx client with API key, handling V2 keys properly
 let telnyxClient;
@@ -22,19 +26,152 @@ if (apiKey && apiKey.includes('_')) {
   console.log('Initialized Telnyx client with standard API key format');
 }
 
-// Ring timeout in seconds before going to voicemail
-const RING_TIMEOUT_SECONDS = 15;
+// Dry-run context: while set, outbound Telnyx commands are recorded instead of sent
+const dryRunStorage = new AsyncLocalStorage();
 
-// Central forwarding number for option 2
-const CENTRAL_FORWARDING_NUMBER = '+18446942885';
+/**
+ * Create a stand-in Telnyx client that records every command it receives
+ * @param {Array} commands - Array the recorded commands are pushed onto
+ * @returns {Object} - Client with the same resource.method(...) shape as the Telnyx SDK
+ */
+function createDryRunClient(commands) {
+  return new Proxy({}, {
+    get(client, resource) {
+      return new Proxy({}, {
+        get(resourceObject, method) {
+          return async (...args) => {
+            commands.push({ resource, method, args, at: new Date() });
+            return { data: { dry_run: true } };
+          };
+        }
+      });
+    }
+  });
+}
 
-// Unavailable prompt URL
-const UNAVAILABLE_PROMPT_URL = 'https://raw.githubusercontent.com/GavvlLaw/voicemail-greetings/main/Unavailable';
+// Ring timeout in seconds before going to voicemail
+const RING_TIMEOUT_SECONDS = 15;
 
 /**
  * Service for handling Telnyx phone numbers and telephony operations
  */
 class TelnyxService {
+  /**
+   * Get the Telnyx client to use for outbound commands
+   * Inside a dry run this is a recording stub instead of the real client
+   * @returns {Object} - Telnyx client
+   */
+  getClient() {
+    const dryRun = dryRunStorage.getStore();
+    return dryRun ? dryRun.client : telnyxClient;
+  }
+
+  /**
+   * Check whether the current code is running inside a dry run
+   * @returns {boolean} - Whether outbound Telnyx commands are being stubbed
+   */
+  isDryRun() {
+    return !!dryRunStorage.getStore();
+  }
+
+  /**
+   * Run a function with all outbound Telnyx commands stubbed out
+   * Database writes made by the function still happen
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<Object>} - { result, commands } where commands lists what would have been sent
+   */
+  async runDryRun(fn) {
+    const commands = [];
+    const context = { client: createDryRunClient(commands) };
+    
+    const result = await dryRunStorage.run(context, fn);
+    
+    return { result, commands };
+  }
+
+  /**
+   * Send a call control command to a live call
+   * @param {string} callControlId - Call control ID
+   * @param {string} command - Command name (answer, speak, gather_using_audio, transfer, hangup, ...)
+   * @param {Object} params - Command parameters
+   * @returns {Promise<Object>} - Command result
+   */
+  async sendCallCommand(callControlId, command, params = {}) {
+    try {
+      const result = await this.getClient().calls[command](callControlId, params);
+      return result.data;
+    } catch (error) {
+      console.error(`Error sending ${command} command:`, error);
+      throw new Error(`Failed to send ${command} command: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a call command, ignoring errors from calls that have already ended
+   * @param {string} callControlId - Call control ID
+   * @param {string} command - Command name
+   * @param {Object} params - Command parameters
+   * @returns {Promise<void>}
+   */
+  async sendQuietly(callControlId, command, params = {}) {
+    try {
+      await this.sendCallCommand(callControlId, command, params);
+    } catch (error) {
+      console.log(`Could not send ${command} to ${callControlId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start a conference with an existing call as its first participant
+   * @param {Object} params - Conference parameters (call_control_id, name, ...)
+   * @returns {Promise<Object>} - Conference information
+   */
+  async createConference(params) {
+    try {
+      const result = await this.getClient().conferences.create(params);
+      return result.data;
+    } catch (error) {
+      console.error('Error creating conference:', error);
+      throw new Error(`Failed to create conference: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a command to a running conference
+   * @param {string} conferenceId - Telnyx conference ID
+   * @param {string} command - Command name (join, mute, unmute, record_start, record_stop, ...)
+   * @param {Object} params - Command parameters
+   * @returns {Promise<Object>} - Command result
+   */
+  async sendConferenceCommand(conferenceId, command, params = {}) {
+    try {
+      const result = await this.getClient().conferences[command](conferenceId, params);
+      return result.data;
+    } catch (error) {
+      console.error(`Error sending conference ${command} command:`, error);
+      throw new Error(`Failed to send conference ${command} command: ${error.message}`);
+    }
+  }
+
+  /**
+   * Transfer a call to another number
+   * The new leg carries { parent } in its client_state so it is linked to this call
+   * @param {string} callControlId - Call control ID
+   * @param {string} to - Number to transfer to
+   * @param {Object} options - Transfer parameters, plus userId for the person being rung
+   * @returns {Promise<Object>} - Command result
+   */
+  async transferCall(callControlId, to, options = {}) {
+    const { userId, ...params } = options;
+    
+    return await this.sendCallCommand(callControlId, 'transfer', {
+      to,
+      webhook_url: process.env.WEBHOOK_URL,
+      target_leg_client_state: encodeClientState({ parent: callControlId, userId }),
+      ...params
+    });
+  }
+
   /**
    * Search for available phone numbers
    * @param {Object} options - Search options
@@ -49,7 +186,7 @@ class TelnyxService {
         ...options
       };
 
-      const result = await telnyxClient.availablePhoneNumbers.list(defaultOptions);
+      const result = await this.getClient().availablePhoneNumbers.list(defaultOptions);
       return result.data;
     } catch (error) {
       console.error('Error searching for phone numbers:', error);
@@ -72,7 +209,7 @@ class TelnyxService {
         ...options
       };
 
-      const result = await telnyxClient.numberOrders.create(defaultOptions);
+      const result = await this.getClient().numberOrders.create(defaultOptions);
       return result.data;
     } catch (error) {
       console.error('Error purchasing phone number:', error);
@@ -125,7 +262,7 @@ class TelnyxService {
         ...options
       };
 
-      const call = await telnyxClient.calls.create(defaultOptions);
+      const call = await this.getClient().calls.create(defaultOptions);
       return call.data;
     } catch (error) {
       console.error('Error making outbound call:', error);
@@ -138,20 +275,28 @@ class TelnyxService {
    * @param {string} from - From phone number
    * @param {string} to - To phone number
    * @param {string} text - Message text
-   * @param {Object} options - SMS options
+   * @param {Object} options - SMS options, plus userId (who is sending, for the consent log)
+   *   and allowOptedOut (only for STOP/START/HELP confirmations)
    * @returns {Promise<Object>} - Message information
    */
   async sendSMS(from, to, text, options = {}) {
+    const { allowOptedOut, userId, ...smsOptions } = options;
+    
+    // Recipients who texted STOP to this number are never messaged (throws SMS_OPTED_OUT)
+    if (!allowOptedOut) {
+      await smsConsentService.assertCanSend(from, to, { body: text, userId });
+    }
+    
     try {
       const defaultOptions = {
         from,
         to,
         text,
         messaging_profile_id: process.env.TELNYX_MESSAGING_PROFILE_ID,
-        ...options
+        ...smsOptions
       };
 
-      const message = await telnyxClient.messages.create(defaultOptions);
+      const message = await this.getClient().messages.create(defaultOptions);
       return message.data;
     } catch (error) {
       console.error('Error sending SMS:', error);
@@ -171,7 +316,16 @@ class TelnyxService {
     }
     
     // Then check regular availability settings
-    const now = moment();
+    return this.isWithinAvailabilityHours(user);
+  }
+
+  /**
+   * Check if a time falls within a user's weekly availability hours (ignoring their calendar)
+   * @param {Object} user - User object with availability settings
+   * @param {Object} now - moment to check (defaults to now)
+   * @returns {boolean} - Whether the time is within the user's hours
+   */
+  isWithinAvailabilityHours(user, now = moment()) {
     const dayOfWeek = now.format('dddd').toLowerCase();
     const currentTime = now.format('HH:mm');
     
@@ -186,45 +340,6 @@ class TelnyxService {
     return currentTime >= dayAvailability.startTime && currentTime <= dayAvailability.endTime;
   }
 
-  /**
-   * Handle DTMF input for unavailable user flow
-   * @param {Object} event - The DTMF event from Telnyx
-   * @param {Object} user - User object
-   * @returns {Promise<Object>} - Result of handling the DTMF
-   */
-  async handleUnavailableDTMF(event, user) {
-    try {
-      const { call_control_id, digit } = event.payload;
-      
-      switch (digit) {
-        case '1':
-          // Option 1: Go to voicemail
-          return this.sendToVoicemail(call_control_id, user);
-          
-        case '2':
-          // Option 2: Forward to central number
-          const result = await telnyxClient.calls.update(call_control_id, {
-            command_id: 'transfer',
-            to: CENTRAL_FORWARDING_NUMBER,
-            webhook_url: process.env.WEBHOOK_URL,
-            webhook_type: 'transfer'
-          });
-          
-          return { 
-            action: 'forwarded_to_central', 
-            result: result.data 
-          };
-          
-        default:
-          // Default: Any other key or no key pressed (timeout) - go to voicemail
-          return this.sendToVoicemail(call_control_id, user);
-      }
-    } catch (error) {
-      console.error('Error handling DTMF input:', error);
-      throw new Error(`Failed to handle DTMF input: ${error.message}`);
-    }
-  }
-  
   /**
    * Send a call to voicemail
    * @param {string} callControlId - Call control ID
@@ -233,13 +348,10 @@ class TelnyxService {
    */
   async sendToVoicemail(callControlId, user) {
     try {
-      // Determine which voicemail greeting to use
-      let audioUrl;
+      // Determine which voicemail greeting to use: an uploaded greeting or a custom URL
+      let audioUrl = await greetingService.getGreetingUrl(user);
       
-      // Check if user has a custom voicemail greeting URL
-      if (user.voicemailGreetingUrl) {
-        audioUrl = user.voicemailGreetingUrl;
-      } else {
+      if (!audioUrl) {
         // Use the GitHub repository format with the user's first name
         const firstName = user.name.split(' ')[0];
         // Encode the first name for URL (spaces become %20)
@@ -247,125 +359,100 @@ class TelnyxService {
         audioUrl = `https://raw.githubusercontent.com/GavvlLaw/voicemail-greetings/main/${encodedName}`;
       }
       
-      try {
-        // Play voicemail greeting audio file
-        const result = await telnyxClient.calls.update(callControlId, {
-          command_id: 'play_audio',
-          audio_url: audioUrl
-        });
-        
-        // After playing greeting, wait a second and then start recording for voicemail
-        setTimeout(async () => {
-          await telnyxClient.calls.update(callControlId, {
-            command_id: 'record_start',
-            format: 'mp3',
-            channels: 'single',
-            play_beep: true
-          });
-        }, 1000);
-        
-        return { action: 'voicemail', result: result.data };
-      } catch (audioError) {
-        console.error('Error playing audio greeting, falling back to text:', audioError);
-        
-        // Fallback to text-to-speech if audio fails
-        const result = await telnyxClient.calls.update(callControlId, {
-          command_id: 'speak',
-          payload: user.voicemailGreeting,
-          voice: 'female',
-          language: 'en-US'
-        });
-        
-        // After greeting, start recording for voicemail
-        await telnyxClient.calls.update(callControlId, {
-          command_id: 'record_start',
-          format: 'mp3',
-          channels: 'single',
-          play_beep: true
-        });
-        
-        return { action: 'voicemail', result: result.data };
-      }
+      // Required here because voicemailFlowService uses this service to send its call commands
+      const voicemailFlowService = require('./voicemailFlowService');
+      
+      // Recording starts once the greeting has finished (see voicemailFlowService)
+      return await voicemailFlowService.greet(callControlId, { audioUrl, text: user.voicemailGreeting });
     } catch (error) {
       console.error('Error sending to voicemail:', error);
       throw new Error(`Failed to send to voicemail: ${error.message}`);
     }
   }
 
+
+  /**
+   * Send a call to a ring group's shared mailbox
+   * @param {string} callControlId - Call control ID
+   * @param {Object} group - Ring group
+   * @returns {Promise<Object>} - Action result
+   */
+  async sendToGroupVoicemail(callControlId, group) {
+    try {
+      // Required here because voicemailFlowService uses this service to send its call commands
+      const voicemailFlowService = require('./voicemailFlowService');
+      
+      return await voicemailFlowService.greet(callControlId, {
+        audioUrl: group.voicemailGreetingUrl,
+        text: group.voicemailGreeting || `You have reached ${group.name}. Please leave a message after the tone.`
+      });
+    } catch (error) {
+      console.error('Error sending to group voicemail:', error);
+      throw new Error(`Failed to send to group voicemail: ${error.message}`);
+    }
+  }
   /**
    * Handle an incoming call based on user availability
    * @param {Object} user - User object
    * @param {string} callControlId - Call control ID
+   * @param {Object} options - { ignoreAvailability } to ring the user whatever their settings (VIP callers)
    * @returns {Promise<Object>} - Call handling result
    */
-  async handleIncomingCall(user, callControlId) {
+  async handleIncomingCall(user, callControlId, options = {}) {
     try {
       // Check if user is available based on their settings
-      const isAvailable = this.isUserAvailable(user);
+      const isAvailable = options.ignoreAvailability || this.isUserAvailable(user);
       
       if (isAvailable) {
+        // Ring the user's find me / follow me devices if they have any set up
+        // Required here because findMeService uses this service to send its call commands
+        const findMeService = require('./findMeService');
+        const findMe = await findMeService.startCall(user, callControlId);
+        
+        if (findMe) {
+          return findMe;
+        }
+        
         // User is available, forward the call to their number
         // But first set a timeout for the call
-        await telnyxClient.calls.update(callControlId, {
-          command_id: 'answer',
-          client_state: 'awaiting-transfer'
-        });
+        await this.sendCallCommand(callControlId, 'answer');
         
         // Create a call control transfer to the user's phone number
         // with a specific timeout that will end the transfer attempt after 15 seconds
-        const result = await telnyxClient.calls.update(callControlId, {
-          command_id: 'transfer',
-          to: user.phoneNumber,
+        const result = await this.transferCall(callControlId, user.phoneNumber, {
           timeout_secs: RING_TIMEOUT_SECONDS,
-          webhook_url: process.env.WEBHOOK_URL,
-          webhook_type: 'transfer'
+          userId: String(user._id)
         });
         
-        return { action: 'forwarded', result: result.data };
+        return { action: 'forwarded', result };
       } else if (user.routeToLiveAgent && user.liveAgentNumber) {
         // User is not available but has live agent routing enabled
         // First answer the call
-        await telnyxClient.calls.update(callControlId, {
-          command_id: 'answer',
-          client_state: 'awaiting-transfer'
-        });
+        await this.sendCallCommand(callControlId, 'answer');
         
         // Create a call control transfer to the live agent with a timeout
-        const result = await telnyxClient.calls.update(callControlId, {
-          command_id: 'transfer',
-          to: user.liveAgentNumber,
-          timeout_secs: RING_TIMEOUT_SECONDS,
-          webhook_url: process.env.WEBHOOK_URL,
-          webhook_type: 'transfer'
+        const result = await this.transferCall(callControlId, user.liveAgentNumber, {
+          timeout_secs: RING_TIMEOUT_SECONDS
         });
         
-        return { action: 'routed_to_agent', result: result.data };
+        return { action: 'routed_to_agent', result };
       } else {
-        // User is not available, play unavailable prompt with options
-        // First answer the call
-        await telnyxClient.calls.update(callControlId, {
-          command_id: 'answer'
-        });
+        // User is not available, answer and walk the caller through the IVR menu
+        // configured for this number (or the default unavailable menu)
+        // Required here because ivrService uses this service to send its call commands
+        const ivrService = require('./ivrService');
         
-        // Play the unavailable prompt that offers options
-        const result = await telnyxClient.calls.update(callControlId, {
-          command_id: 'play_audio',
-          audio_url: UNAVAILABLE_PROMPT_URL,
-          client_state: 'gathering-input'
-        });
+        await this.sendCallCommand(callControlId, 'answer');
         
-        // Set up DTMF gathering for user input
-        await telnyxClient.calls.update(callControlId, {
-          command_id: 'gather',
-          max_digits: 1,
-          timeout_secs: 5, // Give 5 seconds to press a key
-          client_state: 'unavailable-flow'
+        const result = await ivrService.startMenu(callControlId, {
+          phoneNumber: user.telnyxPhoneNumber,
+          user
         });
         
-        return { 
-          action: 'unavailable_prompt', 
-          result: result.data,
-          message: 'Playing unavailable prompt with options: 1 for voicemail, 2 for central number'
+        return {
+          action: 'unavailable_prompt',
+          result,
+          message: `Playing IVR menu "${result.menuName}"`
         };
       }
     } catch (error) {
@@ -425,7 +512,7 @@ class TelnyxService {
         ...options
       };
 
-      const result = await telnyxClient.phoneNumbers.list({
+      const result = await this.getClient().phoneNumbers.list({
         page: {
           number: defaultOptions.page,
           size: defaultOptions.pageSize
@@ -449,7 +536,7 @@ class TelnyxService {
    */
   async getPhoneNumberDetails(phoneId) {
     try {
-      const result = await telnyxClient.phoneNumbers.retrieve(phoneId);
+      const result = await this.getClient().phoneNumbers.retrieve(phoneId);
       return result.data;
     } catch (error) {
       console.error(`Error retrieving phone number ${phoneId}:`, error);
@@ -464,7 +551,7 @@ class TelnyxService {
    */
   async releasePhoneNumber(phoneId) {
     try {
-      const result = await telnyxClient.phoneNumbers.delete(phoneId);
+      const result = await this.getClient().phoneNumbers.delete(phoneId);
       return result.data;
     } catch (error) {
       console.error(`Error releasing phone number ${phoneId}:`, error);
@@ -480,7 +567,7 @@ class TelnyxService {
    */
   async updatePhoneNumber(phoneId, options = {}) {
     try {
-      const result = await telnyxClient.phoneNumbers.update(phoneId, options);
+      const result = await this.getClient().phoneNumbers.update(phoneId, options);
       return result.data;
     } catch (error) {
       console.error(`Error updating phone number ${phoneId}:`, error);
@@ -497,7 +584,7 @@ class TelnyxService {
     try {
       // Create a SIP connection with Telnyx if user doesn't have one
       if (!user.sipCredentialId) {
-        const result = await telnyxClient.sipCredentials.create({
+        const result = await this.getClient().sipCredentials.create({
           connection_id: process.env.TELNYX_SIP_CONNECTION_ID,
           name: `User-${user._id}-Credentials`,
           user_name: `user-${user._id}-${Date.now()}`, // Ensure uniqueness
@@ -520,7 +607,7 @@ class TelnyxService {
         };
       } else {
         // Retrieve existing credentials
-        const result = await telnyxClient.sipCredentials.retrieve(user.sipCredentialId);
+        const result = await this.getClient().sipCredentials.retrieve(user.sipCredentialId);
         
         // Note: Password is not retrievable, would need to reset if lost
         return {
@@ -554,7 +641,7 @@ class TelnyxService {
       const password = this.generateRandomPassword();
       
       // Update SIP credentials with new password
-      const result = await telnyxClient.sipCredentials.update(user.sipCredentialId, {
+      const result = await this.getClient().sipCredentials.update(user.sipCredentialId, {
         password
       });
       
@@ -601,7 +688,7 @@ class TelnyxService {
       }
       
       // Generate WebRTC token using Telnyx API
-      const result = await telnyxClient.credentials.token({
+      const result = await this.getClient().credentials.token({
         credential_id: user.sipCredentialId
       });
       
@@ -626,7 +713,7 @@ class TelnyxService {
       }
       
       // Delete SIP credentials
-      await telnyxClient.sipCredentials.delete(user.sipCredentialId);
+      await this.getClient().sipCredentials.delete(user.sipCredentialId);
       
       // Update user record
       await User.findByIdAndUpdate(userId, {
@@ -0,0 +1,533 @@
+const moment = require('moment');
+const User = require('../models/User');
+const Voicemail = require('../models/Voicemail');
+const Greeting = require('../models/Greeting');
+const telnyxService = require('./telnyxService');
+const greetingService = require('./greetingService');
+const callerRuleService = require('./callerRuleService');
+const { encodeClientState } = require('../utils/clientState');
+
+// Wrong PINs allowed before the caller is hung up on
+const MAX_PIN_ATTEMPTS = 3;
+
+// Times a menu is replayed after no or invalid input
+const MAX_MENU_RETRIES = 2;
+
+// Keys pressed while a message plays, or after it
+const MESSAGE_OPTIONS_PROMPT = 'Press 1 to replay, 2 to save, 3 to delete, 4 to call back the sender, 5 for the next message, or star for the main menu.';
+
+/**
+ * Service for dial-in voicemail retrieval
+ * Users call the central access number (VOICEMAIL_ACCESS_NUMBER) or their own
+ * number from their own phone, enter their PIN (emailPassword) and listen to,
+ * save, delete and call back their messages. Menu state travels with the call
+ * in client_state ({ flow: 'voicemail_access', stage, ... }).
+ */
+class VoicemailAccessService {
+  /**
+   * Check whether a number is the central voicemail access number
+   * @param {string} to - Number that was called
+   * @returns {boolean} - Whether the call is for the access number
+   */
+  isAccessNumber(to) {
+    const accessNumber = process.env.VOICEMAIL_ACCESS_NUMBER;
+    return !!accessNumber && callerRuleService.normalizeNumber(accessNumber) === callerRuleService.normalizeNumber(to);
+  }
+
+  /**
+   * Check whether a caller is one of the user's own phones (mobile or find me number)
+   * @param {Object} user - User whose number was called
+   * @param {string} from - Caller's number
+   * @returns {boolean} - Whether the user is calling their own number
+   */
+  isOwnPhone(user, from) {
+    const caller = callerRuleService.normalizeNumber(from);
+    
+    if (!user || !caller) {
+      return false;
+    }
+    
+    const numbers = [user.phoneNumber, ...(user.findMe?.destinations || []).map(destination => destination.number)];
+    
+    return numbers.some(number => number && callerRuleService.normalizeNumber(number) === caller);
+  }
+
+  /**
+   * Answer a voicemail access call and ask for the mailbox or PIN
+   * @param {string} callControlId - Call control ID
+   * @param {Object} context - { user } when the mailbox is known, { from } at the access number
+   * @returns {Promise<Object>} - { action, stage }
+   */
+  async startCall(callControlId, context = {}) {
+    try {
+      // At the access number, callers ringing from a user's mobile skip the mailbox prompt
+      const user = context.user || await this.findUserByPhone(context.from);
+      const state = { flow: 'voicemail_access', userId: user ? String(user._id) : undefined, attempt: 0 };
+      
+      await telnyxService.sendCallCommand(callControlId, 'answer', {
+        client_state: encodeClientState(state)
+      });
+      
+      const stage = user ? 'pin' : 'mailbox';
+      await this.prompt(callControlId, { ...state, stage });
+      
+      return { action: 'voicemail_access', stage };
+    } catch (error) {
+      console.error('Error starting voicemail access:', error);
+      throw new Error(`Failed to start voicemail access: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the user whose mobile number a call is from
+   * @param {string} from - Caller's number
+   * @returns {Promise<Object|null>} - User
+   */
+  async findUserByPhone(from) {
+    const number = callerRuleService.normalizeNumber(from);
+    
+    if (!number) {
+      return null;
+    }
+    
+    return await User.findOne({ phoneNumber: { $in: [from, number] } });
+  }
+
+  /**
+   * Find the user a mailbox number belongs to (their Telnyx number)
+   * @param {string} digits - Digits the caller entered
+   * @returns {Promise<Object|null>} - User
+   */
+  async findUserByMailbox(digits) {
+    const number = callerRuleService.normalizeNumber(digits);
+    
+    if (!number) {
+      return null;
+    }
+    
+    return await User.findOne({ telnyxPhoneNumber: number });
+  }
+
+  /**
+   * Handle a call control event for a voicemail access call
+   * @param {Object} event - Telnyx event (req.body.data)
+   * @param {Object} state - Decoded client_state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleEvent(event, state) {
+    const callControlId = event.payload.call_control_id;
+    
+    switch (event.event_type) {
+      case 'call.gather.ended':
+        return await this.handleGather(event, state);
+      
+      case 'call.speak.ended':
+        if (state.stage === 'goodbye') {
+          await telnyxService.sendCallCommand(callControlId, 'hangup');
+          return { action: 'hangup' };
+        }
+        
+        // The envelope has been read, now play the message itself
+        if (state.stage === 'envelope') {
+          return await this.playMessage(callControlId, state);
+        }
+        return { action: 'none' };
+      
+      default:
+        return { action: 'none' };
+    }
+  }
+
+  /**
+   * Handle the end of a gather
+   * @param {Object} event - call.gather.ended event
+   * @param {Object} state - Decoded client_state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleGather(event, state) {
+    const { call_control_id, digits, status } = event.payload;
+    
+    // Gathers stopped because the caller hung up need no action
+    if (status === 'cancelled' || status === 'call_hangup') {
+      return { action: 'none' };
+    }
+    
+    switch (state.stage) {
+      case 'mailbox':
+        return await this.handleMailbox(call_control_id, state, digits);
+      case 'pin':
+        return await this.handlePin(call_control_id, state, digits);
+      case 'main':
+        return await this.handleMainMenu(call_control_id, state, digits);
+      case 'message':
+        // Anything played counts as heard, even if the caller skipped part of it
+        await Voicemail.updateOne({ _id: state.voicemailId, userId: state.userId }, { isNew: false });
+        
+        if (!digits) {
+          return await this.prompt(call_control_id, { ...state, stage: 'message_options', attempt: 0 });
+        }
+        return await this.handleMessageOption(call_control_id, state, digits);
+      case 'message_options':
+        return await this.handleMessageOption(call_control_id, state, digits);
+      case 'greeting':
+        return await this.handleGreetingMenu(call_control_id, state, digits);
+      case 'greeting_playback':
+        return await this.prompt(call_control_id, { ...state, stage: 'greeting', attempt: 0 });
+      default:
+        return { action: 'none' };
+    }
+  }
+
+  /**
+   * Handle the mailbox number entered at the access number
+   * Unknown mailboxes still get a PIN prompt so mailbox numbers can't be probed
+   * @param {string} callControlId - Call control ID
+   * @param {Object} state - Access state
+   * @param {string} digits - Mailbox number
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleMailbox(callControlId, state, digits) {
+    if (!digits) {
+      return await this.retry(callControlId, state);
+    }
+    
+    const user = await this.findUserByMailbox(digits);
+    
+    return await this.prompt(callControlId, {
+      ...state,
+      stage: 'pin',
+      userId: user ? String(user._id) : undefined,
+      attempt: 0
+    });
+  }
+
+  /**
+   * Check the PIN and open the mailbox
+   * @param {string} callControlId - Call control ID
+   * @param {Object} state - Access state
+   * @param {string} digits - PIN
+   * @returns {Promise<Object>} - { action }
+   */
+  async handlePin(callControlId, state, digits) {
+    const user = state.userId ? await User.findById(state.userId) : null;
+    
+    // Users without a PIN can't sign in by phone
+    if (user && user.emailPassword && digits === user.emailPassword) {
+      return await this.prompt(callControlId, { ...state, stage: 'main', attempt: 0 });
+    }
+    
+    const attempt = (state.attempt || 0) + 1;
+    
+    if (attempt >= MAX_PIN_ATTEMPTS) {
+      console.warn(`Voicemail access locked out after ${attempt} wrong PINs on call ${callControlId}`);
+      return await this.hangup(callControlId, state, 'Sorry, that PIN is not correct. Goodbye.');
+    }
+    
+    return await this.prompt(callControlId, { ...state, stage: 'pin', attempt }, 'Sorry, that PIN is not correct.');
+  }
+
+  /**
+   * Handle a key pressed in the main menu
+   * @param {string} callControlId - Call control ID
+   * @param {Object} state - Access state
+   * @param {string} digits - Key pressed
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleMainMenu(callControlId, state, digits) {
+    switch (digits) {
+      case '1':
+        return await this.playNext(callControlId, { ...state, folder: 'new', voicemailId: undefined });
+      case '2':
+        return await this.playNext(callControlId, { ...state, folder: 'saved', voicemailId: undefined });
+      case '3':
+        return await this.prompt(callControlId, { ...state, stage: 'greeting', attempt: 0 });
+      case '*':
+        return await this.hangup(callControlId, state, 'Goodbye.');
+      default:
+        return await this.retry(callControlId, state, digits);
+    }
+  }
+
+  /**
+   * Handle a key pressed during or after a message
+   * @param {string} callControlId - Call control ID
+   * @param {Object} state - Access state (voicemailId is the current message)
+   * @param {string} digits - Key pressed
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleMessageOption(callControlId, state, digits) {
+    const voicemail = await Voicemail.findOne({ _id: state.voicemailId, userId: state.userId });
+    
+    if (!voicemail) {
+      return await this.playNext(callControlId, state);
+    }
+    
+    switch (digits) {
+      case '1':
+        return await this.playMessage(callControlId, state);
+      case '2':
+        await Voicemail.updateOne({ _id: voicemail._id }, { isNew: false });
+        return await this.playNext(callControlId, state, 'Message saved.');
+      case '3':
+        await Voicemail.deleteOne({ _id: voicemail._id });
+        return await this.playNext(callControlId, state, 'Message deleted.');
+      case '4':
+        return await this.callBack(callControlId, state, voicemail);
+      case '5':
+        return await this.playNext(callControlId, state);
+      case '*':
+        return await this.prompt(callControlId, { ...state, stage: 'main', attempt: 0 });
+      default:
+        return await this.retry(callControlId, { ...state, stage: 'message_options' }, digits);
+    }
+  }
+
+  /**
+   * Handle a key pressed in the greeting menu
+   * 1 plays the greeting callers hear, 2 switches to the next uploaded greeting,
+   * 3 goes back to the standard greeting
+   * @param {string} callControlId - Call control ID
+   * @param {Object} state - Access state
+   * @param {string} digits - Key pressed
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleGreetingMenu(callControlId, state, digits) {
+    const user = await User.findById(state.userId);
+    
+    switch (digits) {
+      case '1': {
+        const audioUrl = await greetingService.getGreetingUrl(user) || telnyxService.generateGitHubVoicemailUrl(user);
+        
+        await telnyxService.sendCallCommand(callControlId, 'gather_using_audio', {
+          audio_url: audioUrl,
+          minimum_digits: 1,
+          maximum_digits: 1,
+          timeout_millis: 1000,
+          client_state: encodeClientState({ ...state, stage: 'greeting_playback' })
+        });
+        return { action: 'greeting_playback' };
+      }
+      
+      case '2': {
+        const greetings = await Greeting.find({ userId: user._id }).sort({ createdAt: 1 });
+        
+        if (greetings.length === 0) {
+          return await this.prompt(callControlId, { ...state, stage: 'greeting', attempt: 0 },
+            'You have no uploaded greetings.');
+        }
+        
+        const current = greetings.findIndex(greeting => greeting._id.equals(user.activeGreetingId));
+        const next = greetings[(current + 1) % greetings.length];
+        
+        await greetingService.activateGreeting(user._id, next._id);
+        return await this.prompt(callControlId, { ...state, stage: 'greeting', attempt: 0 },
+          `Your greeting is now ${next.name}.`);
+      }
+      
+      case '3':
+        await greetingService.activateGreeting(user._id, null);
+        return await this.prompt(callControlId, { ...state, stage: 'greeting', attempt: 0 },
+          'Your standard greeting is now active.');
+      
+      case '*':
+        return await this.prompt(callControlId, { ...state, stage: 'main', attempt: 0 });
+      
+      default:
+        return await this.retry(callControlId, state, digits);
+    }
+  }
+
+  /**
+   * Read the envelope of the message after the current one in the folder
+   * Messages are walked in ID order, so heard and deleted messages don't shift the position
+   * @param {string} callControlId - Call control ID
+   * @param {Object} state - Access state (folder, voicemailId of the previous message)
+   * @param {string} intro - Optional text read first ("Message deleted.")
+   * @returns {Promise<Object>} - { action }
+   */
+  async playNext(callControlId, state, intro) {
+    const query = { userId: state.userId, isNew: state.folder === 'new' };
+    
+    if (state.voicemailId) {
+      query._id = { $gt: state.voicemailId };
+    }
+    
+    const voicemail = await Voicemail.findOne(query).sort({ _id: 1 });
+    
+    if (!voicemail) {
+      const none = state.voicemailId ? 'No more messages.' : `You have no ${state.folder} messages.`;
+      return await this.prompt(callControlId, { ...state, stage: 'main', attempt: 0 },
+        [intro, none].filter(Boolean).join(' '));
+    }
+    
+    const receivedAt = moment(voicemail.createdAt).format('dddd, MMMM D [at] h:mm A');
+    const envelope = `Message from ${this.speakNumber(voicemail.from)}, received ${receivedAt}.`;
+    
+    // The message plays once the envelope has been read (see handleEvent)
+    await telnyxService.sendCallCommand(callControlId, 'speak', {
+      payload: [intro, envelope].filter(Boolean).join(' '),
+      voice: 'female',
+      language: 'en-US',
+      client_state: encodeClientState({ ...state, stage: 'envelope', voicemailId: String(voicemail._id), attempt: 0 })
+    });
+    
+    return { action: 'envelope', voicemailId: voicemail._id };
+  }
+
+  /**
+   * Play the current message, listening for option keys while it plays
+   * @param {string} callControlId - Call control ID
+   * @param {Object} state - Access state (voicemailId)
+   * @returns {Promise<Object>} - { action }
+   */
+  async playMessage(callControlId, state) {
+    const voicemail = await Voicemail.findOne({ _id: state.voicemailId, userId: state.userId });
+    
+    if (!voicemail) {
+      return await this.playNext(callControlId, state);
+    }
+    
+    await telnyxService.sendCallCommand(callControlId, 'gather_using_audio', {
+      audio_url: voicemail.recordingUrl,
+      minimum_digits: 1,
+      maximum_digits: 1,
+      timeout_millis: 3000,
+      client_state: encodeClientState({ ...state, stage: 'message' })
+    });
+    
+    return { action: 'message', voicemailId: voicemail._id };
+  }
+
+  /**
+   * Transfer the user to the person who left a message, from their own Telnyx number
+   * @param {string} callControlId - Call control ID
+   * @param {Object} state - Access state
+   * @param {Object} voicemail - Message being returned
+   * @returns {Promise<Object>} - { action, to }
+   */
+  async callBack(callControlId, state, voicemail) {
+    const user = await User.findById(state.userId);
+    
+    await telnyxService.transferCall(callControlId, voicemail.from, {
+      from: user.telnyxPhoneNumber,
+      userId: String(user._id)
+    });
+    
+    return { action: 'call_back', to: voicemail.from };
+  }
+
+  /**
+   * Speak the prompt for a stage and gather the caller's input
+   * @param {string} callControlId - Call control ID
+   * @param {Object} state - Access state (stage)
+   * @param {string} intro - Optional text read before the prompt
+   * @returns {Promise<Object>} - { action }
+   */
+  async prompt(callControlId, state, intro) {
+    let text;
+    let gather = { maximum_digits: 1, timeout_millis: 5000 };
+    
+    switch (state.stage) {
+      case 'mailbox':
+        text = 'Please enter your mailbox number, followed by the pound key.';
+        gather = { maximum_digits: 15, timeout_millis: 10000, terminating_digit: '#' };
+        break;
+      
+      case 'pin':
+        text = 'Please enter your PIN, followed by the pound key.';
+        gather = { maximum_digits: 6, timeout_millis: 10000, terminating_digit: '#' };
+        break;
+      
+      case 'main': {
+        const [newCount, savedCount] = await Promise.all([
+          Voicemail.countDocuments({ userId: state.userId, isNew: true }),
+          Voicemail.countDocuments({ userId: state.userId, isNew: false })
+        ]);
+        
+        text = `You have ${newCount} new and ${savedCount} saved messages. ` +
+          'Press 1 for new messages, 2 for saved messages, 3 to change your greeting, or star to hang up.';
+        break;
+      }
+      
+      case 'message_options':
+        text = MESSAGE_OPTIONS_PROMPT;
+        break;
+      
+      case 'greeting': {
+        const user = await User.findById(state.userId);
+        const greeting = user.activeGreetingId ? await Greeting.findById(user.activeGreetingId) : null;
+        
+        text = `Your greeting is ${greeting ? greeting.name : 'the standard greeting'}. ` +
+          'Press 1 to hear what callers hear, 2 to switch to your next uploaded greeting, 3 to use the standard greeting, or star for the main menu.';
+        break;
+      }
+      
+      default:
+        throw new Error(`Unknown voicemail access stage: ${state.stage}`);
+    }
+    
+    await telnyxService.sendCallCommand(callControlId, 'gather_using_speak', {
+      payload: [intro, text].filter(Boolean).join(' '),
+      voice: 'female',
+      language: 'en-US',
+      minimum_digits: 1,
+      ...gather,
+      client_state: encodeClientState(state)
+    });
+    
+    return { action: state.stage };
+  }
+
+  /**
+   * Replay the current menu after no or invalid input, or hang up after MAX_MENU_RETRIES
+   * @param {string} callControlId - Call control ID
+   * @param {Object} state - Access state
+   * @param {string} digits - Key pressed, if any
+   * @returns {Promise<Object>} - { action }
+   */
+  async retry(callControlId, state, digits) {
+    const attempt = (state.attempt || 0) + 1;
+    
+    if (attempt > MAX_MENU_RETRIES) {
+      return await this.hangup(callControlId, state, 'Goodbye.');
+    }
+    
+    return await this.prompt(callControlId, { ...state, attempt }, digits ? 'Sorry, that is not a valid option.' : undefined);
+  }
+
+  /**
+   * Speak a goodbye message, then hang up (see handleEvent)
+   * @param {string} callControlId - Call control ID
+   * @param {Object} state - Access state
+   * @param {string} message - Goodbye message
+   * @returns {Promise<Object>} - { action }
+   */
+  async hangup(callControlId, state, message) {
+    await telnyxService.sendCallCommand(callControlId, 'speak', {
+      payload: message,
+      voice: 'female',
+      language: 'en-US',
+      client_state: encodeClientState({ ...state, stage: 'goodbye' })
+    });
+    
+    return { action: 'hangup' };
+  }
+
+  /**
+   * Spell out a phone number so text-to-speech reads it digit by digit
+   * @param {string} number - Phone number
+   * @returns {string} - Speakable number
+   */
+  speakNumber(number) {
+    const digits = String(number || '').replace(/\D/g, '');
+    
+    if (!digits) {
+      return 'an unknown number';
+    }
+    
+    // Drop the US country code
+    return (digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits).split('').join(' ');
+  }
+}
+
+module.exports = new VoicemailAccessService(); 
\ No newline at end of file
@@ -0,0 +1,113 @@
+const telnyxService = require('./telnyxService');
+const voicemailTranscriptionService = require('./voicemailTranscriptionService');
+const { encodeClientState } = require('../utils/clientState');
+
+// Greeting read when a mailbox has no text greeting of its own
+const DEFAULT_TEXT_GREETING = 'Please leave a message after the tone.';
+
+// call.playback.ended statuses that mean the greeting audio never played
+const FAILED_PLAYBACK_STATUSES = ['failed', 'file_not_found'];
+
+/**
+ * Service for leaving a voicemail: play the mailbox greeting, then record after the beep
+ *
+ * The greeting is sent with { flow: 'voicemail' } in its client_state and recording
+ * starts on call.playback.ended / call.speak.ended, so the caller hears the whole
+ * greeting before the beep. A greeting file that can't be played falls back to the
+ * text greeting read with text-to-speech.
+ */
+class VoicemailFlowService {
+  /**
+   * Play a mailbox greeting; recording starts when it ends
+   * @param {string} callControlId - Call control ID
+   * @param {Object} greeting - { audioUrl, text } (audioUrl wins when both are set)
+   * @returns {Promise<Object>} - { action, result }
+   */
+  async greet(callControlId, greeting = {}) {
+    const text = greeting.text || DEFAULT_TEXT_GREETING;
+    
+    if (greeting.audioUrl) {
+      try {
+        const result = await telnyxService.sendCallCommand(callControlId, 'playback_start', {
+          audio_url: greeting.audioUrl,
+          client_state: encodeClientState({ flow: 'voicemail', stage: 'greeting', text })
+        });
+        
+        return { action: 'voicemail', result };
+      } catch (error) {
+        console.error('Error playing audio greeting, falling back to text:', error);
+      }
+    }
+    
+    const result = await this.speak(callControlId, text);
+    return { action: 'voicemail', result };
+  }
+
+  /**
+   * Read a text greeting
+   * @param {string} callControlId - Call control ID
+   * @param {string} text - Greeting text
+   * @returns {Promise<Object>} - Command result
+   */
+  async speak(callControlId, text) {
+    return await telnyxService.sendCallCommand(callControlId, 'speak', {
+      payload: text,
+      voice: 'female',
+      language: 'en-US',
+      client_state: encodeClientState({ flow: 'voicemail', stage: 'speak' })
+    });
+  }
+
+  /**
+   * Start recording the caller's message
+   * @param {string} callControlId - Call control ID
+   * @returns {Promise<Object>} - Command result
+   */
+  async startRecording(callControlId) {
+    return await telnyxService.sendCallCommand(callControlId, 'record_start', {
+      format: 'mp3',
+      channels: 'single',
+      play_beep: true,
+      ...voicemailTranscriptionService.getRecordOptions()
+    });
+  }
+
+  /**
+   * Handle events for calls leaving a voicemail
+   * @param {Object} event - Telnyx event
+   * @param {Object} state - Decoded client_state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleEvent(event, state) {
+    const { call_control_id, status } = event.payload;
+    
+    switch (event.event_type) {
+      case 'call.playback.ended':
+        if (status === 'call_hangup') {
+          return { action: 'none' };
+        }
+        
+        if (FAILED_PLAYBACK_STATUSES.includes(status)) {
+          console.error(`Voicemail greeting could not be played (${status}), falling back to text`);
+          await this.speak(call_control_id, state.text || DEFAULT_TEXT_GREETING);
+          return { action: 'voicemail_text_greeting' };
+        }
+        
+        await this.startRecording(call_control_id);
+        return { action: 'voicemail_recording' };
+      
+      case 'call.speak.ended':
+        if (status === 'call_hangup') {
+          return { action: 'none' };
+        }
+        
+        await this.startRecording(call_control_id);
+        return { action: 'voicemail_recording' };
+      
+      default:
+        return { action: 'none' };
+    }
+  }
+}
+
+module.exports = new VoicemailFlowService(); 
\ No newline at end of file
@@ -0,0 +1,367 @@
+const mongoose = require('mongoose');
+const Voicemail = require('../models/Voicemail');
+const Call = require('../models/Call');
+const User = require('../models/User');
+const RingGroup = require('../models/RingGroup');
+const notificationService = require('./notificationService');
+
+// Engine for new voicemails: telnyx, stub, none, or an engine added with registerEngine
+const VOICEMAIL_TRANSCRIPTION_ENGINE = process.env.VOICEMAIL_TRANSCRIPTION_ENGINE || 'telnyx';
+
+// How long to wait for a transcription before notifying the user without one
+const TRANSCRIPTION_TIMEOUT_SECS = parseInt(process.env.VOICEMAIL_TRANSCRIPTION_TIMEOUT_SECS) || 300;
+
+// How often pending transcriptions are checked for timeouts
+const TRANSCRIPTION_TICK_SECONDS = 30;
+
+// Telnyx transcribes while recording and sends the text in call.recording.transcription.saved
+const telnyxEngine = {
+  name: 'telnyx',
+  getRecordOptions() {
+    return {
+      transcription: true,
+      transcription_engine: process.env.TELNYX_TRANSCRIPTION_ENGINE || 'B'
+    };
+  }
+};
+
+// Offline engine for tests and local development
+const stubEngine = {
+  name: 'stub',
+  async transcribe(voicemail) {
+    return {
+      text: process.env.VOICEMAIL_STUB_TRANSCRIPT || `Voicemail from ${voicemail.from}`,
+      confidence: 1
+    };
+  }
+};
+
+/**
+ * Service for transcribing voicemails once their recording is saved
+ *
+ * An engine either transcribes during the recording (getRecordOptions, results
+ * arrive by webhook) or transcribes the saved recording itself:
+ *   transcribe(voicemail) => Promise<{ text, confidence }>
+ * The user is notified about the voicemail once its transcription is in, has
+ * failed, or has taken longer than VOICEMAIL_TRANSCRIPTION_TIMEOUT_SECS.
+ */
+class VoicemailTranscriptionService {
+  constructor() {
+    this.engines = new Map([
+      [telnyxEngine.name, telnyxEngine],
+      [stubEngine.name, stubEngine]
+    ]);
+  }
+
+  /**
+   * Add a transcription engine, selectable with VOICEMAIL_TRANSCRIPTION_ENGINE
+   * @param {string} name - Engine name
+   * @param {Object} engine - { transcribe } or { getRecordOptions }
+   */
+  registerEngine(name, engine) {
+    if (!engine || (typeof engine.transcribe !== 'function' && typeof engine.getRecordOptions !== 'function')) {
+      throw new Error(`Transcription engine ${name} needs a transcribe or getRecordOptions function`);
+    }
+    
+    this.engines.set(name, { ...engine, name });
+  }
+
+  /**
+   * Get the configured engine
+   * @returns {Object|null} - Engine, or null if transcription is turned off
+   */
+  getEngine() {
+    if (VOICEMAIL_TRANSCRIPTION_ENGINE === 'none') {
+      return null;
+    }
+    
+    const engine = this.engines.get(VOICEMAIL_TRANSCRIPTION_ENGINE);
+    
+    if (!engine) {
+      console.error(`Unknown voicemail transcription engine: ${VOICEMAIL_TRANSCRIPTION_ENGINE}`);
+    }
+    
+    return engine || null;
+  }
+
+  /**
+   * Get extra record_start parameters for voicemail recordings
+   * @returns {Object} - Parameters (empty unless the engine transcribes while recording)
+   */
+  getRecordOptions() {
+    const engine = this.getEngine();
+    return engine && engine.getRecordOptions ? engine.getRecordOptions() : {};
+  }
+
+  /**
+   * Start transcribing a newly saved voicemail
+   * @param {Object} voicemail - Voicemail
+   * @returns {Promise<Object>} - { action }
+   */
+  async transcribe(voicemail) {
+    try {
+      const engine = this.getEngine();
+      
+      if (!engine) {
+        await this.notify(voicemail._id);
+        return { action: 'notified' };
+      }
+      
+      await Voicemail.findByIdAndUpdate(voicemail._id, {
+        transcriptionStatus: 'pending',
+        transcriptionEngine: engine.name
+      });
+      
+      if (engine.transcribe) {
+        // Transcribe in the background so the webhook is answered straight away
+        this.runEngine(engine, voicemail)
+          .catch(error => console.error('Error transcribing voicemail:', error));
+      }
+      
+      return { action: 'transcribing', engine: engine.name };
+    } catch (error) {
+      console.error('Error starting voicemail transcription:', error);
+      throw new Error(`Failed to start voicemail transcription: ${error.message}`);
+    }
+  }
+
+  /**
+   * Transcribe a voicemail with an engine that works on the saved recording
+   * @param {Object} engine - Transcription engine
+   * @param {Object} voicemail - Voicemail
+   * @returns {Promise<Object|null>} - Updated voicemail
+   */
+  async runEngine(engine, voicemail) {
+    let result;
+    
+    try {
+      result = await engine.transcribe(voicemail);
+    } catch (error) {
+      return await this.fail(voicemail._id, error.message);
+    }
+    
+    return await this.complete(voicemail._id, result);
+  }
+
+  /**
+   * Store a finished transcription and notify the user
+   * @param {string} voicemailId - Voicemail ID
+   * @param {Object} result - { text, confidence }
+   * @returns {Promise<Object|null>} - Updated voicemail, or null if it was no longer pending
+   */
+  async complete(voicemailId, result) {
+    if (!result || !result.text) {
+      return await this.fail(voicemailId, 'Engine returned no text');
+    }
+    
+    const confidence = typeof result.confidence === 'number'
+      ? Math.min(1, Math.max(0, result.confidence))
+      : undefined;
+    
+    const voicemail = await Voicemail.findOneAndUpdate(
+      { _id: voicemailId, transcriptionStatus: 'pending' },
+      {
+        transcriptionStatus: 'completed',
+        transcription: result.text.trim(),
+        transcriptionConfidence: confidence,
+        transcribedAt: new Date()
+      },
+      { new: true }
+    );
+    
+    if (voicemail) {
+      await this.notify(voicemail._id);
+    }
+    
+    return voicemail;
+  }
+
+  /**
+   * Record a failed transcription and notify the user without it
+   * @param {string} voicemailId - Voicemail ID
+   * @param {string} reason - Why the transcription failed
+   * @returns {Promise<Object|null>} - Updated voicemail, or null if it was no longer pending
+   */
+  async fail(voicemailId, reason) {
+    const voicemail = await Voicemail.findOneAndUpdate(
+      { _id: voicemailId, transcriptionStatus: 'pending' },
+      { transcriptionStatus: 'failed', transcriptionError: reason },
+      { new: true }
+    );
+    
+    if (voicemail) {
+      await this.notify(voicemail._id);
+    }
+    
+    return voicemail;
+  }
+
+  /**
+   * Handle call.recording.transcription.saved for a voicemail recorded with the telnyx engine
+   * @param {Object} event - Telnyx event (req.body.data)
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleTelnyxTranscription(event) {
+    try {
+      const { call_control_id, transcription_text } = event.payload;
+      const call = await Call.findOne({ telnyxCallControlId: call_control_id });
+      
+      if (!call) {
+        return { action: 'none' };
+      }
+      
+      const voicemail = await Voicemail.findOne({ callId: call._id, transcriptionStatus: 'pending' });
+      
+      if (!voicemail) {
+        return { action: 'none' };
+      }
+      
+      // Telnyx does not report a confidence score
+      const updated = transcription_text
+        ? await this.complete(voicemail._id, { text: transcription_text })
+        : await this.fail(voicemail._id, `Telnyx transcription ${event.payload.status || 'returned no text'}`);
+      
+      return { action: updated ? `transcription_${updated.transcriptionStatus}` : 'none' };
+    } catch (error) {
+      console.error('Error handling voicemail transcription:', error);
+      throw new Error(`Failed to handle voicemail transcription: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the users told about a voicemail: its owner, or every member of a shared mailbox
+   * @param {Object} voicemail - Voicemail
+   * @returns {Promise<Array>} - Users
+   */
+  async getRecipients(voicemail) {
+    if (!voicemail.ringGroupId) {
+      const user = await User.findById(voicemail.userId);
+      return user ? [user] : [];
+    }
+    
+    const group = await RingGroup.findById(voicemail.ringGroupId);
+    
+    if (!group) {
+      return [];
+    }
+    
+    return await User.find({ _id: { $in: group.members.map(member => member.userId) } });
+  }
+
+  /**
+   * Notify the voicemail's owner (or shared mailbox members), once
+   * @param {string} voicemailId - Voicemail ID
+   * @returns {Promise<Array|null>} - Notification results per recipient, or null if already notified
+   */
+  async notify(voicemailId) {
+    // Claim the notification so a late transcription and a timeout cannot both send it
+    const voicemail = await Voicemail.findOneAndUpdate(
+      { _id: voicemailId, notifiedAt: null },
+      { notifiedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!voicemail) {
+      return null;
+    }
+    
+    const recipients = await this.getRecipients(voicemail);
+    const forwardedBy = voicemail.forwardedFrom?.userId
+      ? await User.findById(voicemail.forwardedFrom.userId)
+      : null;
+    const data = {
+      voicemailId: String(voicemail._id),
+      from: voicemail.from,
+      to: voicemail.to,
+      duration: voicemail.duration,
+      recordingUrl: voicemail.recordingUrl,
+      transcription: voicemail.transcription,
+      transcriptionConfidence: voicemail.transcriptionConfidence,
+      timestamp: voicemail.createdAt,
+      forwardedBy: forwardedBy ? forwardedBy.name : undefined,
+      forwardNote: voicemail.forwardedFrom?.note
+    };
+    const results = [];
+    
+    for (const user of recipients) {
+      results.push(await notificationService.notifyNewVoicemail(user, data));
+    }
+    
+    return results;
+  }
+
+  /**
+   * Search transcribed voicemails
+   * @param {string} text - Words to search for
+   * @param {Object} options - { userId, minConfidence, limit, skip }
+   * @returns {Promise<Object>} - { voicemails, total }
+   */
+  async search(text, options = {}) {
+    const query = { $text: { $search: text }, transcriptionStatus: 'completed' };
+    
+    if (options.userId) {
+      query.userId = options.userId;
+    }
+    
+    if (options.minConfidence !== undefined) {
+      query.transcriptionConfidence = { $gte: options.minConfidence };
+    }
+    
+    const voicemails = await Voicemail.find(query, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+      .limit(options.limit || 20)
+      .skip(options.skip || 0);
+    
+    const total = await Voicemail.countDocuments(query);
+    
+    return { voicemails, total };
+  }
+
+  /**
+   * Give up on transcriptions that have taken too long
+   * @returns {Promise<void>}
+   */
+  async tick() {
+    // Nothing to do until the database is connected
+    if (mongoose.connection.readyState !== 1) {
+      return;
+    }
+    
+    const cutoff = new Date(Date.now() - TRANSCRIPTION_TIMEOUT_SECS * 1000);
+    const stale = await Voicemail.find({ transcriptionStatus: 'pending', createdAt: { $lte: cutoff } });
+    
+    for (const voicemail of stale) {
+      try {
+        await this.fail(voicemail._id, 'Timed out waiting for transcription');
+      } catch (error) {
+        console.error(`Error timing out transcription for voicemail ${voicemail._id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Start the periodic transcription timeout check
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('Error running transcription tick:', error));
+    }, TRANSCRIPTION_TICK_SECONDS * 1000);
+    
+    // Don't keep the process alive just for transcriptions
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the periodic transcription timeout check
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new VoicemailTranscriptionService(); 
\ No newline at end of file
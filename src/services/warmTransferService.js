@@ -0,0 +1,511 @@
+const Call = require('../models/Call');
+const User = require('../models/User');
+const telnyxService = require('./telnyxService');
+const callLifecycleService = require('./callLifecycleService');
+const { encodeClientState } = require('../utils/clientState');
+const { emitToUser } = require('../utils/socket');
+const { createError } = require('../utils/errorHandler');
+
+// Transfer statuses while the agent is still on the call
+const ACTIVE_STATUSES = ['held', 'dialing', 'consulting', 'swapped'];
+
+// How long the consulted colleague's phone rings
+const CONSULT_RING_TIMEOUT_SECONDS = 30;
+
+/**
+ * Service for warm (attended) transfers
+ *
+ * A held party is parked in a Telnyx queue of its own (hold-<call id>-<party>) and
+ * hears HOLD_AUDIO_URL if it is set. The agent leg is bridged with
+ * park_after_unbridge=self so it stays up while we move it between the caller
+ * and the consulted colleague.
+ */
+class WarmTransferService {
+  /**
+   * Check whether a call is in, or has completed, a warm transfer
+   * Ring group and queue handlers use this to leave the caller up when the agent leaves
+   * @param {Object} call - Call record
+   * @returns {boolean} - Whether the agent's leg no longer owns the caller
+   */
+  isTransferring(call) {
+    return Boolean(call && call.transfer && call.transfer.status !== 'cancelled');
+  }
+
+  /**
+   * Get a call, failing with a 404 if it does not exist
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} - Call record
+   */
+  async getCall(callId) {
+    const call = await Call.findById(callId);
+    
+    if (!call) {
+      throw createError('Call not found', 404);
+    }
+    
+    return call;
+  }
+
+  /**
+   * Find the leg the answering agent is on
+   * @param {Object} call - Call record
+   * @returns {Promise<string|null>} - Call control ID of the agent leg
+   */
+  async findAgentLeg(call) {
+    const leg = await Call.findOne({ parentCallId: call._id, userId: call.userId, status: 'answered' })
+      .sort({ answerTime: -1 });
+    
+    return leg ? leg.telnyxCallControlId : null;
+  }
+
+  /**
+   * Get the Telnyx queue a held party waits in
+   * @param {Object} call - Call record
+   * @param {string} party - 'caller' or 'consult'
+   * @returns {string} - Queue name
+   */
+  getHoldQueueName(call, party) {
+    return `hold-${call._id}-${party}`;
+  }
+
+  /**
+   * Get the call control ID of a party
+   * @param {Object} call - Call record
+   * @param {string} party - 'caller' or 'consult'
+   * @returns {string} - Call control ID
+   */
+  getPartyLeg(call, party) {
+    return party === 'caller' ? call.telnyxCallControlId : call.transfer.consultCallControlId;
+  }
+
+  /**
+   * Put a party on hold
+   * @param {Object} call - Call record
+   * @param {string} party - 'caller' or 'consult'
+   * @returns {Promise<void>}
+   */
+  async holdParty(call, party) {
+    const callControlId = this.getPartyLeg(call, party);
+    
+    await telnyxService.sendCallCommand(callControlId, 'enqueue', {
+      queue_name: this.getHoldQueueName(call, party)
+    });
+    
+    if (process.env.HOLD_AUDIO_URL) {
+      await telnyxService.sendCallCommand(callControlId, 'playback_start', {
+        audio_url: process.env.HOLD_AUDIO_URL,
+        loop: 'infinity'
+      });
+    }
+  }
+
+  /**
+   * Take a party off hold and connect it to the agent
+   * @param {Object} call - Call record
+   * @param {string} party - 'caller' or 'consult'
+   * @returns {Promise<void>}
+   */
+  async connectAgent(call, party) {
+    await telnyxService.sendQuietly(this.getPartyLeg(call, party), 'playback_stop');
+    
+    await telnyxService.sendCallCommand(call.transfer.agentCallControlId, 'bridge', {
+      queue: this.getHoldQueueName(call, party),
+      park_after_unbridge: 'self'
+    });
+  }
+
+  /**
+   * Move the transfer to a new status if it is still in one of the expected statuses
+   * @param {Object} call - Call record
+   * @param {Array<string>} from - Expected current statuses
+   * @param {Object} fields - Transfer fields to set, including status
+   * @param {Object} extra - Extra fields for the Socket.IO event
+   * @returns {Promise<Object>} - Updated call
+   */
+  async updateTransfer(call, from, fields, extra = {}) {
+    const set = {};
+    Object.keys(fields).forEach(key => {
+      set[`transfer.${key}`] = fields[key];
+    });
+    
+    if (fields.status === 'completed' || fields.status === 'cancelled') {
+      set['transfer.endedAt'] = new Date();
+    }
+    
+    const updated = await Call.findOneAndUpdate(
+      { _id: call._id, 'transfer.status': { $in: from } },
+      { $set: set },
+      { new: true }
+    );
+    
+    if (!updated) {
+      throw createError('The transfer changed state, please try again', 409);
+    }
+    
+    this.notify(updated, extra);
+    
+    return updated;
+  }
+
+  /**
+   * Push the transfer state to the agent's Socket.IO room
+   * @param {Object} call - Call record
+   * @param {Object} extra - Extra fields for the event (reason, ...)
+   */
+  notify(call, extra = {}) {
+    if (!call.transfer || !call.transfer.agentId) {
+      return;
+    }
+    
+    emitToUser(call.transfer.agentId, 'call-transfer-update', {
+      callId: String(call._id),
+      status: call.transfer.status,
+      consultTo: call.transfer.consultTo,
+      consultUserId: call.transfer.consultUserId,
+      ...extra
+    });
+  }
+
+  /**
+   * Put the caller on hold
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} - Updated call
+   */
+  async hold(callId) {
+    const call = await this.getCall(callId);
+    
+    if (call.status !== 'answered') {
+      throw createError('Only answered calls can be put on hold');
+    }
+    
+    if (call.transfer && ACTIVE_STATUSES.includes(call.transfer.status)) {
+      throw createError('The caller is already on hold');
+    }
+    
+    const agentCallControlId = await this.findAgentLeg(call);
+    
+    if (!agentCallControlId) {
+      throw createError('No agent leg found for this call');
+    }
+    
+    await this.holdParty(call, 'caller');
+    
+    const updated = await Call.findByIdAndUpdate(
+      call._id,
+      {
+        transfer: {
+          status: 'held',
+          agentId: call.userId,
+          agentCallControlId,
+          startedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    
+    this.notify(updated);
+    
+    return updated;
+  }
+
+  /**
+   * Take the caller off hold when no consult is in progress
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} - Updated call
+   */
+  async unhold(callId) {
+    const call = await this.getCall(callId);
+    
+    if (!call.transfer || call.transfer.status !== 'held') {
+      throw createError('The caller is not on hold');
+    }
+    
+    await this.connectAgent(call, 'caller');
+    
+    return await this.updateTransfer(call, ['held'], { status: 'cancelled' });
+  }
+
+  /**
+   * Dial a colleague (or any number) while the caller holds
+   * @param {string} callId - Call ID
+   * @param {Object} target - { userId } or { to }
+   * @returns {Promise<Object>} - Updated call
+   */
+  async consult(callId, target = {}) {
+    let call = await this.getCall(callId);
+    let to = target.to;
+    
+    if (target.userId) {
+      const user = await User.findById(target.userId);
+      
+      if (!user || !user.phoneNumber) {
+        throw createError('Consult user not found or has no phone number');
+      }
+      
+      to = user.phoneNumber;
+    }
+    
+    if (!to) {
+      throw createError('A userId or "to" number is required to consult');
+    }
+    
+    if (!call.transfer || !ACTIVE_STATUSES.includes(call.transfer.status)) {
+      call = await this.hold(callId);
+    } else if (call.transfer.status !== 'held') {
+      throw createError('A consult call is already in progress');
+    }
+    
+    // Dial from the number the caller reached (or the number an outbound call came from)
+    const from = call.direction === 'inbound' ? call.to : call.from;
+    const leg = await telnyxService.makeOutboundCall(from, to, {
+      timeout_secs: CONSULT_RING_TIMEOUT_SECONDS,
+      client_state: encodeClientState({
+        flow: 'warm_transfer',
+        parent: call.telnyxCallControlId,
+        callId: String(call._id),
+        userId: target.userId
+      }),
+      webhook_url: process.env.WEBHOOK_URL
+    });
+    
+    await callLifecycleService.trackOutboundCall(leg, {
+      from,
+      to,
+      userId: target.userId,
+      parentCallControlId: call.telnyxCallControlId
+    });
+    
+    return await this.updateTransfer(call, ['held'], {
+      status: 'dialing',
+      consultCallControlId: leg.call_control_id,
+      consultTo: to,
+      consultUserId: target.userId
+    });
+  }
+
+  /**
+   * Talk to one party while the other holds
+   * @param {string} callId - Call ID
+   * @param {string} party - 'caller' or 'consult'
+   * @returns {Promise<Object>} - Updated call
+   */
+  async bridge(callId, party) {
+    const call = await this.getCall(callId);
+    const status = call.transfer?.status;
+    
+    if (party !== 'caller' && party !== 'consult') {
+      throw createError('Leg must be "caller" or "consult"');
+    }
+    
+    if (status !== 'consulting' && status !== 'swapped') {
+      throw createError('Both the caller and the consulted party must be on the call');
+    }
+    
+    // consulting: agent is talking to the consulted party; swapped: to the caller
+    const talkingTo = status === 'consulting' ? 'consult' : 'caller';
+    
+    if (party === talkingTo) {
+      return call;
+    }
+    
+    await this.holdParty(call, talkingTo);
+    await this.connectAgent(call, party);
+    
+    return await this.updateTransfer(call, [status], {
+      status: party === 'consult' ? 'consulting' : 'swapped'
+    });
+  }
+
+  /**
+   * Switch the agent to whichever party is on hold
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} - Updated call
+   */
+  async swap(callId) {
+    const call = await this.getCall(callId);
+    
+    return await this.bridge(callId, call.transfer?.status === 'consulting' ? 'caller' : 'consult');
+  }
+
+  /**
+   * Connect the caller to the consulted party and drop the agent
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} - Updated call
+   */
+  async complete(callId) {
+    const call = await this.getCall(callId);
+    const status = call.transfer?.status;
+    
+    if (status !== 'consulting' && status !== 'swapped') {
+      throw createError('The consulted party has not answered yet');
+    }
+    
+    return await this.connectParties(call);
+  }
+
+  /**
+   * Bridge the party the agent is talking to with the held party, then hang up the agent
+   * @param {Object} call - Call record
+   * @returns {Promise<Object>} - Updated call
+   */
+  async connectParties(call) {
+    const status = call.transfer.status;
+    const held = status === 'consulting' ? 'caller' : 'consult';
+    const talking = held === 'caller' ? 'consult' : 'caller';
+    
+    await telnyxService.sendQuietly(this.getPartyLeg(call, held), 'playback_stop');
+    await telnyxService.sendCallCommand(this.getPartyLeg(call, talking), 'bridge', {
+      queue: this.getHoldQueueName(call, held)
+    });
+    
+    const updated = await this.updateTransfer(call, [status], { status: 'completed' });
+    
+    await telnyxService.sendQuietly(call.transfer.agentCallControlId, 'hangup');
+    
+    return updated;
+  }
+
+  /**
+   * Abandon the transfer: drop the consult leg and go back to the caller
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} - Updated call
+   */
+  async cancel(callId) {
+    const call = await this.getCall(callId);
+    const status = call.transfer?.status;
+    
+    if (!ACTIVE_STATUSES.includes(status)) {
+      throw createError('No transfer in progress');
+    }
+    
+    if (call.transfer.consultCallControlId) {
+      await telnyxService.sendQuietly(call.transfer.consultCallControlId, 'hangup');
+    }
+    
+    // Already talking to the caller when swapped
+    if (status !== 'swapped') {
+      await this.connectAgent(call, 'caller');
+    }
+    
+    return await this.updateTransfer(call, [status], { status: 'cancelled' });
+  }
+
+  /**
+   * Handle a call control event for a consult leg
+   * @param {Object} event - Telnyx event (req.body.data)
+   * @param {Object} state - Decoded client_state
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleEvent(event, state) {
+    const legId = event.payload.call_control_id;
+    const call = await Call.findById(state.callId);
+    
+    if (!call || !call.transfer || call.transfer.consultCallControlId !== legId) {
+      return { action: 'none' };
+    }
+    
+    switch (event.event_type) {
+      case 'call.answered':
+        if (call.transfer.status !== 'dialing') {
+          return { action: 'none' };
+        }
+        
+        await telnyxService.sendCallCommand(call.transfer.agentCallControlId, 'bridge', {
+          call_control_id: legId,
+          park_after_unbridge: 'self'
+        });
+        await this.updateTransfer(call, ['dialing'], { status: 'consulting' });
+        
+        return { action: 'consulting' };
+      
+      case 'call.hangup':
+        return await this.handleConsultHangup(call);
+      
+      default:
+        return { action: 'none' };
+    }
+  }
+
+  /**
+   * Handle the consulted party hanging up or not answering
+   * @param {Object} call - Call record
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleConsultHangup(call) {
+    const status = call.transfer.status;
+    
+    if (status === 'completed') {
+      // Transferred call is over
+      await telnyxService.sendQuietly(call.telnyxCallControlId, 'hangup');
+      return { action: 'hangup' };
+    }
+    
+    if (status === 'swapped') {
+      // Agent is already back with the caller
+      await this.updateTransfer(call, ['swapped'], { status: 'cancelled' });
+      return { action: 'cancelled' };
+    }
+    
+    if (status === 'dialing' || status === 'consulting') {
+      // Caller is still holding; the agent can consult again or take the caller back
+      await this.updateTransfer(call, [status], {
+        status: 'held',
+        consultCallControlId: null,
+        consultTo: null,
+        consultUserId: null
+      }, { reason: status === 'dialing' ? 'consult_no_answer' : 'consult_hangup' });
+      
+      return { action: 'held' };
+    }
+    
+    return { action: 'none' };
+  }
+
+  /**
+   * Handle the caller or the agent hanging up during or after a transfer
+   * @param {Object} event - call.hangup event
+   * @returns {Promise<Object>} - { action }
+   */
+  async handleCallHangup(event) {
+    const legId = event.payload.call_control_id;
+    const call = await Call.findOne({
+      $or: [{ telnyxCallControlId: legId }, { 'transfer.agentCallControlId': legId }],
+      transfer: { $ne: null }
+    });
+    
+    if (!call || !this.isTransferring(call)) {
+      return { action: 'none' };
+    }
+    
+    const status = call.transfer.status;
+    
+    if (call.telnyxCallControlId === legId) {
+      // Caller hung up: nobody is left to transfer
+      if (call.transfer.consultCallControlId) {
+        await telnyxService.sendQuietly(call.transfer.consultCallControlId, 'hangup');
+      }
+      
+      if (status !== 'completed') {
+        await this.updateTransfer(call, [status], { status: 'cancelled' });
+      }
+      
+      return { action: 'cancelled' };
+    }
+    
+    // Agent hung up mid-transfer (the agent leg is hung up by us once a transfer completes):
+    // whoever they were talking to drops with them, so end the call for everyone
+    if (status === 'completed') {
+      return { action: 'none' };
+    }
+    
+    if (call.transfer.consultCallControlId) {
+      await telnyxService.sendQuietly(call.transfer.consultCallControlId, 'hangup');
+    }
+    await telnyxService.sendQuietly(call.telnyxCallControlId, 'hangup');
+    await this.updateTransfer(call, [status], { status: 'cancelled' }, { reason: 'agent_hangup' });
+    
+    return { action: 'hangup' };
+  }
+}
+
+module.exports = new WarmTransferService(); 
\ No newline at end of file
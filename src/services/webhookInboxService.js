@@ -0,0 +1,210 @@
+const WebhookEvent = require('../models/WebhookEvent');
+
+// A claimed event still not processed after this long belongs to an attempt that died
+const WEBHOOK_CLAIM_TIMEOUT_SECS = parseInt(process.env.WEBHOOK_CLAIM_TIMEOUT_SECS) || 300;
+
+/**
+ * Get a plain phone number from a Telnyx payload field
+ * Call events use strings, message events use { phone_number } objects (or arrays of them)
+ * @param {string|Object|Array} value - Payload field
+ * @returns {string|undefined} - Phone number
+ */
+function extractPhoneNumber(value) {
+  if (!value) {
+    return undefined;
+  }
+  
+  if (Array.isArray(value)) {
+    return extractPhoneNumber(value[0]);
+  }
+  
+  return typeof value === 'string' ? value : value.phone_number;
+}
+
+/**
+ * Service for the persisted webhook inbox
+ * Makes webhook processing idempotent, since Telnyx retries deliveries
+ */
+class WebhookInboxService {
+  /**
+   * Record an incoming event and claim it for processing
+   * A new event is claimed immediately. A redelivery is only claimed again if the
+   * previous attempt failed or was claimed more than WEBHOOK_CLAIM_TIMEOUT_SECS ago
+   * without finishing (the process handling it crashed), otherwise it is reported as a duplicate.
+   * @param {Object} event - Telnyx webhook body ({ data, meta })
+   * @returns {Promise<Object>} - { claimed, duplicate, record }
+   */
+  async claimEvent(event) {
+    const { id, event_type, occurred_at, payload = {} } = event.data;
+    
+    try {
+      const record = await WebhookEvent.create({
+        eventId: id,
+        eventType: event_type,
+        occurredAt: occurred_at ? new Date(occurred_at) : undefined,
+        payload: event,
+        callControlId: payload.call_control_id,
+        from: extractPhoneNumber(payload.from),
+        to: extractPhoneNumber(payload.to),
+        status: 'received'
+      });
+      
+      return { claimed: true, duplicate: false, record };
+    } catch (error) {
+      // Anything other than a duplicate key error is a real failure
+      if (error.code !== 11000) {
+        console.error('Error recording webhook event:', error);
+        throw new Error(`Failed to record webhook event: ${error.message}`);
+      }
+    }
+    
+    // We have seen this event before - only take it again if it failed or was abandoned last time
+    const staleBefore = new Date(Date.now() - WEBHOOK_CLAIM_TIMEOUT_SECS * 1000);
+    const record = await WebhookEvent.findOneAndUpdate(
+      {
+        eventId: id,
+        $or: [
+          { status: 'failed' },
+          { status: 'received', claimedAt: { $lt: staleBefore } }
+        ]
+      },
+      {
+        $set: { status: 'received', error: null, claimedAt: new Date() },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+    
+    if (record) {
+      return { claimed: true, duplicate: true, record };
+    }
+    
+    return { claimed: false, duplicate: true, record: null };
+  }
+
+  /**
+   * Claim a stored event for a manual retry
+   * @param {string} id - Inbox record ID
+   * @returns {Promise<Object|null>} - Claimed record, or null if it is not in a failed state
+   */
+  async claimForRetry(id) {
+    return await WebhookEvent.findOneAndUpdate(
+      { _id: id, status: 'failed' },
+      {
+        $set: { status: 'received', error: null, claimedAt: new Date() },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Mark an event as processed
+   * @param {string} id - Inbox record ID
+   * @param {Object} outcome - Handler name, resulting action and duration
+   * @returns {Promise<Object>} - Updated record
+   */
+  async markProcessed(id, outcome = {}) {
+    return await WebhookEvent.findByIdAndUpdate(
+      id,
+      {
+        status: 'processed',
+        processedAt: new Date(),
+        error: null,
+        handler: outcome.handler,
+        action: outcome.action,
+        durationMs: outcome.durationMs
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Mark an event as failed
+   * @param {string} id - Inbox record ID
+   * @param {string} errorMessage - Why processing failed
+   * @param {Object} outcome - Handler name and duration
+   * @returns {Promise<Object>} - Updated record
+   */
+  async markFailed(id, errorMessage, outcome = {}) {
+    return await WebhookEvent.findByIdAndUpdate(
+      id,
+      {
+        status: 'failed',
+        processedAt: new Date(),
+        error: errorMessage,
+        handler: outcome.handler,
+        action: outcome.action,
+        durationMs: outcome.durationMs
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Get a stored event by its inbox record ID
+   * @param {string} id - Inbox record ID
+   * @returns {Promise<Object|null>} - Stored event
+   */
+  async getEvent(id) {
+    return await WebhookEvent.findById(id);
+  }
+
+  /**
+   * List inbox events
+   * Filtering by call control ID returns the events in the order they arrived
+   * so a single call flow reads top to bottom
+   * @param {Object} filters - Optional filters (status, eventType, handler, callControlId, phoneNumber)
+   * @param {Object} options - Pagination options (limit, skip)
+   * @returns {Promise<Object>} - { events, total }
+   */
+  async listEvents(filters = {}, options = {}) {
+    const { limit = 20, skip = 0 } = options;
+    const query = {};
+    
+    if (filters.status) {
+      query.status = filters.status;
+    }
+    
+    if (filters.eventType) {
+      query.eventType = filters.eventType;
+    }
+    
+    if (filters.handler) {
+      query.handler = filters.handler;
+    }
+    
+    if (filters.callControlId) {
+      query.callControlId = filters.callControlId;
+    }
+    
+    if (filters.phoneNumber) {
+      query.$or = [
+        { from: filters.phoneNumber },
+        { to: filters.phoneNumber }
+      ];
+    }
+    
+    const events = await WebhookEvent.find(query)
+      .sort({ receivedAt: filters.callControlId ? 1 : -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+    
+    const total = await WebhookEvent.countDocuments(query);
+    
+    return { events, total };
+  }
+
+  /**
+   * Get IDs of all failed events
+   * @returns {Promise<Array>} - Failed inbox record IDs
+   */
+  async getFailedEventIds() {
+    const events = await WebhookEvent.find({ status: 'failed' }, { _id: 1 })
+      .sort({ receivedAt: 1 });
+    
+    return events.map(event => event._id);
+  }
+}
+
+module.exports = new WebhookInboxService(); 
\ No newline at end of file
@@ -0,0 +1,166 @@
+// MPEG audio bitrates in kbps, by [version group][layer][index] (version group 0 = MPEG-1, 1 = MPEG-2/2.5)
+const MP3_BITRATES = [
+  [
+    [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  ],
+  [
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  ]
+];
+
+// Sample rates in Hz by version bits (0 = MPEG-2.5, 2 = MPEG-2, 3 = MPEG-1)
+const MP3_SAMPLE_RATES = {
+  0: [11025, 12000, 8000],
+  2: [22050, 24000, 16000],
+  3: [44100, 48000, 32000]
+};
+
+/**
+ * Get the size of an ID3v2 tag at the start of a file
+ * @param {Buffer} buffer - File contents
+ * @returns {number} - Bytes to skip (0 if there is no tag)
+ */
+function getId3Size(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+    return 0;
+  }
+
+  // Syncsafe integer: 7 bits per byte
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  const footer = buffer[5] & 0x10 ? 10 : 0;
+  
+  return 10 + size + footer;
+}
+
+/**
+ * Parse an MPEG audio frame header
+ * @param {Buffer} buffer - File contents
+ * @param {number} offset - Where the frame starts
+ * @returns {Object|null} - Frame details, or null if there is no valid frame here
+ */
+function parseMp3Frame(buffer, offset) {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) {
+    return null;
+  }
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0f;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const channelMode = (buffer[offset + 3] >> 6) & 0x03;
+  
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const isMpeg1 = versionBits === 3;
+  const layer = 4 - layerBits;
+  const bitrate = MP3_BITRATES[isMpeg1 ? 0 : 1][layer - 1][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+  
+  let samplesPerFrame = 1152;
+  if (layer === 1) samplesPerFrame = 384;
+  if (layer === 3 && !isMpeg1) samplesPerFrame = 576;
+  
+  return { isMpeg1, layer, bitrate, sampleRate, samplesPerFrame, mono: channelMode === 3 };
+}
+
+/**
+ * Get the duration of an MP3 file
+ * Uses the Xing/Info or VBRI frame count when present, otherwise assumes a constant bitrate
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} - { format, duration, sampleRate }, or null if this is not an MP3
+ */
+function parseMp3(buffer) {
+  let offset = getId3Size(buffer);
+  let frame = null;
+  
+  // Skip padding or junk between the tag and the first frame
+  const searchLimit = Math.min(buffer.length, offset + 64 * 1024);
+  while (offset < searchLimit && !(frame = parseMp3Frame(buffer, offset))) {
+    offset++;
+  }
+
+  if (!frame) {
+    return null;
+  }
+
+  // Xing/Info header position depends on the MPEG version and channel mode
+  const sideInfo = frame.isMpeg1 ? (frame.mono ? 17 : 32) : (frame.mono ? 9 : 17);
+  const xingOffset = offset + 4 + sideInfo;
+  const xingTag = buffer.toString('latin1', xingOffset, xingOffset + 4);
+  let frames = null;
+  
+  if ((xingTag === 'Xing' || xingTag === 'Info') && buffer.length >= xingOffset + 12 && (buffer.readUInt32BE(xingOffset + 4) & 0x01)) {
+    frames = buffer.readUInt32BE(xingOffset + 8);
+  } else if (buffer.toString('latin1', offset + 36, offset + 40) === 'VBRI' && buffer.length >= offset + 54) {
+    frames = buffer.readUInt32BE(offset + 50);
+  }
+
+  const duration = frames
+    ? (frames * frame.samplesPerFrame) / frame.sampleRate
+    : ((buffer.length - offset) * 8) / frame.bitrate;
+  
+  return { format: 'mp3', duration, sampleRate: frame.sampleRate };
+}
+
+/**
+ * Get the duration of a WAV (RIFF/WAVE) file
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} - { format, duration, sampleRate }, or null if this is not a WAV file
+ */
+function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let offset = 12;
+  let byteRate = null;
+  let sampleRate = null;
+  
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('latin1', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    
+    if (chunkId === 'fmt ' && offset + 20 <= buffer.length) {
+      sampleRate = buffer.readUInt32LE(offset + 12);
+      byteRate = buffer.readUInt32LE(offset + 16);
+    } else if (chunkId === 'data') {
+      if (!byteRate) {
+        return null;
+      }
+      
+      // Recorders that stream the file may leave the size unset; use what's actually there
+      const dataSize = Math.min(chunkSize, buffer.length - offset - 8);
+      return { format: 'wav', duration: dataSize / byteRate, sampleRate };
+    }
+    
+    // Chunks are padded to an even size
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+}
+
+/**
+ * Work out the format and duration of an audio file
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} - { format: 'mp3'|'wav', duration (seconds), sampleRate }, or null if unsupported
+ */
+function getAudioInfo(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return null;
+  }
+
+  return parseWav(buffer) || parseMp3(buffer);
+}
+
+module.exports = {
+  getAudioInfo,
+  parseWav,
+  parseMp3
+}; 
\ No newline at end of file
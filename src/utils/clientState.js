@@ -0,0 +1,38 @@
+/**
+ * Helpers for Telnyx call control client_state
+ * Telnyx echoes client_state back on every webhook for a call leg and expects
+ * it to be base64 encoded. We store a small JSON object in it whose `flow`
+ * field names the service driving the call (for example 'ivr').
+ */
+
+/**
+ * Encode a state object for use as client_state
+ * @param {Object} state - State to encode
+ * @returns {string} - Base64 encoded JSON
+ */
+function encodeClientState(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64');
+}
+
+/**
+ * Decode client_state received on a webhook
+ * @param {string} value - client_state from the webhook payload
+ * @returns {Object|null} - Decoded state, or null if it is missing or not one of ours
+ */
+function decodeClientState(value) {
+  if (!value) {
+    return null;
+  }
+
+  try {
+    const state = JSON.parse(Buffer.from(value, 'base64').toString('utf8'));
+    return state && typeof state === 'object' ? state : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  encodeClientState,
+  decodeClientState
+}; 
\ No newline at end of file
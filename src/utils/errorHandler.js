@@ -0,0 +1,33 @@
+/**
+ * Error helpers shared by services and controllers
+ * Services throw errors carrying an HTTP status and controllers answer with it
+ */
+
+/**
+ * Create an error with an HTTP status for the controller to return
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} - Error with a status property
+ */
+function createError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Answer a request with the error a controller caught
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error, with an optional status (500 otherwise)
+ */
+function errorHandler(res, error) {
+  console.error(error);
+  
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.message
+  });
+}
+
+module.exports = errorHandler;
+module.exports.createError = createError; 
\ No newline at end of file
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+// Default lifetime of a signed media URL, in seconds
+const DEFAULT_EXPIRES_SECONDS = 3600;
+
+/**
+ * Get the secret media URLs are signed with
+ * @returns {string} - Secret
+ */
+function getSecret() {
+  const secret = process.env.MEDIA_URL_SECRET || process.env.API_KEY;
+  
+  if (!secret) {
+    throw new Error('MEDIA_URL_SECRET (or API_KEY) is required to sign media URLs');
+  }
+
+  return secret;
+}
+
+/**
+ * Get the public base URL media is served from
+ * Falls back to the origin of WEBHOOK_URL, which Telnyx can already reach
+ * @returns {string} - Base URL without a trailing slash
+ */
+function getBaseUrl() {
+  if (process.env.MEDIA_BASE_URL) {
+    return process.env.MEDIA_BASE_URL.replace(/\/$/, '');
+  }
+
+  if (process.env.WEBHOOK_URL) {
+    return new URL(process.env.WEBHOOK_URL).origin;
+  }
+
+  return `http://localhost:${process.env.PORT || 3000}`;
+}
+
+/**
+ * Compute the signature for a media path
+ * @param {string} mediaPath - Path such as /media/greetings/<id>
+ * @param {number} expires - Unix timestamp in seconds
+ * @returns {string} - Hex HMAC
+ */
+function computeSignature(mediaPath, expires) {
+  return crypto.createHmac('sha256', getSecret()).update(`${mediaPath}|${expires}`).digest('hex');
+}
+
+/**
+ * Build a signed URL that can fetch media without the API key (e.g. for Telnyx playback)
+ * @param {string} mediaPath - Path such as /media/greetings/<id>
+ * @param {number} expiresInSeconds - How long the URL stays valid
+ * @returns {string} - Absolute signed URL
+ */
+function signMediaUrl(mediaPath, expiresInSeconds = DEFAULT_EXPIRES_SECONDS) {
+  const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  const signature = computeSignature(mediaPath, expires);
+  
+  return `${getBaseUrl()}${mediaPath}?expires=${expires}&signature=${signature}`;
+}
+
+/**
+ * Verify a signed media request
+ * @param {string} mediaPath - Requested path
+ * @param {string} expires - expires query parameter
+ * @param {string} signature - signature query parameter
+ * @returns {Object} - { valid, reason }
+ */
+function verifyMediaSignature(mediaPath, expires, signature) {
+  const expiresAt = parseInt(expires, 10);
+  
+  if (!signature || isNaN(expiresAt)) {
+    return { valid: false, reason: 'Missing signature' };
+  }
+
+  if (expiresAt < Math.floor(Date.now() / 1000)) {
+    return { valid: false, reason: 'Signed URL has expired' };
+  }
+
+  const expected = Buffer.from(computeSignature(mediaPath, expiresAt));
+  const given = Buffer.from(String(signature));
+  
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  signMediaUrl,
+  verifyMediaSignature
+}; 
\ No newline at end of file
@@ -0,0 +1,23 @@
+/**
+ * Helpers for comparing phone numbers that arrive in different formats
+ * (E.164 from Telnyx, ten digit numbers typed into the API, numbers with punctuation)
+ */
+
+/**
+ * Normalize a number to E.164, assuming +1 for ten digit numbers
+ * @param {string} number - Phone number
+ * @returns {string} - E.164 number, or an empty string
+ */
+function normalizeNumber(number) {
+  const digits = String(number || '').replace(/\D/g, '');
+  
+  if (!digits) {
+    return '';
+  }
+
+  return `+${digits.length === 10 ? `1${digits}` : digits}`;
+}
+
+module.exports = {
+  normalizeNumber
+}; 
\ No newline at end of file
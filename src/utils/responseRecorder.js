@@ -0,0 +1,36 @@
+/**
+ * Create a minimal stand-in for an Express response object
+ * Lets webhook handlers that write to `res` be run outside of an HTTP request
+ * (for example when retrying a stored event) and captures what they sent.
+ * Like a real response, only the first response counts: an error handler that
+ * writes a 500 after the handler already responded doesn't replace it.
+ * @returns {Object} - Response-like object with statusCode, body and sent
+ */
+function createResponseRecorder() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    sent: false,
+    
+    status(code) {
+      if (!this.sent) {
+        this.statusCode = code;
+      }
+      return this;
+    },
+    
+    json(body) {
+      if (!this.sent) {
+        this.body = body;
+        this.sent = true;
+      }
+      return this;
+    },
+    
+    send(body) {
+      return this.json(body);
+    }
+  };
+}
+
+module.exports = createResponseRecorder; 
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * Shared access to the Socket.IO server for services that run outside a request
+ * index.js registers the server with setIo() at startup
+ */
+
+let io = null;
+
+/**
+ * Register the Socket.IO server
+ * @param {Object} server - Socket.IO server
+ */
+function setIo(server) {
+  io = server;
+}
+
+/**
+ * Emit an event to everyone in a room
+ * Does nothing if Socket.IO has not been set up (scripts, replays)
+ * @param {string} room - Room name
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+function emitToRoom(room, event, data) {
+  if (io) {
+    io.to(room).emit(event, data);
+  }
+}
+
+/**
+ * Emit an event to a user's sockets (joined via 'register')
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+function emitToUser(userId, event, data) {
+  emitToRoom(`user-${userId}`, event, data);
+}
+
+/**
+ * Emit an event to every connected client
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+function emitToAll(event, data) {
+  if (io) {
+    io.emit(event, data);
+  }
+}
+
+/**
+ * Check whether anyone is listening in a room
+ * Lets services skip building payloads nobody will receive
+ * @param {string} room - Room name
+ * @returns {boolean} - Whether the room has at least one socket
+ */
+function hasListeners(room) {
+  return Boolean(io && io.sockets.adapter.rooms.get(room)?.size);
+}
+
+module.exports = {
+  setIo,
+  emitToRoom,
+  emitToUser,
+  emitToAll,
+  hasListeners
+}; 
\ No newline at end of file
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+
+// DER prefix that turns a raw 32-byte Ed25519 key into an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Default replay window for webhook timestamps, in seconds
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Keypair generated on demand when running in webhook test mode
+let testKeyPair = null;
+
+/**
+ * Check whether webhook test mode is enabled
+ * @returns {boolean} - Whether a locally generated keypair should be used
+ */
+function isTestMode() {
+  return process.env.TELNYX_WEBHOOK_TEST_MODE === 'true';
+}
+
+/**
+ * Get (or lazily generate) the local keypair used in test mode
+ * @returns {Object} - Key objects and the base64 encoded raw public key
+ */
+function getTestKeyPair() {
+  if (!testKeyPair) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const rawPublicKey = publicKey.export({ format: 'der', type: 'spki' })
+      .subarray(ED25519_SPKI_PREFIX.length);
+    
+    testKeyPair = {
+      publicKey,
+      privateKey,
+      publicKeyBase64: rawPublicKey.toString('base64')
+    };
+    
+    console.log(`Webhook test mode enabled, generated public key: ${testKeyPair.publicKeyBase64}`);
+  }
+
+  return testKeyPair;
+}
+
+/**
+ * Build a public key object from the Telnyx portal value
+ * Accepts either the base64 raw key shown in the portal or a PEM encoded key
+ * @param {string} key - Public key
+ * @returns {crypto.KeyObject} - Public key object
+ */
+function parsePublicKey(key) {
+  if (key.includes('BEGIN PUBLIC KEY')) {
+    return crypto.createPublicKey(key);
+  }
+
+  const raw = Buffer.from(key.trim(), 'base64');
+  
+  if (raw.length !== 32) {
+    throw new Error('Telnyx public key must be a 32-byte base64 encoded Ed25519 key');
+  }
+
+  return crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, raw]),
+    format: 'der',
+    type: 'spki'
+  });
+}
+
+/**
+ * Get the public key used to verify incoming webhooks
+ * @returns {crypto.KeyObject|null} - Public key, or null if none is configured
+ */
+function getVerificationKey() {
+  if (isTestMode()) {
+    return getTestKeyPair().publicKey;
+  }
+
+  if (!process.env.TELNYX_PUBLIC_KEY) {
+    return null;
+  }
+
+  return parsePublicKey(process.env.TELNYX_PUBLIC_KEY);
+}
+
+/**
+ * Verify a Telnyx webhook signature
+ * Telnyx signs `${timestamp}|${rawBody}` with Ed25519
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} signature - Value of the telnyx-signature-ed25519 header
+ * @param {string} timestamp - Value of the telnyx-timestamp header
+ * @param {Object} options - Verification options
+ * @returns {Object} - { valid, reason }
+ */
+function verifySignature(rawBody, signature, timestamp, options = {}) {
+  const tolerance = options.toleranceSeconds !== undefined
+    ? options.toleranceSeconds
+    : parseInt(process.env.TELNYX_WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS;
+  const now = options.now || Math.floor(Date.now() / 1000);
+  
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'Missing signature headers' };
+  }
+
+  const timestampSeconds = parseInt(timestamp, 10);
+  
+  if (isNaN(timestampSeconds)) {
+    return { valid: false, reason: 'Invalid timestamp header' };
+  }
+
+  if (Math.abs(now - timestampSeconds) > tolerance) {
+    return { valid: false, reason: 'Timestamp outside of replay window' };
+  }
+
+  if (!rawBody) {
+    return { valid: false, reason: 'Missing raw request body' };
+  }
+
+  const publicKey = options.publicKey || getVerificationKey();
+  
+  if (!publicKey) {
+    return { valid: false, reason: 'No Telnyx public key configured' };
+  }
+
+  const signedPayload = Buffer.concat([
+    Buffer.from(`${timestamp}|`),
+    Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody)
+  ]);
+  
+  try {
+    const valid = crypto.verify(null, signedPayload, publicKey, Buffer.from(signature, 'base64'));
+    return valid ? { valid: true } : { valid: false, reason: 'Signature mismatch' };
+  } catch (error) {
+    return { valid: false, reason: `Signature could not be verified: ${error.message}` };
+  }
+}
+
+/**
+ * Sign a payload with the local test keypair
+ * Only available in webhook test mode
+ * @param {Buffer|string} rawBody - Raw request body to sign
+ * @param {number} timestamp - Unix timestamp in seconds (defaults to now)
+ * @returns {Object} - Headers to send along with the payload
+ */
+function signPayload(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  if (!isTestMode()) {
+    throw new Error('Webhook payloads can only be signed locally in test mode');
+  }
+
+  const signedPayload = Buffer.concat([
+    Buffer.from(`${timestamp}|`),
+    Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody)
+  ]);
+  const signature = crypto.sign(null, signedPayload, getTestKeyPair().privateKey);
+  
+  return {
+    'telnyx-signature-ed25519': signature.toString('base64'),
+    'telnyx-timestamp': String(timestamp)
+  };
+}
+
+module.exports = {
+  isTestMode,
+  getTestKeyPair,
+  parsePublicKey,
+  verifySignature,
+  signPayload
+}; 
\ No newline at end of file
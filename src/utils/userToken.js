@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// Default lifetime of a user token, in seconds
+const DEFAULT_EXPIRES_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Get the secret user tokens are signed with
+ * Deliberately not the API key: holding the API key must not let a caller act as any user
+ * @returns {string} - Secret
+ */
+function getSecret() {
+  if (!process.env.USER_TOKEN_SECRET) {
+    throw new Error('USER_TOKEN_SECRET is required to sign and verify user tokens');
+  }
+
+  return process.env.USER_TOKEN_SECRET;
+}
+
+/**
+ * Compute the signature for a user token
+ * @param {string} userId - User ID
+ * @param {number} expires - Unix timestamp in seconds
+ * @returns {string} - Hex HMAC
+ */
+function computeSignature(userId, expires) {
+  return crypto.createHmac('sha256', getSecret()).update(`user|${userId}|${expires}`).digest('hex');
+}
+
+/**
+ * Issue a token that identifies a user (sent as `Authorization: Bearer <token>`)
+ * @param {string} userId - User ID
+ * @param {number} expiresInSeconds - How long the token stays valid
+ * @returns {string} - Token
+ */
+function signUserToken(userId, expiresInSeconds = DEFAULT_EXPIRES_SECONDS) {
+  const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  
+  return `${userId}.${expires}.${computeSignature(userId, expires)}`;
+}
+
+/**
+ * Verify a user token
+ * @param {string} token - Token
+ * @returns {Object} - { valid, userId, reason }
+ */
+function verifyUserToken(token) {
+  const [userId, expires, signature] = String(token || '').split('.');
+  const expiresAt = parseInt(expires, 10);
+  
+  if (!userId || !signature || isNaN(expiresAt)) {
+    return { valid: false, reason: 'Malformed token' };
+  }
+
+  if (expiresAt < Math.floor(Date.now() / 1000)) {
+    return { valid: false, reason: 'Token has expired' };
+  }
+
+  const expected = Buffer.from(computeSignature(userId, expiresAt));
+  const given = Buffer.from(signature);
+  
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  return { valid: true, userId };
+}
+
+module.exports = {
+  signUserToken,
+  verifyUserToken
+}; 
\ No newline at end of file
@@ -0,0 +1,146 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Conversation = require('../src/models/Conversation');
+const SMS = require('../src/models/SMS');
+const conversationService = require('../src/services/conversationService');
+
+const userId = new mongoose.Types.ObjectId();
+let conversations;
+
+/**
+ * Check a stored conversation against the filters the service uses
+ * @param {Object} conversation - Stored conversation
+ * @param {Object} filter - Thread key, or { _id, $or } on lastMessageAt
+ * @returns {boolean} - Whether it matches
+ */
+function matches(conversation, filter) {
+  if (filter._id) {
+    return String(conversation._id) === String(filter._id) &&
+      (conversation.lastMessageAt == null || conversation.lastMessageAt <= filter.$or[1].lastMessageAt.$lte);
+  }
+  return conversation.ourNumber === filter.ourNumber && conversation.counterpartNumber === filter.counterpartNumber;
+}
+
+/**
+ * Build an SMS record
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - SMS
+ */
+function makeSms(fields) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    userId,
+    direction: 'inbound',
+    from: '(555) 123-0000',
+    to: '+15559870000',
+    body: 'Hello',
+    sentAt: new Date('2026-03-02T10:00:00Z'),
+    ...fields
+  };
+}
+
+beforeEach(() => {
+  mock.restoreAll();
+  conversations = [];
+  
+  // In-memory stand-in for the conversation upserts the service makes
+  mock.method(Conversation, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    let conversation = conversations.find(c => matches(c, filter));
+    
+    if (!conversation) {
+      if (!options.upsert) {
+        return null;
+      }
+      conversation = {
+        _id: new mongoose.Types.ObjectId(),
+        ...filter,
+        ...update.$setOnInsert,
+        unreadCount: 0,
+        isArchived: false,
+        snoozedUntil: null,
+        lastMessageAt: null
+      };
+      conversations.push(conversation);
+    }
+    
+    Object.assign(conversation, update.$set);
+    Object.entries(update.$inc || {}).forEach(([field, amount]) => {
+      conversation[field] += amount;
+    });
+    
+    return { ...conversation };
+  });
+  mock.method(SMS, 'updateOne', async () => ({}));
+});
+
+test('files both directions of a thread under the normalized numbers', async () => {
+  await conversationService.recordMessage(makeSms({ from: '555-123-0000', to: '5559870000' }));
+  await conversationService.recordMessage(makeSms({
+    direction: 'outbound',
+    from: '+15559870000',
+    to: '+1 (555) 123-0000',
+    body: 'Hi there',
+    sentAt: new Date('2026-03-02T10:05:00Z')
+  }));
+  
+  assert.strictEqual(conversations.length, 1);
+  assert.strictEqual(conversations[0].ourNumber, '+15559870000');
+  assert.strictEqual(conversations[0].counterpartNumber, '+15551230000');
+  assert.strictEqual(conversations[0].lastMessage.body, 'Hi there');
+  assert.strictEqual(conversations[0].unreadCount, 1);
+});
+
+test('links the SMS to its conversation', async () => {
+  const sms = makeSms();
+  
+  const conversation = await conversationService.recordMessage(sms);
+  
+  assert.strictEqual(String(sms.conversationId), String(conversation._id));
+  assert.deepStrictEqual(SMS.updateOne.mock.calls[0].arguments, [{ _id: sms._id }, { conversationId: conversation._id }]);
+});
+
+test('a new inbound message brings an archived or snoozed thread back', async () => {
+  await conversationService.recordMessage(makeSms());
+  Object.assign(conversations[0], { isArchived: true, snoozedUntil: new Date('2026-04-01T00:00:00Z') });
+  
+  await conversationService.recordMessage(makeSms({ sentAt: new Date('2026-03-02T11:00:00Z') }));
+  
+  assert.strictEqual(conversations[0].isArchived, false);
+  assert.strictEqual(conversations[0].snoozedUntil, null);
+  assert.strictEqual(conversations[0].unreadCount, 2);
+});
+
+test('an older message does not replace the last message', async () => {
+  await conversationService.recordMessage(makeSms({ body: 'Newer', sentAt: new Date('2026-03-02T12:00:00Z') }));
+  
+  const conversation = await conversationService.recordMessage(makeSms({ body: 'Older' }));
+  
+  assert.strictEqual(conversations[0].lastMessage.body, 'Newer');
+  assert.strictEqual(conversation.lastMessage.body, 'Newer');
+});
+
+test('backfill files old messages without unarchiving, unsnoozing or counting them unread', async () => {
+  await conversationService.recordMessage(makeSms({ body: 'Latest', sentAt: new Date('2026-03-05T09:00:00Z') }));
+  Object.assign(conversations[0], { isArchived: true, snoozedUntil: new Date('2026-04-01T00:00:00Z'), unreadCount: 0 });
+  
+  const unfiled = [
+    makeSms({ body: 'First', sentAt: new Date('2026-03-01T09:00:00Z') }),
+    makeSms({ direction: 'outbound', from: '+15559870000', to: '+15551230000', body: 'Reply', sentAt: new Date('2026-03-01T09:05:00Z') })
+  ];
+  mock.method(SMS, 'find', () => ({
+    sort: () => ({
+      cursor: () => ({ next: async () => unfiled.shift() || null })
+    })
+  }));
+  
+  const count = await conversationService.backfill();
+  
+  assert.strictEqual(count, 2);
+  assert.strictEqual(conversations.length, 1);
+  assert.strictEqual(conversations[0].lastMessage.body, 'Latest');
+  assert.strictEqual(conversations[0].isArchived, true);
+  assert.notStrictEqual(conversations[0].snoozedUntil, null);
+  assert.strictEqual(conversations[0].unreadCount, 0);
+}); 
\ No newline at end of file
@@ -0,0 +1,102 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const SmsConsent = require('../src/models/SmsConsent');
+const smsConsentService = require('../src/services/smsConsentService');
+
+let ledger;
+
+/**
+ * Build an inbound SMS record as webhookController saves it
+ * @param {string} body - Message text
+ * @returns {Object} - SMS record
+ */
+function inbound(body) {
+  return {
+    from: '(555) 123-0000',
+    to: '+15559870000',
+    body,
+    telnyxMessageId: 'msg-1'
+  };
+}
+
+beforeEach(() => {
+  mock.restoreAll();
+  ledger = [];
+  
+  // In-memory stand-ins for the ledger reads and writes the service makes
+  mock.method(SmsConsent.prototype, 'save', async function save() {
+    this.createdAt = new Date(Date.now() + ledger.length);
+    ledger.push(this);
+    return this;
+  });
+  mock.method(SmsConsent, 'findOne', filter => ({
+    sort: async () => ledger
+      .filter(entry => entry.ourNumber === filter.ourNumber &&
+        entry.counterpartNumber === filter.counterpartNumber &&
+        filter.event.$in.includes(entry.event))
+      .pop() || null
+  }));
+});
+
+test('matches keywords as the whole message, ignoring case and punctuation', () => {
+  assert.deepStrictEqual(smsConsentService.matchKeyword(' stop! '), { keyword: 'STOP', event: 'opt_out' });
+  assert.deepStrictEqual(smsConsentService.matchKeyword('Unstop'), { keyword: 'UNSTOP', event: 'opt_in' });
+  assert.deepStrictEqual(smsConsentService.matchKeyword('help?'), { keyword: 'HELP', event: 'help' });
+  assert.strictEqual(smsConsentService.matchKeyword('please stop calling'), null);
+  assert.strictEqual(smsConsentService.matchKeyword('YES'), null);
+});
+
+test('STOP opts the sender out of the number they texted', async () => {
+  const result = await smsConsentService.handleIncoming(inbound('STOP'));
+  
+  assert.strictEqual(result.event, 'opt_out');
+  assert.match(result.reply, /unsubscribed/);
+  assert.strictEqual(ledger.length, 1);
+  assert.strictEqual(ledger[0].ourNumber, '+15559870000');
+  assert.strictEqual(ledger[0].counterpartNumber, '+15551230000');
+  assert.strictEqual(await smsConsentService.isOptedOut('+15559870000', '+15551230000'), true);
+});
+
+test('HELP is recorded and answered without changing consent', async () => {
+  const result = await smsConsentService.handleIncoming(inbound('help'));
+  
+  assert.strictEqual(result.event, 'help');
+  assert.strictEqual(ledger.length, 1);
+  assert.strictEqual(await smsConsentService.isOptedOut('+15559870000', '+15551230000'), false);
+});
+
+test('START from a sender who never opted out is an ordinary message', async () => {
+  const result = await smsConsentService.handleIncoming(inbound('START'));
+  
+  assert.strictEqual(result, null);
+  assert.strictEqual(ledger.length, 0);
+});
+
+test('START from an opted-out sender opts them back in', async () => {
+  await smsConsentService.handleIncoming(inbound('STOP'));
+  const result = await smsConsentService.handleIncoming(inbound('start'));
+  
+  assert.strictEqual(result.event, 'opt_in');
+  assert.match(result.reply, /resubscribed/);
+  assert.strictEqual(ledger.length, 2);
+  assert.strictEqual(await smsConsentService.isOptedOut('+15559870000', '+15551230000'), false);
+});
+
+test('YES is an ordinary message even from an opted-out sender', async () => {
+  await smsConsentService.handleIncoming(inbound('STOP'));
+  const result = await smsConsentService.handleIncoming(inbound('YES'));
+  
+  assert.strictEqual(result, null);
+  assert.strictEqual(await smsConsentService.isOptedOut('+15559870000', '+15551230000'), true);
+});
+
+test('refuses to send to an opted-out recipient and logs the attempt', async () => {
+  await smsConsentService.handleIncoming(inbound('STOP'));
+  
+  await assert.rejects(
+    smsConsentService.assertCanSend('+15559870000', '5551230000', { body: 'Reminder' }),
+    error => error.status === 403 && error.code === 'SMS_OPTED_OUT'
+  );
+  assert.strictEqual(ledger[1].event, 'blocked_send');
+}); 
\ No newline at end of file
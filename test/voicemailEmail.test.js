@@ -0,0 +1,177 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+
+process.env.MEDIA_URL_SECRET = 'test-secret';
+process.env.MEDIA_BASE_URL = 'https://app.example.com';
+process.env.EMAIL_FROM = 'voicemail@example.com';
+
+const notificationService = require('../src/services/notificationService');
+const { verifyMediaSignature } = require('../src/utils/mediaUrl');
+
+const RECORDING = Buffer.from('ID3 recorded voicemail audio');
+
+let smtpServer;
+let recordingServer;
+let recordingUrl;
+let messages;
+
+/**
+ * Start a local SMTP stand-in that keeps every message it receives
+ * It speaks just enough SMTP for nodemailer (no STARTTLS, no auth)
+ * @returns {Promise<net.Server>} - Listening server
+ */
+function startSmtpServer() {
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    
+    socket.setEncoding('utf8');
+    socket.write('220 localhost ESMTP test\r\n');
+    
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        
+        if (data) {
+          if (line === '.') {
+            messages.push(data.join('\r\n'));
+            data = null;
+            socket.write('250 OK\r\n');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+        
+        const command = line.slice(0, 4).toUpperCase();
+        
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'DATA') {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Undo quoted-printable encoding so the message body can be searched
+ * @param {string} message - Raw message
+ * @returns {string} - Decoded message
+ */
+function decodeQuotedPrintable(message) {
+  return message
+    .replace(/=\r\n/g, '')
+    .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+before(async () => {
+  smtpServer = await startSmtpServer();
+  process.env.EMAIL_HOST = '127.0.0.1';
+  process.env.EMAIL_PORT = String(smtpServer.address().port);
+  
+  // Stands in for the Telnyx recording URL
+  recordingServer = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+    res.end(RECORDING);
+  });
+  await new Promise(resolve => recordingServer.listen(0, '127.0.0.1', resolve));
+  recordingUrl = `http://127.0.0.1:${recordingServer.address().port}/recording.mp3`;
+});
+
+after(() => {
+  notificationService.getEmailTransport().close();
+  smtpServer.close();
+  recordingServer.close();
+});
+
+beforeEach(() => {
+  messages = [];
+});
+
+const user = {
+  name: 'Ann Lee',
+  email: 'ann@example.com',
+  voicemailEmail: { enabled: true, attachAudio: true }
+};
+
+const voicemail = {
+  voicemailId: '64b000000000000000000001',
+  from: '+15551230000',
+  to: '+15559870000',
+  duration: 12,
+  recordingUrl: null,
+  transcription: 'Call me back <today> about the filing',
+  timestamp: new Date('2026-10-01T15:00:00Z')
+};
+
+test('sends the voicemail email over SMTP with the transcription and recording', async () => {
+  const sent = await notificationService.sendEmailNotification(user, 'voicemail', { ...voicemail, recordingUrl });
+  
+  assert.strictEqual(sent, true);
+  assert.strictEqual(messages.length, 1);
+  
+  const message = decodeQuotedPrintable(messages[0]);
+  
+  assert.match(message, /^Subject: New voicemail from \+15551230000$/m);
+  assert.match(message, /^To: ann@example.com$/m);
+  assert.match(message, /^From: voicemail@example.com$/m);
+  assert.ok(message.includes('Call me back <today> about the filing'), 'text part has the transcription');
+  assert.ok(message.includes('Call me back &lt;today&gt; about the filing'), 'html part escapes the transcription');
+  assert.match(message, /filename=voicemail-15551230000-2026-10-01\.mp3/);
+  assert.ok(messages[0].includes(RECORDING.toString('base64')), 'recording is attached');
+});
+
+test('links to a signed mark as read page for the voicemail', async () => {
+  await notificationService.sendEmailNotification(user, 'voicemail', voicemail);
+  
+  const message = decodeQuotedPrintable(messages[0]);
+  const link = message.match(/Mark as read: (\S+)/);
+  
+  assert.ok(link, 'text part has the mark as read link');
+  
+  const url = new URL(link[1]);
+  
+  assert.strictEqual(url.origin, 'https://app.example.com');
+  assert.strictEqual(url.pathname, `/media/voicemails/${voicemail.voicemailId}/read`);
+  assert.deepStrictEqual(
+    verifyMediaSignature(url.pathname, url.searchParams.get('expires'), url.searchParams.get('signature')),
+    { valid: true }
+  );
+});
+
+test('leaves the recording off when the user turned attachments off', async () => {
+  await notificationService.sendEmailNotification(
+    { ...user, voicemailEmail: { enabled: true, attachAudio: false } },
+    'voicemail',
+    { ...voicemail, recordingUrl }
+  );
+  
+  assert.strictEqual(messages.length, 1);
+  assert.ok(!messages[0].includes('Content-Disposition: attachment'), 'no attachment');
+});
+
+test('sends nothing when the user turned voicemail emails off', async () => {
+  const sent = await notificationService.sendEmailNotification(
+    { ...user, voicemailEmail: { enabled: false } },
+    'voicemail',
+    voicemail
+  );
+  
+  assert.strictEqual(sent, false);
+  assert.strictEqual(messages.length, 0);
+}); 
\ No newline at end of file
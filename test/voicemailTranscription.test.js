@@ -0,0 +1,98 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// Transcribe with the offline engine
+process.env.VOICEMAIL_TRANSCRIPTION_ENGINE = 'stub';
+process.env.VOICEMAIL_STUB_TRANSCRIPT = 'Hi, please call me back about my case.';
+
+const Voicemail = require('../src/models/Voicemail');
+const User = require('../src/models/User');
+const notificationService = require('../src/services/notificationService');
+const voicemailTranscriptionService = require('../src/services/voicemailTranscriptionService');
+
+const owner = { _id: new mongoose.Types.ObjectId(), name: 'Ann Lee', email: 'ann@example.com' };
+let stored;
+let notified;
+
+/**
+ * Check a stored voicemail against the simple filters the service uses
+ * @param {Object} filter - { _id, transcriptionStatus, notifiedAt }
+ * @returns {boolean} - Whether the stored voicemail matches
+ */
+function matches(filter) {
+  return Object.keys(filter).every(key => {
+    if (key === '_id') {
+      return String(filter._id) === String(stored._id);
+    }
+    return filter[key] === null ? stored[key] == null : stored[key] === filter[key];
+  });
+}
+
+beforeEach(() => {
+  mock.restoreAll();
+  
+  stored = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: owner._id,
+    from: '+15551230000',
+    to: '+15559870000',
+    duration: 12,
+    notifiedAt: null
+  };
+
+  // In-memory stand-ins for the MongoDB calls the service makes
+  mock.method(Voicemail, 'findByIdAndUpdate', async (id, update) => Object.assign(stored, update));
+  mock.method(Voicemail, 'findOneAndUpdate', async (filter, update) => (
+    matches(filter) ? Object.assign(stored, update) : null
+  ));
+  mock.method(User, 'findById', async id => (String(id) === String(owner._id) ? owner : null));
+  
+  notified = new Promise(resolve => {
+    mock.method(notificationService, 'notifyNewVoicemail', async (user, data) => {
+      resolve({ user, data });
+      return { email: true, push: false, sms: false };
+    });
+  });
+});
+
+test('transcribes a new voicemail with the stub engine, then notifies the owner', async () => {
+  const result = await voicemailTranscriptionService.transcribe(stored);
+  
+  assert.deepStrictEqual(result, { action: 'transcribing', engine: 'stub' });
+  
+  const { user, data } = await notified;
+  
+  assert.strictEqual(user, owner);
+  assert.strictEqual(data.voicemailId, String(stored._id));
+  assert.strictEqual(data.transcription, 'Hi, please call me back about my case.');
+  assert.strictEqual(data.transcriptionConfidence, 1);
+  assert.strictEqual(stored.transcriptionStatus, 'completed');
+  assert.strictEqual(stored.transcriptionEngine, 'stub');
+});
+
+test('notifies the owner without a transcription when the engine fails', async () => {
+  const engine = voicemailTranscriptionService.getEngine();
+  mock.method(engine, 'transcribe', async () => {
+    throw new Error('Engine unavailable');
+  });
+  
+  await voicemailTranscriptionService.transcribe(stored);
+  
+  const { data } = await notified;
+  
+  assert.strictEqual(data.transcription, undefined);
+  assert.strictEqual(stored.transcriptionStatus, 'failed');
+  assert.strictEqual(stored.transcriptionError, 'Engine unavailable');
+});
+
+test('notifies only once when the timeout fires after the transcription', async () => {
+  await voicemailTranscriptionService.transcribe(stored);
+  await notified;
+  
+  // The owner was told when the transcription came in; the timeout must not tell them again
+  const results = await voicemailTranscriptionService.notify(stored._id);
+  
+  assert.strictEqual(results, null);
+  assert.strictEqual(notificationService.notifyNewVoicemail.mock.callCount(), 1);
+}); 
\ No newline at end of file